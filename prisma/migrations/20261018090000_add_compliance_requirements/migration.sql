@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "complianceRequirements" JSONB DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN     "region" TEXT,
+ADD COLUMN     "stationCode" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Driver_companyId_stationCode_idx" ON "Driver"("companyId", "stationCode");
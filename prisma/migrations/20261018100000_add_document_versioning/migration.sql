@@ -0,0 +1,30 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "AuditAction" ADD VALUE 'DOCUMENT_UPDATED';
+ALTER TYPE "AuditAction" ADD VALUE 'DOCUMENT_SUPERSEDED';
+
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN     "isCurrent" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "lineageId" TEXT,
+ADD COLUMN     "notes" TEXT,
+ADD COLUMN     "supersededAt" TIMESTAMP(3),
+ADD COLUMN     "supersedesId" TEXT,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Document_supersedesId_key" ON "Document"("supersedesId");
+
+-- CreateIndex
+CREATE INDEX "Document_lineageId_idx" ON "Document"("lineageId");
+
+-- CreateIndex
+CREATE INDEX "Document_driverId_type_isCurrent_idx" ON "Document"("driverId", "type", "isCurrent");
+
+-- AddForeignKey
+ALTER TABLE "Document" ADD CONSTRAINT "Document_supersedesId_fkey" FOREIGN KEY ("supersedesId") REFERENCES "Document"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Backfill: uploadedAt is overwritten when details are saved, so prefer the S3 upload time
+UPDATE "Document" SET "createdAt" = COALESCE("s3UploadedAt", "uploadedAt");
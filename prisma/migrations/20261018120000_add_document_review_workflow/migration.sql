@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "DocumentReviewStatus" AS ENUM ('NOT_REQUIRED', 'PENDING_REVIEW', 'APPROVED', 'REJECTED');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "AuditAction" ADD VALUE 'DOCUMENT_APPROVED';
+ALTER TYPE "AuditAction" ADD VALUE 'DOCUMENT_REJECTED';
+
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN     "rejectionReason" TEXT,
+ADD COLUMN     "reviewReason" TEXT,
+ADD COLUMN     "reviewStatus" "DocumentReviewStatus" NOT NULL DEFAULT 'NOT_REQUIRED',
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedById" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Document_reviewStatus_idx" ON "Document"("reviewStatus");
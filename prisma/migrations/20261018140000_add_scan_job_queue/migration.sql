@@ -0,0 +1,72 @@
+-- CreateEnum
+CREATE TYPE "ScanJobStatus" AS ENUM ('QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "ScanJobItemStatus" AS ENUM ('QUEUED', 'PROCESSING', 'RETRYING', 'SUCCEEDED', 'FAILED', 'SKIPPED');
+
+-- CreateTable
+CREATE TABLE "ScanJob" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "ScanJobStatus" NOT NULL DEFAULT 'QUEUED',
+    "totalItems" INTEGER NOT NULL,
+    "succeededItems" INTEGER NOT NULL DEFAULT 0,
+    "failedItems" INTEGER NOT NULL DEFAULT 0,
+    "skippedItems" INTEGER NOT NULL DEFAULT 0,
+    "creditsUsed" INTEGER NOT NULL DEFAULT 0,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScanJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ScanJobItem" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "documentId" TEXT NOT NULL,
+    "status" "ScanJobItemStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 3,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "error" TEXT,
+    "skipReason" TEXT,
+    "result" JSONB,
+    "creditCharged" BOOLEAN NOT NULL DEFAULT false,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScanJobItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScanJob_companyId_createdAt_idx" ON "ScanJob"("companyId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ScanJob_status_idx" ON "ScanJob"("status");
+
+-- CreateIndex
+CREATE INDEX "ScanJobItem_jobId_idx" ON "ScanJobItem"("jobId");
+
+-- CreateIndex
+CREATE INDEX "ScanJobItem_documentId_idx" ON "ScanJobItem"("documentId");
+
+-- CreateIndex
+CREATE INDEX "ScanJobItem_status_nextAttemptAt_idx" ON "ScanJobItem"("status", "nextAttemptAt");
+
+-- AddForeignKey
+ALTER TABLE "ScanJob" ADD CONSTRAINT "ScanJob_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "Company"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScanJobItem" ADD CONSTRAINT "ScanJobItem_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "ScanJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScanJobItem" ADD CONSTRAINT "ScanJobItem_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "ExtractionFeedback" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "documentId" TEXT NOT NULL,
+    "documentType" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "aiValue" TEXT,
+    "correctedValue" TEXT,
+    "corrected" BOOLEAN NOT NULL,
+    "correctedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExtractionFeedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExtractionFeedback_documentId_field_key" ON "ExtractionFeedback"("documentId", "field");
+
+-- CreateIndex
+CREATE INDEX "ExtractionFeedback_companyId_documentType_corrected_idx" ON "ExtractionFeedback"("companyId", "documentType", "corrected");
+
+-- CreateIndex
+CREATE INDEX "ExtractionFeedback_documentType_createdAt_idx" ON "ExtractionFeedback"("documentType", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ExtractionFeedback" ADD CONSTRAINT "ExtractionFeedback_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document"("id") ON DELETE CASCADE ON UPDATE CASCADE;
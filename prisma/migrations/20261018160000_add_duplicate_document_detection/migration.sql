@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "DuplicateDocumentPolicy" AS ENUM ('WARN', 'BLOCK');
+
+-- AlterEnum
+ALTER TYPE "SecurityEventType" ADD VALUE 'DUPLICATE_DOCUMENT';
+
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "duplicateDocumentPolicy" "DuplicateDocumentPolicy" NOT NULL DEFAULT 'WARN';
+
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN     "contentHash" TEXT,
+ADD COLUMN     "normalizedDocumentNumber" TEXT;
+
+-- Backfill normalized document numbers for existing documents
+UPDATE "Document"
+SET "normalizedDocumentNumber" = NULLIF(regexp_replace(upper("documentNumber"), '[^A-Z0-9]', '', 'g'), '')
+WHERE "documentNumber" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Document_contentHash_idx" ON "Document"("contentHash");
+
+-- CreateIndex
+CREATE INDEX "Document_normalizedDocumentNumber_idx" ON "Document"("normalizedDocumentNumber");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "lastDailyReminderRunAt" TIMESTAMP(3),
+ADD COLUMN     "sendWindowEnd" TEXT NOT NULL DEFAULT '20:00',
+ADD COLUMN     "sendWindowStart" TEXT NOT NULL DEFAULT '08:00',
+ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'America/New_York';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "escalationPolicies" JSONB DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "DocumentReminder" ADD COLUMN     "escalationPolicy" TEXT;
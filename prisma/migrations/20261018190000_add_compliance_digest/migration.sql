@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "ReminderDeliveryMode" AS ENUM ('INDIVIDUAL', 'DIGEST', 'BOTH');
+
+-- CreateEnum
+CREATE TYPE "DigestFrequency" AS ENUM ('DAILY', 'WEEKLY');
+
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "digestFrequency" "DigestFrequency" NOT NULL DEFAULT 'DAILY',
+ADD COLUMN     "digestWeekday" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "reminderDeliveryMode" "ReminderDeliveryMode" NOT NULL DEFAULT 'INDIVIDUAL';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "digestFrequency" "DigestFrequency",
+ADD COLUMN     "reminderDeliveryMode" "ReminderDeliveryMode";
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "MessageTemplateEvent" AS ENUM ('EXPIRING', 'EXPIRED', 'CUSTOM', 'INVITATION');
+
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "locale" TEXT NOT NULL DEFAULT 'en';
+
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN     "locale" TEXT;
+
+-- CreateTable
+CREATE TABLE "MessageTemplate" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "event" "MessageTemplateEvent" NOT NULL,
+    "channel" "ReminderChannel" NOT NULL,
+    "locale" TEXT NOT NULL DEFAULT 'en',
+    "subject" TEXT,
+    "body" TEXT NOT NULL,
+    "updatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MessageTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MessageTemplate_companyId_event_channel_locale_key" ON "MessageTemplate"("companyId", "event", "channel", "locale");
+
+-- AddForeignKey
+ALTER TABLE "MessageTemplate" ADD CONSTRAINT "MessageTemplate_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "Company"("id") ON DELETE CASCADE ON UPDATE CASCADE;
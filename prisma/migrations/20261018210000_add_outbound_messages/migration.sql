@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "OutboundMessageStatus" AS ENUM ('QUEUED', 'SENDING', 'RETRYING', 'SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "OutboundMessage" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT,
+    "channel" "ReminderChannel" NOT NULL,
+    "to" TEXT NOT NULL,
+    "fromName" TEXT,
+    "subject" TEXT,
+    "text" TEXT NOT NULL,
+    "html" TEXT,
+    "attachments" JSONB,
+    "sourceType" TEXT,
+    "sourceId" TEXT,
+    "status" "OutboundMessageStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 8,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "providerMessageId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OutboundMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_status_nextAttemptAt_idx" ON "OutboundMessage"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_sourceType_sourceId_idx" ON "OutboundMessage"("sourceType", "sourceId");
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_companyId_createdAt_idx" ON "OutboundMessage"("companyId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "Company"("id") ON DELETE CASCADE ON UPDATE CASCADE;
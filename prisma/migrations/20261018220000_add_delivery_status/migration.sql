@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "DeliveryStatus" AS ENUM ('DELIVERED', 'UNDELIVERED', 'BOUNCED', 'COMPLAINED');
+
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN     "emailInvalid" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "emailInvalidAt" TIMESTAMP(3),
+ADD COLUMN     "emailInvalidReason" TEXT,
+ADD COLUMN     "phoneInvalid" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "phoneInvalidAt" TIMESTAMP(3),
+ADD COLUMN     "phoneInvalidReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "OutboundMessage" ADD COLUMN     "deliveryError" TEXT,
+ADD COLUMN     "deliveryStatus" "DeliveryStatus",
+ADD COLUMN     "deliveryUpdatedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_providerMessageId_idx" ON "OutboundMessage"("providerMessageId");
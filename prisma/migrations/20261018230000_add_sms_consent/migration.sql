@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "SmsConsentStatus" AS ENUM ('OPTED_IN', 'OPTED_OUT');
+
+-- CreateEnum
+CREATE TYPE "SmsConsentSource" AS ENUM ('INBOUND_KEYWORD', 'PROVIDER_ERROR');
+
+-- CreateTable
+CREATE TABLE "SmsConsent" (
+    "id" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "status" "SmsConsentStatus" NOT NULL,
+    "source" "SmsConsentSource" NOT NULL,
+    "keyword" TEXT,
+    "messageSid" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SmsConsent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SmsConsent_phone_createdAt_idx" ON "SmsConsent"("phone", "createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "calendarFeedToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Company_calendarFeedToken_key" ON "Company"("calendarFeedToken");
@@ -0,0 +1,17 @@
+-- AlterEnum
+ALTER TYPE "ReminderFrequency" ADD VALUE 'QUARTERLY';
+ALTER TYPE "ReminderFrequency" ADD VALUE 'YEARLY';
+
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "holidays" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "CustomReminder" ADD COLUMN     "nextOccurrenceAt" TIMESTAMP(3),
+ADD COLUMN     "recurrence" JSONB;
+
+-- CreateIndex
+CREATE INDEX "CustomReminder_isActive_nextOccurrenceAt_idx" ON "CustomReminder"("isActive", "nextOccurrenceAt");
+
+-- Reminders that never went out are due at their trigger date; the reminder job fills in
+-- nextOccurrenceAt for recurring reminders that were already sent
+UPDATE "CustomReminder" SET "nextOccurrenceAt" = "triggerDate" WHERE "isActive" = true AND "lastSent" IS NULL;
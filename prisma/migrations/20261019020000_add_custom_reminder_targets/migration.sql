@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "CustomReminderTarget" AS ENUM ('COMPANY', 'DRIVERS', 'STATION', 'MISSING_DOCUMENT', 'ROLE');
+
+-- AlterTable
+ALTER TABLE "CustomReminder" ADD COLUMN     "targetDocumentType" TEXT,
+ADD COLUMN     "targetDriverIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "targetRoles" "DSPRole"[] DEFAULT ARRAY[]::"DSPRole"[],
+ADD COLUMN     "targetStationCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "targetType" "CustomReminderTarget" NOT NULL DEFAULT 'COMPANY';
+
+-- CreateTable
+CREATE TABLE "CustomReminderDelivery" (
+    "id" TEXT NOT NULL,
+    "reminderId" TEXT NOT NULL,
+    "occurrenceAt" TIMESTAMP(3) NOT NULL,
+    "driverId" TEXT,
+    "userId" TEXT,
+    "recipientName" TEXT NOT NULL,
+    "channel" "ReminderChannel" NOT NULL,
+    "to" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'QUEUED',
+    "error" TEXT,
+    "outboundMessageId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomReminderDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomReminderDelivery_reminderId_occurrenceAt_idx" ON "CustomReminderDelivery"("reminderId", "occurrenceAt");
+
+-- CreateIndex
+CREATE INDEX "CustomReminderDelivery_driverId_idx" ON "CustomReminderDelivery"("driverId");
+
+-- AddForeignKey
+ALTER TABLE "CustomReminderDelivery" ADD CONSTRAINT "CustomReminderDelivery_reminderId_fkey" FOREIGN KEY ("reminderId") REFERENCES "CustomReminder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
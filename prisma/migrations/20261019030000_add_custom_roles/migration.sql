@@ -0,0 +1,34 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'ROLE_CREATED';
+ALTER TYPE "AuditAction" ADD VALUE 'ROLE_UPDATED';
+ALTER TYPE "AuditAction" ADD VALUE 'ROLE_DELETED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "customRoleId" TEXT;
+
+-- AlterTable
+ALTER TABLE "TeamInvitation" ADD COLUMN     "customRoleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "CustomRole" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "baseRole" "DSPRole" NOT NULL,
+    "capabilities" JSONB NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CustomRole_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomRole_companyId_name_key" ON "CustomRole"("companyId", "name");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_customRoleId_fkey" FOREIGN KEY ("customRoleId") REFERENCES "CustomRole"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomRole" ADD CONSTRAINT "CustomRole_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "Company"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "stationCodes" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "TeamInvitation" ADD COLUMN     "stationCodes" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,8 @@
+-- Custom roles keep the access they had before these capabilities existed:
+-- anyone who could work with documents could see and download them, and audit log viewers could export
+UPDATE "CustomRole"
+SET "capabilities" = "capabilities" || jsonb_build_object(
+  'view_driver_pii', COALESCE(("capabilities"->>'upload_documents')::boolean, false),
+  'download_documents', COALESCE(("capabilities"->>'upload_documents')::boolean, false),
+  'export_data', COALESCE(("capabilities"->>'view_audit_logs')::boolean, false)
+);
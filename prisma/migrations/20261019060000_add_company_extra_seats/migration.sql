@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "extraSeats" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'TEAM_INVITATION_RESENT';
+ALTER TYPE "AuditAction" ADD VALUE 'TEAM_INVITATION_REVOKED';
+ALTER TYPE "AuditAction" ADD VALUE 'TEAM_INVITATION_EXPIRED';
+ALTER TYPE "AuditAction" ADD VALUE 'TEAM_INVITATION_ACCEPTED';
+
+-- AlterEnum
+ALTER TYPE "NotificationEventType" ADD VALUE 'TEAM_INVITATION_EXPIRED';
+
+-- CreateIndex
+CREATE INDEX "TeamInvitation_expiresAt_idx" ON "TeamInvitation"("expiresAt");
@@ -0,0 +1,14 @@
+-- Remove duplicate deliveries left by occurrences that were queued more than once (keep the first)
+DELETE FROM "CustomReminderDelivery" a
+USING "CustomReminderDelivery" b
+WHERE a."reminderId" = b."reminderId"
+  AND a."occurrenceAt" = b."occurrenceAt"
+  AND a."channel" = b."channel"
+  AND a."to" = b."to"
+  AND (a."createdAt", a."id") > (b."createdAt", b."id");
+
+-- DropIndex
+DROP INDEX "CustomReminderDelivery_reminderId_occurrenceAt_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomReminderDelivery_reminderId_occurrenceAt_channel_to_key" ON "CustomReminderDelivery"("reminderId", "occurrenceAt", "channel", "to");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TeamInvitation" ADD COLUMN "clerkSignInTokenId" TEXT;
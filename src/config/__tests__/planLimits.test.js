@@ -0,0 +1,57 @@
+/**
+ * Plan Limits Tests
+ *
+ * Tests for team seat limits and the seat check on downgrades
+ */
+
+import { getSeatLimit, canDowngrade } from '../planLimits.js';
+
+describe('Plan Limits', () => {
+  describe('getSeatLimit', () => {
+    test('should add purchased extra seats to the plan seats', () => {
+      expect(getSeatLimit('Starter')).toBe(5);
+      expect(getSeatLimit('Starter', 3)).toBe(8);
+      expect(getSeatLimit('Professional', 2)).toBe(17);
+    });
+
+    test('should ignore extra seats on plans that do not sell them', () => {
+      expect(getSeatLimit('Free', 4)).toBe(2);
+    });
+
+    test('should return -1 for unlimited plans', () => {
+      expect(getSeatLimit('Enterprise', 5)).toBe(-1);
+    });
+
+    test('should treat a missing extra seat count as none', () => {
+      expect(getSeatLimit('Starter', null)).toBe(5);
+    });
+  });
+
+  describe('canDowngrade', () => {
+    const usage = { driversCount: 1, maxDocsPerDriver: 1, teamMembersCount: 2, extraSeats: 0 };
+
+    test('should allow a downgrade within the target plan seats', () => {
+      expect(canDowngrade(usage, 'Free')).toEqual({ canDowngrade: true, reasons: [] });
+    });
+
+    test('should refuse a downgrade when more seats are in use than the target plan allows', () => {
+      const result = canDowngrade({ ...usage, teamMembersCount: 6 }, 'Starter');
+
+      expect(result.canDowngrade).toBe(false);
+      expect(result.reasons).toEqual([
+        expect.objectContaining({ resource: 'teamMembers', current: 6, limit: 5 }),
+      ]);
+    });
+
+    test('should count extra seats that carry over to the target plan', () => {
+      expect(canDowngrade({ ...usage, teamMembersCount: 6, extraSeats: 1 }, 'Starter').canDowngrade).toBe(true);
+    });
+
+    test('should not count extra seats on a target plan that does not sell them', () => {
+      const result = canDowngrade({ ...usage, teamMembersCount: 3, extraSeats: 5 }, 'Free');
+
+      expect(result.canDowngrade).toBe(false);
+      expect(result.reasons[0]).toEqual(expect.objectContaining({ resource: 'teamMembers', limit: 2 }));
+    });
+  });
+});
@@ -12,6 +12,9 @@ const PLAN_LIMITS = {
     // Core Limits
     maxDrivers: 5,
     maxDocumentsPerDriver: 1,
+    maxTeamMembers: 2, // Seats, including the company admin
+    extraSeatPrice: null, // Extra seats need a paid plan
+    extraSeatYearlyPrice: null,
 
     // AI Credits
     initialAICredits: 5, // One-time only
@@ -43,6 +46,9 @@ const PLAN_LIMITS = {
     // Core Limits
     maxDrivers: 25,
     maxDocumentsPerDriver: 5,
+    maxTeamMembers: 5,
+    extraSeatPrice: 10, // Per extra seat per month
+    extraSeatYearlyPrice: 96,
 
     // AI Credits
     initialAICredits: 100,
@@ -74,6 +80,9 @@ const PLAN_LIMITS = {
     // Core Limits
     maxDrivers: 100,
     maxDocumentsPerDriver: 10,
+    maxTeamMembers: 15,
+    extraSeatPrice: 8,
+    extraSeatYearlyPrice: 77,
 
     // AI Credits
     initialAICredits: 500,
@@ -105,6 +114,9 @@ const PLAN_LIMITS = {
     // Core Limits
     maxDrivers: -1, // Unlimited
     maxDocumentsPerDriver: -1, // Unlimited
+    maxTeamMembers: -1, // Unlimited
+    extraSeatPrice: null,
+    extraSeatYearlyPrice: null,
 
     // AI Credits
     initialAICredits: -1, // Unlimited
@@ -152,7 +164,7 @@ function getPlanLimits(planName) {
 /**
  * Check if a plan has unlimited resources
  * @param {string} planName - Plan name
- * @param {string} resource - Resource type (drivers, documents, credits)
+ * @param {string} resource - Resource type (drivers, documents, credits, teamMembers)
  * @returns {boolean}
  */
 function isUnlimited(planName, resource) {
@@ -165,6 +177,8 @@ function isUnlimited(planName, resource) {
       return plan.maxDocumentsPerDriver === -1
     case 'credits':
       return plan.monthlyAICredits === -1
+    case 'teamMembers':
+      return plan.maxTeamMembers === -1
     default:
       return false
   }
@@ -181,6 +195,22 @@ function hasFeature(planName, featureName) {
   return plan.features[featureName] === true
 }
 
+/**
+ * Get the number of team seats a company has: the plan's seats plus purchased extra seats
+ * @param {string} planName - Plan name
+ * @param {number} extraSeats - Company.extraSeats (ignored on plans without extra seats)
+ * @returns {number} Seat limit, or -1 for unlimited
+ */
+function getSeatLimit(planName, extraSeats = 0) {
+  const plan = getPlanLimits(planName)
+
+  if (plan.maxTeamMembers === -1) {
+    return -1
+  }
+
+  return plan.maxTeamMembers + (plan.extraSeatPrice ? extraSeats || 0 : 0)
+}
+
 /**
  * Get the next tier plan
  * @param {string} currentPlan - Current plan name
@@ -207,7 +237,7 @@ function getAllPlans() {
 
 /**
  * Check if user can downgrade to a plan based on current usage
- * @param {object} currentUsage - Current usage stats
+ * @param {object} currentUsage - Current usage stats ({ driversCount, maxDocsPerDriver, teamMembersCount, extraSeats })
  * @param {string} targetPlan - Target plan name
  * @returns {object} { canDowngrade: boolean, reasons: [] }
  */
@@ -235,6 +265,17 @@ function canDowngrade(currentUsage, targetPlan) {
     })
   }
 
+  // Check team seats (members and pending invitations); purchased extra seats carry over if the plan sells them
+  const seatLimit = getSeatLimit(targetPlan, currentUsage.extraSeats)
+  if (seatLimit !== -1 && currentUsage.teamMembersCount > seatLimit) {
+    reasons.push({
+      resource: 'teamMembers',
+      current: currentUsage.teamMembersCount,
+      limit: seatLimit,
+      message: `You have ${currentUsage.teamMembersCount} team members but ${targetPlan} allows only ${seatLimit}`
+    })
+  }
+
   return {
     canDowngrade: reasons.length === 0,
     reasons
@@ -261,6 +302,7 @@ export {
   getPlanLimits,
   isUnlimited,
   hasFeature,
+  getSeatLimit,
   getNextTier,
   getAllPlans,
   canDowngrade,
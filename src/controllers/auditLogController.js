@@ -1,4 +1,6 @@
+import prisma from "../../prisma/client.js";
 import auditService from "../services/auditService.js";
+import { getStationScope, getDriverScopeWhere } from "../utils/stationScope.js";
 
 /**
  * Audit Log Controller
@@ -29,6 +31,30 @@ function convertBigIntFields(obj) {
   return converted;
 }
 
+/**
+ * Limit a station-scoped team member to their own actions and the logs of
+ * drivers (and their documents) at their stations
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|undefined>} Audit log filter, or undefined when the user isn't scoped
+ */
+async function getStationLogScope(user) {
+  const stationScope = getStationScope(user);
+  if (!stationScope) return undefined;
+
+  const drivers = await prisma.driver.findMany({
+    where: { companyId: user.companyId, ...getDriverScopeWhere(stationScope) },
+    select: { id: true, documents: { select: { id: true } } },
+  });
+
+  return {
+    OR: [
+      { userId: user.id },
+      { resource: 'Driver', resourceId: { in: drivers.map(driver => driver.id) } },
+      { resource: 'Document', resourceId: { in: drivers.flatMap(driver => driver.documents.map(doc => doc.id)) } },
+    ],
+  };
+}
+
 /**
  * Get audit logs with role-based filtering
  * GET /api/audit-logs
@@ -101,6 +127,7 @@ export const getAuditLogs = async (req, res) => {
       startDate,
       endDate,
       search,
+      scope: await getStationLogScope(user),
       limit: parseInt(limit),
       offset: parseInt(offset),
     });
@@ -144,6 +171,7 @@ export const getAuditLogs = async (req, res) => {
           dateRange: startDate && endDate ? `${startDate} to ${endDate}` : null,
         },
         viewerRole: user.dspRole,
+        stationCodes: getStationScope(user),
       },
     });
 
@@ -330,6 +358,7 @@ export const exportAuditLogs = async (req, res) => {
       startDate,
       endDate,
       search,
+      scope: await getStationLogScope(user),
       limit: 10000, // Max export limit
       offset: 0,
     });
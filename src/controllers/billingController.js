@@ -4,14 +4,18 @@ import {
   upgradePlan,
   initiatePlanDowngrade,
   checkLimit,
+  getSeatUsage,
 } from '../services/billingService.js';
-import { getAllPlans, getPlanLimits } from '../config/planLimits.js';
+import { getAllPlans, getPlanLimits, getSeatLimit } from '../config/planLimits.js';
 import {
   createSubscriptionCheckout,
   createCreditPurchaseCheckout,
   createBillingPortalSession,
+  updateExtraSeats,
 } from '../services/stripeService.js';
 
+const MAX_EXTRA_SEATS = 100;
+
 /**
  * Get all available plans
  * GET /api/billing/plans
@@ -68,11 +72,14 @@ export const getCurrentPlan = async (req, res) => {
         driver: {
           companyId: company.id,
         },
+        isCurrent: true,
       },
     });
 
     // Get plan limits
     const planLimits = getPlanLimits(company.plan);
+    const seats = await getSeatUsage(company.id);
+    const seatLimit = getSeatLimit(company.plan, company.extraSeats);
 
     // Calculate usage percentages
     const driverUsagePercent = planLimits.maxDrivers === -1
@@ -113,6 +120,13 @@ export const getCurrentPlan = async (req, res) => {
           documents: {
             total: documents,
           },
+          teamMembers: {
+            current: seats.used,
+            members: seats.members,
+            pendingInvitations: seats.pendingInvitations,
+            limit: seatLimit,
+            extraSeats: company.extraSeats,
+          },
         },
         billing: {
           subscriptionStatus: company.subscriptionStatus,
@@ -467,6 +481,90 @@ export const cancelDowngrade = async (req, res) => {
   }
 };
 
+/**
+ * Set the number of extra team seats bought on top of the plan
+ * POST /api/billing/seats
+ * Body: { extraSeats: number } // Total extra seats wanted, 0 to stop buying them
+ */
+export const updateSeats = async (req, res) => {
+  try {
+    const userId = req.auth?.userId;
+    const { extraSeats } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized - No user ID found' });
+    }
+
+    if (!Number.isInteger(extraSeats) || extraSeats < 0 || extraSeats > MAX_EXTRA_SEATS) {
+      return res.status(400).json({
+        error: 'Invalid seat count',
+        message: `extraSeats must be a whole number between 0 and ${MAX_EXTRA_SEATS}`,
+      });
+    }
+
+    // Get user and company
+    const user = await prisma.user.findUnique({
+      where: { clerkUserId: userId },
+      include: { companyAdmin: true },
+    });
+
+    if (!user || !user.companyAdmin) {
+      return res.status(404).json({ error: 'User or company not found' });
+    }
+
+    const company = user.companyAdmin;
+    const planLimits = getPlanLimits(company.plan);
+
+    if (!planLimits.extraSeatPrice) {
+      return res.status(400).json({
+        error: 'Extra seats not available',
+        message: `The ${company.plan} plan does not offer extra seats. Upgrade to add more team members.`,
+      });
+    }
+
+    if (!company.stripeSubscriptionId) {
+      return res.status(400).json({
+        error: 'No active subscription',
+        message: 'Extra seats are billed with your subscription',
+      });
+    }
+
+    // Seats in use (members and pending invitations) can't be given back
+    const seats = await getSeatUsage(company.id);
+    const newLimit = getSeatLimit(company.plan, extraSeats);
+
+    if (seats.used > newLimit) {
+      return res.status(409).json({
+        error: 'Seats in use',
+        message: `You are using ${seats.used} seats. Remove team members or revoke invitations before reducing to ${newLimit}.`,
+      });
+    }
+
+    await updateExtraSeats(company.stripeSubscriptionId, extraSeats, company.plan);
+
+    await prisma.company.update({
+      where: { id: company.id },
+      data: { extraSeats },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `You now have ${extraSeats} extra seat(s)`,
+      data: {
+        extraSeats,
+        limit: newLimit,
+        used: seats.used,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating extra seats:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Get billing history
  * GET /api/billing/history
@@ -569,7 +667,7 @@ export const checkActionLimit = async (req, res) => {
     if (!limitType) {
       return res.status(400).json({
         error: 'Limit type required',
-        message: 'Please specify limitType (drivers, documents, credits)',
+        message: 'Please specify limitType (drivers, documents, credits, teamMembers)',
       });
     }
 
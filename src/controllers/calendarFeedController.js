@@ -0,0 +1,416 @@
+import crypto from 'crypto';
+import prisma from '../../prisma/client.js';
+import auditService from '../services/auditService.js';
+import { getCompanySchedule } from '../utils/timezoneUtils.js';
+import { buildCalendar } from '../utils/icalendar.js';
+import { getOccurrences, toRRule } from '../utils/recurrence.js';
+import { getReminderSchedule, getFirstOccurrence } from '../services/customReminderScheduleService.js';
+import { getStationScope } from '../utils/stationScope.js';
+
+/**
+ * Calendar Feed Controller
+ * Token-protected .ics feed of document expiries and custom reminders that compliance
+ * managers subscribe to in Outlook or Google Calendar. Anyone with the URL can read the
+ * feed, so the token can be rotated or the feed disabled from settings.
+ * Station-scoped team members never see the company token: they get one feed URL per
+ * station, signed with it (rotating the token invalidates those too).
+ */
+
+// Expiries further in the past than this are left out of the feed
+const PAST_EXPIRY_DAYS = 365;
+
+// Recurring reminders RRULE cannot express are listed one occurrence at a time, this far ahead
+// (and this far back, so recent occurrences stay on the calendar)
+const EXPANDED_OCCURRENCE_DAYS = 365;
+const PAST_OCCURRENCE_DAYS = 30;
+const MAX_EXPANDED_OCCURRENCES = 100;
+
+const getUserName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+const generateFeedToken = () => crypto.randomBytes(32).toString('hex');
+
+const FEED_COMPANY_SELECT = { id: true, name: true, timezone: true, holidays: true };
+
+const signStationFeed = (feedToken, stationCode) =>
+  crypto.createHmac('sha256', feedToken).update(`station:${stationCode}`).digest('hex');
+
+// '<companyId>.<base64url station code>.<signature>'
+const buildStationFeedToken = (companyId, feedToken, stationCode) =>
+  [companyId, Buffer.from(stationCode).toString('base64url'), signStationFeed(feedToken, stationCode)].join('.');
+
+/**
+ * Find the company a feed token belongs to
+ * @param {string} token - Company feed token, or a station feed token
+ * @returns {Promise<Object|null>} { company, stationCode } - stationCode is set for station feeds
+ */
+const resolveFeedToken = async (token) => {
+  const parts = token.split('.');
+
+  if (parts.length === 1) {
+    const company = token
+      ? await prisma.company.findUnique({ where: { calendarFeedToken: token }, select: FEED_COMPANY_SELECT })
+      : null;
+    return company ? { company, stationCode: null } : null;
+  }
+
+  if (parts.length !== 3) return null;
+
+  const [companyId, encodedStationCode, signature] = parts;
+  const { calendarFeedToken, ...company } = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { ...FEED_COMPANY_SELECT, calendarFeedToken: true },
+  }) || {};
+  if (!calendarFeedToken) return null;
+
+  const stationCode = Buffer.from(encodedStationCode, 'base64url').toString();
+  const expected = Buffer.from(signStationFeed(calendarFeedToken, stationCode));
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  return { company, stationCode };
+};
+
+const rejectScopedUser = (res) =>
+  res.status(403).json({
+    success: false,
+    message: 'Only team members with access to every station can manage the calendar feed',
+  });
+
+const buildFeedUrls = (req, token) => {
+  if (!token) return { url: null, webcalUrl: null };
+
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+const logFeedChange = (req, user, oldValues, newValues) =>
+  auditService.logReminderOperation({
+    userId: user.id,
+    userEmail: user.email,
+    userName: getUserName(user),
+    companyId: user.companyId,
+    action: 'REMINDER_CONFIGURED',
+    reminderId: user.companyId,
+    reminderType: 'CALENDAR_FEED',
+    ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    oldValues,
+    newValues,
+  });
+
+/**
+ * Get the company's calendar feed URL
+ * GET /api/settings/calendar-feed
+ * Filtered feeds: append ?station=CODE or ?driver=DRIVER_ID to the URL. Station-scoped
+ * members only get their stations' feed URLs (stationFeeds), not the company URL.
+ */
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const company = await prisma.company.findUnique({
+      where: { id: user.companyId },
+      select: { calendarFeedToken: true, stationCodes: true },
+    });
+
+    const stationScope = getStationScope(user);
+    const feedToken = company?.calendarFeedToken;
+
+    if (stationScope) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          enabled: Boolean(feedToken),
+          url: null,
+          webcalUrl: null,
+          stationCodes: stationScope,
+          stationFeeds: feedToken
+            ? stationScope.map((stationCode) => ({
+                stationCode,
+                ...buildFeedUrls(req, buildStationFeedToken(user.companyId, feedToken, stationCode)),
+              }))
+            : [],
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(feedToken),
+        ...buildFeedUrls(req, feedToken),
+        stationCodes: company?.stationCodes || [],
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Enable the calendar feed, or rotate its token (old subscription URLs stop working)
+ * POST /api/settings/calendar-feed
+ */
+export const rotateCalendarFeed = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    // The company-wide token would give a scoped member every station's drivers
+    if (getStationScope(user)) {
+      return rejectScopedUser(res);
+    }
+
+    const company = await prisma.company.findUnique({
+      where: { id: user.companyId },
+      select: { calendarFeedToken: true },
+    });
+
+    const updated = await prisma.company.update({
+      where: { id: user.companyId },
+      data: { calendarFeedToken: generateFeedToken() },
+      select: { calendarFeedToken: true },
+    });
+
+    await logFeedChange(
+      req,
+      user,
+      { enabled: Boolean(company?.calendarFeedToken) },
+      { enabled: true, rotated: Boolean(company?.calendarFeedToken) }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: company?.calendarFeedToken ? 'Calendar feed URL regenerated' : 'Calendar feed enabled',
+      data: {
+        enabled: true,
+        ...buildFeedUrls(req, updated.calendarFeedToken),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update calendar feed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Disable the calendar feed
+ * DELETE /api/settings/calendar-feed
+ */
+export const disableCalendarFeed = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    // The company-wide token would give a scoped member every station's drivers
+    if (getStationScope(user)) {
+      return rejectScopedUser(res);
+    }
+
+    await prisma.company.update({
+      where: { id: user.companyId },
+      data: { calendarFeedToken: null },
+    });
+
+    await logFeedChange(req, user, { enabled: true }, { enabled: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disabled',
+      data: { enabled: false, url: null, webcalUrl: null },
+    });
+  } catch (error) {
+    console.error('Error disabling calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable calendar feed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Calendar events for a custom reminder: one event with an RRULE when the rule can be
+ * expressed that way, otherwise its upcoming occurrences (weekend/holiday moves)
+ */
+const buildReminderEvents = (reminder, company) => {
+  const event = {
+    uid: `custom-reminder-${reminder.id}@complyo`,
+    summary: reminder.title,
+    description: reminder.description,
+    start: reminder.triggerDate,
+    categories: ['Reminder', reminder.priority],
+  };
+
+  if (!reminder.isActive || reminder.frequency === 'ONCE') {
+    return [event];
+  }
+
+  // DTSTART must be an occurrence itself - the trigger date may fall on a skipped day
+  const firstOccurrence = getFirstOccurrence(reminder, company);
+  if (!firstOccurrence) {
+    return [];
+  }
+
+  const schedule = getReminderSchedule(reminder, company);
+  const rrule = toRRule(schedule);
+  if (rrule) {
+    return [{ ...event, start: firstOccurrence, rrule }];
+  }
+
+  // Start the window near today, not at the trigger date, so long-running series aren't cut off in the past
+  const windowStart = Math.max(
+    firstOccurrence.getTime(),
+    Date.now() - PAST_OCCURRENCE_DAYS * 24 * 60 * 60 * 1000
+  );
+  const occurrences = getOccurrences(schedule, {
+    after: new Date(windowStart - 1),
+    before: new Date(Date.now() + EXPANDED_OCCURRENCE_DAYS * 24 * 60 * 60 * 1000),
+    limit: MAX_EXPANDED_OCCURRENCES,
+  });
+  return occurrences.map((occurrence) => ({
+    ...event,
+    uid: `custom-reminder-${reminder.id}-${occurrence.getTime()}@complyo`,
+    start: occurrence,
+  }));
+};
+
+/**
+ * Serve the calendar feed
+ * GET /api/calendar/:token.ics?station=CODE&driver=DRIVER_ID
+ * Public - the token in the URL is the only credential. Filtered feeds only list the
+ * matching drivers' document expiries and the custom reminders targeted at them.
+ * Station feed tokens are always filtered to their station (query filters are ignored).
+ */
+export const getCalendarFeedIcs = async (req, res) => {
+  try {
+    const token = String(req.params.token || '').replace(/\.ics$/i, '');
+    const feed = await resolveFeedToken(token);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const { company } = feed;
+    const station = feed.stationCode || req.query.station;
+    const driverId = feed.stationCode ? null : req.query.driver;
+
+    const { timezone } = getCompanySchedule(company);
+    const isFiltered = Boolean(station || driverId);
+
+    const documents = await prisma.document.findMany({
+      where: {
+        isCurrent: true,
+        expiryDate: { gte: new Date(Date.now() - PAST_EXPIRY_DAYS * 24 * 60 * 60 * 1000) },
+        driver: {
+          companyId: company.id,
+          ...(station && { stationCode: String(station) }),
+          ...(driverId && { id: String(driverId) }),
+        },
+      },
+      select: {
+        id: true,
+        type: true,
+        status: true,
+        expiryDate: true,
+        driver: { select: { name: true, stationCode: true } },
+      },
+      orderBy: { expiryDate: 'asc' },
+    });
+
+    // Filtered feeds only list the reminders aimed at that station or driver
+    const stationCode = station
+      ? String(station)
+      : driverId
+        ? (await prisma.driver.findFirst({
+            where: { id: String(driverId), companyId: company.id },
+            select: { stationCode: true },
+          }))?.stationCode
+        : null;
+    const targetFilter = isFiltered
+      ? {
+          OR: [
+            ...(stationCode ? [{ targetType: 'STATION', targetStationCodes: { has: stationCode } }] : []),
+            ...(driverId ? [{ targetType: 'DRIVERS', targetDriverIds: { has: String(driverId) } }] : []),
+          ],
+        }
+      : {};
+
+    const customReminders = isFiltered && targetFilter.OR.length === 0
+      ? []
+      : await prisma.customReminder.findMany({
+          where: {
+            companyId: company.id,
+            AND: [
+              { OR: [{ isActive: true }, { frequency: 'ONCE', lastSent: { not: null } }] },
+              targetFilter,
+            ],
+          },
+          orderBy: { triggerDate: 'asc' },
+        });
+
+    const events = [
+      ...documents.map((document) => ({
+        uid: `document-${document.id}@complyo`,
+        summary: `${document.type} expires - ${document.driver.name}`,
+        description: [
+          `Driver: ${document.driver.name}`,
+          document.driver.stationCode && `Station: ${document.driver.stationCode}`,
+          `Document: ${document.type}`,
+          `Status: ${document.status}`,
+        ].filter(Boolean).join('\n'),
+        // Expiry dates are stored as UTC midnight
+        date: new Date(document.expiryDate).toISOString().slice(0, 10),
+        categories: ['Document expiry'],
+      })),
+      ...customReminders.flatMap((reminder) => buildReminderEvents(reminder, company)),
+    ];
+
+    const nameSuffix = station ? ` - ${station}` : driverId ? ` - ${documents[0]?.driver.name || 'Driver'}` : '';
+    const ics = buildCalendar({
+      name: `${company.name} compliance${nameSuffix}`,
+      timezone,
+      events,
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="compliance.ics"',
+      'Cache-Control': 'private, max-age=900',
+    });
+    return res.status(200).send(ics);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    return res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+};
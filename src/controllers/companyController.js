@@ -1,4 +1,9 @@
 import prisma from "../../prisma/client.js";
+import { isValidTimezone, parseTimeOfDay } from "../utils/timezoneUtils.js";
+import { DELIVERY_MODES, DIGEST_FREQUENCIES } from "../utils/complianceDigest.js";
+import { SUPPORTED_LOCALES } from "../utils/messageTemplates.js";
+import { holidaysSchema } from "../utils/recurrence.js";
+import { refreshCompanyReminderSchedules } from "../services/customReminderScheduleService.js";
 
 /**
  * Company Controller
@@ -18,7 +23,7 @@ import prisma from "../../prisma/client.js";
  *
  * Body: none
  * Response:
- *   200: { id, name, plan, companySize, operatingRegion, statesProvinces, industryType, documentTypes, reminderDays, notificationMethod, onboardingCompleted, createdAt, updatedAt }
+ *   200: { id, name, plan, companySize, operatingRegion, statesProvinces, industryType, documentTypes, reminderDays, notificationMethod, timezone, sendWindowStart, sendWindowEnd, reminderDeliveryMode, digestFrequency, digestWeekday, locale, holidays, onboardingCompleted, createdAt, updatedAt }
  *   500: { error: "error message" }
  */
 
@@ -54,6 +59,15 @@ export const getCompanyById = async (req, res) => {
         subscriptionStatus: true,
         smsEnabled: true,
         emailEnabled: true,
+        duplicateDocumentPolicy: true,
+        timezone: true,
+        sendWindowStart: true,
+        sendWindowEnd: true,
+        reminderDeliveryMode: true,
+        digestFrequency: true,
+        digestWeekday: true,
+        locale: true,
+        holidays: true,
       },
     });
 
@@ -80,7 +94,16 @@ export const getCompanyById = async (req, res) => {
  *   notificationMethod?: 'email' | 'sms' | 'both',
  *   notificationRecipients?: string[],
  *   adminEmail?: string,
- *   adminPhone?: string
+ *   adminPhone?: string,
+ *   duplicateDocumentPolicy?: 'WARN' | 'BLOCK',
+ *   timezone?: string (IANA, e.g. 'America/Vancouver'),
+ *   sendWindowStart?: 'HH:MM',
+ *   sendWindowEnd?: 'HH:MM',
+ *   reminderDeliveryMode?: 'INDIVIDUAL' | 'DIGEST' | 'BOTH',
+ *   digestFrequency?: 'DAILY' | 'WEEKLY',
+ *   digestWeekday?: 0-6 (0 = Sunday),
+ *   locale?: 'en' | 'fr',
+ *   holidays?: string[] ('YYYY-MM-DD', skipped by recurring custom reminders that opt in)
  * }
  *
  * Response:
@@ -99,10 +122,52 @@ export const updateCompanyById = async (req, res) => {
       notificationRecipients,
       adminEmail,
       adminPhone,
+      duplicateDocumentPolicy,
+      timezone,
+      sendWindowStart,
+      sendWindowEnd,
+      reminderDeliveryMode,
+      digestFrequency,
+      digestWeekday,
+      locale,
+      holidays,
     } = req.body;
 
     if (!id) return res.status(400).json({ error: "Missing company ID" });
 
+    if (duplicateDocumentPolicy !== undefined && !["WARN", "BLOCK"].includes(duplicateDocumentPolicy)) {
+      return res.status(400).json({ error: "duplicateDocumentPolicy must be WARN or BLOCK" });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: "timezone must be a valid IANA timezone (e.g. America/Vancouver)" });
+    }
+
+    if ((sendWindowStart !== undefined && parseTimeOfDay(sendWindowStart) === null)
+      || (sendWindowEnd !== undefined && parseTimeOfDay(sendWindowEnd) === null)) {
+      return res.status(400).json({ error: "sendWindowStart and sendWindowEnd must be HH:MM (24-hour)" });
+    }
+
+    if (reminderDeliveryMode !== undefined && !DELIVERY_MODES.includes(reminderDeliveryMode)) {
+      return res.status(400).json({ error: `reminderDeliveryMode must be one of ${DELIVERY_MODES.join(", ")}` });
+    }
+
+    if (digestFrequency !== undefined && !DIGEST_FREQUENCIES.includes(digestFrequency)) {
+      return res.status(400).json({ error: `digestFrequency must be one of ${DIGEST_FREQUENCIES.join(", ")}` });
+    }
+
+    if (digestWeekday !== undefined && !(Number.isInteger(digestWeekday) && digestWeekday >= 0 && digestWeekday <= 6)) {
+      return res.status(400).json({ error: "digestWeekday must be 0 (Sunday) to 6 (Saturday)" });
+    }
+
+    if (locale !== undefined && !SUPPORTED_LOCALES.includes(locale)) {
+      return res.status(400).json({ error: `locale must be one of ${SUPPORTED_LOCALES.join(", ")}` });
+    }
+
+    if (holidays !== undefined && !holidaysSchema.safeParse(holidays).success) {
+      return res.status(400).json({ error: "holidays must be a list of YYYY-MM-DD dates" });
+    }
+
     // Check if company exists
     const existingCompany = await prisma.company.findUnique({
       where: { id: String(id) },
@@ -120,6 +185,15 @@ export const updateCompanyById = async (req, res) => {
     if (notificationRecipients !== undefined) updateData.notificationRecipients = notificationRecipients;
     if (adminEmail !== undefined) updateData.adminEmail = adminEmail;
     if (adminPhone !== undefined) updateData.adminPhone = adminPhone;
+    if (duplicateDocumentPolicy !== undefined) updateData.duplicateDocumentPolicy = duplicateDocumentPolicy;
+    if (timezone !== undefined) updateData.timezone = timezone;
+    if (sendWindowStart !== undefined) updateData.sendWindowStart = sendWindowStart;
+    if (sendWindowEnd !== undefined) updateData.sendWindowEnd = sendWindowEnd;
+    if (reminderDeliveryMode !== undefined) updateData.reminderDeliveryMode = reminderDeliveryMode;
+    if (digestFrequency !== undefined) updateData.digestFrequency = digestFrequency;
+    if (digestWeekday !== undefined) updateData.digestWeekday = digestWeekday;
+    if (locale !== undefined) updateData.locale = locale;
+    if (holidays !== undefined) updateData.holidays = [...new Set(holidays)].sort();
 
     // Update the company
     const updatedCompany = await prisma.company.update({
@@ -127,6 +201,11 @@ export const updateCompanyById = async (req, res) => {
       data: updateData,
     });
 
+    // Custom reminder occurrences depend on the timezone and holidays
+    if (timezone !== undefined || holidays !== undefined) {
+      await refreshCompanyReminderSchedules(updatedCompany.id);
+    }
+
     return res.status(200).json({
       success: true,
       message: "Company settings updated successfully",
@@ -0,0 +1,163 @@
+import prisma from '../../prisma/client.js';
+import auditService from '../services/auditService.js';
+import { mergeWithDefaults } from '../utils/documentTypeDefaults.js';
+import {
+  complianceRequirementsSchema,
+  normalizeRequirements,
+} from '../utils/complianceEngine.js';
+
+/**
+ * Get the compliance requirements matrix for the user's company
+ * GET /api/settings/compliance-requirements
+ */
+export const getComplianceRequirements = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const company = await prisma.company.findUnique({
+      where: { id: user.companyId },
+      select: {
+        complianceRequirements: true,
+        stationCodes: true,
+        statesProvinces: true,
+      },
+    });
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        requirements: normalizeRequirements(company.complianceRequirements),
+        availableStationCodes: company.stationCodes || [],
+        availableRegions: company.statesProvinces || [],
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching compliance requirements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch compliance requirements',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the compliance requirements matrix for the user's company
+ * PUT /api/settings/compliance-requirements
+ * Body: { requirements: [{ documentType, stationCodes?, regions? }] }
+ */
+export const updateComplianceRequirements = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const validation = complianceRequirementsSchema.safeParse(req.body?.requirements);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid compliance requirements',
+        errors: validation.error.errors,
+      });
+    }
+
+    const requirements = validation.data;
+
+    const company = await prisma.company.findUnique({
+      where: { id: user.companyId },
+      select: {
+        complianceRequirements: true,
+        documentTypeConfigs: true,
+        stationCodes: true,
+        statesProvinces: true,
+      },
+    });
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found',
+      });
+    }
+
+    // Every requirement must point at a document type, station and region the company knows about
+    const knownTypes = Object.keys(mergeWithDefaults(company.documentTypeConfigs || {}));
+    const errors = [];
+
+    requirements.forEach((requirement, index) => {
+      if (!knownTypes.includes(requirement.documentType)) {
+        errors.push({ index, message: `Unknown document type "${requirement.documentType}"` });
+      }
+
+      requirement.stationCodes
+        .filter((code) => !(company.stationCodes || []).includes(code))
+        .forEach((code) => errors.push({ index, message: `Unknown station code "${code}"` }));
+
+      requirement.regions
+        .filter((region) => !(company.statesProvinces || []).includes(region))
+        .forEach((region) => errors.push({ index, message: `Unknown region "${region}"` }));
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid compliance requirements',
+        errors,
+      });
+    }
+
+    await prisma.company.update({
+      where: { id: user.companyId },
+      data: { complianceRequirements: requirements },
+    });
+
+    await auditService.logAudit({
+      userId: user.id,
+      userEmail: user.email,
+      userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      companyId: user.companyId,
+      action: 'SETTINGS_UPDATED',
+      resource: 'ComplianceRequirements',
+      resourceId: user.companyId,
+      oldValues: { requirements: normalizeRequirements(company.complianceRequirements) },
+      newValues: { requirements },
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      severity: 'INFO',
+      category: 'COMPLIANCE',
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Compliance requirements updated successfully',
+      data: { requirements },
+    });
+  } catch (error) {
+    console.error('Error updating compliance requirements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update compliance requirements',
+      error: error.message,
+    });
+  }
+};
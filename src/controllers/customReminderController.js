@@ -1,5 +1,90 @@
+import pkg from "@prisma/client";
 import prisma from "../../prisma/client.js";
 import auditService from "../services/auditService.js";
+import { getCompanySchedule, zonedTimeToUtc } from "../utils/timezoneUtils.js";
+import { REMINDER_FREQUENCIES, recurrenceSchema } from "../utils/recurrence.js";
+import { getFirstOccurrence, getPendingOccurrence, getUpcomingOccurrences } from "../services/customReminderScheduleService.js";
+import { reminderTargetSchema } from "../utils/reminderTargets.js";
+import { mergeWithDefaults } from "../utils/documentTypeDefaults.js";
+import { getStationScope, getDriverScopeWhere } from "../utils/stationScope.js";
+
+const { Prisma } = pkg;
+
+/**
+ * Validate the frequency and recurrence rule from a request body
+ * @returns {Object} { frequency, recurrence } or { error }
+ */
+const parseRecurrenceInput = (frequency, recurrence) => {
+  const normalizedFrequency = frequency?.toUpperCase();
+  if (normalizedFrequency !== undefined && !REMINDER_FREQUENCIES.includes(normalizedFrequency)) {
+    return { error: `Frequency must be one of ${REMINDER_FREQUENCIES.join(", ")}` };
+  }
+
+  if (recurrence === undefined || recurrence === null) {
+    return { frequency: normalizedFrequency, recurrence };
+  }
+
+  const result = recurrenceSchema.safeParse(recurrence);
+  if (!result.success) {
+    return { error: `Invalid recurrence: ${result.error.issues.map((issue) => `${issue.path.join(".") || "rule"}: ${issue.message}`).join(", ")}` };
+  }
+
+  return { frequency: normalizedFrequency, recurrence: result.data };
+};
+
+const TARGET_FIELDS = ["targetType", "targetDriverIds", "targetStationCodes", "targetDocumentType", "targetRoles"];
+
+/**
+ * Validate who a reminder goes to against the company's drivers, stations and document types
+ * Station-scoped users can only target drivers and stations within their scope.
+ * @param {Object} input - Target fields from the request body, merged over the stored ones on update
+ * @param {Object} company - The user's company
+ * @param {string[]|null} [stationScope] - From getStationScope()
+ * @returns {Promise<Object>} Target fields to store, or { error }
+ */
+const parseTargetInput = async (input, company, stationScope = null) => {
+  const result = reminderTargetSchema.safeParse(input);
+  if (!result.success) {
+    return { error: `Invalid recipients: ${result.error.issues.map((issue) => `${issue.path.join(".") || "target"}: ${issue.message}`).join(", ")}` };
+  }
+
+  const target = result.data;
+
+  const unknownStations = target.targetStationCodes.filter((code) => !(company.stationCodes || []).includes(code));
+  if (unknownStations.length > 0) {
+    return { error: `Unknown station code(s): ${unknownStations.join(", ")}` };
+  }
+
+  if (target.targetDocumentType && !Object.keys(mergeWithDefaults(company.documentTypeConfigs || {})).includes(target.targetDocumentType)) {
+    return { error: `Unknown document type "${target.targetDocumentType}"` };
+  }
+
+  if (stationScope && ['STATION', 'MISSING_DOCUMENT'].includes(target.targetType)) {
+    // No station codes on a missing-document reminder means every station
+    if (target.targetStationCodes.length === 0) {
+      return { error: `Select the stations to remind (you can target ${stationScope.join(", ")})` };
+    }
+    const outOfScope = target.targetStationCodes.filter((code) => !stationScope.includes(code));
+    if (outOfScope.length > 0) {
+      return { error: `You cannot target station code(s): ${outOfScope.join(", ")}` };
+    }
+  }
+
+  if (target.targetDriverIds.length > 0) {
+    const drivers = await prisma.driver.count({
+      where: { id: { in: target.targetDriverIds }, companyId: company.id, ...getDriverScopeWhere(stationScope) },
+    });
+    if (drivers !== target.targetDriverIds.length) {
+      return { error: "One or more selected drivers were not found" };
+    }
+  }
+
+  return { target };
+};
+
+// Target fields present on a reminder or request body
+const pickTarget = (source) =>
+  Object.fromEntries(TARGET_FIELDS.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
 
 /**
  * Create a new custom reminder
@@ -13,13 +98,18 @@ export const createCustomReminder = async (req, res) => {
       return res.status(401).json({ error: "Unauthorized - No user ID found" });
     }
 
-    const { title, description, triggerDate, triggerTime, frequency, notificationType, priority } = req.body;
+    const { title, description, triggerDate, triggerTime, frequency, recurrence, notificationType, priority } = req.body;
 
     // Validation
     if (!title || !triggerDate) {
       return res.status(400).json({ error: "Title and trigger date are required" });
     }
 
+    const schedule = parseRecurrenceInput(frequency, recurrence);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
     // Get user and company
     const user = await prisma.user.findUnique({
       where: { clerkUserId: userId },
@@ -32,14 +122,34 @@ export const createCustomReminder = async (req, res) => {
 
     const companyId = user.companyAdmin.id;
 
-    // Combine date and time
-    const fullTriggerDate = new Date(`${triggerDate}T${triggerTime || '09:00'}:00`);
+    // Combine date and time in the company's timezone
+    const fullTriggerDate = zonedTimeToUtc(triggerDate, triggerTime || '09:00', getCompanySchedule(user.companyAdmin).timezone);
+
+    if (!fullTriggerDate) {
+      return res.status(400).json({ error: "Trigger date must be YYYY-MM-DD and trigger time HH:MM" });
+    }
 
     // Check if date is in the past
     if (fullTriggerDate < new Date()) {
       return res.status(400).json({ error: "Trigger date must be in the future" });
     }
 
+    const reminderData = {
+      triggerDate: fullTriggerDate,
+      frequency: schedule.frequency || 'ONCE',
+      recurrence: schedule.recurrence || null,
+    };
+
+    const nextOccurrenceAt = getFirstOccurrence(reminderData, user.companyAdmin);
+    if (!nextOccurrenceAt) {
+      return res.status(400).json({ error: "The recurrence rule does not produce any occurrences" });
+    }
+
+    const recipients = await parseTargetInput(pickTarget(req.body), user.companyAdmin, getStationScope(user));
+    if (recipients.error) {
+      return res.status(400).json({ error: recipients.error });
+    }
+
     // Create custom reminder
     const reminder = await prisma.customReminder.create({
       data: {
@@ -47,9 +157,12 @@ export const createCustomReminder = async (req, res) => {
         title,
         description: description || null,
         triggerDate: fullTriggerDate,
-        frequency: frequency?.toUpperCase() || 'ONCE',
+        frequency: reminderData.frequency,
+        recurrence: reminderData.recurrence ?? undefined,
+        nextOccurrenceAt,
         notificationType: notificationType?.toUpperCase() || 'BOTH',
         priority: priority?.toUpperCase() || 'NORMAL',
+        ...recipients.target,
       },
     });
 
@@ -68,8 +181,10 @@ export const createCustomReminder = async (req, res) => {
         title,
         triggerDate: fullTriggerDate,
         frequency: reminder.frequency,
+        recurrence: reminder.recurrence,
         notificationType: reminder.notificationType,
         priority: reminder.priority,
+        ...pickTarget(reminder),
       },
     });
 
@@ -173,7 +288,10 @@ export const getCustomReminder = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: { reminder },
+      data: {
+        reminder,
+        upcomingOccurrences: reminder.isActive ? getUpcomingOccurrences(reminder, user.companyAdmin) : [],
+      },
     });
   } catch (error) {
     console.error("Error fetching custom reminder:", error);
@@ -192,7 +310,7 @@ export const updateCustomReminder = async (req, res) => {
   try {
     const userId = req.auth?.userId;
     const { id } = req.params;
-    const { title, description, triggerDate, triggerTime, frequency, notificationType, priority } = req.body;
+    const { title, description, triggerDate, triggerTime, frequency, recurrence, notificationType, priority } = req.body;
 
     if (!userId) {
       return res.status(401).json({ error: "Unauthorized - No user ID found" });
@@ -222,17 +340,35 @@ export const updateCustomReminder = async (req, res) => {
       return res.status(404).json({ error: "Reminder not found" });
     }
 
+    const schedule = parseRecurrenceInput(frequency, recurrence);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
     // Build update data
     const updateData = {};
 
     if (title !== undefined) updateData.title = title;
     if (description !== undefined) updateData.description = description || null;
-    if (frequency !== undefined) updateData.frequency = frequency.toUpperCase();
+    if (schedule.frequency !== undefined) updateData.frequency = schedule.frequency;
+    if (recurrence !== undefined) updateData.recurrence = schedule.recurrence ?? Prisma.DbNull;
     if (notificationType !== undefined) updateData.notificationType = notificationType.toUpperCase();
     if (priority !== undefined) updateData.priority = priority.toUpperCase();
 
+    if (TARGET_FIELDS.some((field) => req.body[field] !== undefined)) {
+      const recipients = await parseTargetInput({ ...pickTarget(existingReminder), ...pickTarget(req.body) }, user.companyAdmin, getStationScope(user));
+      if (recipients.error) {
+        return res.status(400).json({ error: recipients.error });
+      }
+      Object.assign(updateData, recipients.target);
+    }
+
     if (triggerDate) {
-      const fullTriggerDate = new Date(`${triggerDate}T${triggerTime || '09:00'}:00`);
+      const fullTriggerDate = zonedTimeToUtc(triggerDate, triggerTime || '09:00', getCompanySchedule(user.companyAdmin).timezone);
+
+      if (!fullTriggerDate) {
+        return res.status(400).json({ error: "Trigger date must be YYYY-MM-DD and trigger time HH:MM" });
+      }
 
       // Check if date is in the past
       if (fullTriggerDate < new Date()) {
@@ -242,6 +378,21 @@ export const updateCustomReminder = async (req, res) => {
       updateData.triggerDate = fullTriggerDate;
     }
 
+    // A new schedule is computed from the rule; a new trigger date starts the series over
+    if (updateData.frequency !== undefined || updateData.recurrence !== undefined || updateData.triggerDate !== undefined) {
+      const rescheduled = {
+        ...existingReminder,
+        ...updateData,
+        recurrence: recurrence !== undefined ? schedule.recurrence : existingReminder.recurrence,
+        lastSent: updateData.triggerDate !== undefined ? null : existingReminder.lastSent,
+      };
+
+      updateData.nextOccurrenceAt = getPendingOccurrence(rescheduled, user.companyAdmin);
+      if (!updateData.nextOccurrenceAt) {
+        return res.status(400).json({ error: "The recurrence rule does not produce any more occurrences" });
+      }
+    }
+
     // Update the reminder
     const updatedReminder = await prisma.customReminder.update({
       where: { id },
@@ -263,15 +414,19 @@ export const updateCustomReminder = async (req, res) => {
         title: existingReminder.title,
         triggerDate: existingReminder.triggerDate,
         frequency: existingReminder.frequency,
+        recurrence: existingReminder.recurrence,
         notificationType: existingReminder.notificationType,
         priority: existingReminder.priority,
+        ...pickTarget(existingReminder),
       },
       newValues: {
         title: updatedReminder.title,
         triggerDate: updatedReminder.triggerDate,
         frequency: updatedReminder.frequency,
+        recurrence: updatedReminder.recurrence,
         notificationType: updatedReminder.notificationType,
         priority: updatedReminder.priority,
+        ...pickTarget(updatedReminder),
       },
     });
 
@@ -288,6 +443,92 @@ export const updateCustomReminder = async (req, res) => {
   }
 };
 
+/**
+ * Get who a custom reminder was sent to
+ * GET /api/reminders/custom/:id/deliveries?occurrence=ISO_DATE&status=FAILED&page=1&limit=50
+ */
+export const getCustomReminderDeliveries = async (req, res) => {
+  try {
+    const userId = req.auth?.userId;
+    const { id } = req.params;
+    const { occurrence, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized - No user ID found" });
+    }
+
+    // Get user and company
+    const user = await prisma.user.findUnique({
+      where: { clerkUserId: userId },
+      include: { companyAdmin: true },
+    });
+
+    if (!user || !user.companyAdmin) {
+      return res.status(404).json({ error: "User or company not found" });
+    }
+
+    const reminder = await prisma.customReminder.findFirst({
+      where: {
+        id,
+        companyId: user.companyAdmin.id,
+      },
+      select: { id: true },
+    });
+
+    if (!reminder) {
+      return res.status(404).json({ error: "Reminder not found" });
+    }
+
+    const occurrenceAt = occurrence ? new Date(occurrence) : null;
+    if (occurrenceAt && Number.isNaN(occurrenceAt.getTime())) {
+      return res.status(400).json({ error: "occurrence must be an ISO date" });
+    }
+
+    const where = {
+      reminderId: id,
+      ...(occurrenceAt && { occurrenceAt }),
+      ...(status && { status: String(status).toUpperCase() }),
+    };
+
+    const [deliveries, total, byStatus] = await Promise.all([
+      prisma.customReminderDelivery.findMany({
+        where,
+        orderBy: [{ occurrenceAt: "desc" }, { recipientName: "asc" }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.customReminderDelivery.count({ where }),
+      prisma.customReminderDelivery.groupBy({
+        by: ["status"],
+        where: { reminderId: id, ...(occurrenceAt && { occurrenceAt }) },
+        _count: { _all: true },
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        deliveries,
+        summary: Object.fromEntries(byStatus.map((group) => [group.status, group._count._all])),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching custom reminder deliveries:", error);
+    return res.status(500).json({
+      error: "Failed to fetch custom reminder deliveries",
+      details: error.message,
+    });
+  }
+};
+
 /**
  * Delete a custom reminder (soft delete by setting isActive to false)
  * DELETE /api/reminders/custom/:id
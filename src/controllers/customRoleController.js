@@ -0,0 +1,379 @@
+import prisma from "../../prisma/client.js";
+import auditService from "../services/auditService.js";
+import { clerkClient } from "@clerk/express";
+import {
+  DSP_CAPABILITIES,
+  CAPABILITIES,
+  CUSTOM_ROLE_BASE_ROLES,
+  customRoleSchema,
+  normalizeCapabilities,
+  getUserCapabilities,
+  getUnheldCapabilities,
+} from "../utils/dspCapabilities.js";
+
+/**
+ * Custom Role Controller
+ * Company-defined team roles ("Station Lead", "Dispatcher"): a name, the built-in role
+ * they were cloned from and the capabilities toggled on. Every change is audited.
+ * Listing is open to the team; changes require 'manage_users', and an editor can only
+ * grant capabilities they hold themselves and cannot change their own role.
+ */
+
+const getUserName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+const formatValidationErrors = (error) =>
+  error.issues.map((issue) => `${issue.path.join(".") || "role"}: ${issue.message}`).join(", ");
+
+const rejectUnheldCapabilities = (res, unheld) =>
+  res.status(403).json({
+    error: "You cannot grant capabilities you don't have",
+    capabilities: unheld,
+  });
+
+const toAuditValues = (role) => ({
+  name: role.name,
+  description: role.description,
+  baseRole: role.baseRole,
+  capabilities: role.capabilities,
+});
+
+/**
+ * Give members of a role its base role, in the database and in Clerk metadata
+ */
+const syncMemberBaseRole = async (roleId, baseRole) => {
+  const members = await prisma.user.findMany({
+    where: { customRoleId: roleId },
+    select: { id: true, clerkUserId: true, role: true, companyId: true },
+  });
+
+  await prisma.user.updateMany({
+    where: { customRoleId: roleId },
+    data: { dspRole: baseRole },
+  });
+
+  for (const member of members) {
+    if (!member.clerkUserId) continue;
+    try {
+      await clerkClient.users.updateUserMetadata(member.clerkUserId, {
+        publicMetadata: {
+          role: member.role,
+          dspRole: baseRole,
+          customRoleId: roleId,
+          companyId: member.companyId,
+        },
+      });
+    } catch (clerkError) {
+      console.error("Failed to update Clerk metadata:", clerkError);
+    }
+  }
+
+  return members.length;
+};
+
+/**
+ * List the built-in roles and the company's custom roles
+ * GET /api/team/roles
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.companyId) {
+      return res.status(403).json({
+        error: "You must belong to a company"
+      });
+    }
+
+    const customRoles = await prisma.customRole.findMany({
+      where: { companyId: user.companyId },
+      include: { _count: { select: { users: true } } },
+      orderBy: { name: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      capabilities: CAPABILITIES,
+      builtInRoles: Object.entries(DSP_CAPABILITIES).map(([role, capabilities]) => ({
+        role,
+        capabilities,
+        // Built-in roles custom roles can be cloned from
+        template: CUSTOM_ROLE_BASE_ROLES.includes(role),
+      })),
+      customRoles: customRoles.map(({ _count, ...role }) => ({
+        ...role,
+        capabilities: normalizeCapabilities(role.capabilities),
+        memberCount: _count.users,
+      })),
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get the current user's effective capabilities (custom role, else built-in role)
+ * GET /api/team/me/capabilities
+ */
+export const getMyCapabilities = async (req, res) => {
+  try {
+    const user = req.user;
+
+    res.json({
+      success: true,
+      dspRole: user.dspRole,
+      customRole: user.customRole ? { id: user.customRole.id, name: user.customRole.name } : null,
+      capabilities: getUserCapabilities(user),
+    });
+  } catch (error) {
+    console.error("Get capabilities error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a custom role, starting from a built-in role's capabilities
+ * POST /api/team/roles
+ * Body: { name, description?, baseRole, capabilities? } - capabilities override the base role's
+ */
+export const createCustomRole = async (req, res) => {
+  try {
+    const user = req.user;
+    const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    if (!user.companyId) {
+      return res.status(403).json({
+        error: "You must belong to a company to define roles"
+      });
+    }
+
+    const validation = customRoleSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: `Invalid role: ${formatValidationErrors(validation.error)}`
+      });
+    }
+
+    const { name, description, baseRole, capabilities } = validation.data;
+
+    const existing = await prisma.customRole.findUnique({
+      where: { companyId_name: { companyId: user.companyId, name } },
+    });
+    if (existing) {
+      return res.status(409).json({
+        error: `A role named "${name}" already exists`
+      });
+    }
+
+    const roleCapabilities = normalizeCapabilities({ ...DSP_CAPABILITIES[baseRole], ...capabilities });
+    const unheld = getUnheldCapabilities(user, roleCapabilities);
+    if (unheld.length > 0) {
+      return rejectUnheldCapabilities(res, unheld);
+    }
+
+    const role = await prisma.customRole.create({
+      data: {
+        companyId: user.companyId,
+        name,
+        description: description || null,
+        baseRole,
+        capabilities: roleCapabilities,
+        createdById: user.id,
+      },
+    });
+
+    await auditService.logRoleOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: getUserName(user),
+      companyId: user.companyId,
+      action: "ROLE_CREATED",
+      roleId: role.id,
+      roleName: role.name,
+      ipAddress,
+      userAgent,
+      newValues: toAuditValues(role),
+      metadata: {
+        createdBy: user.email,
+        clonedFrom: baseRole,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      role: { ...role, memberCount: 0 },
+    });
+  } catch (error) {
+    console.error("Create custom role error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update a custom role; members get the new capabilities on their next request
+ * PUT /api/team/roles/:roleId
+ * Body: { name?, description?, baseRole?, capabilities? }
+ */
+export const updateCustomRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const user = req.user;
+    const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    const role = await prisma.customRole.findFirst({
+      where: { id: roleId, companyId: user.companyId },
+    });
+
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    if (user.customRole?.id === roleId) {
+      return res.status(403).json({
+        error: "You cannot modify your own role"
+      });
+    }
+
+    const validation = customRoleSchema.safeParse({
+      name: role.name,
+      description: role.description,
+      baseRole: role.baseRole,
+      ...req.body,
+    });
+    if (!validation.success) {
+      return res.status(400).json({
+        error: `Invalid role: ${formatValidationErrors(validation.error)}`
+      });
+    }
+
+    const { name, description, baseRole, capabilities } = validation.data;
+
+    if (name !== role.name) {
+      const existing = await prisma.customRole.findUnique({
+        where: { companyId_name: { companyId: user.companyId, name } },
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: `A role named "${name}" already exists`
+        });
+      }
+    }
+
+    // Capabilities left out of the request keep their current value
+    const previousCapabilities = normalizeCapabilities(role.capabilities);
+    const roleCapabilities = normalizeCapabilities({ ...previousCapabilities, ...capabilities });
+    const unheld = getUnheldCapabilities(user, roleCapabilities, previousCapabilities);
+    if (unheld.length > 0) {
+      return rejectUnheldCapabilities(res, unheld);
+    }
+
+    const updatedRole = await prisma.customRole.update({
+      where: { id: roleId },
+      data: {
+        name,
+        description: description || null,
+        baseRole,
+        capabilities: roleCapabilities,
+      },
+    });
+
+    const membersUpdated = baseRole !== role.baseRole ? await syncMemberBaseRole(roleId, baseRole) : 0;
+
+    await auditService.logRoleOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: getUserName(user),
+      companyId: user.companyId,
+      action: "ROLE_UPDATED",
+      roleId,
+      roleName: updatedRole.name,
+      ipAddress,
+      userAgent,
+      oldValues: toAuditValues(role),
+      newValues: toAuditValues(updatedRole),
+      metadata: {
+        updatedBy: user.email,
+        membersUpdated,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      role: updatedRole,
+    });
+  } catch (error) {
+    console.error("Update custom role error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Delete a custom role that nobody has
+ * DELETE /api/team/roles/:roleId
+ */
+export const deleteCustomRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const user = req.user;
+    const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    const role = await prisma.customRole.findFirst({
+      where: { id: roleId, companyId: user.companyId },
+      include: { _count: { select: { users: true } } },
+    });
+
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    if (user.customRole?.id === roleId) {
+      return res.status(403).json({
+        error: "You cannot delete your own role"
+      });
+    }
+
+    const pendingInvitations = await prisma.teamInvitation.count({
+      where: { customRoleId: roleId, status: { in: ['PENDING', 'SENT'] } },
+    });
+
+    if (role._count.users > 0 || pendingInvitations > 0) {
+      return res.status(409).json({
+        error: "Role is in use",
+        message: "Assign the members and pending invitations of this role another role before deleting it.",
+        memberCount: role._count.users,
+        pendingInvitations,
+      });
+    }
+
+    await prisma.customRole.delete({ where: { id: roleId } });
+
+    await auditService.logRoleOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: getUserName(user),
+      companyId: user.companyId,
+      action: "ROLE_DELETED",
+      roleId,
+      roleName: role.name,
+      ipAddress,
+      userAgent,
+      oldValues: toAuditValues(role),
+      metadata: {
+        deletedBy: user.email,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete custom role error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,4 +1,6 @@
 import prisma from '../../prisma/client.js';
+import { getCompanyComplianceSummary } from '../services/complianceService.js';
+import { getStationScope, getDriverScopeWhere } from '../utils/stationScope.js';
 
 /**
  * Get dashboard statistics in one efficient query
@@ -17,6 +19,9 @@ export const getDashboardStats = async (req, res) => {
       where: { clerkUserId: userId },
       select: {
         companyId: true,
+        role: true,
+        dspRole: true,
+        stationCodes: true,
       },
     });
 
@@ -26,6 +31,10 @@ export const getDashboardStats = async (req, res) => {
 
     const companyId = user.companyId;
 
+    // Station-scoped team members only see their stations' drivers
+    const stationScope = getStationScope(user);
+    const driverWhere = { companyId, ...getDriverScopeWhere(stationScope) };
+
     // Get company details
     const company = await prisma.company.findUnique({
       where: { id: companyId },
@@ -52,24 +61,27 @@ export const getDashboardStats = async (req, res) => {
       expiringSoonCount,
       validCount,
       recentDrivers,
-      upcomingExpirations
+      upcomingExpirations,
+      complianceSummary
     ] = await Promise.all([
       // Count total drivers
       prisma.driver.count({
-        where: { companyId }
+        where: driverWhere
       }),
 
       // Count total documents
       prisma.document.count({
         where: {
-          driver: { companyId }
+          driver: driverWhere,
+          isCurrent: true
         }
       }),
 
       // Count expired documents
       prisma.document.count({
         where: {
-          driver: { companyId },
+          driver: driverWhere,
+          isCurrent: true,
           expiryDate: { lt: today }
         }
       }),
@@ -77,7 +89,8 @@ export const getDashboardStats = async (req, res) => {
       // Count documents expiring within 30 days
       prisma.document.count({
         where: {
-          driver: { companyId },
+          driver: driverWhere,
+          isCurrent: true,
           expiryDate: {
             gte: today,
             lte: expiringThreshold
@@ -88,7 +101,8 @@ export const getDashboardStats = async (req, res) => {
       // Count documents expiring within 7 days (urgent)
       prisma.document.count({
         where: {
-          driver: { companyId },
+          driver: driverWhere,
+          isCurrent: true,
           expiryDate: {
             gte: today,
             lte: sevenDaysThreshold
@@ -99,7 +113,8 @@ export const getDashboardStats = async (req, res) => {
       // Count valid documents
       prisma.document.count({
         where: {
-          driver: { companyId },
+          driver: driverWhere,
+          isCurrent: true,
           OR: [
             { expiryDate: null },
             { expiryDate: { gt: expiringThreshold } }
@@ -109,14 +124,14 @@ export const getDashboardStats = async (req, res) => {
 
       // Get 5 most recently added drivers
       prisma.driver.findMany({
-        where: { companyId },
+        where: driverWhere,
         select: {
           id: true,
           name: true,
           email: true,
           createdAt: true,
           _count: {
-            select: { documents: true }
+            select: { documents: { where: { isCurrent: true } } }
           }
         },
         orderBy: { createdAt: 'desc' },
@@ -126,7 +141,8 @@ export const getDashboardStats = async (req, res) => {
       // Get 5 documents expiring soonest
       prisma.document.findMany({
         where: {
-          driver: { companyId },
+          driver: driverWhere,
+          isCurrent: true,
           expiryDate: {
             gte: today,
             lte: expiringThreshold
@@ -146,7 +162,10 @@ export const getDashboardStats = async (req, res) => {
         },
         orderBy: { expiryDate: 'asc' },
         take: 5,
-      })
+      }),
+
+      // Evaluate drivers against the compliance requirements matrix
+      getCompanyComplianceSummary(companyId, { stationScope })
     ]);
 
     // Calculate days until expiry for upcoming expirations
@@ -181,6 +200,7 @@ export const getDashboardStats = async (req, res) => {
           aiCredits: company?.aiCredits || 0,
           plan: company?.plan || 'FREE',
         },
+        compliance: complianceSummary,
         recentDrivers,
         upcomingExpirations: formattedExpirations,
       }
@@ -210,6 +230,9 @@ export const getDocumentStatsByType = async (req, res) => {
       where: { clerkUserId: userId },
       select: {
         companyId: true,
+        role: true,
+        dspRole: true,
+        stationCodes: true,
       },
     });
 
@@ -217,13 +240,14 @@ export const getDocumentStatsByType = async (req, res) => {
       return res.status(404).json({ error: 'User or company not found' });
     }
 
-    const companyId = user.companyId;
+    const driverWhere = { companyId: user.companyId, ...getDriverScopeWhere(getStationScope(user)) };
 
     // Group documents by type and count
     const documentsByType = await prisma.document.groupBy({
       by: ['type'],
       where: {
-        driver: { companyId }
+        driver: driverWhere,
+        isCurrent: true
       },
       _count: {
         id: true
@@ -6,12 +6,31 @@ import {
   generateDocumentKey,
   deleteFile,
 } from '../services/s3Service.js';
-import { extractDocumentData, parseWithAI, parseWithAIDynamic, parseWithAIUnified } from '../services/textractService.js';
+import { runDocumentScan, setScanStage, calculateScanCost, needsClassification } from '../services/documentScanService.js';
+import { recordExtractionFeedback } from '../services/extractionFeedbackService.js';
+import {
+  hashUploadedFile,
+  findDuplicateDocuments,
+  getDuplicatePolicy,
+  recordDuplicateDetection,
+} from '../services/duplicateDocumentService.js';
+import { createScanJob, getScanJob, triggerScanJobWorker } from '../services/scanJobService.js';
 import { deductCredits, checkLimit } from '../services/billingService.js';
 import auditService from '../services/auditService.js';
 import { notifyDocumentUploaded } from '../services/notificationService.js';
 import { mergeWithDefaults } from '../utils/documentTypeDefaults.js';
-import { calculateDocumentStatus } from '../utils/documentStatusUtils.js';
+import { calculateDocumentStatus, getStatusFromExpiryDate } from '../utils/documentStatusUtils.js';
+import {
+  supersedeDocument,
+  findRenewableDocument,
+  getDocumentVersions,
+  detachFromLineage,
+} from '../services/documentVersionService.js';
+import { queueExtractionForReview } from '../services/documentReviewService.js';
+import { evaluateExtractionReview } from '../utils/extractionReview.js';
+import { normalizeDocumentNumber } from '../utils/documentDuplicates.js';
+import { getStationScope, getDriverScopeWhere, isDriverInScope } from '../utils/stationScope.js';
+import { presentDocument, presentDocuments, presentScanResult } from '../services/piiAccessService.js';
 
 /**
  * Generate presigned URLs for multiple file uploads
@@ -49,6 +68,7 @@ export const generatePresignedUrls = async (req, res) => {
       where: {
         id: driverId,
         companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
     });
 
@@ -108,7 +128,7 @@ export const createDocument = async (req, res) => {
   try {
     const userId = req.auth?.userId;
     const { driverId } = req.params;
-    const { key, filename, contentType, size } = req.body;
+    const { key, filename, contentType, size, supersedesDocumentId } = req.body;
 
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized - No user ID found' });
@@ -135,6 +155,7 @@ export const createDocument = async (req, res) => {
       where: {
         id: driverId,
         companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
     });
 
@@ -142,14 +163,60 @@ export const createDocument = async (req, res) => {
       return res.status(404).json({ error: 'Driver not found' });
     }
 
+    // A renewal upload replaces the driver's current version of a document
+    let previousVersion = null;
+    if (supersedesDocumentId) {
+      previousVersion = await findRenewableDocument(driverId, supersedesDocumentId);
+
+      if (!previousVersion) {
+        return res.status(400).json({
+          error: 'Invalid renewal',
+          message: 'The document being renewed was not found or has already been superseded',
+        });
+      }
+    }
+
+    // The same file already attached to this or another driver is a possible shared document
+    const contentHash = await hashUploadedFile(key);
+    const duplicates = await findDuplicateDocuments({
+      companyId: user.companyId,
+      driverId,
+      contentHash,
+    });
+
+    if (duplicates.length > 0 && (await getDuplicatePolicy(user.companyId)) === 'BLOCK') {
+      await recordDuplicateDetection({
+        companyId: user.companyId,
+        user,
+        driver,
+        duplicates,
+        blocked: true,
+        ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+        userAgent: req.headers["user-agent"],
+      });
+
+      try {
+        await deleteFile(key);
+      } catch (deleteError) {
+        console.error('Error deleting blocked duplicate upload:', deleteError);
+      }
+
+      return res.status(409).json({
+        error: 'Duplicate document',
+        message: duplicates[0].message,
+        duplicates,
+      });
+    }
+
     // Generate a permanent download URL (we'll regenerate when needed)
     const s3Url = `https://${process.env.AWS_S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
 
     // Create document record with PENDING status (needs manual entry or AI scan)
-    const document = await prisma.document.create({
+    let document = await prisma.document.create({
       data: {
         driverId,
-        type: 'Pending Classification', // Will be updated after manual entry or AI scan
+        // Renewals keep the type of the version they replace
+        type: previousVersion?.type || 'Pending Classification', // Will be updated after manual entry or AI scan
         status: 'PENDING',
         s3Url,
         s3Key: key,
@@ -157,9 +224,27 @@ export const createDocument = async (req, res) => {
         fileName: filename,
         fileSize: size || null,
         mimeType: contentType || null,
+        contentHash,
       },
     });
 
+    if (previousVersion) {
+      document = await prisma.$transaction((tx) => supersedeDocument(tx, previousVersion, document));
+    }
+
+    if (duplicates.length > 0) {
+      await recordDuplicateDetection({
+        companyId: user.companyId,
+        user,
+        driver,
+        documentId: document.id,
+        duplicates,
+        blocked: false,
+        ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+        userAgent: req.headers["user-agent"],
+      });
+    }
+
     // Log document upload
     await auditService.logDocumentOperation({
       userId: user.id,
@@ -177,9 +262,33 @@ export const createDocument = async (req, res) => {
         fileName: filename,
         fileSize: size,
         mimeType: contentType,
+        ...(previousVersion && {
+          supersedesDocumentId: previousVersion.id,
+          version: document.version,
+        }),
       },
     });
 
+    if (previousVersion) {
+      await auditService.logDocumentOperation({
+        userId: user.id,
+        userEmail: user.email,
+        userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+        companyId: user.companyId,
+        action: "DOCUMENT_SUPERSEDED",
+        documentId: previousVersion.id,
+        documentType: previousVersion.type,
+        driverId: driver.id,
+        driverName: driver.name,
+        ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+        userAgent: req.headers["user-agent"],
+        metadata: {
+          supersededByDocumentId: document.id,
+          previousExpiryDate: previousVersion.expiryDate,
+        },
+      });
+    }
+
     // Create notification for document upload
     try {
       await notifyDocumentUploaded({
@@ -197,7 +306,8 @@ export const createDocument = async (req, res) => {
     return res.status(201).json({
       success: true,
       message: 'Document uploaded successfully',
-      data: document,
+      data: await presentDocument(req, document),
+      duplicates,
     });
   } catch (error) {
     console.error('Error creating document:', error);
@@ -216,7 +326,7 @@ export const updateDocumentDetails = async (req, res) => {
   try {
     const userId = req.auth?.userId;
     const { documentId } = req.params;
-    const { type, documentNumber, issuedDate, expiryDate, notes } = req.body;
+    const { type, documentNumber, issuedDate, expiryDate, notes, supersedesDocumentId } = req.body;
 
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized - No user ID found' });
@@ -241,10 +351,30 @@ export const updateDocumentDetails = async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    if (document.driver.companyId !== user.companyId) {
+    if (document.driver.companyId !== user.companyId || !isDriverInScope(document.driver, getStationScope(user))) {
       return res.status(403).json({ error: 'Unauthorized access to document' });
     }
 
+    // A document uploaded without a renewal link can still be marked as the renewal of another one
+    let previousVersion = null;
+    if (supersedesDocumentId && supersedesDocumentId !== document.supersedesId) {
+      if (document.supersedesId || supersedesDocumentId === document.id) {
+        return res.status(400).json({
+          error: 'Invalid renewal',
+          message: 'This document is already linked to a previous version',
+        });
+      }
+
+      previousVersion = await findRenewableDocument(document.driver.id, supersedesDocumentId);
+
+      if (!previousVersion) {
+        return res.status(400).json({
+          error: 'Invalid renewal',
+          message: 'The document being renewed was not found or has already been superseded',
+        });
+      }
+    }
+
     // Validate document type is active (if type is being updated)
     if (type && type !== 'Pending Classification') {
       const company = await prisma.company.findUnique({
@@ -272,20 +402,47 @@ export const updateDocumentDetails = async (req, res) => {
       }
     }
 
-    // Calculate status based on expiry date
-    let status = 'ACTIVE';
-    if (expiryDate) {
-      const expiry = new Date(expiryDate);
-      const now = new Date();
-      const daysUntilExpiry = Math.floor((expiry - now) / (1000 * 60 * 60 * 24));
-
-      if (daysUntilExpiry < 0) {
-        status = 'EXPIRED';
-      } else if (daysUntilExpiry <= 30) {
-        status = 'EXPIRING_SOON';
+    // The same document number on another driver's document is a possible shared document
+    const normalizedDocumentNumber = normalizeDocumentNumber(documentNumber || document.documentNumber);
+    let duplicates = [];
+    if (normalizedDocumentNumber && normalizedDocumentNumber !== document.normalizedDocumentNumber) {
+      duplicates = await findDuplicateDocuments({
+        companyId: user.companyId,
+        driverId: document.driver.id,
+        normalizedDocumentNumber,
+        excludeDocumentId: document.id,
+      });
+    }
+
+    if (duplicates.length > 0) {
+      const blocked = (await getDuplicatePolicy(user.companyId)) === 'BLOCK';
+
+      await recordDuplicateDetection({
+        companyId: user.companyId,
+        user,
+        driver: document.driver,
+        documentId: document.id,
+        duplicates,
+        blocked,
+        ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+        userAgent: req.headers["user-agent"],
+      });
+
+      if (blocked) {
+        return res.status(409).json({
+          error: 'Duplicate document',
+          message: duplicates[0].message,
+          duplicates,
+        });
       }
     }
 
+    // Documents in the review queue stay PENDING until a reviewer approves them
+    const reviewRequired = document.reviewStatus === 'PENDING_REVIEW';
+
+    // Calculate status based on expiry date
+    const status = reviewRequired ? 'PENDING' : getStatusFromExpiryDate(expiryDate);
+
     // Get company's reminder settings to inform the user
     const companyData = await prisma.company.findUnique({
       where: { id: user.companyId },
@@ -293,11 +450,13 @@ export const updateDocumentDetails = async (req, res) => {
     });
 
     // Update document
-    const updatedDocument = await prisma.document.update({
+    let updatedDocument = await prisma.document.update({
       where: { id: documentId },
       data: {
-        type: type || document.type,
+        // Renewals keep the type of the version they replace
+        type: type || (document.type === 'Pending Classification' && previousVersion?.type) || document.type,
         documentNumber: documentNumber || document.documentNumber,
+        normalizedDocumentNumber,
         issueDate: issuedDate ? new Date(issuedDate) : document.issueDate,
         expiryDate: expiryDate ? new Date(expiryDate) : document.expiryDate,
         notes: notes || document.notes,
@@ -306,8 +465,69 @@ export const updateDocumentDetails = async (req, res) => {
       },
     });
 
+    // Keep the previous values in the audit trail so past states can be reconstructed
+    const trackedFields = ['type', 'documentNumber', 'issueDate', 'expiryDate', 'status'];
+    const changes = trackedFields.filter((field) =>
+      String(document[field] ?? '') !== String(updatedDocument[field] ?? '')
+    );
+
+    await auditService.logDocumentOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      companyId: user.companyId,
+      action: "DOCUMENT_UPDATED",
+      documentId: updatedDocument.id,
+      documentType: updatedDocument.type,
+      driverId: document.driver.id,
+      driverName: document.driver.name,
+      oldValues: Object.fromEntries(trackedFields.map((field) => [field, document[field]])),
+      newValues: Object.fromEntries(trackedFields.map((field) => [field, updatedDocument[field]])),
+      changes,
+      ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    // Remember which AI-extracted values staff had to correct
+    try {
+      await recordExtractionFeedback({
+        document,
+        updatedDocument,
+        companyId: user.companyId,
+        userId: user.id,
+      });
+    } catch (feedbackError) {
+      console.error('⚠️ Failed to record extraction feedback:', feedbackError);
+    }
+
+    // Only the version the request names is replaced (renewal)
+    const supersededDocument = previousVersion;
+
+    if (supersededDocument) {
+      updatedDocument = await prisma.$transaction((tx) => supersedeDocument(tx, supersededDocument, updatedDocument));
+      console.log(`📄 Document ${updatedDocument.id} supersedes ${supersededDocument.id} (${updatedDocument.type})`);
+
+      await auditService.logDocumentOperation({
+        userId: user.id,
+        userEmail: user.email,
+        userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+        companyId: user.companyId,
+        action: "DOCUMENT_SUPERSEDED",
+        documentId: supersededDocument.id,
+        documentType: supersededDocument.type,
+        driverId: document.driver.id,
+        driverName: document.driver.name,
+        ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+        userAgent: req.headers["user-agent"],
+        metadata: {
+          supersededByDocumentId: updatedDocument.id,
+          previousExpiryDate: supersededDocument.expiryDate,
+        },
+      });
+    }
+
     // Log reminder eligibility
-    if (expiryDate && companyData.reminderDays && companyData.reminderDays.length > 0) {
+    if (!reviewRequired && expiryDate && companyData.reminderDays && companyData.reminderDays.length > 0) {
       console.log(`✅ Document ${documentId} is eligible for automatic reminders`);
       console.log(`   Expiry Date: ${expiryDate}`);
       console.log(`   Status: ${status}`);
@@ -318,8 +538,11 @@ export const updateDocumentDetails = async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'Document updated successfully',
-      data: updatedDocument,
-      reminderInfo: expiryDate && companyData.reminderDays?.length > 0 ? {
+      data: await presentDocument(req, updatedDocument),
+      supersededDocumentId: supersededDocument?.id || null,
+      reviewRequired,
+      duplicates,
+      reminderInfo: !reviewRequired && expiryDate && companyData.reminderDays?.length > 0 ? {
         enabled: true,
         expiryDate: expiryDate,
         status: status,
@@ -327,7 +550,9 @@ export const updateDocumentDetails = async (req, res) => {
         message: `Automatic reminders configured for ${companyData.reminderDays.join(', ')} before expiry`
       } : {
         enabled: false,
-        message: expiryDate ? 'No reminder settings configured for your company' : 'No expiry date provided'
+        message: reviewRequired
+          ? 'Reminders start once the document is approved'
+          : expiryDate ? 'No reminder settings configured for your company' : 'No expiry date provided'
       }
     });
   } catch (error) {
@@ -347,6 +572,7 @@ export const getDriverDocuments = async (req, res) => {
   try {
     const userId = req.auth?.userId;
     const { driverId } = req.params;
+    const { includeHistory = 'false' } = req.query;
 
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized - No user ID found' });
@@ -366,6 +592,7 @@ export const getDriverDocuments = async (req, res) => {
       where: {
         id: driverId,
         companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
     });
 
@@ -373,15 +600,18 @@ export const getDriverDocuments = async (req, res) => {
       return res.status(404).json({ error: 'Driver not found' });
     }
 
-    // Get documents
+    // Get documents (superseded versions only when history is requested)
     const documents = await prisma.document.findMany({
-      where: { driverId },
+      where: {
+        driverId,
+        ...(includeHistory !== 'true' && { isCurrent: true }),
+      },
       orderBy: { uploadedAt: 'desc' },
     });
 
     return res.status(200).json({
       success: true,
-      data: documents,
+      data: await presentDocuments(req, documents, { driverId }),
     });
   } catch (error) {
     console.error('Error fetching documents:', error);
@@ -424,7 +654,7 @@ export const deleteDocument = async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    if (document.driver.companyId !== user.companyId) {
+    if (document.driver.companyId !== user.companyId || !isDriverInScope(document.driver, getStationScope(user))) {
       return res.status(403).json({ error: 'Unauthorized access to document' });
     }
 
@@ -438,9 +668,17 @@ export const deleteDocument = async (req, res) => {
       }
     }
 
-    // Delete from database
-    await prisma.document.delete({
-      where: { id: documentId },
+    // Delete from database, handing "current" back to the previous version if needed
+    await prisma.$transaction(async (tx) => {
+      await detachFromLineage(tx, document);
+
+      await tx.documentReminder.deleteMany({
+        where: { documentId },
+      });
+
+      await tx.document.delete({
+        where: { id: documentId },
+      });
     });
 
     // Log document deletion
@@ -456,6 +694,15 @@ export const deleteDocument = async (req, res) => {
       driverName: document.driver.name,
       ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
       userAgent: req.headers["user-agent"],
+      oldValues: {
+        type: document.type,
+        documentNumber: document.documentNumber,
+        issueDate: document.issueDate,
+        expiryDate: document.expiryDate,
+        status: document.status,
+        version: document.version,
+        isCurrent: document.isCurrent,
+      },
       metadata: {
         fileName: document.fileName,
         fileSize: document.fileSize,
@@ -507,7 +754,7 @@ export const getDocumentDownloadUrl = async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    if (document.driver.companyId !== user.companyId) {
+    if (document.driver.companyId !== user.companyId || !isDriverInScope(document.driver, getStationScope(user))) {
       return res.status(403).json({ error: 'Unauthorized access to document' });
     }
 
@@ -540,6 +787,8 @@ export const getDocumentDownloadUrl = async (req, res) => {
       data: {
         downloadUrl,
         expiresIn, // seconds
+        version: document.version,
+        isCurrent: document.isCurrent,
       },
     });
   } catch (error) {
@@ -551,6 +800,61 @@ export const getDocumentDownloadUrl = async (req, res) => {
   }
 };
 
+/**
+ * Get the version history (renewal lineage) of a document
+ * GET /api/documents/:documentId/versions
+ */
+export const getDocumentVersionHistory = async (req, res) => {
+  try {
+    const userId = req.auth?.userId;
+    const { documentId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized - No user ID found' });
+    }
+
+    // Get user
+    const user = await prisma.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user || !user.companyId) {
+      return res.status(404).json({ error: 'User or company not found' });
+    }
+
+    // Get document
+    const document = await prisma.document.findUnique({
+      where: { id: documentId },
+      include: { driver: true },
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (document.driver.companyId !== user.companyId || !isDriverInScope(document.driver, getStationScope(user))) {
+      return res.status(403).json({ error: 'Unauthorized access to document' });
+    }
+
+    const versions = await getDocumentVersions(document);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        documentId: document.id,
+        currentVersionId: versions.find((v) => v.isCurrent)?.id || null,
+        versions: await presentDocuments(req, versions, { driverId: document.driverId }),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Scan document with AI (AWS Textract + OpenAI)
  * POST /api/documents/:documentId/ai-scan
@@ -585,7 +889,7 @@ export const scanDocumentWithAI = async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    if (document.driver.companyId !== user.companyId) {
+    if (document.driver.companyId !== user.companyId || !isDriverInScope(document.driver, getStationScope(user))) {
       return res.status(403).json({ error: 'Unauthorized access to document' });
     }
 
@@ -624,55 +928,11 @@ export const scanDocumentWithAI = async (req, res) => {
       });
     }
 
-    let detectedDocumentType;
-    let documentTypeConfig;
-    let parsedData;
-    let usage;
-    let validation;
-    let metadata;
-
-    // Extract data using Textract ONCE
-    console.log('Extracting data with Textract...');
-    const textractData = await extractDocumentData(document.s3Key);
-    console.log('Textract extraction complete');
-
-    // If document type is NOT set or is "Pending Classification", use UNIFIED parsing (classify + extract in ONE call)
-    if (!document.type || document.type === 'Pending Classification') {
-      console.log('Document type not set - using UNIFIED classification + extraction');
-
-      // Use unified parsing (classifies AND extracts in single AI call)
-      const unifiedResult = await parseWithAIUnified(textractData, mergedConfigs);
-
-      detectedDocumentType = unifiedResult.detectedType;
-      documentTypeConfig = unifiedResult.documentTypeConfig;
-      parsedData = unifiedResult.parsedData;
-      usage = unifiedResult.usage;
-      validation = unifiedResult.validation;
-      metadata = unifiedResult.metadata;
-
-      console.log('✅ Unified parsing complete:', {
-        detectedType: detectedDocumentType,
-        confidence: metadata.confidence,
-        fieldsExtracted: usage.fieldsExtracted
-      });
-
-      // Check if AI is enabled for detected document type
-      if (!documentTypeConfig.aiEnabled) {
-        return res.status(400).json({
-          error: 'AI extraction is disabled for this document type',
-          message: `AI detected document type "${detectedDocumentType}" but AI extraction is not enabled for it.`,
-          documentType: detectedDocumentType
-        });
-      }
-
-    } else {
-      // Document type IS set, use standard dynamic parsing
-      console.log('Document type already set:', document.type);
-
-      detectedDocumentType = document.type;
-      documentTypeConfig = mergedConfigs[document.type];
+    // Validate the configured type before spending a Textract call
+    if (!needsClassification(document)) {
+      const configuredType = mergedConfigs[document.type];
 
-      if (!documentTypeConfig) {
+      if (!configuredType) {
         return res.status(400).json({
           error: 'Document type configuration not found',
           message: `No configuration found for document type: ${document.type}`,
@@ -681,95 +941,62 @@ export const scanDocumentWithAI = async (req, res) => {
       }
 
       // Check if AI is enabled for this document type
-      if (!documentTypeConfig.aiEnabled) {
+      if (!configuredType.aiEnabled) {
         return res.status(400).json({
           error: 'AI extraction is disabled for this document type',
-          message: `AI extraction is not enabled for ${detectedDocumentType}. Please enable it in settings first.`,
-          documentType: detectedDocumentType
+          message: `AI extraction is not enabled for ${document.type}. Please enable it in settings first.`,
+          documentType: document.type
         });
       }
+    }
 
-      console.log('Starting AI extraction for document:', {
-        documentId,
-        s3Key: document.s3Key,
-        documentType: detectedDocumentType,
-        extractionMode: documentTypeConfig.extractionMode,
-        fieldsToExtract: documentTypeConfig.fields?.length || 0
-      });
+    // Textract + AI (unified classification when the type is not set yet)
+    console.log('Starting AI scan for document:', { documentId, s3Key: document.s3Key, documentType: document.type });
+    const scanResult = await runDocumentScan(document, mergedConfigs);
 
-      // Parse with OpenAI using dynamic prompting
-      console.log('Parsing with OpenAI (Dynamic)...');
-      const parseResult = await parseWithAIDynamic(textractData, documentTypeConfig, detectedDocumentType);
-      parsedData = parseResult.parsedData;
-      usage = parseResult.usage;
-      validation = parseResult.validation;
-      metadata = parseResult.metadata;
-      console.log('OpenAI parsing complete:', parsedData);
+    if (scanResult.skipped) {
+      return res.status(400).json({
+        error: 'AI extraction is disabled for this document type',
+        message: `AI detected document type "${scanResult.detectedDocumentType}" but AI extraction is not enabled for it.`,
+        documentType: scanResult.detectedDocumentType
+      });
     }
 
-    // Ensure documentType field is set in parsed data
-    if (!parsedData.documentType) {
-      parsedData.documentType = detectedDocumentType;
-    }
+    const {
+      detectedDocumentType,
+      documentTypeConfig,
+      parsedData,
+      usage,
+      validation,
+      metadata,
+      machineReadable,
+      textractData,
+    } = scanResult;
+
+    console.log('✅ AI scan complete:', {
+      detectedType: detectedDocumentType,
+      confidence: metadata?.confidence,
+      fieldsExtracted: usage.fieldsExtracted
+    });
 
-    // Special logic for Driver's Abstract: Calculate expiry date from issue date + 30 days
-    if (detectedDocumentType === "Driver Abstract" && parsedData.issueDate) {
-      try {
-        const issueDate = new Date(parsedData.issueDate);
-        if (!isNaN(issueDate.getTime())) {
-          // Add 30 days to the issue date
-          const expiryDate = new Date(issueDate);
-          expiryDate.setDate(expiryDate.getDate() + 30);
-
-          // Format as YYYY-MM-DD
-          parsedData.expiryDate = expiryDate.toISOString().split('T')[0];
-
-          console.log('✅ Driver Abstract expiry date calculated:', {
-            issueDate: parsedData.issueDate,
-            expiryDate: parsedData.expiryDate
-          });
-        }
-      } catch (error) {
-        console.error('Error calculating Driver Abstract expiry date:', error);
-      }
-    }
+    // Deduct credits ONLY if AI extraction actually happened
+    // (fields read from a verified MRZ / licence barcode are free)
+    const creditsUsed = machineReadable?.used ? 0 : 1;
+    let creditsRemaining = creditCheck.current;
 
-    // Special logic for Work Eligibility: Map document sub-type to status
-    if (detectedDocumentType === "Work Eligibility" && parsedData.documentSubType) {
-      try {
-        const subType = parsedData.documentSubType.toLowerCase();
-
-        // Map document sub-type to status
-        if (subType.includes('passport')) {
-          parsedData.status = 'Citizen';
-          console.log('✅ Work Eligibility: Detected Passport → Status: Citizen');
-        } else if (subType.includes('pr') || subType.includes('permanent resident')) {
-          parsedData.status = 'Permanent Resident';
-          console.log('✅ Work Eligibility: Detected PR Card → Status: Permanent Resident');
-        } else if (subType.includes('work permit') || subType.includes('permit')) {
-          parsedData.status = 'Work Permit';
-          console.log('✅ Work Eligibility: Detected Work Permit → Status: Work Permit');
-        }
+    if (creditsUsed > 0) {
+      const deductResult = await deductCredits(companyId, documentId, creditsUsed);
 
-        console.log('Work Eligibility mapping complete:', {
-          documentSubType: parsedData.documentSubType,
-          status: parsedData.status,
-          expiryDate: parsedData.expiryDate
+      if (!deductResult.success) {
+        return res.status(402).json({
+          error: 'Failed to deduct credits',
+          message: deductResult.message
         });
-      } catch (error) {
-        console.error('Error mapping Work Eligibility status:', error);
       }
+      creditsRemaining = deductResult.balanceAfter;
     }
 
-    // Deduct credits ONLY if AI extraction actually happened
-    const deductResult = await deductCredits(companyId, documentId, 1);
-
-    if (!deductResult.success) {
-      return res.status(402).json({
-        error: 'Failed to deduct credits',
-        message: deductResult.message
-      });
-    }
+    await setScanStage(documentId, 'COMPLETED');
 
     // Track AI usage
     try {
@@ -778,12 +1005,7 @@ export const scanDocumentWithAI = async (req, res) => {
         select: { name: true }
       });
 
-      // Calculate cost for GPT-4o-mini
-      // Input: $0.150 per 1M tokens, Output: $0.600 per 1M tokens
-      const inputCost = (usage.promptTokens / 1_000_000) * 0.150;
-      const outputCost = (usage.completionTokens / 1_000_000) * 0.600;
-      const lambdaCost = 0.09; // Lambda function text extraction cost
-      const totalCost = inputCost + outputCost + lambdaCost;
+      const totalCost = calculateScanCost(usage);
 
       await prisma.aIUsage.create({
         data: {
@@ -799,14 +1021,16 @@ export const scanDocumentWithAI = async (req, res) => {
           outputTokens: usage.completionTokens,
           cost: totalCost,
           model: usage.model,
-          provider: 'openai',
+          provider: usage.provider,
           requestDuration: usage.requestDuration,
           status: 'SUCCESS',
           metadata: {
             documentId,
             documentType: detectedDocumentType,
             s3Key: document.s3Key,
-            wasClassified: !document.type || document.type === 'Pending Classification'
+            wasClassified: needsClassification(document),
+            ocrProvider: usage.ocrProvider,
+            machineReadableSource: machineReadable?.used ? machineReadable.source : null
           },
           ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
           userAgent: req.headers['user-agent']
@@ -819,12 +1043,31 @@ export const scanDocumentWithAI = async (req, res) => {
       // Don't fail the request if tracking fails
     }
 
+    // Low-confidence or invalid extractions go to the review queue instead of being trusted
+    let review = { required: false, reason: null };
+    try {
+      const assessment = evaluateExtractionReview({
+        documentTypeConfig,
+        confidence: metadata?.confidence,
+        fieldConfidence: metadata?.fieldConfidence,
+        validation,
+        machineReadable,
+      });
+      review = await queueExtractionForReview({
+        document,
+        driver: document.driver,
+        assessment,
+      });
+    } catch (reviewError) {
+      console.error('⚠️ Failed to queue document for review:', reviewError);
+    }
+
     console.log('Returning extracted data to frontend');
 
     // Return extracted data (don't auto-save, let user review and save manually)
     return res.status(200).json({
       success: true,
-      data: {
+      data: await presentScanResult(req, document, {
         documentType: detectedDocumentType,
         documentTypeConfig: {
           fields: documentTypeConfig.fields,
@@ -834,10 +1077,12 @@ export const scanDocumentWithAI = async (req, res) => {
         },
         extractedData: parsedData,
         rawTextractData: textractData,
-        creditsUsed: 1,
-        creditsRemaining: deductResult.balanceAfter,
+        creditsUsed,
+        creditsRemaining,
         validation,
         metadata,
+        machineReadable,
+        review,
         usage: {
           tokensUsed: usage.totalTokens,
           inputTokens: usage.promptTokens,
@@ -845,7 +1090,7 @@ export const scanDocumentWithAI = async (req, res) => {
           extractionMode: usage.extractionMode,
           fieldsExtracted: usage.fieldsExtracted
         }
-      },
+      }),
     });
   } catch (error) {
     console.error('Error scanning document:', error);
@@ -903,9 +1148,10 @@ export const scanDocumentWithAI = async (req, res) => {
 };
 
 /**
- * Bulk scan multiple documents with AI
+ * Queue a bulk AI scan of multiple documents
  * POST /api/documents/bulk-ai-scan
  * Body: { documentIds: string[] }
+ * Returns a scan job ID; poll GET /api/documents/scan-jobs/:jobId for progress
  */
 export const bulkScanDocumentsWithAI = async (req, res) => {
   try {
@@ -959,7 +1205,7 @@ export const bulkScanDocumentsWithAI = async (req, res) => {
 
     // Verify all documents belong to this company
     const unauthorizedDocs = documents.filter(
-      (doc) => doc.driver.companyId !== user.companyId
+      (doc) => doc.driver.companyId !== user.companyId || !isDriverInScope(doc.driver, getStationScope(user))
     );
 
     if (unauthorizedDocs.length > 0) {
@@ -975,274 +1221,76 @@ export const bulkScanDocumentsWithAI = async (req, res) => {
       });
     }
 
-    console.log(`Starting bulk AI scan for ${documents.length} documents`);
-
-    // Get company info for AI usage tracking and document type configurations
-    const company = await prisma.company.findUnique({
-      where: { id: companyId },
-      select: {
-        name: true,
-        documentTypeConfigs: true
-      }
+    const job = await createScanJob({
+      companyId,
+      userId: user.id,
+      documentIds,
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+      userAgent: req.headers['user-agent'],
     });
 
-    // Get merged document type configurations
-    const customConfigs = company.documentTypeConfigs || {};
-    const mergedConfigs = mergeWithDefaults(customConfigs);
-
-    // Scan all documents in parallel
-    const scanResults = await Promise.all(
-      documents.map(async (document) => {
-        try {
-          if (!document.s3Key) {
-            // Track failed attempt (no S3 key)
-            try {
-              await prisma.aIUsage.create({
-                data: {
-                  companyId,
-                  companyName: company?.name || 'Unknown',
-                  userId: user.id,
-                  userName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unknown',
-                  userEmail: user.email,
-                  feature: 'DOCUMENT_ANALYSIS',
-                  action: 'Bulk AI scan - no S3 key',
-                  tokensUsed: 0,
-                  inputTokens: 0,
-                  outputTokens: 0,
-                  cost: 0,
-                  status: 'FAILED',
-                  errorMessage: 'Document has no S3 key',
-                  errorCode: 'NO_S3_KEY',
-                  metadata: { documentId: document.id, documentType: document.type },
-                  ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-                  userAgent: req.headers['user-agent']
-                }
-              });
-            } catch (trackingError) {
-              console.error('⚠️ Failed to track failed AI usage:', trackingError);
-            }
+    triggerScanJobWorker();
 
-            return {
-              documentId: document.id,
-              success: false,
-              error: 'Document has no S3 key',
-            };
-          }
-
-          console.log(`Scanning document ${document.id} (${document.type}) with Textract...`);
-          const textractData = await extractDocumentData(document.s3Key);
-
-          let detectedDocumentType;
-          let parsedData;
-          let usage;
-          let validation;
-          let metadata;
-          let finalDocumentTypeConfig;
-
-          // If document type is NOT set or is "Pending Classification", use UNIFIED parsing (classify + extract in ONE call)
-          if (!document.type || document.type === 'Pending Classification') {
-            console.log(`Document ${document.id} type not set - using UNIFIED classification + extraction`);
-
-            // Use unified parsing (classifies AND extracts in single AI call)
-            const unifiedResult = await parseWithAIUnified(textractData, mergedConfigs);
-
-            detectedDocumentType = unifiedResult.detectedType;
-            finalDocumentTypeConfig = unifiedResult.documentTypeConfig;
-            parsedData = unifiedResult.parsedData;
-            usage = unifiedResult.usage;
-            validation = unifiedResult.validation;
-            metadata = unifiedResult.metadata;
-
-            console.log(`✅ Unified parsing complete for document ${document.id}:`, {
-              detectedType: detectedDocumentType,
-              confidence: metadata.confidence,
-              fieldsExtracted: usage.fieldsExtracted
-            });
-
-            // Check if AI is enabled for detected document type
-            if (!finalDocumentTypeConfig.aiEnabled) {
-              return {
-                documentId: document.id,
-                success: false,
-                error: `AI extraction is disabled for detected document type: ${detectedDocumentType}`,
-                skipped: true,
-                reason: 'AI_DISABLED_FOR_DETECTED_TYPE'
-              };
-            }
-
-          } else {
-            // Document type IS set, use standard dynamic parsing
-            console.log(`Document ${document.id} type already set: ${document.type} - using dynamic extraction`);
-
-            detectedDocumentType = document.type;
-            finalDocumentTypeConfig = mergedConfigs[document.type];
-
-            // Check if document type config exists
-            if (!finalDocumentTypeConfig) {
-              return {
-                documentId: document.id,
-                success: false,
-                error: `Document type configuration not found for: ${document.type}`,
-                skipped: true,
-                reason: 'MISSING_CONFIG'
-              };
-            }
+    return res.status(202).json({
+      success: true,
+      message: 'Bulk scan queued',
+      data: {
+        jobId: job.id,
+        status: job.status,
+        totalDocuments: job.totalItems,
+        statusUrl: `/api/documents/scan-jobs/${job.id}`,
+      },
+    });
+  } catch (error) {
+    console.error('Error queueing bulk AI scan:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
 
-            // Check if AI is enabled for this document type
-            if (!finalDocumentTypeConfig.aiEnabled) {
-              return {
-                documentId: document.id,
-                success: false,
-                error: `AI extraction is disabled for document type: ${document.type}`,
-                skipped: true,
-                reason: 'AI_DISABLED'
-              };
-            }
+/**
+ * Get the progress of a bulk AI scan job
+ * GET /api/documents/scan-jobs/:jobId
+ */
+export const getScanJobStatus = async (req, res) => {
+  try {
+    const userId = req.auth?.userId;
+    const { jobId } = req.params;
 
-            console.log(`Parsing document ${document.id} with OpenAI (Dynamic)...`);
-            const parseResult = await parseWithAIDynamic(textractData, finalDocumentTypeConfig, document.type);
-            parsedData = parseResult.parsedData;
-            usage = parseResult.usage;
-            validation = parseResult.validation;
-            metadata = parseResult.metadata;
-          }
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized - No user ID found' });
+    }
 
-          // Track successful AI usage
-          try {
-            // Calculate cost for GPT-4o-mini
-            const inputCost = (usage.promptTokens / 1_000_000) * 0.150;
-            const outputCost = (usage.completionTokens / 1_000_000) * 0.600;
-            const totalCost = inputCost + outputCost;
-
-            await prisma.aIUsage.create({
-              data: {
-                companyId,
-                companyName: company?.name || 'Unknown',
-                userId: user.id,
-                userName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unknown',
-                userEmail: user.email,
-                feature: 'DOCUMENT_ANALYSIS',
-                action: `Bulk AI scan of ${detectedDocumentType || 'document'}`,
-                tokensUsed: usage.totalTokens,
-                inputTokens: usage.promptTokens,
-                outputTokens: usage.completionTokens,
-                cost: totalCost,
-                model: usage.model,
-                provider: 'openai',
-                requestDuration: usage.requestDuration,
-                status: 'SUCCESS',
-                metadata: {
-                  documentId: document.id,
-                  documentType: detectedDocumentType,
-                  s3Key: document.s3Key,
-                  bulkScan: true,
-                  wasClassified: !document.type || document.type === 'Pending Classification'
-                },
-                ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-                userAgent: req.headers['user-agent']
-              }
-            });
-            console.log(`✅ AI usage tracked for document ${document.id}`);
-          } catch (trackingError) {
-            console.error(`⚠️ Failed to track AI usage for document ${document.id}:`, trackingError);
-          }
+    const user = await prisma.user.findUnique({
+      where: { clerkUserId: userId },
+    });
 
-          return {
-            documentId: document.id,
-            documentType: detectedDocumentType,
-            documentTypeConfig: {
-              fields: finalDocumentTypeConfig.fields,
-              aiEnabled: finalDocumentTypeConfig.aiEnabled,
-              extractionMode: finalDocumentTypeConfig.extractionMode,
-              description: finalDocumentTypeConfig.description
-            },
-            success: true,
-            extractedData: parsedData,
-            rawTextractData: textractData,
-            validation,
-            metadata,
-            usage: {
-              tokensUsed: usage.totalTokens,
-              extractionMode: usage.extractionMode,
-              fieldsExtracted: usage.fieldsExtracted
-            }
-          };
-        } catch (error) {
-          console.error(`Error scanning document ${document.id}:`, error);
-
-          // Track failed AI usage
-          try {
-            await prisma.aIUsage.create({
-              data: {
-                companyId,
-                companyName: company?.name || 'Unknown',
-                userId: user.id,
-                userName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unknown',
-                userEmail: user.email,
-                feature: 'DOCUMENT_ANALYSIS',
-                action: 'Bulk AI scan - failed',
-                tokensUsed: 0,
-                inputTokens: 0,
-                outputTokens: 0,
-                cost: 0,
-                status: 'FAILED',
-                errorMessage: error.message,
-                errorCode: error.code || 'SCAN_ERROR',
-                metadata: {
-                  documentId: document.id,
-                  documentType: document.type,
-                  bulkScan: true
-                },
-                ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-                userAgent: req.headers['user-agent']
-              }
-            });
-          } catch (trackingError) {
-            console.error(`⚠️ Failed to track failed AI usage for document ${document.id}:`, trackingError);
-          }
+    if (!user || !user.companyId) {
+      return res.status(404).json({ error: 'User or company not found' });
+    }
 
-          return {
-            documentId: document.id,
-            success: false,
-            error: error.message,
-          };
-        }
-      })
-    );
+    const job = await getScanJob(jobId, user.companyId);
 
-    // Count successful scans and skipped documents
-    const successfulScans = scanResults.filter((r) => r.success).length;
-    const skippedScans = scanResults.filter((r) => r.skipped).length;
-    const failedScans = scanResults.filter((r) => !r.success && !r.skipped).length;
+    if (!job) {
+      return res.status(404).json({ error: 'Scan job not found' });
+    }
 
-    // Deduct credits ONLY for successful scans (where AI was actually used)
-    let creditsRemaining = creditCheck.current;
+    // Request metadata is only kept for AI usage tracking
+    const { ipAddress: _ipAddress, userAgent: _userAgent, ...jobData } = job;
 
-    if (successfulScans > 0) {
-      const deductResult = await deductCredits(companyId, documentIds[0], successfulScans);
-      if (deductResult.success) {
-        creditsRemaining = deductResult.balanceAfter;
-      }
+    // Extracted personal fields are masked for users without 'view_driver_pii'
+    for (const item of jobData.items) {
+      item.result = await presentScanResult(req, { id: item.documentId }, item.result);
     }
 
-    console.log(`Bulk scan complete: ${successfulScans} successful, ${skippedScans} skipped, ${failedScans} failed out of ${documents.length} total`);
-
     return res.status(200).json({
       success: true,
-      data: {
-        results: scanResults,
-        summary: {
-          totalDocuments: documents.length,
-          successfulScans,
-          skippedScans,
-          failedScans,
-          totalCreditsUsed: successfulScans,
-          creditsRemaining
-        }
-      },
+      data: jobData,
     });
   } catch (error) {
-    console.error('Error in bulk AI scan:', error);
+    console.error('Error fetching scan job:', error);
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message,
@@ -1342,7 +1390,9 @@ export const getReminders = async (req, res) => {
     const whereClause = {
       driver: {
         companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
+      isCurrent: true,
       expiryDate: {
         not: null,
       },
@@ -1456,6 +1506,9 @@ export const getDocumentStatus = async (req, res) => {
       where: { clerkUserId: userId },
       select: {
         companyId: true,
+        role: true,
+        dspRole: true,
+        stationCodes: true,
       },
     });
 
@@ -1479,7 +1532,9 @@ export const getDocumentStatus = async (req, res) => {
     const baseWhere = {
       driver: {
         companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
+      isCurrent: true,
     };
 
     // Add search filter if provided
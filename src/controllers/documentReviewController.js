@@ -0,0 +1,309 @@
+import prisma from '../../prisma/client.js';
+import { z } from 'zod';
+import auditService from '../services/auditService.js';
+import { notifyDocumentApproved, notifyDocumentRejected } from '../services/notificationService.js';
+import { detachFromLineage } from '../services/documentVersionService.js';
+import { reopenDriverInvitation, notifyDriverOfRejection } from '../services/documentReviewService.js';
+import { getStatusFromExpiryDate } from '../utils/documentStatusUtils.js';
+import { getStationScope, getDriverScopeWhere, isDriverInScope } from '../utils/stationScope.js';
+import { presentDocument, presentDocuments } from '../services/piiAccessService.js';
+
+const rejectDocumentSchema = z.object({
+  reason: z.string().trim().min(3, 'Rejection reason is required').max(500),
+});
+
+/**
+ * Load the authenticated user and a document of their company that is awaiting review
+ * Sends the error response itself and returns null when the request cannot proceed
+ */
+const loadReviewContext = async (req, res) => {
+  const userId = req.auth?.userId;
+  const { documentId } = req.params;
+
+  if (!userId) {
+    res.status(401).json({ error: 'Unauthorized - No user ID found' });
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user || !user.companyId) {
+    res.status(404).json({ error: 'User or company not found' });
+    return null;
+  }
+
+  const document = await prisma.document.findUnique({
+    where: { id: documentId },
+    include: { driver: true },
+  });
+
+  if (!document) {
+    res.status(404).json({ error: 'Document not found' });
+    return null;
+  }
+
+  if (document.driver.companyId !== user.companyId || !isDriverInScope(document.driver, getStationScope(user))) {
+    res.status(403).json({ error: 'Unauthorized access to document' });
+    return null;
+  }
+
+  if (document.reviewStatus !== 'PENDING_REVIEW') {
+    res.status(400).json({
+      error: 'Document is not awaiting review',
+      reviewStatus: document.reviewStatus,
+    });
+    return null;
+  }
+
+  return { user, document };
+};
+
+/**
+ * Get documents waiting for review
+ * GET /api/documents/review-queue
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    const userId = req.auth?.userId;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized - No user ID found' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user || !user.companyId) {
+      return res.status(404).json({ error: 'User or company not found' });
+    }
+
+    const documents = await prisma.document.findMany({
+      where: {
+        reviewStatus: 'PENDING_REVIEW',
+        isCurrent: true,
+        driver: { companyId: user.companyId, ...getDriverScopeWhere(getStationScope(user)) },
+      },
+      include: {
+        driver: {
+          select: { id: true, name: true, email: true, phone: true, stationCode: true },
+        },
+      },
+      orderBy: { uploadedAt: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        documents: await presentDocuments(req, documents, { purpose: 'Document review' }),
+        total: documents.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Approve a document from the review queue
+ * POST /api/documents/:documentId/approve
+ */
+export const approveDocument = async (req, res) => {
+  try {
+    const context = await loadReviewContext(req, res);
+    if (!context) return;
+    const { user, document } = context;
+
+    if (!document.type || document.type === 'Pending Classification') {
+      return res.status(400).json({
+        error: 'Document is not classified',
+        message: 'Set the document type before approving it',
+      });
+    }
+
+    const approvedDocument = await prisma.document.update({
+      where: { id: document.id },
+      data: {
+        status: getStatusFromExpiryDate(document.expiryDate),
+        reviewStatus: 'APPROVED',
+        reviewedAt: new Date(),
+        reviewedById: user.id,
+        rejectionReason: null,
+      },
+    });
+
+    const userName = `${user.firstName || ''} ${user.lastName || ''}`.trim();
+    const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
+
+    await auditService.logDocumentOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName,
+      companyId: user.companyId,
+      action: "DOCUMENT_APPROVED",
+      documentId: approvedDocument.id,
+      documentType: approvedDocument.type,
+      driverId: document.driver.id,
+      driverName: document.driver.name,
+      oldValues: { status: document.status, reviewStatus: document.reviewStatus },
+      newValues: { status: approvedDocument.status, reviewStatus: approvedDocument.reviewStatus },
+      ipAddress,
+      userAgent: req.headers["user-agent"],
+      metadata: { reviewReason: document.reviewReason },
+    });
+
+    try {
+      await notifyDocumentApproved({
+        companyId: user.companyId,
+        driverId: document.driver.id,
+        driverName: document.driver.name,
+        documentType: approvedDocument.type,
+        documentId: approvedDocument.id,
+        reviewerUserId: user.id,
+      });
+    } catch (notificationError) {
+      console.error('❌ Error creating approval notification:', notificationError);
+    }
+
+    console.log(`✅ Document ${approvedDocument.id} approved by ${user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Document approved',
+      data: await presentDocument(req, approvedDocument),
+      supersededDocumentId: approvedDocument.supersedesId || null,
+    });
+  } catch (error) {
+    console.error('Error approving document:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a document from the review queue, notify the driver and reopen their upload link
+ * POST /api/documents/:documentId/reject
+ * Body: { reason: string }
+ */
+export const rejectDocument = async (req, res) => {
+  try {
+    let validatedData;
+    try {
+      validatedData = rejectDocumentSchema.parse(req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: validationError.errors,
+      });
+    }
+
+    const context = await loadReviewContext(req, res);
+    if (!context) return;
+    const { user, document } = context;
+    const { reason } = validatedData;
+
+    // A rejected document no longer counts; if it was a renewal the previous version is current again
+    const rejectedDocument = await prisma.$transaction(async (tx) => {
+      await detachFromLineage(tx, document);
+
+      return tx.document.update({
+        where: { id: document.id },
+        data: {
+          status: 'REJECTED',
+          reviewStatus: 'REJECTED',
+          rejectionReason: reason,
+          reviewedAt: new Date(),
+          reviewedById: user.id,
+          isCurrent: false,
+          lineageId: null,
+          version: 1,
+        },
+      });
+    });
+
+    await auditService.logDocumentOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      companyId: user.companyId,
+      action: "DOCUMENT_REJECTED",
+      documentId: rejectedDocument.id,
+      documentType: rejectedDocument.type,
+      driverId: document.driver.id,
+      driverName: document.driver.name,
+      oldValues: { status: document.status, reviewStatus: document.reviewStatus },
+      newValues: { status: rejectedDocument.status, reviewStatus: rejectedDocument.reviewStatus },
+      ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+      userAgent: req.headers["user-agent"],
+      metadata: { reason, reviewReason: document.reviewReason },
+    });
+
+    // Ask the driver for a new copy
+    let driverNotification = { emailSent: false, smsSent: false, errors: [] };
+    let invitationId = null;
+
+    if (document.driver.email || document.driver.phone) {
+      try {
+        const company = await prisma.company.findUnique({
+          where: { id: user.companyId },
+          select: { id: true, name: true, smsEnabled: true },
+        });
+
+        const { invitation, uploadLink } = await reopenDriverInvitation(document.driver, rejectedDocument.type);
+        invitationId = invitation.id;
+
+        driverNotification = await notifyDriverOfRejection({
+          driver: document.driver,
+          company,
+          invitation,
+          documentType: rejectedDocument.type,
+          reason,
+          uploadLink,
+        });
+      } catch (invitationError) {
+        console.error('❌ Error reopening driver invitation:', invitationError);
+        driverNotification.errors.push(invitationError.message);
+      }
+    } else {
+      driverNotification.errors.push('Driver has no email or phone number');
+    }
+
+    try {
+      await notifyDocumentRejected({
+        companyId: user.companyId,
+        driverId: document.driver.id,
+        driverName: document.driver.name,
+        documentType: rejectedDocument.type,
+        documentId: rejectedDocument.id,
+        reason,
+        reviewerUserId: user.id,
+      });
+    } catch (notificationError) {
+      console.error('❌ Error creating rejection notification:', notificationError);
+    }
+
+    console.log(`🚫 Document ${rejectedDocument.id} rejected by ${user.email}: ${reason}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Document rejected',
+      data: await presentDocument(req, rejectedDocument),
+      invitationId,
+      driverNotification,
+    });
+  } catch (error) {
+    console.error('Error rejecting document:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
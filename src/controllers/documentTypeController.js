@@ -9,6 +9,7 @@ import {
   documentTypeConfigSchema,
   documentTypeNameSchema,
 } from '../utils/documentTypeDefaults.js';
+import { getConfidenceThreshold } from '../utils/extractionReview.js';
 
 /**
  * Get all document type configurations for a company
@@ -134,7 +135,7 @@ export const getDocumentTypeConfig = async (req, res) => {
 export const createCustomDocumentType = async (req, res) => {
   try {
     const user = req.user;
-    const { name, aiEnabled, extractionMode, fields, description } = req.body;
+    const { name, aiEnabled, extractionMode, fields, description, confidenceThreshold } = req.body;
 
     if (!user || !user.companyId) {
       return res.status(401).json({
@@ -163,6 +164,7 @@ export const createCustomDocumentType = async (req, res) => {
       extractionMode: extractionMode || 'classification-only',
       fields: fields || [],
       description: description || undefined,
+      confidenceThreshold: confidenceThreshold ?? undefined,
     };
 
     // Validate configuration using comprehensive Zod validation
@@ -244,7 +246,7 @@ export const updateDocumentTypeConfig = async (req, res) => {
   try {
     const user = req.user;
     const { name } = req.params;
-    const { aiEnabled, extractionMode, fields, description } = req.body;
+    const { aiEnabled, extractionMode, fields, description, confidenceThreshold } = req.body;
 
     if (!user || !user.companyId) {
       return res.status(401).json({
@@ -289,6 +291,10 @@ export const updateDocumentTypeConfig = async (req, res) => {
       extractionMode: extractionMode || currentConfig.extractionMode,
       fields: fields !== undefined ? fields : currentConfig.fields,
       description: description !== undefined ? description : currentConfig.description,
+      // null clears a custom threshold (falls back to the default)
+      confidenceThreshold: confidenceThreshold !== undefined
+        ? confidenceThreshold ?? undefined
+        : currentConfig.confidenceThreshold,
     };
 
     // Validate updated configuration
@@ -529,6 +535,7 @@ export const toggleDocumentTypeActive = async (req, res) => {
       extractionMode: currentConfig.extractionMode,
       fields: currentConfig.fields || [],
       description: currentConfig.description,
+      confidenceThreshold: currentConfig.confidenceThreshold,
       isActive,
     };
 
@@ -611,7 +618,8 @@ export const getDocumentTypes = async (req, res) => {
           isActive: config.isActive,
           extractionMode: config.extractionMode,
           fields: config.fields,
-          description: config.description
+          description: config.description,
+          confidenceThreshold: getConfidenceThreshold(config)
         }));
 
       return res.status(200).json({
@@ -686,7 +694,8 @@ export const getDocumentType = async (req, res) => {
             isDefault: documentTypeConfig.isDefault,
             extractionMode: documentTypeConfig.extractionMode,
             fields: documentTypeConfig.fields,
-            description: documentTypeConfig.description
+            description: documentTypeConfig.description,
+            confidenceThreshold: getConfidenceThreshold(documentTypeConfig)
           }
         });
       }
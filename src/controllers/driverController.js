@@ -4,6 +4,11 @@ import { checkLimit } from '../services/billingService.js';
 import { getPlanLimits } from '../config/planLimits.js';
 import auditService from '../services/auditService.js';
 import { notifyDriverCreated, notifyBulkDriversCreated } from '../services/notificationService.js';
+import { evaluateCompanyCompliance, getDriverComplianceAsOf } from '../services/complianceService.js';
+import { isSmsOptedOut } from '../services/smsConsentService.js';
+import { presentDocuments } from '../services/piiAccessService.js';
+import { SUPPORTED_LOCALES } from '../utils/messageTemplates.js';
+import { getStationScope, getDriverScopeWhere, isDriverInScope } from '../utils/stationScope.js';
 
 // Validation schema for creating a driver
 const createDriverSchema = z.object({
@@ -13,6 +18,9 @@ const createDriverSchema = z.object({
   phone: z.string().min(1, "Phone number is required"),
   location: z.string().min(1, "Location is required"),
   employeeId: z.string().min(1, "Employee ID is required"),
+  stationCode: z.string().optional(),
+  region: z.string().optional(),
+  locale: z.enum(SUPPORTED_LOCALES).optional(),
   documentOption: z.enum(["upload", "link", "skip"]),
   processingMethod: z.enum(["ai", "manual"]).optional(),
   documents: z.record(z.any()).optional(),
@@ -56,6 +64,15 @@ export const createDriver = async (req, res) => {
       return res.status(404).json({ error: "Company not found. Please complete onboarding first." });
     }
 
+    // Station-scoped team members can only add drivers to their own stations
+    const stationScope = getStationScope(user);
+    if (!isDriverInScope({ stationCode: validatedData.stationCode }, stationScope)) {
+      return res.status(403).json({
+        error: "You can only add drivers to your stations",
+        stationCodes: stationScope,
+      });
+    }
+
     // Check driver limit before creating
     const limitCheck = await checkLimit(company.id, 'drivers');
 
@@ -79,6 +96,9 @@ export const createDriver = async (req, res) => {
         email: validatedData.email,
         phone: validatedData.phone,
         contact: validatedData.employeeId,
+        stationCode: validatedData.stationCode || null,
+        region: validatedData.region || null,
+        locale: validatedData.locale || null,
       },
     });
 
@@ -158,6 +178,9 @@ export const getDrivers = async (req, res) => {
       select: {
         id: true,
         companyId: true,
+        role: true,
+        dspRole: true,
+        stationCodes: true,
       },
     });
 
@@ -166,6 +189,8 @@ export const getDrivers = async (req, res) => {
     }
 
     const companyId = user.companyId;
+    // Station-scoped team members only see their stations' drivers
+    const driverWhere = { companyId, ...getDriverScopeWhere(getStationScope(user)) };
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
@@ -174,17 +199,24 @@ export const getDrivers = async (req, res) => {
     // Fetch drivers with optional documents
     const [drivers, totalCount] = await Promise.all([
       prisma.driver.findMany({
-        where: { companyId },
+        where: driverWhere,
         select: {
           id: true,
           name: true,
           email: true,
           phone: true,
           contact: true,
+          stationCode: true,
+          region: true,
+          emailInvalid: true,
+          emailInvalidReason: true,
+          phoneInvalid: true,
+          phoneInvalidReason: true,
           createdAt: true,
           updatedAt: true,
           ...(shouldIncludeDocs && {
             documents: {
+              where: { isCurrent: true },
               select: {
                 id: true,
                 type: true,
@@ -198,20 +230,28 @@ export const getDrivers = async (req, res) => {
           }),
           // Always include document count
           _count: {
-            select: { documents: true }
+            select: { documents: { where: { isCurrent: true } } }
           }
         },
         orderBy: { createdAt: "desc" },
         skip,
         take: limitNum,
       }),
-      prisma.driver.count({ where: { companyId } }),
+      prisma.driver.count({ where: driverWhere }),
     ]);
 
     const totalPages = Math.ceil(totalCount / limitNum);
 
+    // Evaluate each driver against the company's compliance requirements matrix
+    const complianceByDriver = await evaluateCompanyCompliance(companyId, {
+      driverIds: drivers.map(d => d.id),
+    });
+
     return res.status(200).json({
-      drivers,
+      drivers: drivers.map(driver => ({
+        ...driver,
+        compliance: complianceByDriver[driver.id] || null,
+      })),
       pagination: {
         currentPage: pageNum,
         totalPages,
@@ -250,9 +290,11 @@ export const getDriverById = async (req, res) => {
       where: {
         id,
         companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
       include: {
         documents: {
+          where: { isCurrent: true },
           orderBy: {
             uploadedAt: "desc",
           },
@@ -264,7 +306,16 @@ export const getDriverById = async (req, res) => {
       return res.status(404).json({ error: "Driver not found" });
     }
 
-    return res.status(200).json({ driver });
+    // Whether the driver replied STOP to our texts (SMS consent ledger)
+    const smsOptedOut = await isSmsOptedOut(driver.phone);
+
+    return res.status(200).json({
+      driver: {
+        ...driver,
+        documents: await presentDocuments(req, driver.documents, { driverId: driver.id }),
+        smsOptedOut,
+      },
+    });
   } catch (error) {
     console.error("Error fetching driver:", error);
     return res.status(500).json({
@@ -274,12 +325,86 @@ export const getDriverById = async (req, res) => {
   }
 };
 
+/**
+ * Point-in-time compliance snapshot for a driver
+ * Reconstructs the driver's documents as they were at the end of the given day
+ * GET /api/drivers/:id/compliance?asOf=YYYY-MM-DD
+ */
+export const getDriverComplianceSnapshot = async (req, res) => {
+  try {
+    const userId = req.auth?.userId;
+    const { id } = req.params;
+    const { asOf } = req.query;
+
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized - No user ID found" });
+    }
+
+    let asOfDate = new Date();
+    if (asOf) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(new Date(`${asOf}T00:00:00.000Z`).getTime())) {
+        return res.status(400).json({ error: "Invalid asOf date - expected YYYY-MM-DD" });
+      }
+
+      // End of the requested day, so anything recorded that day is included
+      asOfDate = new Date(`${asOf}T23:59:59.999Z`);
+
+      if (asOfDate > new Date()) {
+        asOfDate = new Date();
+      }
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user || !user.companyId) {
+      return res.status(404).json({ error: "User or company not found" });
+    }
+
+    const driver = await prisma.driver.findFirst({
+      where: {
+        id,
+        companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
+      },
+    });
+
+    if (!driver) {
+      return res.status(404).json({ error: "Driver not found" });
+    }
+
+    if (driver.createdAt > asOfDate) {
+      return res.status(400).json({
+        error: "Driver did not exist on that date",
+        driverCreatedAt: driver.createdAt,
+      });
+    }
+
+    const snapshot = await getDriverComplianceAsOf(driver, asOfDate);
+
+    return res.status(200).json({
+      success: true,
+      data: snapshot,
+    });
+  } catch (error) {
+    console.error("Error building compliance snapshot:", error);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
 // Validation schema for updating a driver
 const updateDriverSchema = z.object({
   name: z.string().min(1, "Name is required").optional(),
   email: z.string().email("Invalid email format").optional(),
   phone: z.string().min(1, "Phone number is required").optional(),
   contact: z.string().optional(),
+  stationCode: z.string().nullable().optional(),
+  region: z.string().nullable().optional(),
+  locale: z.enum(SUPPORTED_LOCALES).nullable().optional(),
 });
 
 // Update a driver
@@ -308,6 +433,7 @@ export const updateDriver = async (req, res) => {
       where: {
         id,
         companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
     });
 
@@ -315,18 +441,35 @@ export const updateDriver = async (req, res) => {
       return res.status(404).json({ error: "Driver not found" });
     }
 
+    // Station-scoped team members can't move drivers to stations they don't manage
+    if (validatedData.stationCode !== undefined && !isDriverInScope(validatedData, getStationScope(user))) {
+      return res.status(403).json({ error: "You can only assign drivers to your stations" });
+    }
+
     // Build update data object
     const updateData = {};
     if (validatedData.name !== undefined) updateData.name = validatedData.name;
     if (validatedData.email !== undefined) updateData.email = validatedData.email;
     if (validatedData.phone !== undefined) updateData.phone = validatedData.phone;
     if (validatedData.contact !== undefined) updateData.contact = validatedData.contact;
+    if (validatedData.stationCode !== undefined) updateData.stationCode = validatedData.stationCode;
+    if (validatedData.region !== undefined) updateData.region = validatedData.region;
+    if (validatedData.locale !== undefined) updateData.locale = validatedData.locale;
+
+    // A new address or number gets another chance after a hard bounce
+    if (updateData.email !== undefined && updateData.email !== existingDriver.email) {
+      Object.assign(updateData, { emailInvalid: false, emailInvalidReason: null, emailInvalidAt: null });
+    }
+    if (updateData.phone !== undefined && updateData.phone !== existingDriver.phone) {
+      Object.assign(updateData, { phoneInvalid: false, phoneInvalidReason: null, phoneInvalidAt: null });
+    }
 
     const updatedDriver = await prisma.driver.update({
       where: { id },
       data: updateData,
       include: {
         documents: {
+          where: { isCurrent: true },
           orderBy: {
             uploadedAt: "desc",
           },
@@ -348,12 +491,16 @@ export const updateDriver = async (req, res) => {
         email: existingDriver.email,
         phone: existingDriver.phone,
         contact: existingDriver.contact,
+        stationCode: existingDriver.stationCode,
+        region: existingDriver.region,
       },
       newValues: {
         name: updatedDriver.name,
         email: updatedDriver.email,
         phone: updatedDriver.phone,
         contact: updatedDriver.contact,
+        stationCode: updatedDriver.stationCode,
+        region: updatedDriver.region,
       },
       changes: Object.keys(updateData),
       ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
@@ -362,7 +509,10 @@ export const updateDriver = async (req, res) => {
 
     return res.status(200).json({
       message: "Driver updated successfully",
-      driver: updatedDriver,
+      driver: {
+        ...updatedDriver,
+        documents: await presentDocuments(req, updatedDriver.documents, { driverId: id }),
+      },
     });
   } catch (error) {
     console.error("Error updating driver:", error);
@@ -405,6 +555,7 @@ export const deleteDriver = async (req, res) => {
       where: {
         id,
         companyId: user.companyId,
+        ...getDriverScopeWhere(getStationScope(user)),
       },
     });
 
@@ -543,6 +694,14 @@ export const bulkImportDrivers = async (req, res) => {
         // Validate driver data
         const validatedData = createDriverSchema.parse(driverData);
 
+        if (!isDriverInScope({ stationCode: validatedData.stationCode }, getStationScope(user))) {
+          results.failed.push({
+            ...driverData,
+            error: "You can only add drivers to your stations",
+          });
+          continue;
+        }
+
         // Check driver limit
         const limitCheck = await checkLimit(company.id, 'drivers');
         if (!limitCheck.allowed) {
@@ -562,6 +721,9 @@ export const bulkImportDrivers = async (req, res) => {
             email: validatedData.email,
             phone: validatedData.phone,
             contact: validatedData.employeeId,
+            stationCode: validatedData.stationCode || null,
+            region: validatedData.region || null,
+            locale: validatedData.locale || null,
           },
         });
 
@@ -621,7 +783,8 @@ export const bulkImportDrivers = async (req, res) => {
 
 /**
  * Get document counts for all drivers in the company
- * Returns a map of driverId -> documentCount
+ * Returns a map of driverId -> documentCount, plus a map of driverId -> compliance
+ * (missing/expired/expiring/pending required documents)
  * GET /api/drivers/document-counts
  */
 export const getDocumentCounts = async (req, res) => {
@@ -640,9 +803,10 @@ export const getDocumentCounts = async (req, res) => {
       return res.status(404).json({ error: "User or company not found" });
     }
 
-    // Get all drivers for this company
+    // Get all drivers for this company (or the user's stations)
+    const stationScope = getStationScope(user);
     const drivers = await prisma.driver.findMany({
-      where: { companyId: user.companyId },
+      where: { companyId: user.companyId, ...getDriverScopeWhere(stationScope) },
       select: { id: true },
     });
 
@@ -653,6 +817,7 @@ export const getDocumentCounts = async (req, res) => {
         driverId: {
           in: drivers.map(d => d.id),
         },
+        isCurrent: true,
       },
       _count: {
         id: true,
@@ -672,9 +837,12 @@ export const getDocumentCounts = async (req, res) => {
       }
     });
 
+    const complianceByDriver = await evaluateCompanyCompliance(user.companyId, { stationScope });
+
     return res.status(200).json({
       success: true,
       data: countsMap,
+      compliance: complianceByDriver,
     });
   } catch (error) {
     console.error("Error fetching document counts:", error);
@@ -1,9 +1,23 @@
 import prisma from '../../prisma/client.js';
 import crypto from 'crypto';
-import { sendDriverInvitationEmail, sendDocumentUploadNotificationEmail } from '../services/emailService.js';
-import { sendDriverInvitationSMS } from '../services/smsService.js';
-import { generatePresignedUploadUrl } from '../services/s3Service.js';
-import { notifyDocumentUploaded } from '../services/notificationService.js';
+import { buildDriverInvitationEmail, sendDocumentUploadNotificationEmail } from '../services/emailService.js';
+import { enqueueMessage, triggerOutboxWorker, SOURCE_TYPES } from '../services/outboxService.js';
+import { isSmsOptedOut } from '../services/smsConsentService.js';
+import { generatePresignedUploadUrl, deleteFile } from '../services/s3Service.js';
+import { notifyDocumentNeedsReview } from '../services/notificationService.js';
+import {
+  getCompanyTemplates,
+  getRecipientLocale,
+  buildInvitationVariables,
+  renderMessage,
+} from '../services/messageTemplateService.js';
+import {
+  hashUploadedFile,
+  findDuplicateDocuments,
+  recordDuplicateDetection,
+} from '../services/duplicateDocumentService.js';
+import { DUPLICATE_MATCH_TYPES } from '../utils/documentDuplicates.js';
+import { getStationScope, getDriverScopeWhere } from '../utils/stationScope.js';
 
 /**
  * Generate a secure random token for driver invitation
@@ -68,7 +82,7 @@ export const createDriverInvitation = async (req, res) => {
     // Get user's company to verify authorization
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { companyId: true }
+      select: { companyId: true, role: true, dspRole: true, stationCodes: true }
     });
 
     if (!user || !user.companyId) {
@@ -83,6 +97,7 @@ export const createDriverInvitation = async (req, res) => {
       where: {
         id: driverId,
         companyId: user.companyId, // Authorization: driver must belong to user's company
+        ...getDriverScopeWhere(getStationScope(user)), // ...and to one of the user's stations
       },
       include: {
         company: true,
@@ -140,60 +155,78 @@ export const createDriverInvitation = async (req, res) => {
     const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     const uploadLink = `${baseUrl}/driver/upload/${token}`;
 
-    // Send notifications
+    // Render the company's invitation templates in the driver's language
+    const locale = getRecipientLocale(driver.company, driver);
+    const templates = await getCompanyTemplates(driver.company.id);
+    const variables = buildInvitationVariables({
+      company: driver.company,
+      driver,
+      link: uploadLink,
+      documents: requestedDocuments,
+      expiresAt,
+      locale,
+    });
+
+    // Queue notifications; the outbox sets emailSentAt/smsSentAt once they are delivered
     let emailSent = false;
     let smsSent = false;
     const errors = [];
+    const source = {
+      companyId: driver.company.id,
+      sourceType: SOURCE_TYPES.DRIVER_INVITATION,
+      sourceId: invitation.id,
+    };
 
     if (sendEmail && email) {
       try {
-        await sendDriverInvitationEmail({
-          email,
-          driverName: driver.name,
-          uploadLink,
-          requestedDocuments,
-          companyName: driver.company.name,
-        });
-        emailSent = true;
+        const message = renderMessage({ templates, event: 'INVITATION', channel: 'EMAIL', locale, variables, accentColor: '#2563eb' });
 
-        // Update email sent timestamp
-        await prisma.driverInvitation.update({
-          where: { id: invitation.id },
-          data: {
-            emailSentAt: new Date(),
-            status: 'SENT',
-          },
+        // The built-in English invitation keeps its branded layout
+        const { subject, html } = message.isDefault && locale === 'en'
+          ? buildDriverInvitationEmail({
+            email,
+            driverName: driver.name,
+            uploadLink,
+            requestedDocuments,
+            companyName: driver.company.name,
+          })
+          : message;
+
+        await enqueueMessage({
+          channel: 'EMAIL',
+          to: email,
+          subject,
+          text: message.text,
+          html,
+          fromName: driver.company.name,
+          ...source,
         });
+        emailSent = true;
       } catch (error) {
-        console.error('Error sending email:', error);
+        console.error('Error queueing email:', error);
         errors.push(`Email: ${error.message}`);
       }
     }
 
     if (sendSMS && phone) {
       try {
-        await sendDriverInvitationSMS({
-          phone,
-          driverName: driver.name,
-          uploadLink,
-          companyName: driver.company.name,
-        });
-        smsSent = true;
+        if (await isSmsOptedOut(phone)) {
+          throw new Error(`${phone} has opted out of SMS (replied STOP)`);
+        }
 
-        // Update SMS sent timestamp
-        await prisma.driverInvitation.update({
-          where: { id: invitation.id },
-          data: {
-            smsSentAt: new Date(),
-            status: 'SENT',
-          },
-        });
+        const { text } = renderMessage({ templates, event: 'INVITATION', channel: 'SMS', locale, variables });
+        await enqueueMessage({ channel: 'SMS', to: phone, text, ...source });
+        smsSent = true;
       } catch (error) {
-        console.error('Error sending SMS:', error);
+        console.error('Error queueing SMS:', error);
         errors.push(`SMS: ${error.message}`);
       }
     }
 
+    if (emailSent || smsSent) {
+      triggerOutboxWorker();
+    }
+
     // Return response
     return res.status(200).json({
       success: true,
@@ -421,9 +454,64 @@ export const createDriverDocuments = async (req, res) => {
       });
     }
 
+    // Look for files already attached to this or another driver (or uploaded twice in this request)
+    const uploads = [];
+    for (const doc of documents) {
+      const contentHash = await hashUploadedFile(doc.key);
+      const duplicates = await findDuplicateDocuments({
+        companyId: driver.companyId,
+        driverId: driver.id,
+        contentHash,
+      });
+      const repeatedInRequest = contentHash && uploads.some((upload) => upload.contentHash === contentHash);
+      if (repeatedInRequest) {
+        duplicates.push({
+          matchType: DUPLICATE_MATCH_TYPES.CONTENT_HASH,
+          documentId: null,
+          documentType: doc.documentType,
+          driverId: driver.id,
+          driverName: driver.name,
+          sameDriver: true,
+          message: 'The same file was uploaded twice in one submission',
+        });
+      }
+      uploads.push({ doc, contentHash, duplicates });
+    }
+
+    const duplicateUploads = uploads.filter((upload) => upload.duplicates.length > 0);
+    const ipAddress = req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress;
+    const userAgent = req.headers['user-agent'];
+
+    if (duplicateUploads.length > 0 && driver.company.duplicateDocumentPolicy === 'BLOCK') {
+      await recordDuplicateDetection({
+        companyId: driver.companyId,
+        driver,
+        duplicates: duplicateUploads.flatMap((upload) => upload.duplicates),
+        blocked: true,
+        ipAddress,
+        userAgent,
+      });
+
+      // Nothing from this submission is kept
+      await Promise.all(
+        documents.map((doc) =>
+          deleteFile(doc.key).catch((deleteError) =>
+            console.error('❌ Error deleting blocked upload:', deleteError)
+          )
+        )
+      );
+
+      // Don't reveal other drivers' details through the driver portal
+      return res.status(409).json({
+        success: false,
+        message: `Some of these files have already been submitted. Please upload your own original documents or contact ${driver.company.name}.`,
+        duplicateFiles: duplicateUploads.map((upload) => upload.doc.filename),
+      });
+    }
+
     // Create document records
     const createdDocuments = await Promise.all(
-      documents.map(async (doc) => {
+      uploads.map(async ({ doc, contentHash, duplicates }) => {
         const { key, filename, contentType, size, documentType } = doc;
 
         return await prisma.document.create({
@@ -435,25 +523,46 @@ export const createDriverDocuments = async (req, res) => {
             mimeType: contentType,
             type: documentType,
             status: 'PENDING', // Will be updated after manual entry or AI scan
+            reviewStatus: 'PENDING_REVIEW', // Driver portal uploads are approved by the company
+            reviewReason: duplicates.length > 0
+              ? `Uploaded through driver portal - possible duplicate: ${duplicates.map((d) => d.message).join('; ')}`
+              : 'Uploaded through driver portal',
+            ...(duplicates.length > 0 && { reviewFlags: { duplicates } }),
+            contentHash,
             uploadedAt: new Date(),
           },
         });
       })
     );
 
-    // Create notifications for each document upload
+    for (const [index, upload] of uploads.entries()) {
+      if (upload.duplicates.length > 0) {
+        await recordDuplicateDetection({
+          companyId: driver.companyId,
+          driver,
+          documentId: createdDocuments[index].id,
+          duplicates: upload.duplicates,
+          blocked: false,
+          ipAddress,
+          userAgent,
+        });
+      }
+    }
+
+    // Queue each upload for review (renewal linking happens when it is approved)
     try {
       await Promise.all(
         createdDocuments.map(async (document) => {
           try {
-            await notifyDocumentUploaded({
+            await notifyDocumentNeedsReview({
               companyId: driver.companyId,
               driverId: driver.id,
               driverName: driver.name,
               documentType: document.type,
               documentId: document.id,
+              reason: document.reviewReason,
             });
-            console.log(`✅ Notification created for ${document.type} upload by ${driver.name}`);
+            console.log(`✅ Review notification created for ${document.type} upload by ${driver.name}`);
           } catch (notificationError) {
             console.error('❌ Error creating notification:', notificationError);
             // Continue even if notification fails
@@ -0,0 +1,147 @@
+import prisma from '../../prisma/client.js';
+import auditService from '../services/auditService.js';
+import { mergeWithDefaults } from '../utils/documentTypeDefaults.js';
+import {
+  ESCALATION_RECIPIENTS,
+  escalationPoliciesSchema,
+  normalizeEscalationPolicies,
+} from '../utils/escalationPolicy.js';
+
+/**
+ * Get the expiry escalation policies for the user's company
+ * GET /api/settings/escalation-policies
+ */
+export const getEscalationPolicies = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const company = await prisma.company.findUnique({
+      where: { id: user.companyId },
+      select: { escalationPolicies: true },
+    });
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policies: normalizeEscalationPolicies(company.escalationPolicies),
+        availableRecipients: ESCALATION_RECIPIENTS,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching escalation policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch escalation policies',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the expiry escalation policies for the user's company
+ * PUT /api/settings/escalation-policies
+ * Body: { policies: [{ name, documentTypes?, steps: [{ daysBeforeExpiry, recipients, repeatDaily? }] }] }
+ */
+export const updateEscalationPolicies = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const validation = escalationPoliciesSchema.safeParse(req.body?.policies);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid escalation policies',
+        errors: validation.error.errors,
+      });
+    }
+
+    const policies = validation.data;
+
+    const company = await prisma.company.findUnique({
+      where: { id: user.companyId },
+      select: {
+        escalationPolicies: true,
+        documentTypeConfigs: true,
+      },
+    });
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found',
+      });
+    }
+
+    // Every policy must point at document types the company knows about
+    const knownTypes = Object.keys(mergeWithDefaults(company.documentTypeConfigs || {}));
+    const errors = [];
+
+    policies.forEach((policy, index) => {
+      policy.documentTypes
+        .filter((type) => !knownTypes.includes(type))
+        .forEach((type) => errors.push({ index, message: `Unknown document type "${type}"` }));
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid escalation policies',
+        errors,
+      });
+    }
+
+    await prisma.company.update({
+      where: { id: user.companyId },
+      data: { escalationPolicies: policies },
+    });
+
+    await auditService.logReminderOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      companyId: user.companyId,
+      action: 'REMINDER_CONFIGURED',
+      reminderId: user.companyId,
+      reminderType: 'ESCALATION_POLICY',
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      oldValues: { policies: normalizeEscalationPolicies(company.escalationPolicies) },
+      newValues: { policies },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Escalation policies updated successfully',
+      data: { policies: normalizeEscalationPolicies(policies) },
+    });
+  } catch (error) {
+    console.error('Error updating escalation policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update escalation policies',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,317 @@
+import prisma from '../../prisma/client.js';
+import auditService from '../services/auditService.js';
+import { getCompanyTemplates, buildDocumentVariables, renderMessage } from '../services/messageTemplateService.js';
+import { daysBetweenDateKeys, getCompanySchedule, getZonedParts } from '../utils/timezoneUtils.js';
+import { getStationScope, getDriverScopeWhere } from '../utils/stationScope.js';
+import { presentDocument } from '../services/piiAccessService.js';
+import {
+  SAMPLE_VARIABLES,
+  SUPPORTED_LOCALES,
+  TEMPLATE_CHANNELS,
+  TEMPLATE_EVENTS,
+  TEMPLATE_VARIABLES,
+  resolveTemplate,
+  validateTemplate,
+} from '../utils/messageTemplates.js';
+
+const getUserName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+/**
+ * Get every message template for the user's company (company overrides and defaults)
+ * GET /api/settings/message-templates
+ */
+export const getMessageTemplates = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const companyTemplates = await getCompanyTemplates(user.companyId);
+
+    const templates = TEMPLATE_EVENTS.flatMap((event) =>
+      TEMPLATE_CHANNELS.flatMap((channel) =>
+        SUPPORTED_LOCALES.map((locale) => ({
+          event,
+          channel,
+          locale,
+          ...resolveTemplate(companyTemplates, event, channel, locale),
+        }))
+      )
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates,
+        variables: TEMPLATE_VARIABLES,
+        locales: SUPPORTED_LOCALES,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching message templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch message templates',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save the company's template for an event, channel and language
+ * PUT /api/settings/message-templates/:event/:channel/:locale
+ * Body: { subject? (email only), body }
+ */
+export const updateMessageTemplate = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const { event, channel, locale } = req.params;
+    const subject = channel === 'EMAIL' ? req.body?.subject : null;
+    const body = req.body?.body;
+
+    const validation = validateTemplate({ event, channel, locale, subject, body });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message template',
+        errors: validation.errors,
+        unknownVariables: validation.unknownVariables,
+      });
+    }
+
+    const key = { companyId: user.companyId, event, channel, locale };
+    const existing = await prisma.messageTemplate.findUnique({
+      where: { companyId_event_channel_locale: key },
+    });
+
+    const template = await prisma.messageTemplate.upsert({
+      where: { companyId_event_channel_locale: key },
+      create: { ...key, subject, body, updatedById: user.id },
+      update: { subject, body, updatedById: user.id },
+    });
+
+    await auditService.logReminderOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: getUserName(user),
+      companyId: user.companyId,
+      action: 'REMINDER_CONFIGURED',
+      reminderId: template.id,
+      reminderType: 'MESSAGE_TEMPLATE',
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      oldValues: existing
+        ? { event, channel, locale, subject: existing.subject, body: existing.body }
+        : { event, channel, locale, isDefault: true },
+      newValues: { event, channel, locale, subject, body },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message template saved successfully',
+      data: {
+        event,
+        channel,
+        locale,
+        subject: template.subject,
+        body: template.body,
+        isDefault: false,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating message template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update message template',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove the company's template so the built-in default is used again
+ * DELETE /api/settings/message-templates/:event/:channel/:locale
+ */
+export const resetMessageTemplate = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const { event, channel, locale } = req.params;
+    const isKnown = TEMPLATE_EVENTS.includes(event)
+      && TEMPLATE_CHANNELS.includes(channel)
+      && SUPPORTED_LOCALES.includes(locale);
+
+    const existing = isKnown
+      ? await prisma.messageTemplate.findUnique({
+        where: { companyId_event_channel_locale: { companyId: user.companyId, event, channel, locale } },
+      })
+      : null;
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'No custom template to reset',
+      });
+    }
+
+    await prisma.messageTemplate.delete({ where: { id: existing.id } });
+
+    await auditService.logReminderOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: getUserName(user),
+      companyId: user.companyId,
+      action: 'REMINDER_CONFIGURED',
+      reminderId: existing.id,
+      reminderType: 'MESSAGE_TEMPLATE',
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      oldValues: { event, channel, locale, subject: existing.subject, body: existing.body },
+      newValues: { event, channel, locale, isDefault: true },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message template reset to default',
+      data: { event, channel, locale, ...resolveTemplate([], event, channel, locale) },
+    });
+  } catch (error) {
+    console.error('Error resetting message template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset message template',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Render a template against a sample driver (or one of the company's drivers)
+ * POST /api/settings/message-templates/preview
+ * Body: { event, channel, locale, subject?, body?, driverId? }
+ * Without body the saved template (or the default) is previewed.
+ */
+export const previewMessageTemplate = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user || !user.companyId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const { event, channel, locale, subject, body, driverId } = req.body || {};
+    const override = body !== undefined ? { subject: channel === 'EMAIL' ? subject : null, body } : null;
+
+    const validation = validateTemplate({
+      event,
+      channel,
+      locale,
+      ...(override || { subject: 'preview', body: 'preview' }),
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message template',
+        errors: validation.errors,
+        unknownVariables: validation.unknownVariables,
+      });
+    }
+
+    const company = await prisma.company.findUnique({
+      where: { id: user.companyId },
+      select: { name: true, timezone: true },
+    });
+
+    let variables = { ...SAMPLE_VARIABLES, company: { name: company?.name || SAMPLE_VARIABLES.company.name } };
+
+    if (driverId) {
+      const driver = await prisma.driver.findFirst({
+        where: { id: driverId, companyId: user.companyId, ...getDriverScopeWhere(getStationScope(user)) },
+        include: {
+          documents: {
+            where: { isCurrent: true, expiryDate: { not: null } },
+            orderBy: { expiryDate: 'asc' },
+            take: 1,
+          },
+        },
+      });
+
+      if (!driver) {
+        return res.status(404).json({
+          success: false,
+          message: 'Driver not found',
+        });
+      }
+
+      variables = { ...variables, driver: { name: driver.name } };
+
+      // Use the driver's next expiring document when they have one (its number masked
+      // without 'view_driver_pii', like everywhere else it is shown)
+      const [nextExpiring] = driver.documents;
+      if (nextExpiring) {
+        const document = await presentDocument(req, nextExpiring, { purpose: 'Message template preview' });
+        const today = getZonedParts(new Date(), getCompanySchedule(company).timezone).dateKey;
+        const daysUntilExpiry = daysBetweenDateKeys(today, document.expiryDate.toISOString().slice(0, 10));
+        variables = {
+          ...variables,
+          ...buildDocumentVariables({ company: variables.company, driver, document, daysUntilExpiry, locale }),
+        };
+      }
+    }
+
+    const companyTemplates = override ? [] : await getCompanyTemplates(user.companyId);
+    const rendered = renderMessage({
+      templates: companyTemplates,
+      event,
+      channel,
+      locale,
+      variables,
+      override,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        event,
+        channel,
+        locale,
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html,
+        length: rendered.text.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error previewing message template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview message template',
+      error: error.message,
+    });
+  }
+};
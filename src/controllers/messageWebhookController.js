@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { parseTwilioStatus, parseEmailEvents } from '../utils/deliveryEvents.js';
+import { parseSmsKeyword, SMS_KEYWORD_REPLIES } from '../utils/smsConsent.js';
+import { recordDeliveryUpdate } from '../services/deliveryStatusService.js';
+import { recordSmsConsent } from '../services/smsConsentService.js';
+
+/**
+ * Message Webhook Controller
+ * Delivery reports from Twilio and the email provider (SendGrid, Amazon SES via SNS, or
+ * anything posting the generic format from utils/deliveryEvents.js), and inbound SMS
+ * keywords for the opt-out ledger.
+ */
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Verify the X-Twilio-Signature header
+ * Twilio signs the exact URL it called; behind the proxy that is the configured one.
+ * @param {Object} req - Express request (form-encoded body)
+ * @param {string} [configuredUrl] - Public webhook URL as configured in Twilio
+ * @returns {boolean}
+ */
+const isValidTwilioRequest = (req, configuredUrl) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers['x-twilio-signature'];
+  const url = configuredUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  return Boolean(authToken && signature && twilio.validateRequest(authToken, signature, url, req.body || {}));
+};
+
+/**
+ * Handle Twilio message status callbacks
+ * POST /api/message-webhooks/twilio/status
+ *
+ * Twilio calls the statusCallback URL set by sendSMS (TWILIO_STATUS_CALLBACK_URL)
+ */
+export const handleTwilioStatus = async (req, res) => {
+  if (!isValidTwilioRequest(req, process.env.TWILIO_STATUS_CALLBACK_URL)) {
+    console.warn('⚠️ Rejected Twilio status callback with invalid signature');
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const update = parseTwilioStatus(req.body);
+
+    if (update) {
+      await recordDeliveryUpdate({
+        channel: 'SMS',
+        providerMessageId: update.providerMessageId,
+        deliveryStatus: update.deliveryStatus,
+        hardBounce: update.hardBounce,
+        reason: update.errorCode ? `Twilio error ${update.errorCode}` : null,
+      });
+    }
+
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Error processing Twilio status callback:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Handle inbound SMS to the Twilio number (STOP/START/HELP)
+ * POST /api/message-webhooks/twilio/inbound
+ *
+ * Configure as the number's "A message comes in" webhook (TWILIO_INBOUND_WEBHOOK_URL).
+ * Opt-outs and opt-ins are appended to the SmsConsent ledger; other messages are ignored.
+ */
+export const handleTwilioInbound = async (req, res) => {
+  if (!isValidTwilioRequest(req, process.env.TWILIO_INBOUND_WEBHOOK_URL)) {
+    console.warn('⚠️ Rejected inbound Twilio message with invalid signature');
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const { From: from, Body: body, MessageSid: messageSid } = req.body;
+    const twiml = new twilio.twiml.MessagingResponse();
+    const keyword = parseSmsKeyword(body);
+
+    if (keyword && from) {
+      if (keyword.action !== 'HELP') {
+        await recordSmsConsent({
+          phone: from,
+          status: keyword.action === 'STOP' ? 'OPTED_OUT' : 'OPTED_IN',
+          source: 'INBOUND_KEYWORD',
+          keyword: keyword.keyword,
+          messageSid,
+        });
+      }
+
+      twiml.message(SMS_KEYWORD_REPLIES[keyword.locale][keyword.action]);
+    }
+
+    return res.type('text/xml').status(200).send(twiml.toString());
+  } catch (error) {
+    console.error('Error processing inbound SMS:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Handle email delivery, bounce and complaint events
+ * POST /api/message-webhooks/email?token=EMAIL_WEBHOOK_SECRET
+ *
+ * The secret can also be sent in the X-Webhook-Secret header.
+ */
+export const handleEmailEvents = async (req, res) => {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  const token = req.query.token || req.headers['x-webhook-secret'];
+
+  if (!secret || !token || !safeEqual(token, secret)) {
+    console.warn('⚠️ Rejected email webhook with invalid token');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    // SNS posts JSON as text/plain
+    const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+
+    // Confirm SNS topic subscriptions so SES notifications start flowing
+    if (payload?.Type === 'SubscriptionConfirmation' && payload.SubscribeURL) {
+      const subscribeUrl = new URL(payload.SubscribeURL);
+      if (subscribeUrl.protocol === 'https:' && subscribeUrl.hostname.endsWith('.amazonaws.com')) {
+        await fetch(subscribeUrl);
+        console.log(`✅ Confirmed SNS subscription for ${payload.TopicArn}`);
+      }
+      return res.status(200).json({ received: true });
+    }
+
+    const events = parseEmailEvents(payload);
+
+    for (const event of events) {
+      await recordDeliveryUpdate({
+        channel: 'EMAIL',
+        providerMessageId: event.providerMessageId,
+        deliveryStatus: event.deliveryStatus,
+        hardBounce: event.hardBounce,
+        reason: event.reason,
+      });
+    }
+
+    return res.status(200).json({ received: true, processed: events.length });
+  } catch (error) {
+    console.error('Error processing email webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,5 +1,7 @@
 import prisma from "../../prisma/client.js";
 import { triggerReminderJobManually as runReminderJob } from "../services/reminderCronService.js";
+import { getStationScope, getDriverScopeWhere } from "../utils/stationScope.js";
+import { presentDocuments } from "../services/piiAccessService.js";
 
 /**
  * Get reminders for the company
@@ -28,11 +30,13 @@ export const getReminders = async (req, res) => {
       where: { id: user.companyId },
       include: {
         drivers: {
+          where: getDriverScopeWhere(getStationScope(user)),
           include: {
             documents: {
               where: {
                 status: { in: ["ACTIVE", "EXPIRING_SOON"] },
                 expiryDate: { not: null },
+                isCurrent: true,
               },
               orderBy: { expiryDate: "asc" },
             },
@@ -139,6 +143,20 @@ export const getReminders = async (req, res) => {
       }
     }
 
+    // Document numbers are masked without 'view_driver_pii' (and logged when shown)
+    const presentedDocuments = await presentDocuments(
+      req,
+      uniqueReminders.map((reminder) => ({
+        id: reminder.documentId,
+        driverId: reminder.driver.id,
+        documentNumber: reminder.documentNumber,
+      })),
+      { purpose: "Expiry reminders" }
+    );
+    uniqueReminders.forEach((reminder, index) => {
+      reminder.documentNumber = presentedDocuments[index].documentNumber;
+    });
+
     // Sort by days until expiry (most urgent first)
     uniqueReminders.sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
 
@@ -218,6 +236,7 @@ export const sendManualReminder = async (req, res) => {
         id: documentId,
         driver: {
           companyId: user.companyId,
+          ...getDriverScopeWhere(getStationScope(user)),
         },
       },
       include: {
@@ -304,6 +323,7 @@ export const getReminderHistory = async (req, res) => {
         id: documentId,
         driver: {
           companyId: user.companyId,
+          ...getDriverScopeWhere(getStationScope(user)),
         },
       },
     });
@@ -1,5 +1,5 @@
 import prisma from '../../prisma/client.js';
-import { constructWebhookEvent } from '../services/stripeService.js';
+import { constructWebhookEvent, getExtraSeatItem } from '../services/stripeService.js';
 import { upgradePlan, purchaseCredits, refillCredits } from '../services/billingService.js';
 
 /**
@@ -274,10 +274,16 @@ async function handleSubscriptionUpdated(subscription) {
       ? new Date(subscription.current_period_end * 1000)
       : null;
 
+    // Keep extra team seats in sync with the subscription (e.g. changed from the billing portal)
+    const extraSeats = subscription.items?.data
+      ? getExtraSeatItem(subscription)?.quantity || 0
+      : company.extraSeats;
+
     await prisma.company.update({
       where: { id: company.id },
       data: {
         subscriptionStatus: statusMap[subscription.status] || 'ACTIVE',
+        extraSeats,
         ...(nextBillingDate && { nextBillingDate }),
       },
     });
@@ -311,6 +317,7 @@ async function handleSubscriptionDeleted(subscription) {
         plan: 'Free',
         aiCredits: 0, // Free plan users who cancel get 0 credits
         subscriptionStatus: 'CANCELED',
+        extraSeats: 0,
         smsEnabled: false,
         emailEnabled: true,
       },
@@ -1,4 +1,5 @@
 import prisma from '../../prisma/client.js';
+import { getExtractionAccuracy } from '../services/extractionFeedbackService.js';
 
 /**
  * Get Super Admin Dashboard Stats
@@ -514,6 +515,60 @@ export const getAIUsage = async (req, res) => {
   }
 };
 
+/**
+ * Get AI extraction accuracy per document type, based on the values staff corrected
+ * GET /api/super-admin/extraction-accuracy
+ */
+export const getExtractionAccuracyReport = async (req, res) => {
+  try {
+    const { period = 'all', companyId } = req.query;
+
+    console.log('📊 Fetching extraction accuracy...', { period, companyId });
+
+    // Build date filter based on period
+    let dateFilter = {};
+    const now = new Date();
+
+    if (period === 'week') {
+      const startOfWeek = new Date(now);
+      startOfWeek.setDate(now.getDate() - 7);
+      dateFilter = { gte: startOfWeek };
+    } else if (period === 'month') {
+      const startOfMonth = new Date(now);
+      startOfMonth.setDate(now.getDate() - 30);
+      dateFilter = { gte: startOfMonth };
+    }
+
+    const where = {
+      ...(Object.keys(dateFilter).length > 0 && { createdAt: dateFilter }),
+      ...(companyId && { companyId })
+    };
+
+    const documentTypes = await getExtractionAccuracy(where);
+
+    const fieldsReviewed = documentTypes.reduce((sum, type) => sum + type.fieldsReviewed, 0);
+    const fieldsCorrected = documentTypes.reduce((sum, type) => sum + type.fieldsCorrected, 0);
+
+    return res.status(200).json({
+      stats: {
+        documentsReviewed: documentTypes.reduce((sum, type) => sum + type.documents, 0),
+        fieldsReviewed,
+        fieldsCorrected,
+        accuracy: fieldsReviewed > 0
+          ? Math.round(((fieldsReviewed - fieldsCorrected) / fieldsReviewed) * 1000) / 10
+          : null
+      },
+      documentTypes
+    });
+  } catch (error) {
+    console.error('❌ Error fetching extraction accuracy:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get System Logs
  * GET /api/super-admin/logs
@@ -899,6 +954,7 @@ export default {
   getAllUsers,
   getRecentActivity,
   getAIUsage,
+  getExtractionAccuracyReport,
   getSystemLogs,
   getConsentLogs,
   getAllBillingData
@@ -1,7 +1,16 @@
 import prisma from "../../prisma/client.js";
 import auditService from "../services/auditService.js";
 import { clerkClient } from "@clerk/express";
-import { sendTeamInvitationEmail } from "../services/emailService.js";
+import {
+  createInvitationLink,
+  retireInvitationLink,
+  queueInvitationEmail,
+  OPEN_INVITATION_STATUSES,
+} from "../services/teamInvitationService.js";
+import { DELIVERY_MODES, DIGEST_FREQUENCIES } from "../utils/complianceDigest.js";
+import { DSP_ROLES, getUserCapabilities, getUnheldCapabilities } from "../utils/dspCapabilities.js";
+import { normalizeStationScope, getStationScope, isWithinStationScope } from "../utils/stationScope.js";
+import { checkLimit } from "../services/billingService.js";
 
 /**
  * Team Management Controller
@@ -9,13 +18,78 @@ import { sendTeamInvitationEmail } from "../services/emailService.js";
  * Only accessible to users with 'manage_users' capability (DSP ADMIN)
  */
 
+/**
+ * Resolve the role requested for a team member: a built-in DSP role, or one of the
+ * company's custom roles (the member's dspRole is then the custom role's baseRole)
+ * @returns {Promise<Object>} { dspRole, customRole } or { status, error }
+ */
+const resolveRequestedRole = async ({ dspRole, customRoleId }, companyId) => {
+  if (customRoleId) {
+    const customRole = await prisma.customRole.findFirst({
+      where: { id: customRoleId, companyId },
+    });
+    if (!customRole) {
+      return { status: 404, error: "Custom role not found" };
+    }
+    return { dspRole: customRole.baseRole, customRole };
+  }
+
+  if (!DSP_ROLES.includes(dspRole)) {
+    return { status: 400, error: `Invalid DSP role. Must be one of: ${DSP_ROLES.join(', ')}` };
+  }
+  return { dspRole, customRole: null };
+};
+
+/**
+ * Capabilities of a requested role that the inviter or updater doesn't hold
+ * (assigning it would give the member more access than the one assigning it)
+ * @param {Object} user - Inviter or updater
+ * @param {Object} role - From resolveRequestedRole(): { dspRole, customRole }
+ * @returns {string[]}
+ */
+const getUnheldRoleCapabilities = (user, { dspRole, customRole }) =>
+  getUnheldCapabilities(user, getUserCapabilities({ dspRole, customRole }));
+
+/**
+ * Validate the stations a team member is limited to against the company's stations
+ * A member who is limited to some stations can only hand out those stations, never an
+ * empty list (every station)
+ * @param {string[]} stationCodes - Requested codes
+ * @param {string} companyId
+ * @param {string[]|null} [scope] - Inviter's or updater's scope, from getStationScope()
+ * @returns {Promise<Object>} { stationCodes } or { status, error }
+ */
+const resolveStationCodes = async (stationCodes, companyId, scope = null) => {
+  if (!Array.isArray(stationCodes)) {
+    return { status: 400, error: "stationCodes must be an array of station codes" };
+  }
+
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { stationCodes: true },
+  });
+
+  const { stationCodes: codes, unknown } = normalizeStationScope(stationCodes, company?.stationCodes || []);
+  if (unknown.length > 0) {
+    return { status: 400, error: `Unknown station codes: ${unknown.join(', ')}` };
+  }
+
+  if (!isWithinStationScope(codes, scope)) {
+    return { status: 403, error: `You can only assign your own stations: ${scope.join(', ')}` };
+  }
+  return { stationCodes: codes };
+};
+
 /**
  * Invite a new team member or update existing user's role
  * POST /api/team/invite
+ * Body: { email, firstName, lastName, dspRole } or { email, firstName, lastName, customRoleId },
+ *   plus optional stationCodes to limit the member to those stations' drivers (required,
+ *   and within the inviter's stations, when the inviter is limited to some stations)
  */
 export const inviteTeamMember = async (req, res) => {
   try {
-    const { email, firstName, lastName, dspRole } = req.body;
+    const { email, firstName, lastName, dspRole: requestedDspRole, customRoleId, stationCodes: requestedStationCodes } = req.body;
     const inviter = req.user;
     const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
     const userAgent = req.headers["user-agent"];
@@ -23,21 +97,13 @@ export const inviteTeamMember = async (req, res) => {
     console.log('\n🔔 ===== TEAM MEMBER INVITATION STARTED =====');
     console.log('📧 Email:', email);
     console.log('👤 Name:', firstName, lastName);
-    console.log('🎭 Role:', dspRole);
+    console.log('🎭 Role:', customRoleId || requestedDspRole);
     console.log('👮 Invited by:', inviter.email);
 
     // Validation
-    if (!email || !firstName || !lastName || !dspRole) {
+    if (!email || !firstName || !lastName || (!requestedDspRole && !customRoleId)) {
       return res.status(400).json({
-        error: "Email, firstName, lastName, and dspRole are required"
-      });
-    }
-
-    // Validate dspRole
-    const validRoles = ['ADMIN', 'COMPLIANCE_MANAGER', 'HR_LEAD', 'VIEWER', 'BILLING'];
-    if (!validRoles.includes(dspRole)) {
-      return res.status(400).json({
-        error: `Invalid DSP role. Must be one of: ${validRoles.join(', ')}`
+        error: "Email, firstName, lastName, and dspRole or customRoleId are required"
       });
     }
 
@@ -48,26 +114,66 @@ export const inviteTeamMember = async (req, res) => {
       });
     }
 
-    // Check team member limit (5 members max per company)
-    const teamMemberCount = await prisma.user.count({
-      where: {
-        companyId: inviter.companyId,
-        role: { not: 'SUPER_ADMIN' }
-      }
-    });
+    // Validate the role against the built-in and company roles
+    const requestedRole = await resolveRequestedRole({ dspRole: requestedDspRole, customRoleId }, inviter.companyId);
+    if (requestedRole.error) {
+      return res.status(requestedRole.status).json({
+        error: requestedRole.error
+      });
+    }
+    const { dspRole, customRole } = requestedRole;
 
-    if (teamMemberCount >= 5) {
+    // Prevent inviting someone as ADMIN
+    if (dspRole === 'ADMIN') {
       return res.status(403).json({
-        error: "Team member limit reached",
-        message: "You can only have up to 5 team members. Please remove a member before inviting a new one."
+        error: "Cannot assign admin role",
+        message: "The ADMIN role is reserved for the company owner only."
       });
     }
 
+    // Only roles within the inviter's own capabilities can be assigned
+    const unheld = getUnheldRoleCapabilities(inviter, requestedRole);
+    if (unheld.length > 0) {
+      return res.status(403).json({
+        error: "You cannot assign a role with capabilities you don't have",
+        capabilities: unheld,
+      });
+    }
+
+    // Validate the station scope, if one was given (empty = every station); an inviter
+    // limited to some stations must limit the invitee to some of theirs
+    const inviterScope = getStationScope(inviter);
+    let stationCodes;
+    if (requestedStationCodes !== undefined || inviterScope) {
+      const requestedStations = await resolveStationCodes(requestedStationCodes ?? [], inviter.companyId, inviterScope);
+      if (requestedStations.error) {
+        return res.status(requestedStations.status).json({
+          error: requestedStations.error
+        });
+      }
+      stationCodes = requestedStations.stationCodes;
+    }
+
     // Check if user already exists in the system
     let targetUser = await prisma.user.findUnique({
       where: { email },
     });
 
+    // Check the plan's team seat limit (re-inviting a current member doesn't take a new seat)
+    if (targetUser?.companyId !== inviter.companyId) {
+      const seatCheck = await checkLimit(inviter.companyId, 'teamMembers');
+
+      if (!seatCheck.allowed) {
+        return res.status(403).json({
+          error: "Team member limit reached",
+          message: seatCheck.message,
+          current: seatCheck.current,
+          limit: seatCheck.limit,
+          canBuySeats: seatCheck.canBuySeats
+        });
+      }
+    }
+
     let isNewUser = false;
     let oldRole = null;
 
@@ -111,11 +217,15 @@ export const inviteTeamMember = async (req, res) => {
       } else {
         // Update existing user in database and Clerk
         oldRole = targetUser.dspRole;
+        const oldCustomRoleId = targetUser.customRoleId;
+        const oldStationCodes = targetUser.stationCodes;
 
         targetUser = await prisma.user.update({
           where: { id: targetUser.id },
           data: {
             dspRole,
+            customRoleId: customRole?.id || null,
+            ...(stationCodes && { stationCodes }),
             firstName: firstName,
             lastName: lastName,
             companyId: inviter.companyId,
@@ -128,6 +238,7 @@ export const inviteTeamMember = async (req, res) => {
             publicMetadata: {
               role: targetUser.role,
               dspRole: dspRole,
+              customRoleId: customRole?.id || null,
               companyId: inviter.companyId,
             },
           });
@@ -147,12 +258,13 @@ export const inviteTeamMember = async (req, res) => {
           targetUserEmail: email,
           ipAddress,
           userAgent,
-          oldValues: { dspRole: oldRole },
-          newValues: { dspRole },
+          oldValues: { dspRole: oldRole, customRoleId: oldCustomRoleId, stationCodes: oldStationCodes },
+          newValues: { dspRole, customRoleId: customRole?.id || null, stationCodes: targetUser.stationCodes },
           metadata: {
             updatedBy: inviter.email,
             oldRole,
             newRole: dspRole,
+            newCustomRole: customRole?.name || null,
           },
         });
 
@@ -165,6 +277,8 @@ export const inviteTeamMember = async (req, res) => {
             firstName: targetUser.firstName,
             lastName: targetUser.lastName,
             dspRole: targetUser.dspRole,
+            customRoleId: targetUser.customRoleId,
+            stationCodes: targetUser.stationCodes,
             role: targetUser.role,
           },
         });
@@ -199,6 +313,7 @@ export const inviteTeamMember = async (req, res) => {
           publicMetadata: {
             role: 'ADMIN',              // System role
             dspRole: dspRole,           // DSP-specific role (HR_LEAD, BILLING, etc.)
+            customRoleId: customRole?.id || null, // Company-defined role, if any
             companyId: inviter.companyId, // Link to company
             invitedBy: inviter.id,      // Track who invited them
             mfaEnabled: false,          // MFA not enabled initially
@@ -217,6 +332,8 @@ export const inviteTeamMember = async (req, res) => {
               firstName,
               lastName,
               dspRole,
+              customRoleId: customRole?.id || null,
+              ...(stationCodes && { stationCodes }),
               companyId: inviter.companyId,
               clerkUserId: clerkUser.id, // ✅ Update with new Clerk ID
             },
@@ -230,6 +347,8 @@ export const inviteTeamMember = async (req, res) => {
               firstName,
               lastName,
               dspRole,
+              customRoleId: customRole?.id || null,
+              stationCodes: stationCodes || [],
               role: 'ADMIN',
               companyId: inviter.companyId,
               clerkUserId: clerkUser.id, // ✅ Link Clerk account immediately
@@ -238,17 +357,10 @@ export const inviteTeamMember = async (req, res) => {
           console.log('✅ Database user created:', targetUser.id);
         }
 
-        // Step 3: Generate sign-in token from Clerk
-        const signInToken = await clerkClient.signInTokens.createSignInToken({
-          userId: clerkUser.id,
-          expiresInSeconds: 604800, // 7 days
-        });
-
-        // Extract token and construct URL with production frontend URL
-        const token = signInToken.token;
-        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-        passwordResetUrl = `${frontendUrl}/sign-in?ticket=${token}`;
-        console.log('✅ Sign-in token generated with frontend URL:', frontendUrl);
+        // Step 3: Generate sign-in link from Clerk (valid 7 days)
+        const invitationLink = await createInvitationLink(clerkUser.id);
+        passwordResetUrl = invitationLink.url;
+        console.log('✅ Sign-in token generated');
 
         // Step 4: Create TeamInvitation record
         teamInvitation = await prisma.teamInvitation.create({
@@ -258,43 +370,34 @@ export const inviteTeamMember = async (req, res) => {
             firstName,
             lastName,
             dspRole,
+            customRoleId: customRole?.id || null,
+            stationCodes: stationCodes || [],
             invitedById: inviter.id,
             clerkSignInToken: passwordResetUrl,
+            clerkSignInTokenId: invitationLink.tokenId,
             clerkUserId: clerkUser.id,
             userId: targetUser.id,
-            expiresAt: new Date(Date.now() + 604800 * 1000), // 7 days
+            expiresAt: invitationLink.expiresAt,
             status: 'PENDING',
           },
         });
 
         console.log('✅ Team invitation record created:', teamInvitation.id);
 
-        // Step 5: Send custom email with password setup link
+        // Step 5: Queue custom email with password setup link
+        // (the outbox marks the invitation SENT, or FAILED with the error, once delivery finishes)
         try {
-          await sendTeamInvitationEmail({
-            email,
-            firstName,
-            lastName,
-            inviterName: `${inviter.firstName || ''} ${inviter.lastName || ''}`.trim() || inviter.email,
-            companyName: company?.name || 'Your Company',
-            role: dspRole,
-            invitationUrl: passwordResetUrl, // Password setup link
+          await queueInvitationEmail({
+            invitation: teamInvitation,
+            inviter,
+            companyName: company?.name,
+            roleName: customRole?.name || dspRole,
           });
 
           emailSent = true;
-
-          // Update invitation status to SENT
-          await prisma.teamInvitation.update({
-            where: { id: teamInvitation.id },
-            data: {
-              status: 'SENT',
-              emailSentAt: new Date(),
-            },
-          });
-
-          console.log('✅ Team invitation email sent to:', email);
+          console.log('✅ Team invitation email queued for:', email);
         } catch (emailErr) {
-          console.error('❌ Failed to send email:', emailErr);
+          console.error('❌ Failed to queue email:', emailErr);
           emailError = emailErr.message;
 
           // Update invitation status to FAILED
@@ -336,6 +439,7 @@ export const inviteTeamMember = async (req, res) => {
         metadata: {
           invitedBy: inviter.email,
           assignedDspRole: dspRole,
+          assignedCustomRole: customRole?.name || null,
           isNewUser: true,
           clerkUserId: clerkUser.id,
           passwordResetSent: !!passwordResetUrl,
@@ -359,6 +463,7 @@ export const inviteTeamMember = async (req, res) => {
           id: targetUser.id,
           email: targetUser.email,
           dspRole: targetUser.dspRole,
+          customRoleId: targetUser.customRoleId,
           role: targetUser.role,
           clerkUserId: clerkUser.id,
         },
@@ -388,6 +493,7 @@ export const inviteTeamMember = async (req, res) => {
       metadata: {
         attemptedEmail: req.body.email,
         attemptedRole: req.body.dspRole,
+        attemptedCustomRoleId: req.body.customRoleId,
       },
     });
 
@@ -424,7 +530,11 @@ export const getTeamMembers = async (req, res) => {
         lastName: true,
         role: true,
         dspRole: true,
+        customRole: { select: { id: true, name: true } },
+        stationCodes: true,
         mfaEnabled: true,
+        reminderDeliveryMode: true,
+        digestFrequency: true,
         createdAt: true,
       },
       orderBy: {
@@ -463,26 +573,28 @@ export const getTeamMembers = async (req, res) => {
 /**
  * Update a team member's DSP role
  * PUT /api/team/:userId
+ * Body: { dspRole } or { customRoleId }
  */
 export const updateTeamMemberRole = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { dspRole } = req.body;
+    const { dspRole: requestedDspRole, customRoleId } = req.body;
     const updater = req.user;
     const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
     const userAgent = req.headers["user-agent"];
 
     // Validation
-    if (!dspRole) {
-      return res.status(400).json({ error: "dspRole is required" });
+    if (!requestedDspRole && !customRoleId) {
+      return res.status(400).json({ error: "dspRole or customRoleId is required" });
     }
 
-    const validRoles = ['ADMIN', 'COMPLIANCE_MANAGER', 'HR_LEAD', 'VIEWER', 'BILLING'];
-    if (!validRoles.includes(dspRole)) {
-      return res.status(400).json({
-        error: `Invalid DSP role. Must be one of: ${validRoles.join(', ')}`
+    const requestedRole = await resolveRequestedRole({ dspRole: requestedDspRole, customRoleId }, updater.companyId);
+    if (requestedRole.error) {
+      return res.status(requestedRole.status).json({
+        error: requestedRole.error
       });
     }
+    const { dspRole, customRole } = requestedRole;
 
     // Cannot update your own role
     if (userId === updater.id) {
@@ -523,12 +635,22 @@ export const updateTeamMemberRole = async (req, res) => {
       });
     }
 
+    // Only roles within the updater's own capabilities can be assigned
+    const unheld = getUnheldRoleCapabilities(updater, requestedRole);
+    if (unheld.length > 0) {
+      return res.status(403).json({
+        error: "You cannot assign a role with capabilities you don't have",
+        capabilities: unheld,
+      });
+    }
+
     const oldRole = targetUser.dspRole;
+    const oldCustomRoleId = targetUser.customRoleId;
 
     // Update role
     const updatedUser = await prisma.user.update({
       where: { id: userId },
-      data: { dspRole },
+      data: { dspRole, customRoleId: customRole?.id || null },
     });
 
     // Update Clerk metadata
@@ -538,6 +660,7 @@ export const updateTeamMemberRole = async (req, res) => {
           publicMetadata: {
             role: updatedUser.role,
             dspRole: dspRole,
+            customRoleId: updatedUser.customRoleId,
             companyId: updatedUser.companyId,
           },
         });
@@ -557,12 +680,13 @@ export const updateTeamMemberRole = async (req, res) => {
       targetUserEmail: targetUser.email,
       ipAddress,
       userAgent,
-      oldValues: { dspRole: oldRole },
-      newValues: { dspRole },
+      oldValues: { dspRole: oldRole, customRoleId: oldCustomRoleId },
+      newValues: { dspRole, customRoleId: updatedUser.customRoleId },
       metadata: {
         updatedBy: updater.email,
         oldRole,
         newRole: dspRole,
+        newCustomRole: customRole?.name || null,
       },
     });
 
@@ -575,6 +699,7 @@ export const updateTeamMemberRole = async (req, res) => {
         firstName: updatedUser.firstName,
         lastName: updatedUser.lastName,
         dspRole: updatedUser.dspRole,
+        customRoleId: updatedUser.customRoleId,
         role: updatedUser.role,
       },
     });
@@ -600,6 +725,97 @@ export const updateTeamMemberRole = async (req, res) => {
   }
 };
 
+/**
+ * Limit a team member to the drivers of some stations, or clear the limit
+ * PUT /api/team/:userId/stations
+ * Body: { stationCodes } - codes from the company's stationCodes; [] = every station
+ * Members limited to some stations can only assign a non-empty subset of theirs.
+ */
+export const updateTeamMemberStations = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const updater = req.user;
+    const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    // Cannot widen (or narrow) your own access
+    if (userId === updater.id) {
+      return res.status(400).json({
+        error: "You cannot modify your own stations"
+      });
+    }
+
+    const requestedStations = await resolveStationCodes(req.body.stationCodes, updater.companyId, getStationScope(updater));
+    if (requestedStations.error) {
+      return res.status(requestedStations.status).json({
+        error: requestedStations.error
+      });
+    }
+    const { stationCodes } = requestedStations;
+
+    // Get target user
+    const targetUser = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!targetUser) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Verify same company
+    if (targetUser.companyId !== updater.companyId) {
+      return res.status(403).json({
+        error: "You can only update team members in your company"
+      });
+    }
+
+    // The company admin always sees every station
+    if (targetUser.dspRole === 'ADMIN') {
+      return res.status(403).json({
+        error: "Cannot limit admin to stations",
+        message: "Admin users always have access to every station."
+      });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { stationCodes },
+    });
+
+    await auditService.logTeamOperation({
+      userId: updater.id,
+      userEmail: updater.email,
+      userName: `${updater.firstName || ''} ${updater.lastName || ''}`.trim(),
+      companyId: updater.companyId,
+      action: "TEAM_MEMBER_ROLE_UPDATED",
+      targetUserId: userId,
+      targetUserEmail: targetUser.email,
+      ipAddress,
+      userAgent,
+      oldValues: { stationCodes: targetUser.stationCodes },
+      newValues: { stationCodes },
+      metadata: {
+        updatedBy: updater.email,
+        scope: stationCodes.length > 0 ? 'stations' : 'all',
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Team member stations updated successfully",
+      user: {
+        id: updatedUser.id,
+        email: updatedUser.email,
+        dspRole: updatedUser.dspRole,
+        stationCodes: updatedUser.stationCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Update team member stations error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Get team invitation history for the current user's company
  * GET /api/team/invitations
@@ -635,6 +851,249 @@ export const getTeamInvitations = async (req, res) => {
   }
 };
 
+// Invitations an admin can still resend or revoke
+const ACTIONABLE_INVITATION_STATUSES = [...OPEN_INVITATION_STATUSES, 'EXPIRED'];
+
+/**
+ * Load an invitation of the admin's company that can still be resent or revoked
+ * @returns {Promise<Object>} { invitation } or { status, error }
+ */
+const loadActionableInvitation = async (invitationId, companyId) => {
+  const invitation = await prisma.teamInvitation.findUnique({
+    where: { id: invitationId },
+  });
+
+  if (!invitation || invitation.companyId !== companyId) {
+    return { status: 404, error: "Invitation not found" };
+  }
+
+  if (!ACTIONABLE_INVITATION_STATUSES.includes(invitation.status)) {
+    return { status: 400, error: `This invitation is already ${invitation.status.toLowerCase()}` };
+  }
+
+  return { invitation };
+};
+
+/**
+ * Resend a pending, failed or expired invitation with a new 7-day sign-in link
+ * The previous link is revoked, and its email cancelled if it hasn't gone out yet.
+ * POST /api/team/invitations/:invitationId/resend
+ */
+export const resendTeamInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const admin = req.user;
+    const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    const result = await loadActionableInvitation(invitationId, admin.companyId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { invitation } = result;
+
+    // The invited user must still hold their seat in the company
+    const invitedUser = invitation.userId
+      ? await prisma.user.findUnique({ where: { id: invitation.userId } })
+      : null;
+
+    if (!invitedUser?.clerkUserId || invitedUser.companyId !== invitation.companyId) {
+      return res.status(409).json({
+        error: "Invited user is no longer part of your company",
+        message: "Send a new invitation instead."
+      });
+    }
+
+    await retireInvitationLink(invitation, 'Replaced by a resent invitation');
+
+    const invitationLink = await createInvitationLink(invitedUser.clerkUserId);
+
+    const updatedInvitation = await prisma.teamInvitation.update({
+      where: { id: invitation.id },
+      data: {
+        status: 'PENDING',
+        clerkSignInToken: invitationLink.url,
+        clerkSignInTokenId: invitationLink.tokenId,
+        clerkUserId: invitedUser.clerkUserId,
+        expiresAt: invitationLink.expiresAt,
+        errorMessage: null,
+      },
+    });
+
+    const [company, customRole] = await Promise.all([
+      prisma.company.findUnique({
+        where: { id: invitation.companyId },
+        select: { name: true },
+      }),
+      invitation.customRoleId
+        ? prisma.customRole.findUnique({ where: { id: invitation.customRoleId }, select: { name: true } })
+        : null,
+    ]);
+
+    let emailError = null;
+    try {
+      await queueInvitationEmail({
+        invitation: updatedInvitation,
+        inviter: admin,
+        companyName: company?.name,
+        roleName: customRole?.name || invitation.dspRole,
+      });
+    } catch (emailErr) {
+      console.error('❌ Failed to queue email:', emailErr);
+      emailError = emailErr.message;
+
+      await prisma.teamInvitation.update({
+        where: { id: invitation.id },
+        data: {
+          status: 'FAILED',
+          errorMessage: emailErr.message,
+        },
+      });
+    }
+
+    await auditService.logTeamOperation({
+      userId: admin.id,
+      userEmail: admin.email,
+      userName: `${admin.firstName || ''} ${admin.lastName || ''}`.trim(),
+      companyId: admin.companyId,
+      action: "TEAM_INVITATION_RESENT",
+      targetUserId: invitedUser.id,
+      targetUserEmail: invitation.email,
+      ipAddress,
+      userAgent,
+      metadata: {
+        invitationId: invitation.id,
+        previousStatus: invitation.status,
+        expiresAt: invitationLink.expiresAt,
+        emailSent: !emailError,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: emailError
+        ? "Invitation renewed but the email failed to send. Please check the invitation history for details."
+        : "Invitation resent successfully",
+      invitationSent: !emailError,
+      emailError,
+      invitation: {
+        id: updatedInvitation.id,
+        email: updatedInvitation.email,
+        status: emailError ? 'FAILED' : updatedInvitation.status,
+        expiresAt: updatedInvitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Resend team invitation error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Revoke an invitation that hasn't been accepted
+ * The sign-in link is revoked, an unsent invitation email is cancelled and the invited user
+ * is unlinked from the company, freeing their seat. The Clerk account created for the
+ * invitation is deleted if it was never signed in to (accounts already in use are kept,
+ * as removeTeamMember does, since the person may still sign in to other parts of Complyo).
+ * POST /api/team/invitations/:invitationId/revoke
+ */
+export const revokeTeamInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const admin = req.user;
+    const ipAddress = req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress;
+    const userAgent = req.headers["user-agent"];
+
+    const result = await loadActionableInvitation(invitationId, admin.companyId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { invitation } = result;
+
+    await retireInvitationLink(invitation, 'Invitation revoked');
+
+    await prisma.teamInvitation.update({
+      where: { id: invitation.id },
+      data: {
+        status: 'REJECTED',
+        rejectedAt: new Date(),
+        clerkSignInToken: null,
+        clerkSignInTokenId: null,
+      },
+    });
+
+    // Unlink the invited user, as removeTeamMember does
+    let clerkUserDeleted = false;
+    const invitedUser = invitation.userId
+      ? await prisma.user.findUnique({ where: { id: invitation.userId } })
+      : null;
+
+    if (invitedUser && invitedUser.companyId === invitation.companyId && invitedUser.dspRole !== 'ADMIN') {
+      await prisma.user.update({
+        where: { id: invitedUser.id },
+        data: {
+          companyId: null,
+          dspRole: null,
+          customRoleId: null,
+          stationCodes: [],
+        },
+      });
+
+      if (invitedUser.clerkUserId) {
+        try {
+          // The invitation pre-created this account; if it was never used, nothing else needs it
+          const clerkUser = invitation.clerkUserId === invitedUser.clerkUserId
+            ? await clerkClient.users.getUser(invitedUser.clerkUserId)
+            : null;
+
+          if (clerkUser && !clerkUser.lastSignInAt) {
+            await clerkClient.users.deleteUser(invitedUser.clerkUserId);
+            clerkUserDeleted = true;
+            console.log('🧹 Deleted unused Clerk user of revoked invitation:', invitedUser.clerkUserId);
+          } else {
+            await clerkClient.users.updateUserMetadata(invitedUser.clerkUserId, {
+              publicMetadata: {
+                role: invitedUser.role,
+                dspRole: null,
+                customRoleId: null,
+                companyId: null,
+              },
+            });
+          }
+        } catch (clerkError) {
+          console.error("Failed to update Clerk user:", clerkError);
+        }
+      }
+    }
+
+    await auditService.logTeamOperation({
+      userId: admin.id,
+      userEmail: admin.email,
+      userName: `${admin.firstName || ''} ${admin.lastName || ''}`.trim(),
+      companyId: admin.companyId,
+      action: "TEAM_INVITATION_REVOKED",
+      targetUserId: invitation.userId,
+      targetUserEmail: invitation.email,
+      ipAddress,
+      userAgent,
+      metadata: {
+        invitationId: invitation.id,
+        previousStatus: invitation.status,
+        revokedBy: admin.email,
+        clerkUserDeleted,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke team invitation error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Remove a team member from the company
  * DELETE /api/team/:userId
@@ -683,6 +1142,8 @@ export const removeTeamMember = async (req, res) => {
       data: {
         companyId: null,
         dspRole: null,
+        customRoleId: null,
+        stationCodes: [],
       },
     });
 
@@ -693,6 +1154,7 @@ export const removeTeamMember = async (req, res) => {
           publicMetadata: {
             role: targetUser.role,
             dspRole: null,
+            customRoleId: null,
             companyId: null,
           },
         });
@@ -744,3 +1206,113 @@ export const removeTeamMember = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+/**
+ * Get the current user's reminder email preferences
+ * GET /api/team/me/reminder-preferences
+ */
+export const getMyReminderPreferences = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.companyId) {
+      return res.status(403).json({
+        error: "You must belong to a company"
+      });
+    }
+
+    const preferences = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: {
+        reminderDeliveryMode: true,
+        digestFrequency: true,
+        companyUser: { select: { digestFrequency: true } },
+      },
+    });
+
+    res.json({
+      success: true,
+      preferences: {
+        reminderDeliveryMode: preferences.reminderDeliveryMode,
+        digestFrequency: preferences.digestFrequency,
+        companyDigestFrequency: preferences.companyUser?.digestFrequency || 'DAILY',
+      },
+    });
+  } catch (error) {
+    console.error("Get reminder preferences error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update the current user's reminder email preferences
+ * PUT /api/team/me/reminder-preferences
+ * Body: {
+ *   reminderDeliveryMode: 'INDIVIDUAL' | 'DIGEST' | 'BOTH' | null (null = no reminder emails),
+ *   digestFrequency?: 'DAILY' | 'WEEKLY' | null (null = company setting)
+ * }
+ */
+export const updateMyReminderPreferences = async (req, res) => {
+  try {
+    const user = req.user;
+    const { reminderDeliveryMode, digestFrequency } = req.body;
+
+    if (!user.companyId) {
+      return res.status(403).json({
+        error: "You must belong to a company"
+      });
+    }
+
+    if (reminderDeliveryMode !== undefined && reminderDeliveryMode !== null && !DELIVERY_MODES.includes(reminderDeliveryMode)) {
+      return res.status(400).json({
+        error: `reminderDeliveryMode must be one of ${DELIVERY_MODES.join(", ")} or null`
+      });
+    }
+
+    if (digestFrequency !== undefined && digestFrequency !== null && !DIGEST_FREQUENCIES.includes(digestFrequency)) {
+      return res.status(400).json({
+        error: `digestFrequency must be one of ${DIGEST_FREQUENCIES.join(", ")} or null`
+      });
+    }
+
+    const previous = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { reminderDeliveryMode: true, digestFrequency: true },
+    });
+
+    const updateData = {};
+    if (reminderDeliveryMode !== undefined) updateData.reminderDeliveryMode = reminderDeliveryMode;
+    if (digestFrequency !== undefined) updateData.digestFrequency = digestFrequency;
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: updateData,
+      select: { reminderDeliveryMode: true, digestFrequency: true },
+    });
+
+    await auditService.logAudit({
+      userId: user.id,
+      userEmail: user.email,
+      userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      companyId: user.companyId,
+      action: "SETTINGS_UPDATED",
+      resource: "ReminderPreferences",
+      resourceId: user.id,
+      oldValues: previous,
+      newValues: updatedUser,
+      ipAddress: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress,
+      userAgent: req.headers["user-agent"],
+      severity: "INFO",
+      category: "USER_MANAGEMENT",
+    });
+
+    res.json({
+      success: true,
+      message: "Reminder preferences updated successfully",
+      preferences: updatedUser,
+    });
+  } catch (error) {
+    console.error("Update reminder preferences error:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -94,6 +94,8 @@ export const requireAuth = async (req, res, next) => {
         firstName: true,
         lastName: true,
         companyId: true,
+        stationCodes: true,
+        customRole: { select: { id: true, name: true, capabilities: true } },
       },
     });
 
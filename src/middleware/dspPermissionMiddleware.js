@@ -26,7 +26,7 @@ export const requireCapability = (capability) => {
         });
       }
 
-      // Get user from database with all necessary fields
+      // Get user from database with all necessary fields (capabilities of a custom role come from the database)
       const user = await prisma.user.findUnique({
         where: { clerkUserId },
         select: {
@@ -37,6 +37,8 @@ export const requireCapability = (capability) => {
           firstName: true,
           lastName: true,
           companyId: true,
+          stationCodes: true,
+          customRole: { select: { id: true, name: true, capabilities: true } },
         },
       });
 
@@ -67,6 +69,7 @@ export const requireCapability = (capability) => {
             requiredCapability: capability,
             userRole: user.role,
             userDspRole: user.dspRole,
+            userCustomRole: user.customRole?.name || null,
             endpoint: req.originalUrl,
             method: req.method,
           },
@@ -78,7 +81,7 @@ export const requireCapability = (capability) => {
           error: "Forbidden",
           message: `You do not have permission to perform this action. Required capability: ${capability}`,
           requiredCapability: capability,
-          yourRole: user.dspRole || user.role,
+          yourRole: user.customRole?.name || user.dspRole || user.role,
         });
       }
 
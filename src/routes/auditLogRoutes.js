@@ -24,7 +24,7 @@ router.get("/security", requireCapability("view_audit_logs"), getSecurityEvents)
 // Verify log integrity (requires view_audit_logs capability)
 router.get("/verify-integrity", requireCapability("view_audit_logs"), verifyIntegrity);
 
-// Export audit logs (requires view_audit_logs capability)
-router.get("/export", requireCapability("view_audit_logs"), exportAuditLogs);
+// Export audit logs (requires view_audit_logs and export_data capabilities)
+router.get("/export", requireCapability("view_audit_logs"), requireCapability("export_data"), exportAuditLogs);
 
 export default router;
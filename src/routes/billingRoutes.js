@@ -6,6 +6,7 @@ import {
   upgrade,
   downgrade,
   cancelDowngrade,
+  updateSeats,
   getBillingHistory,
   getCreditTransactions,
   checkActionLimit,
@@ -43,6 +44,9 @@ router.post('/downgrade', requireMFA, requireCapability("manage_billing"), downg
 // Cancel pending downgrade (REQUIRES MFA - sensitive operation)
 router.post('/cancel-downgrade', requireMFA, requireCapability("manage_billing"), cancelDowngrade);
 
+// Change the number of extra team seats (REQUIRES MFA - changes the subscription)
+router.post('/seats', requireMFA, requireCapability("manage_billing"), updateSeats);
+
 // Get billing history (REQUIRES MFA - sensitive data)
 router.get('/history', requireMFA, requireCapability("manage_billing"), getBillingHistory);
 
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getCalendarFeedIcs } from '../controllers/calendarFeedController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/calendar/:token.ics
+ * iCalendar feed of document expiries and custom reminders
+ * No authentication - the token in the URL is the credential (see Settings > Calendar feed)
+ * Optional filters: ?station=CODE or ?driver=DRIVER_ID
+ */
+router.get('/:token', getCalendarFeedIcs);
+
+export default router;
@@ -6,12 +6,15 @@ import {
   getDriverDocuments,
   deleteDocument,
   getDocumentDownloadUrl,
+  getDocumentVersionHistory,
   scanDocumentWithAI,
   bulkScanDocumentsWithAI,
+  getScanJobStatus,
   getCreditsBalance,
   getReminders,
   getDocumentStatus,
 } from '../controllers/documentController.js';
+import { getReviewQueue, approveDocument, rejectDocument } from '../controllers/documentReviewController.js';
 import { requireCapability } from '../middleware/dspPermissionMiddleware.js';
 import { aiScanRateLimiter, bulkAiScanRateLimiter } from '../middleware/rateLimitMiddleware.js';
 
@@ -22,6 +25,9 @@ const router = express.Router();
  * All routes require authentication (handled by authMiddleware in server.js)
  */
 
+// Documents waiting for review (driver portal uploads, low-confidence AI scans)
+router.get('/review-queue', requireCapability("upload_documents"), getReviewQueue);
+
 // Get reminders (requires upload_documents to view documents)
 router.get('/reminders', requireCapability("upload_documents"), getReminders);
 
@@ -34,6 +40,9 @@ router.get('/credits', requireCapability("upload_documents"), getCreditsBalance)
 // Bulk AI scan multiple documents (requires upload_documents + rate limiting)
 router.post('/bulk-ai-scan', bulkAiScanRateLimiter, requireCapability("upload_documents"), bulkScanDocumentsWithAI);
 
+// Poll the progress of a bulk AI scan job
+router.get('/scan-jobs/:jobId', requireCapability("upload_documents"), getScanJobStatus);
+
 // Generate presigned URLs for upload (requires upload_documents capability)
 router.post('/presigned-urls/:driverId', requireCapability("upload_documents"), generatePresignedUrls);
 
@@ -46,8 +55,15 @@ router.put('/:documentId', requireCapability("upload_documents"), updateDocument
 // Get all documents for a driver (requires upload_documents to view)
 router.get('/driver/:driverId', requireCapability("upload_documents"), getDriverDocuments);
 
-// Get presigned download URL (requires upload_documents to download)
-router.get('/:documentId/download-url', requireCapability("upload_documents"), getDocumentDownloadUrl);
+// Get presigned download URL of the original file (requires download_documents)
+router.get('/:documentId/download-url', requireCapability("download_documents"), getDocumentDownloadUrl);
+
+// Get version history of a document (requires upload_documents to view)
+router.get('/:documentId/versions', requireCapability("upload_documents"), getDocumentVersionHistory);
+
+// Approve or reject a document from the review queue
+router.post('/:documentId/approve', requireCapability("upload_documents"), approveDocument);
+router.post('/:documentId/reject', requireCapability("upload_documents"), rejectDocument);
 
 // AI scan document (requires upload_documents capability + rate limiting)
 router.post('/:documentId/ai-scan', aiScanRateLimiter, requireCapability("upload_documents"), scanDocumentWithAI);
@@ -6,6 +6,7 @@ import {
   updateDriver,
   deleteDriver,
   getDocumentCounts,
+  getDriverComplianceSnapshot,
   bulkImportDrivers,
 } from "../controllers/driverController.js";
 import { requireCapability } from "../middleware/dspPermissionMiddleware.js";
@@ -29,6 +30,9 @@ router.get("/", requireCapability("create_edit_drivers"), getDrivers);
 // Get document counts (requires create_edit_drivers capability)
 router.get("/document-counts", requireCapability("create_edit_drivers"), getDocumentCounts);
 
+// Point-in-time compliance snapshot (requires create_edit_drivers capability)
+router.get("/:id/compliance", requireCapability("create_edit_drivers"), getDriverComplianceSnapshot);
+
 // Get driver by ID (requires create_edit_drivers capability)
 router.get("/:id", requireCapability("create_edit_drivers"), getDriverById);
 
@@ -0,0 +1,25 @@
+import express from 'express';
+import { handleTwilioStatus, handleTwilioInbound, handleEmailEvents } from '../controllers/messageWebhookController.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/message-webhooks/twilio/status
+ * Twilio SMS status callbacks (form encoded, verified with X-Twilio-Signature)
+ */
+router.post('/twilio/status', express.urlencoded({ extended: false }), handleTwilioStatus);
+
+/**
+ * POST /api/message-webhooks/twilio/inbound
+ * Inbound SMS to the Twilio number - STOP/START/HELP keywords (verified with X-Twilio-Signature)
+ */
+router.post('/twilio/inbound', express.urlencoded({ extended: false }), handleTwilioInbound);
+
+/**
+ * POST /api/message-webhooks/email
+ * Email provider bounce/complaint/delivery events (verified with EMAIL_WEBHOOK_SECRET)
+ * Amazon SNS sends its JSON as text/plain
+ */
+router.post('/email', express.text({ type: 'text/plain' }), handleEmailEvents);
+
+export default router;
@@ -11,6 +11,7 @@ import {
   getCustomReminder,
   updateCustomReminder,
   deleteCustomReminder,
+  getCustomReminderDeliveries,
 } from '../controllers/customReminderController.js';
 import { requireCapability } from '../middleware/dspPermissionMiddleware.js';
 
@@ -56,7 +57,8 @@ router.post('/trigger-cron', requireCapability("configure_reminders"), triggerRe
  * @route   POST /api/reminders/custom
  * @desc    Create a new custom reminder
  * @access  Private (requires configure_reminders capability)
- * @body    { title, description?, triggerDate, triggerTime?, frequency?, notificationType?, priority? }
+ * @body    { title, description?, triggerDate (YYYY-MM-DD), triggerTime? (HH:MM, company timezone), frequency? (ONCE, DAILY, WEEKLY, MONTHLY, QUARTERLY, YEARLY), recurrence? (see utils/recurrence.js), notificationType?, priority?,
+ *            targetType? (COMPANY, DRIVERS, STATION, MISSING_DOCUMENT, ROLE), targetDriverIds?, targetStationCodes?, targetDocumentType?, targetRoles? (see utils/reminderTargets.js) }
  */
 router.post('/custom', requireCapability("configure_reminders"), createCustomReminder);
 
@@ -69,16 +71,24 @@ router.get('/custom', requireCapability("configure_reminders"), getCustomReminde
 
 /**
  * @route   GET /api/reminders/custom/:id
- * @desc    Get a single custom reminder
+ * @desc    Get a single custom reminder with its next occurrences
  * @access  Private (requires configure_reminders capability)
  */
 router.get('/custom/:id', requireCapability("configure_reminders"), getCustomReminder);
 
+/**
+ * @route   GET /api/reminders/custom/:id/deliveries
+ * @desc    Get the per-recipient delivery records of a custom reminder
+ * @access  Private (requires configure_reminders capability)
+ * @query   { occurrence? (ISO date), status? (QUEUED, SENT, FAILED, SKIPPED), page?, limit? }
+ */
+router.get('/custom/:id/deliveries', requireCapability("configure_reminders"), getCustomReminderDeliveries);
+
 /**
  * @route   PUT /api/reminders/custom/:id
  * @desc    Update a custom reminder
  * @access  Private (requires configure_reminders capability)
- * @body    { title?, description?, triggerDate?, triggerTime?, frequency?, notificationType?, priority? }
+ * @body    { title?, description?, triggerDate?, triggerTime?, frequency?, recurrence?, notificationType?, priority?, targetType?, targetDriverIds?, targetStationCodes?, targetDocumentType?, targetRoles? }
  */
 router.put('/custom/:id', requireCapability("configure_reminders"), updateCustomReminder);
 
@@ -6,6 +6,7 @@ import {
   exportSecurityLogs,
 } from '../controllers/securityLogController.js';
 import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireCapability } from '../middleware/dspPermissionMiddleware.js';
 
 const router = express.Router();
 
@@ -22,8 +23,8 @@ router.get('/', requireAuth, getSecurityLogs);
 // Get security statistics for dashboard
 router.get('/stats', requireAuth, getSecurityStats);
 
-// Export security logs as CSV
-router.get('/export', requireAuth, exportSecurityLogs);
+// Export security logs as CSV (requires export_data capability)
+router.get('/export', requireCapability('export_data'), exportSecurityLogs);
 
 // Get specific security event by ID
 router.get('/:id', requireAuth, getSecurityEventById);
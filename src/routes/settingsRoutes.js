@@ -8,7 +8,27 @@ import {
   getAvailableFieldTypes,
   toggleDocumentTypeActive,
 } from '../controllers/documentTypeController.js';
+import {
+  getComplianceRequirements,
+  updateComplianceRequirements,
+} from '../controllers/complianceRequirementController.js';
+import {
+  getEscalationPolicies,
+  updateEscalationPolicies,
+} from '../controllers/escalationPolicyController.js';
+import {
+  getMessageTemplates,
+  updateMessageTemplate,
+  resetMessageTemplate,
+  previewMessageTemplate,
+} from '../controllers/messageTemplateController.js';
+import {
+  getCalendarFeed,
+  rotateCalendarFeed,
+  disableCalendarFeed,
+} from '../controllers/calendarFeedController.js';
 import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireCapability } from '../middleware/dspPermissionMiddleware.js';
 
 const router = express.Router();
 
@@ -45,4 +65,37 @@ router.patch('/document-types/:name/toggle-active', requireAuth, toggleDocumentT
 // Delete custom document type (cannot delete defaults)
 router.delete('/document-types/:name', requireAuth, deleteCustomDocumentType);
 
+// Get the compliance requirements matrix (mandatory document types per station/region)
+router.get('/compliance-requirements', requireAuth, getComplianceRequirements);
+
+// Replace the compliance requirements matrix (requires access_settings capability)
+router.put('/compliance-requirements', requireCapability('access_settings'), updateComplianceRequirements);
+
+// Get the expiry escalation policies (who is notified at each step before/after expiry)
+router.get('/escalation-policies', requireAuth, getEscalationPolicies);
+
+// Replace the expiry escalation policies (requires configure_reminders capability)
+router.put('/escalation-policies', requireCapability('configure_reminders'), updateEscalationPolicies);
+
+// Get reminder/invitation message templates per event, channel and language, with their variables
+router.get('/message-templates', requireAuth, getMessageTemplates);
+
+// Render a template (saved or unsaved) against a sample or real driver
+router.post('/message-templates/preview', requireAuth, previewMessageTemplate);
+
+// Save a company template (requires configure_reminders capability)
+router.put('/message-templates/:event/:channel/:locale', requireCapability('configure_reminders'), updateMessageTemplate);
+
+// Revert to the built-in template (requires configure_reminders capability)
+router.delete('/message-templates/:event/:channel/:locale', requireCapability('configure_reminders'), resetMessageTemplate);
+
+// Get the .ics calendar feed URL (document expiries and custom reminders)
+router.get('/calendar-feed', requireAuth, getCalendarFeed);
+
+// Enable the calendar feed or regenerate its URL (requires configure_reminders capability)
+router.post('/calendar-feed', requireCapability('configure_reminders'), rotateCalendarFeed);
+
+// Disable the calendar feed (requires configure_reminders capability)
+router.delete('/calendar-feed', requireCapability('configure_reminders'), disableCalendarFeed);
+
 export default router;
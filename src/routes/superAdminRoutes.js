@@ -6,6 +6,7 @@ import {
   getAllUsers,
   getRecentActivity,
   getAIUsage,
+  getExtractionAccuracyReport,
   getSystemLogs,
   getConsentLogs,
   getAllBillingData
@@ -28,6 +29,7 @@ router.get('/activity', getRecentActivity);
 
 // AI Usage tracking
 router.get('/ai-usage', getAIUsage);
+router.get('/extraction-accuracy', getExtractionAccuracyReport);
 
 // System logs
 router.get('/logs', getSystemLogs);
@@ -3,9 +3,21 @@ import {
   inviteTeamMember,
   getTeamMembers,
   getTeamInvitations,
+  resendTeamInvitation,
+  revokeTeamInvitation,
   updateTeamMemberRole,
+  updateTeamMemberStations,
   removeTeamMember,
+  getMyReminderPreferences,
+  updateMyReminderPreferences,
 } from "../controllers/teamController.js";
+import {
+  getRoles,
+  getMyCapabilities,
+  createCustomRole,
+  updateCustomRole,
+  deleteCustomRole,
+} from "../controllers/customRoleController.js";
 import { requireCapability } from "../middleware/dspPermissionMiddleware.js";
 import { requireAuth } from "../middleware/authMiddleware.js";
 
@@ -26,9 +38,32 @@ router.get("/", requireAuth, getTeamMembers);
 // Get team invitation history (all authenticated users can view)
 router.get("/invitations", requireAuth, getTeamInvitations);
 
+// Resend (new 7-day link) or revoke a pending invitation (requires manage_users capability)
+router.post("/invitations/:invitationId/resend", requireCapability("manage_users"), resendTeamInvitation);
+router.post("/invitations/:invitationId/revoke", requireCapability("manage_users"), revokeTeamInvitation);
+
+// Get/update your own reminder email preferences (per-document emails, digest, or both)
+router.get("/me/reminder-preferences", requireAuth, getMyReminderPreferences);
+router.put("/me/reminder-preferences", requireAuth, updateMyReminderPreferences);
+
+// Your effective capabilities (from your custom role, else your DSP role)
+router.get("/me/capabilities", requireAuth, getMyCapabilities);
+
+// Built-in and custom roles (all authenticated users can view)
+router.get("/roles", requireAuth, getRoles);
+
+// Define, edit and delete custom roles (requires manage_users capability; only capabilities
+// the editor holds can be granted, and nobody can edit their own role)
+router.post("/roles", requireCapability("manage_users"), createCustomRole);
+router.put("/roles/:roleId", requireCapability("manage_users"), updateCustomRole);
+router.delete("/roles/:roleId", requireCapability("manage_users"), deleteCustomRole);
+
 // Update team member role (requires manage_users capability)
 router.put("/:userId", requireCapability("manage_users"), updateTeamMemberRole);
 
+// Limit a team member to some stations' drivers (requires manage_users capability)
+router.put("/:userId/stations", requireCapability("manage_users"), updateTeamMemberStations);
+
 // Remove team member (requires manage_users capability)
 router.delete("/:userId", requireCapability("manage_users"), removeTeamMember);
 
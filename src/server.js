@@ -32,6 +32,8 @@ import ticketRoutes from "./routes/ticketRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 import complaintRoutes from "./routes/complaintRoutes.js";
 import contactRoutes from "./routes/contactRoutes.js";
+import messageWebhookRoutes from "./routes/messageWebhookRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
 import prisma from "../prisma/client.js";
 import { authMiddleware } from "./middleware/authMiddleware.js";
 import { superAdminMiddleware } from "./middleware/superAdminMiddleware.js";
@@ -41,6 +43,13 @@ import { requireMFA } from "./middleware/mfaMiddleware.js";
 import { initializeErrorTracking, errorHandlerMiddleware } from "./services/errorTracker.js";
 import companyRoutes from "./routes/compnayRoutes.js";
 import { startReminderCronJob, stopReminderCronJob } from "./services/reminderCronService.js";
+import { startOutboxWorker, stopOutboxWorker } from "./services/outboxService.js";
+import { startScanJobWorker, stopScanJobWorker } from "./services/scanJobService.js";
+import {
+  markInvitationAccepted,
+  startTeamInvitationCronJob,
+  stopTeamInvitationCronJob,
+} from "./services/teamInvitationService.js";
 import { handleStripeWebhook } from "./controllers/stripeWebhookController.js";
 import { healthCheck } from "./controllers/systemMetricsController.js";
 
@@ -268,6 +277,12 @@ app.use("/api/complaints", complaintRoutes);
 // Contact routes (public endpoint for contact form)
 app.use("/api/contact", contactRoutes);
 
+// Twilio and email provider delivery reports - public, each handler verifies its own signature/secret
+app.use("/api/message-webhooks", messageWebhookRoutes);
+
+// Calendar feed routes (public, token-protected .ics subscription)
+app.use("/api/calendar", calendarRoutes);
+
 // Webhook to handle Clerk events
 app.post("/api/clerk-webhook", async (req, res) => {
   const WEBHOOK_SECRET = process.env.CLERK_WEBHOOK_SECRET;
@@ -386,6 +401,17 @@ app.post("/api/clerk-webhook", async (req, res) => {
 
         console.log("✅ New user created successfully:", email);
       }
+    } else if (event.type === "session.created") {
+      // An invited team member signing in for the first time accepts their invitation
+      try {
+        await markInvitationAccepted(event.data.user_id);
+      } catch (err) {
+        console.error("❌ Error marking team invitation accepted:", {
+          clerkUserId: event.data.user_id,
+          error: err.message,
+        });
+        // Still return 200 to acknowledge receipt
+      }
     } else if (event.type === "user.deleted") {
       // Handle user deletion
       const clerkUser = event.data;
@@ -538,11 +564,17 @@ if (process.env.NODE_ENV === 'production') {
   server = https.createServer({ key: privateKey, cert: certificate }, app).listen(443, () => {
     console.log("✅ Server running securely on port 443");
     startReminderCronJob();
+    startTeamInvitationCronJob();
+    startScanJobWorker();
+    startOutboxWorker();
   });
 } else {
   server = app.listen(5003, () => {
     console.log("✅ Server running on port 5003");
     startReminderCronJob();
+    startTeamInvitationCronJob();
+    startScanJobWorker();
+    startOutboxWorker();
   });
 }
 
@@ -561,6 +593,9 @@ const gracefulShutdown = async (signal) => {
   try {
     // Stop cron jobs
     stopReminderCronJob();
+    stopTeamInvitationCronJob();
+    stopScanJobWorker();
+    stopOutboxWorker();
 
     // Disconnect Prisma
     await prisma.$disconnect();
@@ -0,0 +1,95 @@
+/**
+ * Billing Service Tests
+ *
+ * Tests for the team seat check (checkLimit 'teamMembers'), with Prisma mocked
+ */
+
+import { jest } from '@jest/globals';
+
+const prisma = {
+  company: { findUnique: jest.fn() },
+  user: { findMany: jest.fn() },
+  teamInvitation: { count: jest.fn() },
+};
+
+jest.unstable_mockModule('../../../prisma/client.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../stripeService.js', () => ({ updateExtraSeats: jest.fn() }));
+
+const { checkLimit } = await import('../billingService.js');
+
+const mockCompany = (company) => {
+  prisma.company.findUnique.mockResolvedValue({ id: 'company-1', drivers: [], extraSeats: 0, ...company });
+};
+
+const mockSeats = (members, pendingInvitations) => {
+  prisma.user.findMany.mockResolvedValue(
+    Array.from({ length: members }, (_, index) => ({ email: `member${index}@example.com` }))
+  );
+  prisma.teamInvitation.count.mockResolvedValue(pendingInvitations);
+};
+
+describe('Billing Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("checkLimit('teamMembers')", () => {
+    test('should allow inviting while seats are free', async () => {
+      mockCompany({ plan: 'Starter' });
+      mockSeats(3, 1);
+
+      const result = await checkLimit('company-1', 'teamMembers');
+
+      expect(result).toEqual(expect.objectContaining({
+        allowed: true,
+        current: 4,
+        members: 3,
+        pendingInvitations: 1,
+        limit: 5,
+        remaining: 1,
+        canBuySeats: true,
+      }));
+    });
+
+    test('should count pending invitations towards the limit', async () => {
+      mockCompany({ plan: 'Starter' });
+      mockSeats(3, 2);
+
+      const result = await checkLimit('company-1', 'teamMembers');
+
+      expect(result.allowed).toBe(false);
+      expect(result.remaining).toBe(0);
+      expect(result.message).toMatch(/Buy extra seats or upgrade/);
+    });
+
+    test('should add purchased extra seats to the limit', async () => {
+      mockCompany({ plan: 'Starter', extraSeats: 2 });
+      mockSeats(5, 1);
+
+      const result = await checkLimit('company-1', 'teamMembers');
+
+      expect(result.allowed).toBe(true);
+      expect(result.limit).toBe(7);
+    });
+
+    test('should only suggest upgrading on plans without extra seats', async () => {
+      mockCompany({ plan: 'Free' });
+      mockSeats(2, 0);
+
+      const result = await checkLimit('company-1', 'teamMembers');
+
+      expect(result.allowed).toBe(false);
+      expect(result.canBuySeats).toBe(false);
+      expect(result.message).toMatch(/\. Upgrade to add more/);
+    });
+
+    test('should not count seats on unlimited plans', async () => {
+      mockCompany({ plan: 'Enterprise' });
+
+      const result = await checkLimit('company-1', 'teamMembers');
+
+      expect(result).toEqual({ allowed: true, unlimited: true });
+      expect(prisma.user.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
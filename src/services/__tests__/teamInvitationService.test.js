@@ -0,0 +1,155 @@
+/**
+ * Team Invitation Service Tests
+ *
+ * Tests for accepting invitations on first sign-in and the expiry sweep, with Prisma mocked
+ */
+
+import { jest } from '@jest/globals';
+
+const prisma = {
+  user: { findUnique: jest.fn() },
+  teamInvitation: { findMany: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+};
+const auditService = { logTeamOperation: jest.fn(), logAudit: jest.fn() };
+const notificationService = { notifyTeamMemberJoined: jest.fn(), notifyTeamInvitationExpired: jest.fn() };
+
+jest.unstable_mockModule('../../../prisma/client.js', () => ({ default: prisma }));
+jest.unstable_mockModule('@clerk/express', () => ({ clerkClient: { signInTokens: {}, users: {} } }));
+jest.unstable_mockModule('../auditService.js', () => ({ default: auditService }));
+jest.unstable_mockModule('../emailService.js', () => ({ buildTeamInvitationEmail: jest.fn() }));
+jest.unstable_mockModule('../outboxService.js', () => ({
+  enqueueMessage: jest.fn(),
+  triggerOutboxWorker: jest.fn(),
+  cancelQueuedMessages: jest.fn(),
+  SOURCE_TYPES: { TEAM_INVITATION: 'TEAM_INVITATION' },
+}));
+jest.unstable_mockModule('../notificationService.js', () => notificationService);
+
+const { markInvitationAccepted, expireTeamInvitations, OPEN_INVITATION_STATUSES } = await import('../teamInvitationService.js');
+
+const member = {
+  id: 'user-1',
+  email: 'sam@example.com',
+  firstName: 'Sam',
+  lastName: 'Lee',
+  companyId: 'company-1',
+};
+
+const invitation = (overrides = {}) => ({
+  id: 'invitation-1',
+  companyId: 'company-1',
+  email: 'sam@example.com',
+  invitedById: 'admin-1',
+  userId: null,
+  status: 'SENT',
+  expiresAt: new Date('2026-10-01T00:00:00Z'),
+  ...overrides,
+});
+
+describe('Team Invitation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('markInvitationAccepted', () => {
+    test('should accept the open invitations of the company the user belongs to', async () => {
+      prisma.user.findUnique.mockResolvedValue(member);
+      prisma.teamInvitation.findMany.mockResolvedValue([invitation()]);
+
+      await expect(markInvitationAccepted('clerk-1')).resolves.toBe(1);
+
+      expect(prisma.teamInvitation.findMany).toHaveBeenCalledWith({
+        where: {
+          clerkUserId: 'clerk-1',
+          companyId: 'company-1',
+          status: { in: [...OPEN_INVITATION_STATUSES, 'EXPIRED'] },
+        },
+      });
+      expect(prisma.teamInvitation.update).toHaveBeenCalledWith({
+        where: { id: 'invitation-1' },
+        data: { status: 'ACCEPTED', acceptedAt: expect.any(Date), userId: 'user-1' },
+      });
+      expect(auditService.logTeamOperation).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'TEAM_INVITATION_ACCEPTED',
+        metadata: expect.objectContaining({ invitationId: 'invitation-1', previousStatus: 'SENT' }),
+      }));
+      expect(notificationService.notifyTeamMemberJoined).toHaveBeenCalledWith(expect.objectContaining({
+        inviterUserId: 'admin-1',
+        memberName: 'Sam Lee',
+      }));
+    });
+
+    test('should ignore users that no longer belong to a company', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...member, companyId: null });
+
+      await expect(markInvitationAccepted('clerk-1')).resolves.toBe(0);
+
+      expect(prisma.teamInvitation.findMany).not.toHaveBeenCalled();
+    });
+
+    test('should ignore unknown users', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      await expect(markInvitationAccepted('clerk-unknown')).resolves.toBe(0);
+    });
+
+    test('should still accept the invitation when the inviter notification fails', async () => {
+      prisma.user.findUnique.mockResolvedValue(member);
+      prisma.teamInvitation.findMany.mockResolvedValue([invitation({ userId: 'user-1' })]);
+      notificationService.notifyTeamMemberJoined.mockRejectedValue(new Error('Notification failed'));
+
+      await expect(markInvitationAccepted('clerk-1')).resolves.toBe(1);
+
+      expect(prisma.teamInvitation.update).toHaveBeenCalled();
+    });
+  });
+
+  describe('expireTeamInvitations', () => {
+    test('should expire open invitations past their expiry date and tell the inviter', async () => {
+      prisma.teamInvitation.findMany.mockResolvedValue([invitation()]);
+      prisma.teamInvitation.updateMany.mockResolvedValue({ count: 1 });
+
+      await expect(expireTeamInvitations()).resolves.toBe(1);
+
+      expect(prisma.teamInvitation.findMany).toHaveBeenCalledWith({
+        where: {
+          status: { in: OPEN_INVITATION_STATUSES },
+          expiresAt: { lte: expect.any(Date) },
+        },
+      });
+      expect(prisma.teamInvitation.updateMany).toHaveBeenCalledWith({
+        where: { id: 'invitation-1', status: { in: OPEN_INVITATION_STATUSES } },
+        data: { status: 'EXPIRED' },
+      });
+      expect(auditService.logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'TEAM_INVITATION_EXPIRED' }));
+      expect(notificationService.notifyTeamInvitationExpired).toHaveBeenCalledWith(expect.objectContaining({
+        inviterUserId: 'admin-1',
+        invitedEmail: 'sam@example.com',
+      }));
+    });
+
+    test('should skip invitations accepted or revoked since they were loaded', async () => {
+      prisma.teamInvitation.findMany.mockResolvedValue([invitation()]);
+      prisma.teamInvitation.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(expireTeamInvitations()).resolves.toBe(0);
+
+      expect(auditService.logAudit).not.toHaveBeenCalled();
+      expect(notificationService.notifyTeamInvitationExpired).not.toHaveBeenCalled();
+    });
+
+    test('should return 0 when nothing has expired', async () => {
+      prisma.teamInvitation.findMany.mockResolvedValue([]);
+
+      await expect(expireTeamInvitations()).resolves.toBe(0);
+
+      expect(prisma.teamInvitation.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -354,6 +354,9 @@ class AuditService {
     documentType,
     driverId,
     driverName,
+    oldValues,
+    newValues,
+    changes,
     ipAddress,
     userAgent,
     metadata,
@@ -368,6 +371,9 @@ class AuditService {
       resourceId: documentId,
       ipAddress,
       userAgent,
+      oldValues,
+      newValues,
+      changes,
       severity: "INFO",
       category: "DATA_MODIFICATION",
       metadata: {
@@ -462,6 +468,7 @@ class AuditService {
     startDate,
     endDate,
     search,
+    scope, // Extra filter limiting which logs are visible (station-scoped team members)
     limit = 100,
     offset = 0,
   }) {
@@ -473,6 +480,8 @@ class AuditService {
     }
     // If allCompanies is true, no companyId filter (SUPER_ADMIN viewing all)
 
+    if (scope) where.AND = [scope];
+
     if (userId) where.userId = userId;
     if (action) where.action = action;
     if (resource) where.resource = resource;
@@ -620,6 +629,44 @@ class AuditService {
     });
   }
 
+  /**
+   * Log custom role definition changes (DSP RBAC)
+   */
+  async logRoleOperation({
+    userId,
+    userEmail,
+    userName,
+    companyId,
+    action,
+    roleId,
+    roleName,
+    ipAddress,
+    userAgent,
+    oldValues,
+    newValues,
+    metadata,
+  }) {
+    await this.logAudit({
+      userId,
+      userEmail,
+      userName,
+      companyId,
+      action,
+      resource: "CustomRole",
+      resourceId: roleId,
+      ipAddress,
+      userAgent,
+      oldValues,
+      newValues,
+      severity: action === "ROLE_CREATED" ? "INFO" : "WARNING",
+      category: "USER_MANAGEMENT",
+      metadata: {
+        ...metadata,
+        roleName,
+      },
+    });
+  }
+
   /**
    * Log permission denied events
    */
@@ -788,6 +835,55 @@ class AuditService {
     });
   }
 
+  /**
+   * Log unmasked views of driver PII (document numbers, extracted personal fields)
+   * One data access log per document, for users with the 'view_driver_pii' capability
+   */
+  async logPiiView({
+    userId,
+    userEmail,
+    companyId,
+    documents, // [{ id, driverId }]
+    ipAddress,
+    endpoint,
+    purpose = "Driver PII view",
+  }) {
+    if (documents.length === 0) return;
+
+    try {
+      // One insert for the whole list; each entry still chains to the one before it
+      const previousLog = await this.getLastLog(companyId, 'dataAccess');
+      const timestamp = new Date();
+      let previousHash = previousLog?.hash || null;
+
+      const logs = documents.map((document) => {
+        const logData = {
+          userId,
+          userEmail,
+          companyId,
+          dataType: "PersonalInfo",
+          dataId: document.id,
+          dataOwnerId: document.driverId,
+          accessType: "READ",
+          operation: "VIEW",
+          purpose,
+          ipAddress,
+          endpoint,
+          timestamp,
+        };
+
+        const hash = crypto.createHash('sha256').update(JSON.stringify(logData)).digest('hex');
+        const log = { ...logData, hash, previousHash, verified: true };
+        previousHash = hash;
+        return log;
+      });
+
+      await prisma.dataAccessLog.createMany({ data: logs });
+    } catch (error) {
+      console.error("PII view logging failed:", error);
+    }
+  }
+
   /**
    * Verify integrity of log chain for a company
    * Returns { valid: true/false, error: string, tamperedLog: object }
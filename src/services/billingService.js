@@ -1,5 +1,6 @@
 import prisma from '../../prisma/client.js';
-import { getPlanLimits, isUnlimited, canDowngrade } from '../config/planLimits.js';
+import { getPlanLimits, isUnlimited, canDowngrade, getSeatLimit } from '../config/planLimits.js';
+import { updateExtraSeats } from './stripeService.js';
 
 /**
  * Billing Service
@@ -230,10 +231,42 @@ async function purchaseCredits(companyId, dollarAmount) {
   }
 }
 
+/**
+ * Count the team seats a company uses
+ * Invited users get their User record (with the company) straight away, so they count as members;
+ * pending invitations for anyone else count too.
+ * @param {string} companyId - Company ID
+ * @returns {Promise<object>} { members, pendingInvitations, used }
+ */
+async function getSeatUsage(companyId) {
+  const users = await prisma.user.findMany({
+    where: {
+      companyId,
+      role: { not: 'SUPER_ADMIN' }
+    },
+    select: { email: true }
+  })
+
+  const pendingInvitations = await prisma.teamInvitation.count({
+    where: {
+      companyId,
+      status: { in: ['PENDING', 'SENT'] },
+      expiresAt: { gt: new Date() },
+      email: { notIn: users.map(user => user.email) }
+    }
+  })
+
+  return {
+    members: users.length,
+    pendingInvitations,
+    used: users.length + pendingInvitations
+  }
+}
+
 /**
  * Check if company can perform an action based on plan limits
  * @param {string} companyId - Company ID
- * @param {string} limitType - Type of limit (drivers, documents, credits)
+ * @param {string} limitType - Type of limit (drivers, documents, credits, teamMembers)
  * @param {object} context - Additional context (e.g., driverId for document check)
  * @returns {Promise<object>} Check result
  */
@@ -244,7 +277,8 @@ async function checkLimit(companyId, limitType, context = {}) {
       include: {
         drivers: {
           include: {
-            documents: true
+            // Superseded versions don't count towards per-driver document limits
+            documents: { where: { isCurrent: true } }
           }
         }
       }
@@ -330,6 +364,30 @@ async function checkLimit(companyId, limitType, context = {}) {
         }
       }
 
+      case 'teamMembers': {
+        if (isUnlimited(company.plan, 'teamMembers')) {
+          return { allowed: true, unlimited: true }
+        }
+
+        const seats = await getSeatUsage(companyId)
+        const seatLimit = getSeatLimit(company.plan, company.extraSeats)
+        const allowed = seats.used < seatLimit
+
+        return {
+          allowed,
+          current: seats.used,
+          members: seats.members,
+          pendingInvitations: seats.pendingInvitations,
+          limit: seatLimit,
+          extraSeats: company.extraSeats,
+          remaining: Math.max(seatLimit - seats.used, 0),
+          canBuySeats: Boolean(planLimits.extraSeatPrice),
+          message: allowed
+            ? `You can invite ${seatLimit - seats.used} more team member(s)`
+            : `Team seat limit reached (${seats.used}/${seatLimit}). ${planLimits.extraSeatPrice ? 'Buy extra seats or upgrade' : 'Upgrade'} to add more.`
+        }
+      }
+
       default:
         throw new Error(`Unknown limit type: ${limitType}`)
     }
@@ -449,7 +507,8 @@ async function initiatePlanDowngrade(companyId, newPlan) {
       include: {
         drivers: {
           include: {
-            documents: true
+            // Superseded versions don't count towards per-driver document limits
+            documents: { where: { isCurrent: true } }
           }
         }
       }
@@ -459,13 +518,17 @@ async function initiatePlanDowngrade(companyId, newPlan) {
       throw new Error('Company not found')
     }
 
+    const seats = await getSeatUsage(companyId)
+
     // Calculate current usage
     const currentUsage = {
       driversCount: company.drivers.length,
       maxDocsPerDriver: Math.max(
         ...company.drivers.map(d => d.documents.length),
         0
-      )
+      ),
+      teamMembersCount: seats.used,
+      extraSeats: company.extraSeats
     }
 
     // Check if can downgrade
@@ -532,6 +595,16 @@ async function executePendingDowngrades() {
         const newPlan = company.pendingPlanChange
         const newLimits = getPlanLimits(newPlan)
 
+        // Bill extra seats at the new plan's seat price, or stop billing them if it doesn't sell seats
+        // (before the database update, so a Stripe failure leaves the downgrade pending for the next run)
+        if (company.stripeSubscriptionId && company.extraSeats > 0) {
+          await updateExtraSeats(
+            company.stripeSubscriptionId,
+            newLimits.extraSeatPrice ? company.extraSeats : 0,
+            newPlan
+          )
+        }
+
         // Execute downgrade
         const updatedCompany = await prisma.company.update({
           where: { id: company.id },
@@ -543,7 +616,9 @@ async function executePendingDowngrades() {
             planChangeReason: null,
             planStartDate: new Date(),
             smsEnabled: newLimits.features.sms,
-            emailEnabled: newLimits.features.email
+            emailEnabled: newLimits.features.email,
+            // Plans without purchasable seats drop the extra seats
+            ...(!newLimits.extraSeatPrice && { extraSeats: 0 })
           }
         })
 
@@ -597,6 +672,7 @@ export {
   refillCredits,
   purchaseCredits,
   checkLimit,
+  getSeatUsage,
   upgradePlan,
   initiatePlanDowngrade,
   executePendingDowngrades,
@@ -0,0 +1,173 @@
+import { enqueueMessage, SOURCE_TYPES } from './outboxService.js';
+import { normalizeRequirements } from '../utils/complianceEngine.js';
+import {
+  DIGEST_CATEGORIES,
+  buildComplianceDigest,
+  digestToCsv,
+  getDigestRecipients,
+} from '../utils/complianceDigest.js';
+import { getStationScope, isDriverInScope } from '../utils/stationScope.js';
+
+/**
+ * Compliance Digest Service
+ * Queues one email per recipient per day or week summarising expired, expiring and
+ * missing documents by driver, with the full list attached as CSV.
+ * Called from the daily reminder scan, so digests follow the company's timezone and send window.
+ */
+
+const CATEGORY_COLORS = {
+  expired: '#ef4444',
+  expiringIn7: '#f59e0b',
+  expiringIn30: '#3b82f6',
+  missing: '#6b7280',
+};
+
+/**
+ * Render the digest email body
+ * @param {Object} company - Company ({ name })
+ * @param {Object} digest - Result of buildComplianceDigest()
+ * @param {string} todayKey - Company's local date, 'YYYY-MM-DD'
+ * @returns {Object} { subject, text, html }
+ */
+function renderDigestEmail(company, digest, todayKey) {
+  const { totals } = digest;
+  const subject = `Compliance Digest for ${company.name} (${todayKey}): ${totals.expired} expired, ${totals.expiringIn7 + totals.expiringIn30} expiring, ${totals.missing} missing`;
+
+  const describeItem = (category, item) => {
+    if (category === 'missing') return item.documentType;
+    const when = item.daysUntilExpiry < 0
+      ? `expired ${item.expiryDate} (${-item.daysUntilExpiry} days ago)`
+      : `expires ${item.expiryDate} (in ${item.daysUntilExpiry} days)`;
+    return `${item.documentType}${item.documentNumber ? ` #${item.documentNumber}` : ''} - ${when}`;
+  };
+
+  const textSections = digest.drivers.map((driver) => {
+    const lines = Object.entries(DIGEST_CATEGORIES).flatMap(([category, label]) =>
+      driver[category].map((item) => `  - [${label}] ${describeItem(category, item)}`)
+    );
+    return `${driver.driverName}${driver.stationCode ? ` (${driver.stationCode})` : ''}\n${lines.join('\n')}`;
+  });
+
+  const text = [
+    subject,
+    '',
+    `Drivers needing attention: ${totals.drivers}`,
+    '',
+    ...textSections,
+    '',
+    'The full list is attached as a CSV file.',
+  ].join('\n');
+
+  const driverBlocks = digest.drivers.map((driver) => {
+    const rows = Object.entries(DIGEST_CATEGORIES).flatMap(([category, label]) =>
+      driver[category].map((item) => `
+        <tr>
+          <td style="padding: 4px 8px; color: ${CATEGORY_COLORS[category]}; font-weight: bold; white-space: nowrap;">${label}</td>
+          <td style="padding: 4px 8px; color: #374151;">${describeItem(category, item)}</td>
+        </tr>`)
+    ).join('');
+
+    return `
+      <h3 style="color: #111827; font-size: 16px; margin: 20px 0 5px;">
+        ${driver.driverName}${driver.stationCode ? ` <span style="color: #6b7280; font-weight: normal;">(${driver.stationCode})</span>` : ''}
+      </h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">${rows}
+      </table>`;
+  }).join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 20px; background-color: #f9fafb;">
+      <div style="max-width: 700px; margin: 0 auto; background-color: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <h2 style="color: #111827; margin-top: 0;">📋 Compliance Digest</h2>
+        <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+          ${totals.drivers} driver${totals.drivers === 1 ? '' : 's'} at ${company.name} need${totals.drivers === 1 ? 's' : ''} attention as of ${todayKey}:
+        </p>
+        <div style="background-color: #f3f4f6; padding: 15px; margin: 20px 0; border-radius: 5px;">
+          <p style="margin: 5px 0;"><strong>Expired:</strong> ${totals.expired}</p>
+          <p style="margin: 5px 0;"><strong>Expiring in 7 days:</strong> ${totals.expiringIn7}</p>
+          <p style="margin: 5px 0;"><strong>Expiring in 30 days:</strong> ${totals.expiringIn30}</p>
+          <p style="margin: 5px 0;"><strong>Missing:</strong> ${totals.missing}</p>
+        </div>
+        ${driverBlocks}
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+        <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+          The full list is attached as a CSV file. This is an automated digest from ${company.name}'s compliance management system.
+        </p>
+      </div>
+    </div>
+  `;
+
+  return { subject, text, html };
+}
+
+/**
+ * Queue today's digest for a company for everyone due one
+ * @param {Object} company - Company (id, name) with drivers (and their current documents), complianceRequirements,
+ *   adminEmail, reminderDeliveryMode, digestFrequency and digestWeekday
+ * @param {Array} teamMembers - Company users ({ email, role, dspRole, stationCodes, reminderDeliveryMode, digestFrequency });
+ *   station-scoped members only get their stations' drivers
+ * @param {string} todayKey - Company's local date, 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { recipients, sent (queued), failed }
+ */
+export const sendComplianceDigest = async (company, teamMembers, todayKey) => {
+  const result = { recipients: 0, sent: 0, failed: 0 };
+
+  const recipients = getDigestRecipients(company, teamMembers, todayKey);
+  result.recipients = recipients.length;
+  if (recipients.length === 0) {
+    return result;
+  }
+
+  // Recipients with the same station scope share a digest (the admin sees every station)
+  const scopes = new Map(teamMembers.map((member) => [member.email, getStationScope(member)]));
+  const groups = new Map();
+  recipients.forEach((email) => {
+    const scope = scopes.get(email) || null;
+    const key = scope ? [...scope].sort().join(',') : '';
+    if (!groups.has(key)) groups.set(key, { scope, emails: [] });
+    groups.get(key).emails.push(email);
+  });
+
+  for (const { scope, emails } of groups.values()) {
+    const digest = buildComplianceDigest(
+      (company.drivers || []).filter((driver) => isDriverInScope(driver, scope)),
+      normalizeRequirements(company.complianceRequirements),
+      todayKey
+    );
+
+    if (digest.totals.drivers === 0) {
+      console.log(`  📋 Digest skipped${scope ? ` for ${scope.join(', ')}` : ''}: nothing expired, expiring or missing`);
+      continue;
+    }
+
+    const { subject, text, html } = renderDigestEmail(company, digest, todayKey);
+    const attachments = [{
+      filename: `compliance-digest-${todayKey}.csv`,
+      content: digestToCsv(digest),
+      contentType: 'text/csv',
+    }];
+
+    for (const email of emails) {
+      try {
+        await enqueueMessage({
+          channel: 'EMAIL',
+          to: email,
+          subject,
+          text,
+          html,
+          attachments,
+          companyId: company.id,
+          sourceType: SOURCE_TYPES.COMPLIANCE_DIGEST,
+        });
+        result.sent++;
+      } catch (error) {
+        result.failed++;
+        console.error(`Failed to queue compliance digest for ${email}:`, error.message);
+      }
+    }
+
+    console.log(`  📋 Digest queued for ${emails.length} recipient(s)${scope ? ` at ${scope.join(', ')}` : ''} (${digest.totals.drivers} drivers)`);
+  }
+
+  return result;
+};
@@ -0,0 +1,271 @@
+import prisma from '../../prisma/client.js';
+import {
+  normalizeRequirements,
+  evaluateDriverCompliance,
+  summarizeCompliance,
+} from '../utils/complianceEngine.js';
+import { getDriverScopeWhere } from '../utils/stationScope.js';
+
+/**
+ * Compliance Service
+ * Loads drivers, documents and the company requirements matrix and runs them
+ * through the compliance engine (src/utils/complianceEngine.js)
+ */
+
+const COMPLIANCE_DOCUMENT_SELECT = {
+  id: true,
+  driverId: true,
+  type: true,
+  status: true,
+  expiryDate: true,
+};
+
+/**
+ * Get the normalized compliance requirements for a company
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array>} Array of { documentType, stationCodes, regions }
+ */
+export const getCompanyRequirements = async (companyId) => {
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { complianceRequirements: true },
+  });
+
+  return normalizeRequirements(company?.complianceRequirements);
+};
+
+/**
+ * Evaluate compliance for drivers of a company
+ * @param {string} companyId - Company ID
+ * @param {Object} [options]
+ * @param {string[]} [options.driverIds] - Restrict to these drivers (defaults to all company drivers)
+ * @param {string[]|null} [options.stationScope] - Restrict to drivers of these stations (see utils/stationScope.js)
+ * @param {Array} [options.requirements] - Pre-loaded requirements (avoids another company lookup)
+ * @returns {Promise<Object>} Map of driverId -> compliance result
+ */
+export const evaluateCompanyCompliance = async (companyId, options = {}) => {
+  const { driverIds } = options;
+  const requirements = options.requirements || await getCompanyRequirements(companyId);
+
+  const driverWhere = {
+    companyId,
+    ...(driverIds && { id: { in: driverIds } }),
+    ...getDriverScopeWhere(options.stationScope),
+  };
+
+  const [drivers, documents] = await Promise.all([
+    prisma.driver.findMany({
+      where: driverWhere,
+      select: { id: true, stationCode: true, region: true },
+    }),
+    prisma.document.findMany({
+      where: { driver: driverWhere, isCurrent: true },
+      select: COMPLIANCE_DOCUMENT_SELECT,
+    }),
+  ]);
+
+  const documentsByDriver = {};
+  documents.forEach((doc) => {
+    if (!documentsByDriver[doc.driverId]) {
+      documentsByDriver[doc.driverId] = [];
+    }
+    documentsByDriver[doc.driverId].push(doc);
+  });
+
+  const complianceByDriver = {};
+  drivers.forEach((driver) => {
+    complianceByDriver[driver.id] = evaluateDriverCompliance(
+      driver,
+      documentsByDriver[driver.id] || [],
+      requirements
+    );
+  });
+
+  return complianceByDriver;
+};
+
+/**
+ * Get a company-wide compliance summary (driver counts per status, missing documents)
+ * @param {string} companyId - Company ID
+ * @param {Object} [options] - { stationScope } as for evaluateCompanyCompliance()
+ * @returns {Promise<Object>} Summary from summarizeCompliance()
+ */
+export const getCompanyComplianceSummary = async (companyId, options = {}) => {
+  const complianceByDriver = await evaluateCompanyCompliance(companyId, options);
+  return summarizeCompliance(complianceByDriver);
+};
+
+/**
+ * Return the state recorded in `oldValues` of the first audit entry after `asOf`,
+ * i.e. the values a record had on that date. Falls back to the current values.
+ */
+const valuesAsOf = (currentValues, logsAfterAsOf, fields) => {
+  const firstChange = logsAfterAsOf.find((log) => log.oldValues);
+  if (!firstChange) {
+    return currentValues;
+  }
+
+  const restored = { ...currentValues };
+  fields.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(firstChange.oldValues, field)) {
+      restored[field] = firstChange.oldValues[field];
+    }
+  });
+  return restored;
+};
+
+const groupLogsByResource = (logs) => {
+  const grouped = {};
+  logs.forEach((log) => {
+    if (!grouped[log.resourceId]) {
+      grouped[log.resourceId] = [];
+    }
+    grouped[log.resourceId].push(log);
+  });
+  return grouped;
+};
+
+const SNAPSHOT_DOCUMENT_FIELDS = ['type', 'documentNumber', 'issueDate', 'expiryDate', 'status'];
+
+/**
+ * Reconstruct a driver's compliance on a historical date.
+ *
+ * Uses the document rows (including superseded versions), Document.issueDate/expiryDate
+ * and the AuditLog trail: the first DOCUMENT_UPDATED / DRIVER_UPDATED / compliance
+ * settings change after `asOf` holds the values that were in effect on that date,
+ * and DOCUMENT_DELETED entries bring back documents that have since been removed.
+ *
+ * @param {Object} driver - Driver ({ id, companyId, name, stationCode, region })
+ * @param {Date} asOf - Point in time to evaluate (usually the end of the requested day)
+ * @returns {Promise<Object>} { asOf, driver, requirements, documents, compliance }
+ */
+export const getDriverComplianceAsOf = async (driver, asOf) => {
+  const [documents, driverLogs, requirementLogs, currentRequirements] = await Promise.all([
+    prisma.document.findMany({
+      where: { driverId: driver.id },
+      select: {
+        ...COMPLIANCE_DOCUMENT_SELECT,
+        documentNumber: true,
+        issueDate: true,
+        createdAt: true,
+        version: true,
+        isCurrent: true,
+        supersededAt: true,
+      },
+    }),
+    prisma.auditLog.findMany({
+      where: {
+        companyId: driver.companyId,
+        resource: 'Driver',
+        resourceId: driver.id,
+        action: 'DRIVER_UPDATED',
+        timestamp: { gt: asOf },
+      },
+      select: { resourceId: true, oldValues: true, timestamp: true },
+      orderBy: { timestamp: 'asc' },
+    }),
+    prisma.auditLog.findMany({
+      where: {
+        companyId: driver.companyId,
+        resource: 'ComplianceRequirements',
+        action: 'SETTINGS_UPDATED',
+        timestamp: { gt: asOf },
+      },
+      select: { oldValues: true, timestamp: true },
+      orderBy: { timestamp: 'asc' },
+      take: 1,
+    }),
+    getCompanyRequirements(driver.companyId),
+  ]);
+
+  // Documents deleted since then are only known through their audit entries
+  const deletionLogs = await prisma.auditLog.findMany({
+    where: {
+      companyId: driver.companyId,
+      resource: 'Document',
+      action: 'DOCUMENT_DELETED',
+      timestamp: { gt: asOf },
+      metadata: { path: ['driverId'], equals: driver.id },
+    },
+    select: { resourceId: true, oldValues: true, timestamp: true },
+  });
+
+  const documentIds = [
+    ...documents.map((doc) => doc.id),
+    ...deletionLogs.map((log) => log.resourceId),
+  ];
+
+  const documentLogs = documentIds.length > 0
+    ? await prisma.auditLog.findMany({
+      where: {
+        companyId: driver.companyId,
+        resource: 'Document',
+        resourceId: { in: documentIds },
+        action: { in: ['DOCUMENT_UPLOADED', 'DOCUMENT_UPDATED'] },
+      },
+      select: { resourceId: true, action: true, oldValues: true, timestamp: true },
+      orderBy: { timestamp: 'asc' },
+    })
+    : [];
+
+  const logsByDocument = groupLogsByResource(documentLogs);
+
+  const candidates = [
+    ...documents.map((doc) => ({ ...doc, deleted: false })),
+    ...deletionLogs
+      .filter((log) => log.oldValues)
+      .map((log) => {
+        const firstLog = logsByDocument[log.resourceId]?.[0];
+        return {
+          id: log.resourceId,
+          ...log.oldValues,
+          createdAt: firstLog?.timestamp || null,
+          deleted: true,
+          deletedAt: log.timestamp,
+        };
+      }),
+  ];
+
+  const snapshotDocuments = candidates
+    // Must have existed on that date and not yet been replaced by a renewal
+    .filter((doc) => !doc.createdAt || new Date(doc.createdAt) <= asOf)
+    .filter((doc) => !doc.supersededAt || new Date(doc.supersededAt) > asOf)
+    .map((doc) => {
+      const logsAfter = (logsByDocument[doc.id] || []).filter(
+        (log) => log.action === 'DOCUMENT_UPDATED' && new Date(log.timestamp) > asOf
+      );
+      const restored = valuesAsOf(doc, logsAfter, SNAPSHOT_DOCUMENT_FIELDS);
+
+      return {
+        id: doc.id,
+        type: restored.type,
+        documentNumber: restored.documentNumber || null,
+        issueDate: restored.issueDate || null,
+        expiryDate: restored.expiryDate || null,
+        status: restored.status,
+        version: doc.version || 1,
+        deleted: doc.deleted,
+        reconstructedFromAuditLog: doc.deleted || logsAfter.length > 0,
+      };
+    })
+    // A document issued after the date did not exist yet
+    .filter((doc) => !doc.issueDate || new Date(doc.issueDate) <= asOf);
+
+  const driverAsOf = valuesAsOf(driver, driverLogs, ['stationCode', 'region']);
+  const requirements = requirementLogs.length > 0
+    ? normalizeRequirements(requirementLogs[0].oldValues?.requirements)
+    : currentRequirements;
+
+  return {
+    asOf,
+    driver: {
+      id: driver.id,
+      name: driver.name,
+      stationCode: driverAsOf.stationCode || null,
+      region: driverAsOf.region || null,
+    },
+    requirements,
+    documents: snapshotDocuments,
+    compliance: evaluateDriverCompliance(driverAsOf, snapshotDocuments, requirements, { asOf }),
+  };
+};
@@ -0,0 +1,74 @@
+import prisma from '../../prisma/client.js';
+import { getCompanySchedule } from '../utils/timezoneUtils.js';
+import { getNextOccurrence, getOccurrences } from '../utils/recurrence.js';
+
+/**
+ * Custom Reminder Schedule Service
+ * Keeps CustomReminder.nextOccurrenceAt in line with the reminder's recurrence rule and
+ * the company's timezone and holidays (see utils/recurrence.js).
+ */
+
+/**
+ * Recurrence schedule of a reminder
+ * @param {Object} reminder - CustomReminder ({ triggerDate, frequency, recurrence })
+ * @param {Object} company - Company ({ timezone, holidays })
+ * @returns {Object} Schedule for getNextOccurrence/getOccurrences/toRRule
+ */
+export const getReminderSchedule = (reminder, company) => ({
+  start: reminder.triggerDate,
+  timezone: getCompanySchedule(company).timezone,
+  frequency: reminder.frequency,
+  recurrence: reminder.recurrence,
+  holidays: company.holidays || [],
+});
+
+/**
+ * First occurrence of a reminder (its trigger date, unless that falls on a skipped day)
+ * @returns {Date|null} null if the rule produces no occurrences
+ */
+export const getFirstOccurrence = (reminder, company) =>
+  getNextOccurrence(getReminderSchedule(reminder, company), new Date(new Date(reminder.triggerDate).getTime() - 1));
+
+/**
+ * Next occurrence after the last one that went out (or the first one if none did)
+ * @returns {Date|null} null once the series has ended
+ */
+export const getPendingOccurrence = (reminder, company) =>
+  reminder.lastSent
+    ? getNextOccurrence(getReminderSchedule(reminder, company), new Date(reminder.lastSent))
+    : getFirstOccurrence(reminder, company);
+
+/**
+ * Upcoming occurrences, for showing the schedule to users
+ * @param {number} [limit=5]
+ * @returns {Array<Date>}
+ */
+export const getUpcomingOccurrences = (reminder, company, limit = 5) =>
+  getOccurrences(getReminderSchedule(reminder, company), { after: new Date(), limit });
+
+/**
+ * Recompute nextOccurrenceAt for a company's active reminders
+ * Call after the company timezone or holidays change.
+ * @param {string} companyId
+ * @returns {Promise<number>} Number of reminders updated
+ */
+export const refreshCompanyReminderSchedules = async (companyId) => {
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { timezone: true, holidays: true },
+  });
+  if (!company) return 0;
+
+  const reminders = await prisma.customReminder.findMany({
+    where: { companyId, isActive: true },
+  });
+
+  for (const reminder of reminders) {
+    await prisma.customReminder.update({
+      where: { id: reminder.id },
+      data: { nextOccurrenceAt: getPendingOccurrence(reminder, company) },
+    });
+  }
+
+  return reminders.length;
+};
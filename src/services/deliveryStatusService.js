@@ -0,0 +1,82 @@
+import prisma from '../../prisma/client.js';
+
+/**
+ * Delivery Status Service
+ * Records what providers report after a message left the outbox (delivered, bounced,
+ * complained) and flags driver contacts that hard-bounced so reminders stop going to them.
+ */
+
+/**
+ * Flag a driver email address or phone number as unreachable
+ * @param {Object} params
+ * @param {string} params.channel - 'EMAIL' or 'SMS'
+ * @param {string} params.address - Email address or phone number
+ * @param {string} [params.reason] - Provider error shown on the driver record
+ * @param {string} params.companyId - Company that sent the message (only its drivers are flagged)
+ * @returns {Promise<number>} Number of drivers flagged
+ */
+export const markContactInvalid = async ({ channel, address, reason = null, companyId }) => {
+  // Never flag an address across companies - another company's driver may still be reachable there
+  if (!address || !companyId) return 0;
+
+  const where = channel === 'SMS'
+    ? { phone: address, phoneInvalid: false, companyId }
+    : { email: { equals: address, mode: 'insensitive' }, emailInvalid: false, companyId };
+
+  const data = channel === 'SMS'
+    ? { phoneInvalid: true, phoneInvalidReason: reason, phoneInvalidAt: new Date() }
+    : { emailInvalid: true, emailInvalidReason: reason, emailInvalidAt: new Date() };
+
+  const result = await prisma.driver.updateMany({ where, data });
+
+  if (result.count > 0) {
+    console.log(`🚫 Flagged ${channel === 'SMS' ? 'phone' : 'email'} ${address} as invalid on ${result.count} driver(s): ${reason || 'hard bounce'}`);
+  }
+
+  return result.count;
+};
+
+/**
+ * Store a provider delivery report on the outbound message it belongs to
+ * @param {Object} params
+ * @param {string} params.channel - 'EMAIL' or 'SMS'
+ * @param {string} [params.providerMessageId] - Twilio SID or email Message-ID (without <>)
+ * @param {string} params.deliveryStatus - DeliveryStatus enum value
+ * @param {boolean} [params.hardBounce] - True if the recipient can never be reached
+ * @param {string} [params.reason] - Provider error description
+ * @returns {Promise<Object|null>} Updated OutboundMessage, or null if none matched
+ */
+export const recordDeliveryUpdate = async ({
+  channel,
+  providerMessageId = null,
+  deliveryStatus,
+  hardBounce = false,
+  reason = null,
+}) => {
+  const message = providerMessageId
+    ? await prisma.outboundMessage.findFirst({ where: { providerMessageId, channel } })
+    : null;
+
+  if (!message) return null;
+
+  const updated = await prisma.outboundMessage.update({
+    where: { id: message.id },
+    data: {
+      deliveryStatus,
+      deliveryError: reason,
+      deliveryUpdatedAt: new Date(),
+    },
+  });
+
+  // Only flag the recipient of a message we sent, and only for the company that sent it
+  if (hardBounce) {
+    await markContactInvalid({
+      channel,
+      address: message.to,
+      reason,
+      companyId: message.companyId,
+    });
+  }
+
+  return updated;
+};
@@ -0,0 +1,219 @@
+import prisma from '../../prisma/client.js';
+import crypto from 'crypto';
+import { buildDocumentRejectedEmail } from './emailService.js';
+import { buildDocumentRejectedSMS } from './smsService.js';
+import { enqueueMessage, triggerOutboxWorker, SOURCE_TYPES } from './outboxService.js';
+import { isSmsOptedOut } from './smsConsentService.js';
+import { notifyDocumentNeedsReview } from './notificationService.js';
+
+/**
+ * Document Review Service
+ * Documents uploaded through the driver portal, or scanned by AI with low confidence
+ * or invalid extracted data, are queued for review (reviewStatus = PENDING_REVIEW). They stay in PENDING status
+ * (no reminders, not counted as valid) until a reviewer approves them.
+ */
+
+// How long a reopened driver upload link stays valid
+const REUPLOAD_LINK_DAYS = 7;
+
+/**
+ * Put a document in the review queue and notify the company
+ * @param {Object} params
+ * @param {Object} params.document - Document to queue
+ * @param {Object} params.driver - Driver ({ id, name, companyId })
+ * @param {string} params.reason - Why the document needs review
+ * @param {Object} [params.flags] - Field-level review flags from the AI extraction
+ * @returns {Promise<Object>} Updated document
+ */
+export const queueDocumentForReview = async ({ document, driver, reason, flags }) => {
+  const updatedDocument = await prisma.document.update({
+    where: { id: document.id },
+    data: {
+      reviewStatus: 'PENDING_REVIEW',
+      reviewReason: reason,
+      ...(flags && { reviewFlags: flags }),
+      reviewedAt: null,
+      reviewedById: null,
+      rejectionReason: null,
+    },
+  });
+
+  if (document.reviewStatus === 'PENDING_REVIEW') {
+    // Already in the queue - only the reason/flags changed
+    return updatedDocument;
+  }
+
+  try {
+    await notifyDocumentNeedsReview({
+      companyId: driver.companyId,
+      driverId: driver.id,
+      driverName: driver.name,
+      documentType: updatedDocument.type,
+      documentId: updatedDocument.id,
+      reason,
+    });
+  } catch (notificationError) {
+    console.error('❌ Error creating review notification:', notificationError);
+  }
+
+  console.log(`📝 Document ${document.id} queued for review: ${reason}`);
+  return updatedDocument;
+};
+
+/**
+ * Queue a scanned document for review when its extraction is not trustworthy
+ * (see evaluateExtractionReview in utils/extractionReview.js)
+ * @param {Object} params
+ * @param {Object} params.document - Scanned document
+ * @param {Object} params.driver - Driver ({ id, name, companyId })
+ * @param {Object} params.assessment - Result of evaluateExtractionReview()
+ * @returns {Promise<Object>} { required, reason, flags }
+ */
+export const queueExtractionForReview = async ({ document, driver, assessment }) => {
+  const flags = {
+    threshold: assessment.threshold,
+    confidence: assessment.confidence,
+    lowConfidenceFields: assessment.lowConfidenceFields,
+    validationErrors: assessment.validationErrors,
+    disagreements: assessment.disagreements || [],
+    // Duplicate matches found at upload time are kept across scans
+    ...(document.reviewFlags?.duplicates && { duplicates: document.reviewFlags.duplicates }),
+  };
+
+  if (!assessment.required) {
+    // Keep an earlier queue entry (e.g. a driver portal upload) but refresh the flags
+    await prisma.document.update({
+      where: { id: document.id },
+      data: { reviewFlags: flags },
+    });
+    return { required: document.reviewStatus === 'PENDING_REVIEW', reason: document.reviewReason || null, flags };
+  }
+
+  const reason = assessment.reasons.join('; ');
+  await queueDocumentForReview({ document, driver, reason, flags });
+  return { required: true, reason, flags };
+};
+
+/**
+ * Reopen (or create) the driver's upload invitation so a rejected document can be re-uploaded
+ * @param {Object} driver - Driver ({ id, email, phone })
+ * @param {string} documentType - Document type that needs to be uploaded again
+ * @returns {Promise<Object>} { invitation, uploadLink }
+ */
+export const reopenDriverInvitation = async (driver, documentType) => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REUPLOAD_LINK_DAYS);
+
+  const existingInvitation = await prisma.driverInvitation.findUnique({
+    where: { driverId: driver.id },
+  });
+
+  let invitation;
+  if (existingInvitation) {
+    // A finished or expired invitation only asks for the rejected document again
+    const isOpen = ['PENDING', 'SENT', 'ACCESSED'].includes(existingInvitation.status)
+      && existingInvitation.expiresAt > new Date();
+    const requestedDocuments = isOpen
+      ? [...new Set([...existingInvitation.requestedDocuments, documentType])]
+      : [documentType];
+
+    invitation = await prisma.driverInvitation.update({
+      where: { id: existingInvitation.id },
+      data: {
+        token: isOpen ? existingInvitation.token : crypto.randomBytes(32).toString('hex'),
+        requestedDocuments,
+        status: 'PENDING',
+        expiresAt,
+        completedAt: null,
+        documentsUploadedAt: null,
+      },
+    });
+  } else {
+    invitation = await prisma.driverInvitation.create({
+      data: {
+        driverId: driver.id,
+        token: crypto.randomBytes(32).toString('hex'),
+        email: driver.email,
+        phone: driver.phone,
+        requestedDocuments: [documentType],
+        expiresAt,
+      },
+    });
+  }
+
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return {
+    invitation,
+    uploadLink: `${baseUrl}/driver/upload/${invitation.token}`,
+  };
+};
+
+/**
+ * Tell the driver their document was rejected, with the reason and a re-upload link
+ * Both messages go through the outbox, which sets the invitation's emailSentAt/smsSentAt
+ * (and SENT status) once they are delivered.
+ * @param {Object} params
+ * @param {Object} params.driver - Driver ({ name, email, phone })
+ * @param {Object} params.company - Company ({ id, name, smsEnabled })
+ * @param {Object} params.invitation - Reopened driver invitation
+ * @param {string} params.documentType - Rejected document type
+ * @param {string} params.reason - Rejection reason
+ * @param {string} params.uploadLink - Re-upload link
+ * @returns {Promise<Object>} { emailSent, smsSent, errors } (sent = queued)
+ */
+export const notifyDriverOfRejection = async ({ driver, company, invitation, documentType, reason, uploadLink }) => {
+  const result = { emailSent: false, smsSent: false, errors: [] };
+  const email = driver.email || invitation.email;
+  const phone = driver.phone || invitation.phone;
+  const content = {
+    driverName: driver.name,
+    documentType,
+    reason,
+    uploadLink,
+    companyName: company.name,
+  };
+  const source = {
+    companyId: company.id,
+    sourceType: SOURCE_TYPES.DRIVER_INVITATION,
+    sourceId: invitation.id,
+  };
+
+  if (email) {
+    try {
+      const { subject, text, html } = buildDocumentRejectedEmail({ email, ...content });
+      await enqueueMessage({
+        channel: 'EMAIL',
+        to: email,
+        subject,
+        text,
+        html,
+        fromName: company.name,
+        ...source,
+      });
+      result.emailSent = true;
+    } catch (error) {
+      console.error('❌ Error queueing rejection email:', error);
+      result.errors.push(`Email: ${error.message}`);
+    }
+  }
+
+  if (phone && company.smsEnabled) {
+    try {
+      if (await isSmsOptedOut(phone)) {
+        throw new Error(`${phone} has opted out of SMS (replied STOP)`);
+      }
+
+      await enqueueMessage({ channel: 'SMS', to: phone, text: buildDocumentRejectedSMS(content), ...source });
+      result.smsSent = true;
+    } catch (error) {
+      console.error('❌ Error queueing rejection SMS:', error);
+      result.errors.push(`SMS: ${error.message}`);
+    }
+  }
+
+  if (result.emailSent || result.smsSent) {
+    triggerOutboxWorker();
+  }
+
+  return result;
+};
@@ -0,0 +1,291 @@
+import prisma from '../../prisma/client.js';
+import { extractDocumentData, parseWithAIDynamic, parseWithAIUnified } from './textractService.js';
+import { getOcrProvider, getLlmProvider } from './extractionProviders.js';
+import { validateExtractedData } from './promptBuilder.js';
+import { getCorrectionHints, getCorrectionHintsByType } from './extractionFeedbackService.js';
+import { readMachineReadableData, mergeMachineReadableFields } from '../utils/machineReadableParser.js';
+
+/**
+ * Document Scan Service
+ * The OCR + LLM pipeline shared by the single-document scan endpoint
+ * and the background scan job worker (scanJobService.js).
+ * Which OCR and LLM run is decided by the configured providers (extractionProviders.js).
+ */
+
+// Document types that carry an MRZ or an AAMVA barcode
+const MACHINE_READABLE_TYPES = ["Driver's Licence", 'Work Eligibility'];
+
+/**
+ * Check whether a document still needs its type classified by the AI
+ * @param {Object} document - Document with a type
+ * @returns {boolean}
+ */
+export const needsClassification = (document) =>
+  !document.type || document.type === 'Pending Classification';
+
+/**
+ * Apply document-type specific rules to the extracted data (mutates parsedData)
+ * - Driver Abstract: expiry date is the issue date + 30 days
+ * - Work Eligibility: map the document sub-type to a status
+ * @param {string} documentType - Detected document type
+ * @param {Object} parsedData - Extracted data
+ * @returns {Object} parsedData
+ */
+export const applyDocumentTypeRules = (documentType, parsedData) => {
+  // Special logic for Driver's Abstract: Calculate expiry date from issue date + 30 days
+  if (documentType === "Driver Abstract" && parsedData.issueDate) {
+    try {
+      const issueDate = new Date(parsedData.issueDate);
+      if (!isNaN(issueDate.getTime())) {
+        // Add 30 days to the issue date
+        const expiryDate = new Date(issueDate);
+        expiryDate.setDate(expiryDate.getDate() + 30);
+
+        // Format as YYYY-MM-DD
+        parsedData.expiryDate = expiryDate.toISOString().split('T')[0];
+
+        console.log('✅ Driver Abstract expiry date calculated:', {
+          issueDate: parsedData.issueDate,
+          expiryDate: parsedData.expiryDate
+        });
+      }
+    } catch (error) {
+      console.error('Error calculating Driver Abstract expiry date:', error);
+    }
+  }
+
+  // Special logic for Work Eligibility: Map document sub-type to status
+  if (documentType === "Work Eligibility" && parsedData.documentSubType) {
+    try {
+      const subType = parsedData.documentSubType.toLowerCase();
+
+      // Map document sub-type to status
+      if (subType.includes('passport')) {
+        parsedData.status = 'Citizen';
+        console.log('✅ Work Eligibility: Detected Passport → Status: Citizen');
+      } else if (subType.includes('pr') || subType.includes('permanent resident')) {
+        parsedData.status = 'Permanent Resident';
+        console.log('✅ Work Eligibility: Detected PR Card → Status: Permanent Resident');
+      } else if (subType.includes('work permit') || subType.includes('permit')) {
+        parsedData.status = 'Work Permit';
+        console.log('✅ Work Eligibility: Detected Work Permit → Status: Work Permit');
+      }
+
+      console.log('Work Eligibility mapping complete:', {
+        documentSubType: parsedData.documentSubType,
+        status: parsedData.status,
+        expiryDate: parsedData.expiryDate
+      });
+    } catch (error) {
+      console.error('Error mapping Work Eligibility status:', error);
+    }
+  }
+
+  return parsedData;
+};
+
+/**
+ * Estimate the cost of a scan in USD from the LLM provider's token pricing plus the OCR provider's per-document cost
+ * @param {Object} usage - { promptTokens, completionTokens, provider, ocrProvider }
+ * @returns {number} Cost in USD
+ */
+export const calculateScanCost = (usage) => {
+  const { pricing } = getLlmProvider(usage.provider);
+  const inputCost = (usage.promptTokens / 1_000_000) * pricing.inputPerMillion;
+  const outputCost = (usage.completionTokens / 1_000_000) * pricing.outputPerMillion;
+  return inputCost + outputCost + getOcrProvider(usage.ocrProvider).costPerDocument;
+};
+
+/**
+ * Replace LLM-extracted fields with verified MRZ / AAMVA barcode values (mutates result)
+ * @param {Object} textractData - OCR output
+ * @param {Object} result - Scan result ({ detectedDocumentType, documentTypeConfig, parsedData, validation, metadata })
+ * @returns {Object|null} { source, format, valid, checks, filledFields, disagreements, used } or null
+ */
+const applyMachineReadableData = (textractData, result) => {
+  const { documentTypeConfig } = result;
+  if (!MACHINE_READABLE_TYPES.includes(result.detectedDocumentType) || documentTypeConfig.extractionMode !== 'fields') {
+    return null;
+  }
+
+  const machineReadable = readMachineReadableData(textractData);
+  if (!machineReadable) {
+    return null;
+  }
+
+  const { data, filledFields, disagreements } = mergeMachineReadableFields(
+    result.parsedData,
+    machineReadable,
+    documentTypeConfig.fields
+  );
+
+  if (filledFields.length > 0) {
+    result.parsedData = data;
+    result.validation = validateExtractedData(data, documentTypeConfig.fields);
+    // Check-digit verified values need no AI confidence
+    result.metadata = {
+      ...result.metadata,
+      fieldConfidence: {
+        ...result.metadata?.fieldConfidence,
+        ...Object.fromEntries(filledFields.map((field) => [field, 100])),
+      },
+    };
+  }
+
+  if (disagreements.length > 0) {
+    console.warn(`⚠️  AI extraction disagrees with the ${machineReadable.source}:`, disagreements);
+  }
+
+  return {
+    source: machineReadable.source,
+    format: machineReadable.format,
+    valid: machineReadable.valid,
+    checks: machineReadable.checks,
+    filledFields,
+    disagreements,
+    used: filledFields.length > 0,
+  };
+};
+
+/**
+ * Load the company's common corrections for the document's type (empty when unavailable)
+ * @param {Object} document - Document with driver
+ * @param {Object} [options]
+ * @param {boolean} [options.allTypes] - Corrections for every type, keyed by type (document not classified yet)
+ */
+const loadCorrectionHints = async (document, { allTypes = false } = {}) => {
+  const empty = allTypes ? {} : [];
+  const companyId = document.driver?.companyId;
+  if (!companyId) return empty;
+
+  try {
+    return allTypes
+      ? await getCorrectionHintsByType(companyId)
+      : await getCorrectionHints(companyId, document.type);
+  } catch (error) {
+    console.error('⚠️ Failed to load correction hints:', error);
+    return empty;
+  }
+};
+
+/**
+ * Update the document's TextractStatus so clients can follow the scan progress
+ * @param {string} documentId - Document ID
+ * @param {string} textractStatus - TextractStatus value
+ * @param {Object} [data] - Extra fields to update
+ */
+export const setScanStage = async (documentId, textractStatus, data = {}) => {
+  await prisma.document.update({
+    where: { id: documentId },
+    data: { textractStatus, ...data },
+  });
+};
+
+/**
+ * Run OCR and the AI parser for one document.
+ *
+ * Walks the document through TEXTRACT_PROCESSING -> TEXTRACT_COMPLETED -> AI_PROCESSING -> AI_COMPLETED
+ * (or TEXTRACT_FAILED / AI_FAILED, after which the error is re-thrown).
+ * Documents that cannot be scanned (no config, AI disabled) return { skipped: true } without using AI credits.
+ * Driver's licences and work eligibility documents with a valid MRZ or AAMVA barcode get those
+ * values instead of the LLM's (machineReadable.used); scans like that are not charged AI credits.
+ *
+ * @param {Object} document - Document to scan (needs id, type, s3Key; driver.companyId for correction hints)
+ * @param {Object} mergedConfigs - Company document type configurations (mergeWithDefaults)
+ * @returns {Promise<Object>} { skipped, reason, error } or
+ *   { detectedDocumentType, documentTypeConfig, parsedData, usage, validation, metadata, machineReadable, textractData }
+ */
+export const runDocumentScan = async (document, mergedConfigs) => {
+  const classify = needsClassification(document);
+
+  // Fail fast before spending a Textract call on a type that cannot be scanned
+  if (!classify) {
+    const documentTypeConfig = mergedConfigs[document.type];
+    if (!documentTypeConfig) {
+      return {
+        skipped: true,
+        reason: 'MISSING_CONFIG',
+        error: `Document type configuration not found for: ${document.type}`,
+      };
+    }
+    if (!documentTypeConfig.aiEnabled) {
+      return {
+        skipped: true,
+        reason: 'AI_DISABLED',
+        error: `AI extraction is disabled for document type: ${document.type}`,
+      };
+    }
+  }
+
+  await setScanStage(document.id, 'TEXTRACT_PROCESSING');
+
+  const ocrProvider = getOcrProvider();
+  let textractData;
+  try {
+    textractData = await extractDocumentData(document.s3Key);
+  } catch (error) {
+    await setScanStage(document.id, 'TEXTRACT_FAILED');
+    throw error;
+  }
+
+  await setScanStage(document.id, 'AI_PROCESSING', { textractRawData: textractData });
+
+  let result;
+  try {
+    if (classify) {
+      // Unified parsing classifies AND extracts in a single AI call
+      const correctionHints = await loadCorrectionHints(document, { allTypes: true });
+      const unifiedResult = await parseWithAIUnified(textractData, mergedConfigs, { correctionHints });
+      result = {
+        detectedDocumentType: unifiedResult.detectedType,
+        documentTypeConfig: unifiedResult.documentTypeConfig,
+        parsedData: unifiedResult.parsedData,
+        usage: unifiedResult.usage,
+        validation: unifiedResult.validation,
+        metadata: unifiedResult.metadata,
+      };
+    } else {
+      const documentTypeConfig = mergedConfigs[document.type];
+      const correctionHints = await loadCorrectionHints(document);
+      const parseResult = await parseWithAIDynamic(textractData, documentTypeConfig, document.type, { correctionHints });
+      result = {
+        detectedDocumentType: document.type,
+        documentTypeConfig,
+        parsedData: parseResult.parsedData,
+        usage: parseResult.usage,
+        validation: parseResult.validation,
+        metadata: parseResult.metadata,
+      };
+    }
+  } catch (error) {
+    await setScanStage(document.id, 'AI_FAILED');
+    throw error;
+  }
+  result.usage.ocrProvider = ocrProvider.name;
+
+  if (classify && !result.documentTypeConfig.aiEnabled) {
+    await setScanStage(document.id, 'AI_COMPLETED');
+    return {
+      skipped: true,
+      reason: 'AI_DISABLED_FOR_DETECTED_TYPE',
+      error: `AI extraction is disabled for detected document type: ${result.detectedDocumentType}`,
+      detectedDocumentType: result.detectedDocumentType,
+      // The AI call already happened
+      usage: result.usage,
+    };
+  }
+
+  const machineReadable = applyMachineReadableData(textractData, result);
+
+  if (!result.parsedData.documentType) {
+    result.parsedData.documentType = result.detectedDocumentType;
+  }
+  applyDocumentTypeRules(result.detectedDocumentType, result.parsedData);
+
+  await setScanStage(document.id, 'AI_COMPLETED', {
+    aiExtractedData: result.parsedData,
+    aiProcessedAt: new Date(),
+  });
+
+  return { ...result, machineReadable, textractData };
+};
@@ -0,0 +1,135 @@
+import prisma from '../../prisma/client.js';
+
+/**
+ * Document Version Service
+ * Keeps a renewal lineage for documents instead of overwriting them.
+ *
+ * Every document belongs to a lineage (identified by the ID of its first version).
+ * When a renewal is uploaded it supersedes the previous version: the old row keeps
+ * its S3 file, dates and extracted data but is flagged isCurrent = false, so it stays
+ * downloadable while reminders and compliance checks only look at the current version.
+ */
+
+const VERSION_SELECT = {
+  id: true,
+  type: true,
+  version: true,
+  isCurrent: true,
+  supersededAt: true,
+  supersedesId: true,
+  fileName: true,
+  fileSize: true,
+  mimeType: true,
+  documentNumber: true,
+  issueDate: true,
+  expiryDate: true,
+  status: true,
+  uploadedAt: true,
+  s3UploadedAt: true,
+};
+
+/**
+ * Get the lineage ID of a document (first versions use their own ID)
+ * @param {Object} document - Document with id and lineageId
+ * @returns {string} Lineage ID
+ */
+export const getLineageId = (document) => document.lineageId || document.id;
+
+/**
+ * Mark `previous` as superseded by `next` and link them in the same lineage
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} previous - Document being replaced
+ * @param {Object} next - Renewal document
+ * @returns {Promise<Object>} Updated renewal document
+ */
+export const supersedeDocument = async (tx, previous, next) => {
+  await tx.document.update({
+    where: { id: previous.id },
+    data: {
+      isCurrent: false,
+      supersededAt: new Date(),
+    },
+  });
+
+  return tx.document.update({
+    where: { id: next.id },
+    data: {
+      supersedesId: previous.id,
+      lineageId: getLineageId(previous),
+      version: (previous.version || 1) + 1,
+      isCurrent: true,
+    },
+  });
+};
+
+/**
+ * Find the document a renewal explicitly asks to replace (`supersedesDocumentId` on the request).
+ * Renewals are never guessed from the document type: a driver can legitimately hold
+ * several current documents of the same type.
+ * @param {string} driverId - Driver ID
+ * @param {string} supersedesDocumentId - Document being renewed
+ * @returns {Promise<Object|null>} The driver's current document with that ID, or null
+ */
+export const findRenewableDocument = async (driverId, supersedesDocumentId) => {
+  return prisma.document.findFirst({
+    where: {
+      id: supersedesDocumentId,
+      driverId,
+      isCurrent: true,
+    },
+  });
+};
+
+/**
+ * Get every version of a document's lineage, newest first
+ * @param {Object} document - Any version in the lineage
+ * @returns {Promise<Array>} Versions
+ */
+export const getDocumentVersions = async (document) => {
+  const lineageId = getLineageId(document);
+
+  return prisma.document.findMany({
+    where: {
+      OR: [{ id: lineageId }, { lineageId }],
+    },
+    select: VERSION_SELECT,
+    orderBy: { version: 'desc' },
+  });
+};
+
+/**
+ * Unlink a document from its lineage before it is deleted.
+ * The version after it is re-linked to the version before it, and if the
+ * current version is deleted the previous version becomes current again.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} document - Document about to be deleted
+ */
+export const detachFromLineage = async (tx, document) => {
+  const next = await tx.document.findUnique({
+    where: { supersedesId: document.id },
+    select: { id: true },
+  });
+
+  // Clear our own link first so the previous version can be re-linked (supersedesId is unique)
+  if (document.supersedesId) {
+    await tx.document.update({
+      where: { id: document.id },
+      data: { supersedesId: null },
+    });
+  }
+
+  if (next) {
+    await tx.document.update({
+      where: { id: next.id },
+      data: { supersedesId: document.supersedesId || null },
+    });
+  } else if (document.isCurrent && document.supersedesId) {
+    await tx.document.update({
+      where: { id: document.supersedesId },
+      data: {
+        isCurrent: true,
+        supersededAt: null,
+      },
+    });
+  }
+};
@@ -0,0 +1,150 @@
+import prisma from '../../prisma/client.js';
+import auditService from './auditService.js';
+import { getFileHash } from './s3Service.js';
+import { DUPLICATE_MATCH_TYPES, buildDuplicateMatches } from '../utils/documentDuplicates.js';
+
+/**
+ * Duplicate Document Service
+ * Detects the same uploaded file (SHA-256 content hash) or the same normalized
+ * document number being attached to more than one document within a company.
+ * Depending on Company.duplicateDocumentPolicy the upload is allowed with a
+ * warning (WARN) or refused (BLOCK). Every detection is logged as a security event.
+ */
+
+// Most conflicting documents reported per match type
+const MAX_MATCHES = 10;
+
+const matchSelect = {
+  id: true,
+  type: true,
+  driverId: true,
+  driver: { select: { name: true } },
+};
+
+/**
+ * Hash an uploaded file, or return null when it cannot be read
+ * (detection is best-effort and must not break uploads)
+ * @param {string} key - S3 object key
+ * @returns {Promise<string|null>}
+ */
+export const hashUploadedFile = async (key) => {
+  try {
+    return await getFileHash(key);
+  } catch (error) {
+    console.error(`⚠️ Could not hash uploaded file ${key}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Find documents in the company that share the file or the document number
+ * Rejected documents are ignored. Document numbers only conflict across drivers,
+ * since a driver's renewals keep the same number.
+ * @param {Object} params
+ * @param {string} params.companyId - Company ID
+ * @param {string} params.driverId - Driver the new document belongs to
+ * @param {string} [params.contentHash] - SHA-256 of the uploaded file
+ * @param {string} [params.normalizedDocumentNumber] - See normalizeDocumentNumber()
+ * @param {string} [params.excludeDocumentId] - The document being checked
+ * @returns {Promise<Array>} See buildDuplicateMatches()
+ */
+export const findDuplicateDocuments = async ({
+  companyId,
+  driverId,
+  contentHash,
+  normalizedDocumentNumber,
+  excludeDocumentId,
+}) => {
+  const baseWhere = {
+    driver: { companyId },
+    reviewStatus: { not: 'REJECTED' },
+    ...(excludeDocumentId && { id: { not: excludeDocumentId } }),
+  };
+
+  const [hashMatches, numberMatches] = await Promise.all([
+    contentHash
+      ? prisma.document.findMany({
+          where: { ...baseWhere, contentHash },
+          select: matchSelect,
+          orderBy: { createdAt: 'desc' },
+          take: MAX_MATCHES,
+        })
+      : [],
+    normalizedDocumentNumber
+      ? prisma.document.findMany({
+          where: { ...baseWhere, normalizedDocumentNumber, driverId: { not: driverId } },
+          select: matchSelect,
+          orderBy: { createdAt: 'desc' },
+          take: MAX_MATCHES,
+        })
+      : [],
+  ]);
+
+  return buildDuplicateMatches(
+    {
+      [DUPLICATE_MATCH_TYPES.CONTENT_HASH]: hashMatches,
+      [DUPLICATE_MATCH_TYPES.DOCUMENT_NUMBER]: numberMatches,
+    },
+    driverId
+  );
+};
+
+/**
+ * Get the company's duplicate document policy
+ * @param {string} companyId - Company ID
+ * @returns {Promise<string>} 'WARN' or 'BLOCK'
+ */
+export const getDuplicatePolicy = async (companyId) => {
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { duplicateDocumentPolicy: true },
+  });
+  return company?.duplicateDocumentPolicy || 'WARN';
+};
+
+/**
+ * Log a duplicate detection as a security event
+ * @param {Object} params
+ * @param {string} params.companyId - Company ID
+ * @param {Object} [params.user] - Staff user ({ id, email }); omitted for driver portal uploads
+ * @param {Object} params.driver - Driver ({ id, name })
+ * @param {string} [params.documentId] - New document (when it was created)
+ * @param {Array} params.duplicates - Result of findDuplicateDocuments()
+ * @param {boolean} params.blocked - Whether the upload was refused
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ */
+export const recordDuplicateDetection = async ({
+  companyId,
+  user,
+  driver,
+  documentId,
+  duplicates,
+  blocked,
+  ipAddress,
+  userAgent,
+}) => {
+  const crossDriver = duplicates.some((duplicate) => !duplicate.sameDriver);
+
+  console.warn(`⚠️ Duplicate document ${blocked ? 'blocked' : 'detected'} for driver ${driver.name}:`,
+    duplicates.map((duplicate) => duplicate.message));
+
+  await auditService.logSecurityEvent({
+    userId: user?.id || null,
+    userEmail: user?.email || null,
+    companyId,
+    eventType: 'DUPLICATE_DOCUMENT',
+    severity: crossDriver ? 'HIGH' : 'MEDIUM',
+    ipAddress,
+    userAgent,
+    description: `Duplicate document ${crossDriver ? 'across drivers ' : ''}for ${driver.name}: ${duplicates.map((d) => d.message).join('; ')}`,
+    metadata: {
+      driverId: driver.id,
+      driverName: driver.name,
+      documentId: documentId || null,
+      duplicates,
+    },
+    blocked,
+    actionTaken: blocked ? 'Upload blocked' : 'Upload allowed with a warning',
+  });
+};
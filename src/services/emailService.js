@@ -28,33 +28,31 @@ const createTransporter = () => {
 };
 
 /**
- * Send driver invitation email with upload link
+ * Build the driver invitation email
  * @param {Object} params - Email parameters
  * @param {string} params.email - Recipient email
  * @param {string} params.driverName - Driver's name
  * @param {string} params.uploadLink - Secure upload link
  * @param {string[]} params.requestedDocuments - List of requested documents
  * @param {string} params.companyName - Company name
+ * @returns {Object} Mail options ({ from, to, subject, html })
  */
-export const sendDriverInvitationEmail = async ({
+export const buildDriverInvitationEmail = ({
   email,
   driverName,
   uploadLink,
   requestedDocuments,
   companyName,
 }) => {
-  try {
-    const transporter = createTransporter();
-
-    const documentList = requestedDocuments
-      .map((doc) => `<div class="document-item">${doc}</div>`)
-      .join('');
-
-    const mailOptions = {
-      from: `"${companyName}" <${process.env.SMTP_USER}>`,
-      to: email,
-      subject: `Document Upload Request from ${companyName}`,
-      html: `
+  const documentList = requestedDocuments
+    .map((doc) => `<div class="document-item">${doc}</div>`)
+    .join('');
+
+  const mailOptions = {
+    from: `"${companyName}" <${process.env.SMTP_USER}>`,
+    to: email,
+    subject: `Document Upload Request from ${companyName}`,
+    html: `
         <!DOCTYPE html>
         <html>
         <head>
@@ -315,10 +313,20 @@ export const sendDriverInvitationEmail = async ({
           </div>
         </body>
         </html>
-      `,
-    };
+    `,
+  };
 
-    const info = await transporter.sendMail(mailOptions);
+  return mailOptions;
+};
+
+/**
+ * Send driver invitation email with upload link
+ * @param {Object} params - Email parameters (see buildDriverInvitationEmail)
+ */
+export const sendDriverInvitationEmail = async (params) => {
+  try {
+    const transporter = createTransporter();
+    const info = await transporter.sendMail(buildDriverInvitationEmail(params));
     console.log('Email sent successfully:', info.messageId);
     return { success: true, messageId: info.messageId };
   } catch (error) {
@@ -626,6 +634,231 @@ export const sendDocumentUploadNotificationEmail = async ({
   }
 };
 
+/**
+ * Build the email telling a driver a reviewer rejected one of their documents
+ * @param {Object} params - Email parameters
+ * @param {string} params.email - Driver email
+ * @param {string} params.driverName - Driver's name
+ * @param {string} params.documentType - Type of the rejected document
+ * @param {string} params.reason - Rejection reason entered by the reviewer
+ * @param {string} params.uploadLink - Secure re-upload link
+ * @param {string} params.companyName - Company name
+ * @returns {Object} Mail options ({ from, to, subject, text, html })
+ */
+export const buildDocumentRejectedEmail = ({
+  email,
+  driverName,
+  documentType,
+  reason,
+  uploadLink,
+  companyName,
+}) => {
+  const mailOptions = {
+    from: `"${companyName}" <${process.env.SMTP_USER}>`,
+    to: email,
+    subject: `Action Required: Please re-upload your ${documentType}`,
+    text: `Hello ${driverName},
+
+${companyName} could not accept the ${documentType} you uploaded.
+
+Reason: ${reason}
+
+Please upload a new copy using this secure link:
+${uploadLink}
+
+This link expires in 7 days.`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+          }
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            line-height: 1.6;
+            color: #1f2937;
+            background-color: #f3f4f6;
+          }
+          .email-wrapper {
+            width: 100%;
+            background-color: #f3f4f6;
+            padding: 40px 0;
+          }
+          .container {
+            max-width: 600px;
+            margin: 0 auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07);
+          }
+          .header {
+            background: linear-gradient(135deg, #dc2626 0%, #ef4444 50%, #f87171 100%);
+            padding: 40px 30px;
+            text-align: center;
+          }
+          .header-icon {
+            font-size: 48px;
+            margin-bottom: 12px;
+          }
+          .header-title {
+            color: #ffffff;
+            font-size: 26px;
+            font-weight: 700;
+            margin: 0;
+          }
+          .content {
+            padding: 40px 30px;
+          }
+          .greeting {
+            font-size: 18px;
+            font-weight: 600;
+            color: #1f2937;
+            margin-bottom: 16px;
+          }
+          .text {
+            color: #4b5563;
+            margin-bottom: 16px;
+            font-size: 15px;
+          }
+          .reason-box {
+            background-color: #fef2f2;
+            border-left: 4px solid #dc2626;
+            padding: 20px;
+            margin: 24px 0;
+            border-radius: 8px;
+          }
+          .reason-title {
+            color: #991b1b;
+            font-size: 15px;
+            font-weight: 600;
+            margin-bottom: 8px;
+          }
+          .reason-text {
+            color: #7f1d1d;
+            font-size: 15px;
+          }
+          .cta-container {
+            text-align: center;
+            margin: 32px 0;
+          }
+          .button {
+            display: inline-block;
+            padding: 16px 40px;
+            background: linear-gradient(135deg, #2563eb 0%, #3b82f6 100%);
+            color: #ffffff !important;
+            text-decoration: none;
+            border-radius: 10px;
+            font-weight: 600;
+            font-size: 16px;
+          }
+          .link-box {
+            background-color: #f9fafb;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            padding: 16px;
+            margin: 20px 0;
+          }
+          .link-text {
+            font-size: 13px;
+            color: #6b7280;
+            margin-bottom: 8px;
+          }
+          .link {
+            word-break: break-all;
+            color: #2563eb;
+            font-size: 13px;
+            text-decoration: none;
+          }
+          .footer {
+            background-color: #f9fafb;
+            padding: 30px;
+            border-top: 1px solid #e5e7eb;
+            text-align: center;
+          }
+          .footer-text {
+            font-size: 13px;
+            color: #6b7280;
+            margin-bottom: 8px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="email-wrapper">
+          <div class="container">
+            <div class="header">
+              <div class="header-icon">⚠️</div>
+              <h1 class="header-title">Document Not Accepted</h1>
+            </div>
+
+            <div class="content">
+              <p class="greeting">Hello ${driverName},</p>
+
+              <p class="text">
+                <strong>${companyName}</strong> reviewed the <strong>${documentType}</strong> you uploaded and could not accept it.
+              </p>
+
+              <div class="reason-box">
+                <div class="reason-title">Reason</div>
+                <p class="reason-text">${reason}</p>
+              </div>
+
+              <p class="text" style="text-align: center; font-weight: 600;">
+                Please upload a new copy using the button below:
+              </p>
+
+              <div class="cta-container">
+                <a href="${uploadLink}" class="button">Upload Again →</a>
+              </div>
+
+              <div class="link-box">
+                <p class="link-text">Or copy and paste this link into your browser:</p>
+                <a href="${uploadLink}" class="link">${uploadLink}</a>
+              </div>
+
+              <p class="text">This upload link will expire in 7 days.</p>
+            </div>
+
+            <div class="footer">
+              <p class="footer-text">
+                <strong>Need help?</strong> If you have questions about this request, please reach out to your contact at <strong>${companyName}</strong>.
+              </p>
+              <p class="footer-text" style="color: #9ca3af;">
+                © ${new Date().getFullYear()} Complyo. All rights reserved.
+              </p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  return mailOptions;
+};
+
+/**
+ * Send email to a driver when a reviewer rejects one of their documents
+ * @param {Object} params - Email parameters (see buildDocumentRejectedEmail)
+ */
+export const sendDocumentRejectedEmail = async (params) => {
+  try {
+    const transporter = createTransporter();
+    const info = await transporter.sendMail(buildDocumentRejectedEmail(params));
+    console.log(`✅ Document rejection email sent to ${params.email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending document rejection email:', error);
+    throw new Error(`Failed to send document rejection email: ${error.message}`);
+  }
+};
+
 /**
  * Send generic email
  * @param {Object} params - Email parameters
@@ -633,17 +866,20 @@ export const sendDocumentUploadNotificationEmail = async ({
  * @param {string} params.subject - Email subject
  * @param {string} params.text - Plain text content
  * @param {string} params.html - HTML content (optional)
+ * @param {Array} params.attachments - Nodemailer attachments (optional)
+ * @param {string} params.fromName - Sender display name (optional)
  */
-export const sendEmail = async ({ to, subject, text, html }) => {
+export const sendEmail = async ({ to, subject, text, html, attachments, fromName }) => {
   try {
     const transporter = createTransporter();
 
     const mailOptions = {
-      from: process.env.SMTP_USER,
+      from: fromName ? `"${fromName}" <${process.env.SMTP_USER}>` : process.env.SMTP_USER,
       to,
       subject,
       text,
       html: html || text,
+      ...(attachments?.length && { attachments }),
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -651,7 +887,7 @@ export const sendEmail = async ({ to, subject, text, html }) => {
     return { success: true, messageId: info.messageId };
   } catch (error) {
     console.error('Error sending email:', error);
-    throw new Error(`Failed to send email: ${error.message}`);
+    throw new Error(`Failed to send email: ${error.message}`, { cause: error });
   }
 };
 
@@ -914,7 +1150,7 @@ export const sendWelcomeEmail = async ({
 };
 
 /**
- * Send team member invitation email
+ * Build the team member invitation email
  * @param {Object} params - Email parameters
  * @param {string} params.email - Recipient email
  * @param {string} params.firstName - Recipient's first name
@@ -923,36 +1159,27 @@ export const sendWelcomeEmail = async ({
  * @param {string} params.companyName - Company name
  * @param {string} params.role - DSP role assigned (e.g., "HR_LEAD")
  * @param {string} params.invitationUrl - Clerk invitation URL or signup URL
+ * @returns {Object} Mail options ({ from, to, subject, html })
  */
-export const sendTeamInvitationEmail = async ({
+export const buildTeamInvitationEmail = ({
   email,
-  firstName,
-  lastName,
   inviterName,
   companyName,
   role,
   invitationUrl,
 }) => {
-  try {
-    console.log('📧 Attempting to send team invitation email to:', email);
-    console.log('   Recipient:', firstName, lastName);
-    console.log('   Company:', companyName);
-    console.log('   Role:', role);
-
-    const transporter = createTransporter();
-
-    // Format role for display
-    const roleDisplay = role
-      .split('_')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' ');
-
-    const mailOptions = {
-      from: `"${companyName}" <${process.env.SMTP_USER}>`,
-      to: email,
-      subject: `${inviterName} invited you to join ${companyName} on Complyo`,
-
-      html: `
+  // Format role for display
+  const roleDisplay = role
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+
+  const mailOptions = {
+    from: `"${companyName}" <${process.env.SMTP_USER}>`,
+    to: email,
+    subject: `${inviterName} invited you to join ${companyName} on Complyo`,
+
+    html: `
         <!DOCTYPE html>
         <html>
         <head>
@@ -1203,8 +1430,27 @@ export const sendTeamInvitationEmail = async ({
           </div>
         </body>
         </html>
-      `,
-    };
+    `,
+  };
+
+  return mailOptions;
+};
+
+/**
+ * Send team member invitation email
+ * @param {Object} params - Email parameters (see buildTeamInvitationEmail)
+ */
+export const sendTeamInvitationEmail = async (params) => {
+  const { email, firstName, lastName, companyName, role } = params;
+
+  try {
+    console.log('📧 Attempting to send team invitation email to:', email);
+    console.log('   Recipient:', firstName, lastName);
+    console.log('   Company:', companyName);
+    console.log('   Role:', role);
+
+    const transporter = createTransporter();
+    const mailOptions = buildTeamInvitationEmail(params);
 
     console.log('📧 Sending email to:', email);
     const info = await transporter.sendMail(mailOptions);
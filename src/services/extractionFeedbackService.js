@@ -0,0 +1,142 @@
+import prisma from '../../prisma/client.js';
+import { compareExtraction, summarizeAccuracy } from '../utils/extractionFeedback.js';
+
+/**
+ * Extraction Feedback Service
+ * Records how staff corrected AI-extracted values, reports extraction accuracy,
+ * and turns the most common corrections into prompt hints (see buildDynamicPrompt).
+ */
+
+// Number of corrections passed to the AI as hints
+const MAX_CORRECTION_HINTS = 5;
+
+/**
+ * Record AI-extracted vs. saved values after staff save a scanned document.
+ * Saving the same document again replaces its earlier feedback.
+ * @param {Object} params
+ * @param {Object} params.document - Document before the update (with aiExtractedData)
+ * @param {Object} params.updatedDocument - Document after the update
+ * @param {string} params.companyId - Company ID
+ * @param {string} params.userId - User.id of the staff member
+ * @returns {Promise<Array>} Compared fields ({ field, aiValue, correctedValue, corrected })
+ */
+export const recordExtractionFeedback = async ({ document, updatedDocument, companyId, userId }) => {
+  const rows = compareExtraction(document.aiExtractedData, updatedDocument);
+  if (rows.length === 0) {
+    return rows;
+  }
+
+  await prisma.$transaction(
+    rows.map((row) =>
+      prisma.extractionFeedback.upsert({
+        where: { documentId_field: { documentId: updatedDocument.id, field: row.field } },
+        create: {
+          companyId,
+          documentId: updatedDocument.id,
+          documentType: updatedDocument.type,
+          correctedById: userId,
+          ...row,
+        },
+        update: {
+          documentType: updatedDocument.type,
+          correctedById: userId,
+          ...row,
+        },
+      })
+    )
+  );
+
+  const correctedFields = rows.filter((row) => row.corrected).map((row) => row.field);
+  if (correctedFields.length > 0) {
+    console.log(`✏️  AI extraction corrected for document ${updatedDocument.id}: ${correctedFields.join(', ')}`);
+  }
+
+  return rows;
+};
+
+/**
+ * Get the company's most common corrections for a document type
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Document type name
+ * @returns {Promise<Array>} [{ field, aiValue, correctedValue, count }]
+ */
+export const getCorrectionHints = async (companyId, documentType) => {
+  const groups = await prisma.extractionFeedback.groupBy({
+    by: ['field', 'aiValue', 'correctedValue'],
+    where: { companyId, documentType, corrected: true },
+    _count: { field: true },
+    orderBy: { _count: { field: 'desc' } },
+    take: MAX_CORRECTION_HINTS,
+  });
+
+  return groups.map((group) => ({
+    field: group.field,
+    aiValue: group.aiValue,
+    correctedValue: group.correctedValue,
+    count: group._count.field,
+  }));
+};
+
+/**
+ * Get the company's most common corrections for every document type
+ * Used when the document type is not known yet (unified classification + extraction).
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} { [documentType]: [{ field, aiValue, correctedValue, count }] }
+ */
+export const getCorrectionHintsByType = async (companyId) => {
+  const groups = await prisma.extractionFeedback.groupBy({
+    by: ['documentType', 'field', 'aiValue', 'correctedValue'],
+    where: { companyId, corrected: true },
+    _count: { field: true },
+    orderBy: { _count: { field: 'desc' } },
+  });
+
+  const hintsByType = {};
+  groups.forEach((group) => {
+    const hints = hintsByType[group.documentType] || (hintsByType[group.documentType] = []);
+    if (hints.length < MAX_CORRECTION_HINTS) {
+      hints.push({
+        field: group.field,
+        aiValue: group.aiValue,
+        correctedValue: group.correctedValue,
+        count: group._count.field,
+      });
+    }
+  });
+
+  return hintsByType;
+};
+
+/**
+ * Per-document-type extraction accuracy
+ * @param {Object} [where] - ExtractionFeedback filter (companyId, createdAt, ...)
+ * @returns {Promise<Array>} See summarizeAccuracy()
+ */
+export const getExtractionAccuracy = async (where = {}) => {
+  const [fieldCounts, documents] = await Promise.all([
+    prisma.extractionFeedback.groupBy({
+      by: ['documentType', 'field', 'corrected'],
+      where,
+      _count: { _all: true },
+    }),
+    prisma.extractionFeedback.groupBy({
+      by: ['documentType', 'documentId'],
+      where,
+    }),
+  ]);
+
+  const documentCounts = {};
+  documents.forEach(({ documentType }) => {
+    documentCounts[documentType] = (documentCounts[documentType] || 0) + 1;
+  });
+
+  return summarizeAccuracy(
+    fieldCounts.map((group) => ({
+      documentType: group.documentType,
+      field: group.field,
+      corrected: group.corrected,
+      count: group._count._all,
+    })),
+    documentCounts
+  );
+};
@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
+import { getOcrContent, classifyDocumentLocally, extractFieldsLocally } from '../utils/localExtraction.js';
+
+/**
+ * Extraction Providers
+ * The OCR step and the LLM step of a document scan are pluggable so scans can
+ * run against AWS Textract + OpenAI in production, or fully offline in tests
+ * and staging.
+ *
+ * OCR provider:  { name, costPerDocument, extract(s3Key) -> textractData }
+ *                textractData may carry `barcodes` (decoded PDF417 payloads) for machineReadableParser.js
+ * LLM provider:  { name, pricing, completeJSON({ systemPrompt, userPrompt, task }) -> { data, usage } }
+ *
+ * Selected with OCR_PROVIDER (textract | fixture) and LLM_PROVIDER (openai | local).
+ */
+
+let lambdaClient = null;
+
+const getLambdaClient = () => {
+  if (!lambdaClient) {
+    lambdaClient = new LambdaClient({
+      region: process.env.AWS_REGION,
+      endpoint: `https://lambda.${process.env.AWS_REGION}.amazonaws.com`,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+  }
+  return lambdaClient;
+};
+
+/**
+ * AWS Textract through the text extraction Lambda
+ */
+const textractOcrProvider = {
+  name: 'textract',
+  costPerDocument: 0.09, // Lambda function text extraction cost
+  extract: async (s3Key) => {
+    const lambdaResponse = await getLambdaClient().send(
+      new InvokeCommand({
+        FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+        Payload: Buffer.from(
+          JSON.stringify({
+            bucket: process.env.AWS_S3_BUCKET_NAME,
+            key: s3Key,
+          })
+        ),
+      })
+    );
+
+    const result = JSON.parse(Buffer.from(lambdaResponse.Payload).toString());
+    return JSON.parse(result.body);
+  },
+};
+
+/**
+ * Replays recorded Lambda output from SCAN_FIXTURES_DIR.
+ * Looks for "<file name of the S3 key>.json", then "default.json".
+ */
+const fixtureOcrProvider = {
+  name: 'fixture',
+  costPerDocument: 0,
+  extract: async (s3Key) => {
+    const fixturesDir = process.env.SCAN_FIXTURES_DIR;
+    if (!fixturesDir) {
+      throw new Error('SCAN_FIXTURES_DIR is not set');
+    }
+
+    const candidates = [`${path.basename(s3Key)}.json`, 'default.json'];
+    for (const fileName of candidates) {
+      try {
+        const contents = await fs.readFile(path.join(fixturesDir, fileName), 'utf8');
+        return JSON.parse(contents);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    throw new Error(`No OCR fixture found for ${s3Key} in ${fixturesDir}`);
+  },
+};
+
+/**
+ * OpenAI chat completions in JSON mode.
+ * OPENAI_BASE_URL and OPENAI_MODEL allow any OpenAI-compatible endpoint and model.
+ * Pricing defaults to GPT-4o-mini ($0.150 / 1M input, $0.600 / 1M output tokens).
+ */
+const openaiLlmProvider = {
+  name: 'openai',
+  pricing: {
+    inputPerMillion: Number(process.env.LLM_INPUT_COST_PER_MILLION) || 0.150,
+    outputPerMillion: Number(process.env.LLM_OUTPUT_COST_PER_MILLION) || 0.600,
+  },
+  completeJSON: async ({ systemPrompt, userPrompt }) => {
+    // Import OpenAI dynamically to avoid issues if not installed
+    const { default: OpenAI } = await import('openai');
+
+    const openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      ...(process.env.OPENAI_BASE_URL && { baseURL: process.env.OPENAI_BASE_URL }),
+    });
+    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+    const gptResponse = await openai.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      temperature: 0,
+      response_format: { type: 'json_object' },
+    });
+
+    return {
+      data: JSON.parse(gptResponse.choices[0].message.content),
+      usage: {
+        promptTokens: gptResponse.usage?.prompt_tokens || 0,
+        completionTokens: gptResponse.usage?.completion_tokens || 0,
+        totalTokens: gptResponse.usage?.total_tokens || 0,
+        model: gptResponse.model || model,
+      },
+    };
+  },
+};
+
+/**
+ * Deterministic rule-based extraction (utils/localExtraction.js).
+ * Ignores the prompts and works from the structured task instead; costs nothing.
+ */
+const localLlmProvider = {
+  name: 'local',
+  pricing: { inputPerMillion: 0, outputPerMillion: 0 },
+  completeJSON: async ({ task }) => {
+    let data;
+
+    if (task.type === 'classify-extract') {
+      const documentTypeConfigs = task.documentTypeConfigs || {};
+      const availableTypes = Object.keys(documentTypeConfigs);
+      const { lines } = getOcrContent(task.textractData);
+      const classification = classifyDocumentLocally(lines, availableTypes);
+      // Unrecognised documents have no config of their own
+      const config = documentTypeConfigs[classification.documentType] || {};
+      const extracted = config.extractionMode === 'fields'
+        ? extractFieldsLocally(task.textractData, config.fields)
+        : { confidence: classification.confidence, fieldConfidence: {} };
+
+      data = {
+        ...extracted,
+        documentType: classification.documentType,
+        confidence: Math.min(classification.confidence, extracted.confidence),
+        fieldConfidence: { ...extracted.fieldConfidence, documentType: classification.confidence },
+      };
+    } else {
+      const fields = task.documentTypeConfig?.extractionMode === 'fields'
+        ? task.documentTypeConfig.fields
+        : [];
+      data = extractFieldsLocally(task.textractData, fields);
+    }
+
+    return {
+      data,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, model: 'local-rules' },
+    };
+  },
+};
+
+const OCR_PROVIDERS = {
+  [textractOcrProvider.name]: textractOcrProvider,
+  [fixtureOcrProvider.name]: fixtureOcrProvider,
+};
+
+const LLM_PROVIDERS = {
+  [openaiLlmProvider.name]: openaiLlmProvider,
+  [localLlmProvider.name]: localLlmProvider,
+};
+
+/**
+ * Get an OCR provider
+ * @param {string} [name] - Provider name (defaults to OCR_PROVIDER, then "textract")
+ * @returns {Object} OCR provider
+ */
+export const getOcrProvider = (name = process.env.OCR_PROVIDER || 'textract') => {
+  const provider = OCR_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown OCR provider "${name}". Available: ${Object.keys(OCR_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Get an LLM provider
+ * @param {string} [name] - Provider name (defaults to LLM_PROVIDER, then "openai")
+ * @returns {Object} LLM provider
+ */
+export const getLlmProvider = (name = process.env.LLM_PROVIDER || 'openai') => {
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+};
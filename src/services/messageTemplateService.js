@@ -0,0 +1,186 @@
+import prisma from '../../prisma/client.js';
+import {
+  LAYOUT_STRINGS,
+  describeExpiry,
+  escapeHtml,
+  formatTemplateDate,
+  normalizeLocale,
+  renderTemplate,
+  renderTemplateHtml,
+  resolveTemplate,
+} from '../utils/messageTemplates.js';
+
+/**
+ * Message Template Service
+ * Loads company templates and renders reminder and invitation messages in the
+ * recipient's language, wrapped in the standard email layout.
+ */
+
+const PRIORITY_ICONS = {
+  HIGH: '🔴',
+  NORMAL: '🟡',
+  LOW: '🔵',
+};
+
+/**
+ * Load message templates for one or more companies
+ * @param {string|string[]} companyIds - Company ID(s)
+ * @returns {Promise<Array>} MessageTemplate rows
+ */
+export const getCompanyTemplates = async (companyIds) => {
+  const ids = Array.isArray(companyIds) ? companyIds : [companyIds];
+  if (ids.length === 0) return [];
+
+  return prisma.messageTemplate.findMany({
+    where: { companyId: { in: ids } },
+  });
+};
+
+/**
+ * Pick the language for a recipient: the driver's own, else the company's
+ * @param {Object} company - Company ({ locale })
+ * @param {Object} [driver] - Driver ({ locale }) when the message goes to the driver
+ * @returns {string} 'en' or 'fr'
+ */
+export const getRecipientLocale = (company, driver = null) =>
+  normalizeLocale(driver?.locale || company?.locale);
+
+/**
+ * Variables for document expiry messages (EXPIRING and EXPIRED)
+ * @param {Object} params
+ * @param {Object} params.company - Company ({ name })
+ * @param {Object} params.driver - Driver ({ name })
+ * @param {Object} params.document - Document ({ type, documentNumber, expiryDate })
+ * @param {number} params.daysUntilExpiry - Days until expiry (negative once expired)
+ * @param {string} params.locale - Recipient language
+ * @returns {Object}
+ */
+export const buildDocumentVariables = ({ company, driver, document, daysUntilExpiry, locale }) => ({
+  company: { name: company.name },
+  driver: { name: driver.name },
+  document: {
+    type: document.type,
+    number: document.documentNumber || LAYOUT_STRINGS[normalizeLocale(locale)].notAvailable,
+    expiryDate: formatTemplateDate(document.expiryDate, locale),
+    expiryText: describeExpiry(daysUntilExpiry, locale),
+  },
+  daysUntilExpiry: Math.max(daysUntilExpiry, 0),
+  daysOverdue: Math.max(-daysUntilExpiry, 0),
+});
+
+/**
+ * Variables for custom reminder messages (CUSTOM)
+ * @param {Object} params
+ * @param {Object} params.company - Company ({ name, timezone })
+ * @param {Object} params.reminder - CustomReminder
+ * @param {Date} [params.occurrenceAt] - Occurrence being sent (defaults to the trigger date)
+ * @param {Object} [params.recipient] - Driver or team member ({ name }); defaults to the company
+ * @param {string} params.timeZone - Company timezone for the scheduled time
+ * @param {string} params.locale - Recipient language
+ * @returns {Object}
+ */
+export const buildCustomReminderVariables = ({ company, reminder, occurrenceAt, recipient, timeZone, locale }) => ({
+  company: { name: company.name },
+  recipient: { name: recipient?.name || company.name },
+  reminder: {
+    title: reminder.title,
+    description: reminder.description || '',
+    priority: reminder.priority,
+    priorityIcon: PRIORITY_ICONS[reminder.priority] || '🔔',
+    frequency: reminder.frequency,
+    scheduledFor: formatTemplateDate(occurrenceAt || reminder.triggerDate, locale, { withTime: true, timeZone }),
+  },
+});
+
+/**
+ * Variables for driver upload invitations (INVITATION)
+ * @param {Object} params
+ * @param {Object} params.company - Company ({ name })
+ * @param {Object} params.driver - Driver ({ name })
+ * @param {string} params.link - Upload link
+ * @param {string[]} params.documents - Requested document types
+ * @param {Date} params.expiresAt - Link expiry
+ * @param {string} params.locale - Recipient language
+ * @returns {Object}
+ */
+export const buildInvitationVariables = ({ company, driver, link, documents, expiresAt, locale }) => ({
+  company: { name: company.name },
+  driver: { name: driver.name },
+  invitation: {
+    link,
+    documents: (documents || []).join(', '),
+    expiresAt: formatTemplateDate(expiresAt, locale),
+  },
+});
+
+/**
+ * Details box shown under expiry emails
+ * @param {string} event - Template event
+ * @param {Object} variables - Template variables
+ * @param {Object} strings - LAYOUT_STRINGS for the language
+ * @returns {Array} [label, value] pairs
+ */
+const getDetailRows = (event, variables, strings) => {
+  if (event !== 'EXPIRING' && event !== 'EXPIRED') return [];
+
+  return [
+    [strings.driver, variables.driver.name],
+    [strings.document, variables.document.type],
+    [strings.documentNumber, variables.document.number],
+    [strings.expiryDate, variables.document.expiryDate],
+    event === 'EXPIRED'
+      ? [strings.daysOverdue, variables.daysOverdue]
+      : [strings.daysRemaining, variables.daysUntilExpiry],
+  ];
+};
+
+/**
+ * Render a message from the company template (or the default) for one recipient language
+ * @param {Object} params
+ * @param {Array} params.templates - The company's MessageTemplate rows
+ * @param {string} params.event - Template event
+ * @param {string} params.channel - 'EMAIL' or 'SMS'
+ * @param {string} params.locale - Recipient language
+ * @param {Object} params.variables - Template variables
+ * @param {Object} [params.override] - { subject, body } to render instead (previews of unsaved edits)
+ * @param {string} [params.accentColor='#f59e0b'] - Email heading color
+ * @returns {Object} { subject, text, html, isDefault } (subject and html are null for SMS)
+ */
+export const renderMessage = ({ templates, event, channel, locale, variables, override = null, accentColor = '#f59e0b' }) => {
+  const language = normalizeLocale(locale);
+  const template = override
+    ? { subject: override.subject || null, body: override.body, isDefault: false }
+    : resolveTemplate(templates, event, channel, language);
+
+  const text = renderTemplate(template.body, variables);
+
+  if (channel === 'SMS') {
+    return { subject: null, text, html: null, isDefault: template.isDefault };
+  }
+
+  const subject = renderTemplate(template.subject, variables);
+  const strings = LAYOUT_STRINGS[language];
+
+  const detailRows = getDetailRows(event, variables, strings);
+  const details = detailRows.length > 0
+    ? `
+        <div style="background-color: #fef3c7; border-left: 4px solid ${accentColor}; padding: 15px; margin: 20px 0; border-radius: 5px;">
+          ${detailRows.map(([label, value]) => `<p style="margin: 5px 0;"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('\n          ')}
+        </div>`
+    : '';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 20px; background-color: #f9fafb;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <h2 style="color: ${accentColor}; margin-top: 0;">${escapeHtml(subject)}</h2>
+        ${renderTemplateHtml(template.body, variables)}${details}
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+        <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+          ${renderTemplate(strings.footer, variables, { html: true })}
+        </p>
+      </div>
+    </div>
+  `;
+
+  return { subject, text, html, isDefault: template.isDefault };
+};
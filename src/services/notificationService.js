@@ -265,6 +265,67 @@ export const notifyDocumentUploaded = async ({ companyId, driverId, driverName,
   });
 };
 
+/**
+ * Create notification for a document waiting in the review queue
+ */
+export const notifyDocumentNeedsReview = async ({ companyId, driverId, driverName, documentType, documentId, reason }) => {
+  return createCompanyNotification({
+    companyId,
+    type: 'DOCUMENT_NEEDS_REVIEW',
+    title: 'Document Needs Review',
+    message: `${driverName}'s ${documentType} document is waiting for review`,
+    actionUrl: `/client/driver/${driverId}`,
+    metadata: {
+      driverId,
+      driverName,
+      documentType,
+      documentId,
+      reason,
+    },
+  });
+};
+
+/**
+ * Create notification for an approved document
+ */
+export const notifyDocumentApproved = async ({ companyId, driverId, driverName, documentType, documentId, reviewerUserId }) => {
+  return createCompanyNotification({
+    companyId,
+    type: 'DOCUMENT_APPROVED',
+    title: 'Document Approved',
+    message: `${driverName}'s ${documentType} document has been approved`,
+    actionUrl: `/client/driver/${driverId}`,
+    excludeUserIds: reviewerUserId ? [reviewerUserId] : [],
+    metadata: {
+      driverId,
+      driverName,
+      documentType,
+      documentId,
+    },
+  });
+};
+
+/**
+ * Create notification for a rejected document
+ */
+export const notifyDocumentRejected = async ({ companyId, driverId, driverName, documentType, documentId, reason, reviewerUserId }) => {
+  return createCompanyNotification({
+    companyId,
+    type: 'DOCUMENT_REJECTED',
+    title: 'Document Rejected',
+    message: `${driverName}'s ${documentType} document was rejected: ${reason}`,
+    actionUrl: `/client/driver/${driverId}`,
+    excludeUserIds: reviewerUserId ? [reviewerUserId] : [],
+    metadata: {
+      driverId,
+      driverName,
+      documentType,
+      documentId,
+      reason,
+    },
+  });
+};
+
 /**
  * Create notification for driver registration
  */
@@ -355,3 +416,39 @@ export const notifyTeamMemberInvited = async ({ companyId, inviterUserId, invite
     },
   });
 };
+
+/**
+ * Create notification for an accepted team invitation
+ */
+export const notifyTeamMemberJoined = async ({ companyId, inviterUserId, memberName, memberEmail, invitationId }) => {
+  return createNotification({
+    userId: inviterUserId,
+    companyId,
+    type: 'TEAM_MEMBER_JOINED',
+    title: 'Team Member Joined',
+    message: `${memberName || memberEmail} accepted your invitation and joined your team`,
+    actionUrl: '/client/team',
+    metadata: {
+      memberEmail,
+      invitationId,
+    },
+  });
+};
+
+/**
+ * Create notification for a team invitation that expired before it was accepted
+ */
+export const notifyTeamInvitationExpired = async ({ companyId, inviterUserId, invitedEmail, invitationId }) => {
+  return createNotification({
+    userId: inviterUserId,
+    companyId,
+    type: 'TEAM_INVITATION_EXPIRED',
+    title: 'Team Invitation Expired',
+    message: `Your invitation to ${invitedEmail} expired before it was accepted. You can resend it from the team page.`,
+    actionUrl: '/client/team',
+    metadata: {
+      invitedEmail,
+      invitationId,
+    },
+  });
+};
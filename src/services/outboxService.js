@@ -0,0 +1,463 @@
+import cron from 'node-cron';
+import prisma from '../../prisma/client.js';
+import { sendEmail } from './emailService.js';
+import { sendSMS } from './smsService.js';
+import { markContactInvalid } from './deliveryStatusService.js';
+import { recordSmsConsent } from './smsConsentService.js';
+import { getRetryDelay, getThrottleDelay, isPermanentDeliveryError } from '../utils/outboundDelivery.js';
+import { normalizeMessageId, TWILIO_INVALID_NUMBER_ERRORS } from '../utils/deliveryEvents.js';
+
+/**
+ * Outbox Service
+ * Postgres-backed queue for outbound emails and SMS.
+ *
+ * Reminders, digests and invitations call enqueueMessage() instead of sending inline.
+ * The worker below claims due messages, sends them one at a time with a minimum gap per
+ * provider (OUTBOX_EMAIL_INTERVAL_MS / OUTBOX_SMS_INTERVAL_MS) and retries failures with
+ * exponential backoff. When a message is sent or finally fails, the record it belongs to
+ * (sourceType/sourceId) is updated. Messages left SENDING by a crashed process are
+ * picked up again once their lock expires.
+ */
+
+// Messages claimed per worker iteration
+const BATCH_SIZE = 20;
+
+// A SENDING message older than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Minimum time between two sends on the same provider
+const PROVIDER_INTERVAL_MS = {
+  EMAIL: Number(process.env.OUTBOX_EMAIL_INTERVAL_MS) || 1000,
+  SMS: Number(process.env.OUTBOX_SMS_INTERVAL_MS) || 1000,
+};
+
+export const SOURCE_TYPES = {
+  DOCUMENT_REMINDER: 'DOCUMENT_REMINDER',
+  CUSTOM_REMINDER: 'CUSTOM_REMINDER',
+  CUSTOM_REMINDER_DELIVERY: 'CUSTOM_REMINDER_DELIVERY',
+  COMPLIANCE_DIGEST: 'COMPLIANCE_DIGEST',
+  DRIVER_INVITATION: 'DRIVER_INVITATION',
+  TEAM_INVITATION: 'TEAM_INVITATION',
+};
+
+const OPEN_STATUSES = ['QUEUED', 'SENDING', 'RETRYING'];
+
+// Mutex lock to prevent overlapping executions
+let isWorkerRunning = false;
+
+// Store cron job instance for graceful shutdown
+let outboxWorker = null;
+
+// When each provider was last used (throttling)
+const lastSentAt = { EMAIL: null, SMS: null };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Queue an email or SMS for delivery
+ * @param {Object} params
+ * @param {string} params.channel - 'EMAIL' or 'SMS'
+ * @param {string} params.to - Email address or phone number
+ * @param {string} params.text - Plain text body (the SMS body for SMS)
+ * @param {string} [params.subject] - Email subject
+ * @param {string} [params.html] - Email HTML body
+ * @param {Array} [params.attachments] - Email attachments ({ filename, content, contentType }, content as string)
+ * @param {string} [params.fromName] - Email sender display name
+ * @param {string} [params.companyId] - Company the message is sent for
+ * @param {string} [params.sourceType] - One of SOURCE_TYPES
+ * @param {string} [params.sourceId] - ID of the record the message belongs to
+ * @returns {Promise<Object>} Created OutboundMessage
+ */
+export const enqueueMessage = async ({
+  channel,
+  to,
+  text,
+  subject = null,
+  html = null,
+  attachments = null,
+  fromName = null,
+  companyId = null,
+  sourceType = null,
+  sourceId = null,
+}) => {
+  if (!['EMAIL', 'SMS'].includes(channel)) {
+    throw new Error(`Unsupported channel: ${channel}`);
+  }
+  if (!to) {
+    throw new Error('Recipient is required');
+  }
+
+  return prisma.outboundMessage.create({
+    data: {
+      channel,
+      to,
+      text,
+      subject,
+      html,
+      attachments: attachments?.length ? attachments : undefined,
+      fromName,
+      companyId,
+      sourceType,
+      sourceId,
+    },
+  });
+};
+
+/**
+ * Update the record a message belongs to once the message is sent or has finally failed
+ */
+const SOURCE_HANDLERS = {
+  [SOURCE_TYPES.DOCUMENT_REMINDER]: {
+    sent: async (message) => {
+      await prisma.documentReminder.updateMany({
+        where: { id: message.sourceId, sentAt: null },
+        data: { status: 'SENT', sentAt: message.sentAt },
+      });
+    },
+    failed: async (message) => {
+      // The reminder only failed if none of its messages got through or are still trying
+      const others = await prisma.outboundMessage.count({
+        where: {
+          sourceType: message.sourceType,
+          sourceId: message.sourceId,
+          status: { in: [...OPEN_STATUSES, 'SENT'] },
+        },
+      });
+      if (others === 0) {
+        await prisma.documentReminder.updateMany({
+          where: { id: message.sourceId, sentAt: null },
+          data: { status: 'FAILED' },
+        });
+      }
+    },
+  },
+  [SOURCE_TYPES.CUSTOM_REMINDER_DELIVERY]: {
+    sent: async (message) => {
+      await prisma.customReminderDelivery.updateMany({
+        where: { id: message.sourceId },
+        data: { status: 'SENT', sentAt: message.sentAt, error: null },
+      });
+    },
+    failed: async (message) => {
+      await prisma.customReminderDelivery.updateMany({
+        where: { id: message.sourceId, status: 'QUEUED' },
+        data: { status: 'FAILED', error: message.lastError },
+      });
+    },
+  },
+  [SOURCE_TYPES.DRIVER_INVITATION]: {
+    sent: async (message) => {
+      await prisma.driverInvitation.updateMany({
+        where: { id: message.sourceId },
+        data: message.channel === 'SMS' ? { smsSentAt: message.sentAt } : { emailSentAt: message.sentAt },
+      });
+      await prisma.driverInvitation.updateMany({
+        where: { id: message.sourceId, status: 'PENDING' },
+        data: { status: 'SENT' },
+      });
+    },
+  },
+  [SOURCE_TYPES.TEAM_INVITATION]: {
+    sent: async (message) => {
+      await prisma.teamInvitation.updateMany({
+        where: { id: message.sourceId, status: { in: ['PENDING', 'FAILED'] } },
+        data: { status: 'SENT', emailSentAt: message.sentAt, errorMessage: null },
+      });
+    },
+    failed: async (message) => {
+      await prisma.teamInvitation.updateMany({
+        where: { id: message.sourceId, status: 'PENDING' },
+        data: { status: 'FAILED', errorMessage: message.lastError },
+      });
+    },
+  },
+};
+
+const notifySource = async (message, outcome) => {
+  const handler = SOURCE_HANDLERS[message.sourceType]?.[outcome];
+  if (!handler || !message.sourceId) return;
+
+  try {
+    await handler(message);
+  } catch (error) {
+    console.error(`⚠️ Failed to update ${message.sourceType} ${message.sourceId} after message ${message.id}:`, error);
+  }
+};
+
+/**
+ * Hand a message to its provider, respecting the provider's send interval
+ * @returns {Promise<string|null>} Provider message ID
+ */
+const deliver = async (message) => {
+  const wait = getThrottleDelay(lastSentAt[message.channel], PROVIDER_INTERVAL_MS[message.channel]);
+  if (wait > 0) {
+    await sleep(wait);
+  }
+
+  try {
+    if (message.channel === 'SMS') {
+      const result = await sendSMS(message.to, message.text);
+      return result?.messageSid || null;
+    }
+
+    const result = await sendEmail({
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments || undefined,
+      fromName: message.fromName,
+    });
+    // Stored without <> so bounce webhooks can match it
+    return normalizeMessageId(result?.messageId);
+  } finally {
+    lastSentAt[message.channel] = Date.now();
+  }
+};
+
+/**
+ * Send one claimed message and record the outcome
+ * @param {Object} message - Claimed OutboundMessage (attempts already incremented)
+ */
+const processMessage = async (message) => {
+  try {
+    const providerMessageId = await deliver(message);
+
+    const sent = await prisma.outboundMessage.update({
+      where: { id: message.id },
+      data: {
+        status: 'SENT',
+        sentAt: new Date(),
+        providerMessageId,
+        lockedAt: null,
+        lastError: null,
+      },
+    });
+    await notifySource(sent, 'sent');
+  } catch (error) {
+    const permanent = isPermanentDeliveryError(message.channel, error);
+
+    if (!permanent && message.attempts < message.maxAttempts) {
+      const delay = getRetryDelay(message.attempts);
+      console.log(`🔁 Retrying ${message.channel} to ${message.to} in ${delay / 1000}s (attempt ${message.attempts}/${message.maxAttempts}): ${error.message}`);
+      await prisma.outboundMessage.update({
+        where: { id: message.id },
+        data: {
+          status: 'RETRYING',
+          lastError: error.message,
+          lockedAt: null,
+          nextAttemptAt: new Date(Date.now() + delay),
+        },
+      });
+      return;
+    }
+
+    console.error(`❌ ${message.channel} to ${message.to} failed${permanent ? ' permanently' : ` after ${message.attempts} attempts`}: ${error.message}`);
+    const failed = await prisma.outboundMessage.update({
+      where: { id: message.id },
+      data: {
+        status: 'FAILED',
+        lastError: error.message,
+        lockedAt: null,
+      },
+    });
+    await notifySource(failed, 'failed');
+
+    // Twilio blocked the send because the recipient texted STOP to the number directly
+    const providerCode = Number(error.cause?.code);
+    if (message.channel === 'SMS' && providerCode === 21610) {
+      await recordSmsConsent({
+        phone: message.to,
+        status: 'OPTED_OUT',
+        source: 'PROVIDER_ERROR',
+      }).catch((consentError) => console.error(`⚠️ Failed to record opt-out for ${message.to}:`, consentError));
+    }
+
+    // Twilio rejected the number itself - stop texting it
+    if (message.channel === 'SMS' && TWILIO_INVALID_NUMBER_ERRORS.includes(providerCode)) {
+      await markContactInvalid({
+        channel: 'SMS',
+        address: message.to,
+        reason: `Twilio error ${providerCode}`,
+        companyId: message.companyId,
+      }).catch((markError) => console.error(`⚠️ Failed to flag ${message.to} as invalid:`, markError));
+    }
+  }
+};
+
+/**
+ * Put messages abandoned by a crashed worker back in the queue (or fail them if out of attempts)
+ */
+const releaseStaleMessages = async () => {
+  const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+
+  const exhausted = await prisma.outboundMessage.findMany({
+    where: {
+      status: 'SENDING',
+      lockedAt: { lt: staleBefore },
+      attempts: { gte: prisma.outboundMessage.fields.maxAttempts },
+    },
+  });
+
+  for (const message of exhausted) {
+    const failed = await prisma.outboundMessage.update({
+      where: { id: message.id },
+      data: { status: 'FAILED', lockedAt: null, lastError: 'Send did not finish (worker stopped)' },
+    });
+    await notifySource(failed, 'failed');
+  }
+
+  const released = await prisma.outboundMessage.updateMany({
+    where: {
+      status: 'SENDING',
+      lockedAt: { lt: staleBefore },
+    },
+    data: {
+      status: 'RETRYING',
+      lockedAt: null,
+      nextAttemptAt: new Date(),
+    },
+  });
+
+  if (exhausted.length > 0 || released.count > 0) {
+    console.log(`⚠️ Recovered stale outbound messages: ${released.count} requeued, ${exhausted.length} failed`);
+  }
+};
+
+/**
+ * Claim a message for this worker. Returns null if another worker got it first.
+ */
+const claimMessage = async (message) => {
+  const claimed = await prisma.outboundMessage.updateMany({
+    where: {
+      id: message.id,
+      status: { in: ['QUEUED', 'RETRYING'] },
+    },
+    data: {
+      status: 'SENDING',
+      lockedAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  return prisma.outboundMessage.findUnique({ where: { id: message.id } });
+};
+
+/**
+ * Send every outbound message that is due
+ * @returns {Promise<Object>} { processed }
+ */
+export const processOutbox = async () => {
+  if (isWorkerRunning) {
+    return { processed: 0 };
+  }
+
+  isWorkerRunning = true;
+  let processed = 0;
+
+  try {
+    await releaseStaleMessages();
+
+    while (true) {
+      const dueMessages = await prisma.outboundMessage.findMany({
+        where: {
+          status: { in: ['QUEUED', 'RETRYING'] },
+          nextAttemptAt: { lte: new Date() },
+        },
+        orderBy: { createdAt: 'asc' },
+        take: BATCH_SIZE,
+      });
+
+      if (dueMessages.length === 0) {
+        break;
+      }
+
+      // One at a time so the provider intervals hold
+      for (const dueMessage of dueMessages) {
+        const message = await claimMessage(dueMessage);
+        if (!message) continue;
+
+        try {
+          await processMessage(message);
+        } catch (error) {
+          // Bookkeeping failed - the lock timeout will put the message back in the queue
+          console.error(`❌ Error processing outbound message ${message.id}:`, error);
+        }
+        processed++;
+      }
+    }
+  } finally {
+    isWorkerRunning = false;
+  }
+
+  return { processed };
+};
+
+/**
+ * Stop queued messages of a source record from going out (e.g. a revoked invitation)
+ * Messages already being sent are left alone. Cancelled messages are marked FAILED with
+ * the reason; the source handlers are not called.
+ * @param {Object} params
+ * @param {string} params.sourceType - One of SOURCE_TYPES
+ * @param {string} params.sourceId - ID of the record the messages belong to
+ * @param {string} params.reason - Stored as the message's lastError
+ * @returns {Promise<number>} Number of messages cancelled
+ */
+export const cancelQueuedMessages = async ({ sourceType, sourceId, reason }) => {
+  const { count } = await prisma.outboundMessage.updateMany({
+    where: {
+      sourceType,
+      sourceId,
+      status: { in: ['QUEUED', 'RETRYING'] },
+    },
+    data: {
+      status: 'FAILED',
+      lastError: reason,
+    },
+  });
+
+  return count;
+};
+
+/**
+ * Start sending queued messages right away instead of waiting for the next worker tick
+ */
+export const triggerOutboxWorker = () => {
+  setImmediate(() => {
+    processOutbox().catch((error) => {
+      console.error('❌ Error in outbox worker:', error);
+    });
+  });
+};
+
+/**
+ * Poll for due outbound messages every 30 seconds
+ */
+export const startOutboxWorker = () => {
+  outboxWorker = cron.schedule('*/30 * * * * *', () => {
+    // Run async without blocking cron scheduler
+    processOutbox().catch((error) => {
+      console.error('❌ Error in outbox worker:', error);
+    });
+  });
+
+  console.log('✅ Outbox worker scheduled: every 30 seconds');
+
+  // Send messages left over from before a restart
+  triggerOutboxWorker();
+};
+
+/**
+ * Stop the outbox worker
+ * Used during application shutdown to prevent hanging processes
+ */
+export const stopOutboxWorker = () => {
+  if (outboxWorker) {
+    outboxWorker.stop();
+    console.log('✅ Outbox worker stopped');
+  }
+};
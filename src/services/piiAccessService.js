@@ -0,0 +1,72 @@
+import auditService from './auditService.js';
+import { getUserCapabilities } from '../utils/dspCapabilities.js';
+import { maskDocument, maskScanResult, containsPii } from '../utils/piiMasking.js';
+
+/**
+ * PII Access Service
+ * Shapes documents and scan results for the requesting team member (req.user, set by
+ * requireCapability): masked without 'view_driver_pii' (see src/utils/piiMasking.js),
+ * otherwise returned as is with every view of personal fields recorded as a data access log.
+ */
+
+const recordPiiViews = async (req, documents, purpose) => {
+  if (documents.length === 0) return;
+
+  await auditService.logPiiView({
+    userId: req.user.id,
+    userEmail: req.user.email,
+    companyId: req.user.companyId,
+    documents,
+    ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
+    endpoint: req.originalUrl,
+    purpose,
+  });
+};
+
+/**
+ * Mask documents for the requesting user, or record that they saw them unmasked
+ * @param {Object} req - Express request with req.user
+ * @param {Array} documents - Documents (any subset of their columns)
+ * @param {Object} [options]
+ * @param {string} [options.driverId] - Owner of the documents when they don't include driverId
+ * @param {string} [options.purpose] - Why the data was accessed, for the data access log
+ * @returns {Promise<Array>}
+ */
+export const presentDocuments = async (req, documents, { driverId, purpose } = {}) => {
+  const capabilities = getUserCapabilities(req.user);
+
+  if (capabilities.view_driver_pii) {
+    await recordPiiViews(
+      req,
+      documents.filter(containsPii).map((document) => ({ id: document.id, driverId: document.driverId || driverId })),
+      purpose
+    );
+  }
+
+  return documents.map((document) => maskDocument(document, capabilities));
+};
+
+/**
+ * Single-document version of presentDocuments()
+ */
+export const presentDocument = async (req, document, options) => (await presentDocuments(req, [document], options))[0];
+
+/**
+ * Mask an AI scan result for the requesting user, or record that they saw it unmasked
+ * @param {Object} req - Express request with req.user
+ * @param {Object} document - Scanned document ({ id, driverId })
+ * @param {Object} result - { extractedData, rawTextractData, machineReadable, ... }
+ * @returns {Promise<Object>}
+ */
+export const presentScanResult = async (req, document, result) => {
+  if (!result) return result;
+
+  if (!getUserCapabilities(req.user).view_driver_pii) {
+    return maskScanResult(result);
+  }
+
+  if (containsPii({ aiExtractedData: result.extractedData, textractRawData: result.rawTextractData })) {
+    await recordPiiViews(req, [{ id: document.id, driverId: document.driverId }], 'AI scan review');
+  }
+  return result;
+};
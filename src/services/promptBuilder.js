@@ -12,13 +12,23 @@
  * - Enables per-document-type customization
  */
 
+/**
+ * Format a reviewer correction as a prompt line
+ * @param {Object} hint - { field, aiValue, correctedValue, count }
+ * @returns {string}
+ */
+const formatCorrectionHint = (hint) =>
+  `${hint.field}: extracted ${JSON.stringify(hint.aiValue)} but the correct value was ${JSON.stringify(hint.correctedValue)} (${hint.count}x)`;
+
 /**
  * Builds a dynamic system and user prompt based on document type configuration
  * @param {Object} documentTypeConfig - The document type configuration object
  * @param {string} documentTypeName - The name of the document type
+ * @param {Array} [correctionHints] - Common reviewer corrections for this document type
+ *   ([{ field, aiValue, correctedValue, count }], see extractionFeedbackService.getCorrectionHints)
  * @returns {Object} { systemPrompt: string, userPromptBuilder: function }
  */
-export const buildDynamicPrompt = (documentTypeConfig, documentTypeName) => {
+export const buildDynamicPrompt = (documentTypeConfig, documentTypeName, correctionHints = []) => {
   const { extractionMode, fields } = documentTypeConfig;
 
   // ==========================================
@@ -101,6 +111,15 @@ Respond in JSON format with:
     return fieldGuide.join('\n');
   }).join('\n\n');
 
+  // Few-shot hints from values reviewers had to correct on earlier documents
+  const extractableNames = extractableFields.map(f => f.name);
+  const hints = correctionHints.filter(hint => extractableNames.includes(hint.field));
+  const correctionSection = hints.length > 0
+    ? `\nCOMMON CORRECTIONS (reviewers fixed these values on earlier ${documentTypeName} documents - avoid repeating them):
+${hints.map(hint => `- ${formatCorrectionHint(hint)}`).join('\n')}
+`
+    : '';
+
   // Build JSON schema for expected response
   const responseSchema = {};
   extractableFields.forEach(field => {
@@ -119,14 +138,16 @@ EXTRACTION RULES:
 - For dates, always convert to YYYY-MM-DD format
 - For required fields, make your best effort to find the data
 - Be precise - avoid guessing if the data is unclear
+- Report a low fieldConfidence for any field that is blurry, partially hidden or inferred
 - Preserve exact spelling, capitalization, and formatting where applicable
-
+${correctionSection}
 Expected JSON Response Format:
 ${JSON.stringify(responseSchema, null, 2)}
 
 Additional response fields:
 {
   "confidence": <number 0-100>,
+  "fieldConfidence": { "<field name>": <number 0-100 for each extracted field> },
   "dataQuality": "<excellent|good|fair|poor>",
   "missingRequiredFields": [<array of missing required field names>],
   "extractionNotes": "<any relevant observations or warnings>"
@@ -330,9 +351,11 @@ export const formatExtractedData = (extractedData, fields) => {
  * Builds a unified prompt for CLASSIFICATION + EXTRACTION in ONE AI call
  * This is used when document type is unknown - AI will classify AND extract fields in single pass
  * @param {Object} allDocumentTypeConfigs - All available document type configurations
+ * @param {Object} [correctionHints] - Common reviewer corrections per document type
+ *   ({ [documentType]: [{ field, aiValue, correctedValue, count }] }, see extractionFeedbackService.getCorrectionHintsByType)
  * @returns {Object} { systemPrompt: string, userPromptBuilder: function, getConfigForType: function }
  */
-export const buildUnifiedClassificationAndExtractionPrompt = (allDocumentTypeConfigs) => {
+export const buildUnifiedClassificationAndExtractionPrompt = (allDocumentTypeConfigs, correctionHints = {}) => {
   const availableTypes = Object.keys(allDocumentTypeConfigs);
 
   // Build a comprehensive field map for all document types
@@ -373,9 +396,12 @@ Return a JSON object with:
 {
   "documentType": "<exact type name from the list>",
   "confidence": <number 0-100>,
+  "fieldConfidence": { "<field name>": <number 0-100 for each extracted field> },
   ... <all other fields relevant to the detected document type>
 }
 
+- Report a low fieldConfidence for any field that is blurry, partially hidden or inferred
+
 **Field Guidelines by Document Type**:
 ${Object.entries(typeFieldMap).map(([typeName, fields]) => {
   if (fields.length === 0) return `\n**${typeName}**: Classification only (no fields to extract)`;
@@ -386,7 +412,14 @@ ${Object.entries(typeFieldMap).map(([typeName, fields]) => {
     return `  - ${field.name} (${field.type})${required}${desc}`;
   }).join('\n');
 
-  return `\n**${typeName}**:\n${fieldList}`;
+  // Few-shot hints from values reviewers had to correct on earlier documents of this type
+  const fieldNames = fields.map(field => field.name);
+  const hints = (correctionHints[typeName] || []).filter(hint => fieldNames.includes(hint.field));
+  const correctionList = hints.length > 0
+    ? `\n  Common corrections (avoid repeating them):\n${hints.map(hint => `  - ${formatCorrectionHint(hint)}`).join('\n')}`
+    : '';
+
+  return `\n**${typeName}**:\n${fieldList}${correctionList}`;
 }).join('\n')}`;
 
   const userPromptBuilder = (textractData) => {
@@ -1,37 +1,60 @@
 import cron from 'node-cron';
 import prisma from '../../prisma/client.js';
-import { sendEmail } from './emailService.js';
-import { sendSMS } from './smsService.js';
+import { enqueueMessage, triggerOutboxWorker, SOURCE_TYPES } from './outboxService.js';
 import { notifyReminderSent } from './notificationService.js';
+import { sendComplianceDigest } from './complianceDigestService.js';
+import { getOptedOutPhones } from './smsConsentService.js';
+import {
+  getCompanySchedule,
+  getZonedParts,
+  daysBetweenDateKeys,
+  isWithinSendWindow,
+  getNextSendWindowOpening,
+} from '../utils/timezoneUtils.js';
+import {
+  normalizeEscalationPolicies,
+  findEscalationPolicy,
+  getEscalationStep,
+  resolveEscalationRecipients,
+  findRenewedDocumentIds,
+} from '../utils/escalationPolicy.js';
+import { includesIndividualReminders } from '../utils/complianceDigest.js';
+import { normalizePhoneNumber } from '../utils/smsConsent.js';
+import { isMissingDocument, getRecipientChannels } from '../utils/reminderTargets.js';
+import { getNextOccurrence } from '../utils/recurrence.js';
+import { getStationScope, isDriverInScope } from '../utils/stationScope.js';
+import {
+  getCompanyTemplates,
+  getRecipientLocale,
+  buildDocumentVariables,
+  buildCustomReminderVariables,
+  renderMessage,
+} from './messageTemplateService.js';
+import { getReminderSchedule, getPendingOccurrence } from './customReminderScheduleService.js';
+import { describeExpiry, DEFAULT_LOCALE } from '../utils/messageTemplates.js';
 
 // Mutex locks to prevent overlapping executions
 let isDailyReminderRunning = false;
 let isCustomReminderRunning = false;
 
+// Document statuses that get expiry reminders; escalations keep going after expiry
+const REMINDER_STATUSES = ['ACTIVE', 'EXPIRING_SOON'];
+const ESCALATION_STATUSES = ['ACTIVE', 'EXPIRING_SOON', 'EXPIRED'];
+
 // Store cron job instances for graceful shutdown
 let dailyReminderJob = null;
 let customReminderJob = null;
 
 /**
- * Helper function to create random delay between sends
- * Helps avoid spam detection and rate limits
- * @param {number} min - Minimum delay in milliseconds (default: 1000ms = 1s)
- * @param {number} max - Maximum delay in milliseconds (default: 5000ms = 5s)
- */
-const randomDelay = (min = 1000, max = 5000) => {
-  const delay = Math.floor(Math.random() * (max - min + 1)) + min;
-  return new Promise(resolve => setTimeout(resolve, delay));
-};
-
-/**
- * Daily cron job to send document expiry reminders
- * Runs every day at 8:00 AM
+ * Cron jobs to send document expiry and custom reminders
+ * Both run every 15 minutes and only send for companies whose send window
+ * (Company.timezone, sendWindowStart, sendWindowEnd) is currently open
  */
 export const startReminderCronJob = () => {
-  // Run daily at 8:00 AM for document expiry reminders
+  // Check every 15 minutes for companies whose daily expiry scan is due
   // Format: minute hour day month weekday
-  // '0 8 * * *' = At 8:00 AM every day
-  dailyReminderJob = cron.schedule('0 8 * * *', async () => {
+  // '*/15 * * * *' = Every 15 minutes; each company is scanned once per local day, when its window opens
+  dailyReminderJob = cron.schedule('*/15 * * * *', async () => {
     // Check if previous execution is still running
     if (isDailyReminderRunning) {
       console.log('⚠️ Skipping daily reminders job - previous execution still running');
@@ -51,8 +74,6 @@ export const startReminderCronJob = () => {
     } finally {
       isDailyReminderRunning = false;
     }
-  }, {
-    timezone: 'America/New_York' // Adjust to your timezone
   });
 
   // Run every 15 minutes to check for custom reminders (increased from 10 to reduce load)
@@ -80,43 +101,90 @@ export const startReminderCronJob = () => {
         isCustomReminderRunning = false;
       }
     })();
-  }, {
-    timezone: 'America/New_York' // Adjust to your timezone
   });
 
   console.log('✅ Reminder cron jobs scheduled:');
-  console.log('   - Document expiry reminders: Daily at 8:00 AM');
-  console.log('   - Custom reminders check: Every 15 minutes');
+  console.log('   - Document expiry reminders: Daily per company, when its send window opens');
+  console.log('   - Custom reminders check: Every 15 minutes, deferred outside each company\'s send window');
 };
 
+/**
+ * Check whether a company's daily expiry scan is due: its send window is open
+ * and the scan has not run yet on the company's current local day
+ * @param {Object} company - Company with timezone, send window and lastDailyReminderRunAt
+ * @param {Date} now - Current date/time
+ * @returns {boolean}
+ */
+function isDailyScanDue(company, now) {
+  if (!isWithinSendWindow(now, company)) {
+    return false;
+  }
+
+  if (!company.lastDailyReminderRunAt) {
+    return true;
+  }
+
+  const { timezone } = getCompanySchedule(company);
+  return getZonedParts(company.lastDailyReminderRunAt, timezone).dateKey !== getZonedParts(now, timezone).dateKey;
+}
+
 /**
  * Main function to send daily reminders
- * Processes all companies and sends notifications for expiring documents
+ * Processes companies whose daily scan is due and sends notifications for expiring documents
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Scan every company now, ignoring send windows (manual trigger)
  */
-async function sendDailyReminders() {
+async function sendDailyReminders({ force = false } = {}) {
+  const now = new Date();
   const stats = {
     companiesProcessed: 0,
     remindersChecked: 0,
     remindersSent: 0,
     remindersFailed: 0,
     remindersSkipped: 0,
+    digestsSent: 0,
   };
 
   try {
-    // Get all companies with reminder settings configured
+    // Find companies with reminder settings whose scan is due in their own timezone
+    const scheduledCompanies = await prisma.company.findMany({
+      where: {
+        OR: [
+          { reminderDays: { isEmpty: false } },
+          { NOT: { escalationPolicies: { equals: [] } } },
+          { reminderDeliveryMode: { not: 'INDIVIDUAL' } },
+          { User: { some: { reminderDeliveryMode: { in: ['DIGEST', 'BOTH'] } } } },
+        ],
+      },
+      select: {
+        id: true,
+        timezone: true,
+        sendWindowStart: true,
+        sendWindowEnd: true,
+        lastDailyReminderRunAt: true,
+      },
+    });
+
+    const dueCompanyIds = scheduledCompanies
+      .filter(company => force || isDailyScanDue(company, now))
+      .map(company => company.id);
+
+    if (dueCompanyIds.length === 0) {
+      console.log('📊 No companies due for their daily reminder scan');
+      return stats;
+    }
+
     const companies = await prisma.company.findMany({
       where: {
-        reminderDays: {
-          isEmpty: false,
-        },
+        id: { in: dueCompanyIds },
       },
       include: {
         drivers: {
           include: {
             documents: {
+              // All current documents, so linked renewals can be spotted; filtered per reminder below
               where: {
-                status: { in: ['ACTIVE', 'EXPIRING_SOON'] },
-                expiryDate: { not: null },
+                isCurrent: true, // Superseded versions never get reminders
               },
             },
           },
@@ -125,7 +193,27 @@ async function sendDailyReminders() {
       },
     });
 
-    console.log(`📊 Found ${companies.length} companies with reminder settings`);
+    console.log(`📊 Found ${companies.length} companies due for their daily reminder scan`);
+
+    // Team members that escalation steps can address by DSPRole, with their reminder email preferences
+    const teamMembers = await prisma.user.findMany({
+      where: {
+        companyId: { in: dueCompanyIds },
+        dspRole: { not: null },
+      },
+      select: {
+        companyId: true,
+        email: true,
+        role: true,
+        dspRole: true,
+        stationCodes: true,
+        reminderDeliveryMode: true,
+        digestFrequency: true,
+      },
+    });
+
+    // Company message templates (the built-in defaults are used where there are none)
+    const templates = await getCompanyTemplates(dueCompanyIds);
 
     // ✅ OPTIMIZATION: Batch load all existing reminders in ONE query
     // Collect all document IDs from all companies
@@ -138,12 +226,16 @@ async function sendDailyReminders() {
     console.log(`📊 Total documents to check: ${allDocumentIds.length}`);
 
     // Load all recent reminders in a single query
+    // (escalation steps stay current for days, so their reminders are loaded regardless of age)
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const existingReminders = await prisma.documentReminder.findMany({
       where: {
         documentId: { in: allDocumentIds },
-        sentAt: { not: null },
-        createdAt: { gte: sevenDaysAgo },
+        status: { in: ['PENDING', 'SENT'] }, // Queued or delivered; failed reminders may be retried
+        OR: [
+          { createdAt: { gte: sevenDaysAgo } },
+          { escalationPolicy: { not: null } },
+        ],
       },
       select: {
         documentId: true,
@@ -151,7 +243,7 @@ async function sendDailyReminders() {
       },
     });
 
-    console.log(`📊 Found ${existingReminders.length} existing reminders (last 7 days)`);
+    console.log(`📊 Found ${existingReminders.length} existing reminders`);
 
     // Create lookup map for O(1) access: "documentId-daysBeforeExpiry" -> true
     const reminderMap = new Map();
@@ -160,89 +252,115 @@ async function sendDailyReminders() {
       reminderMap.set(key, true);
     });
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
     for (const company of companies) {
       stats.companiesProcessed++;
       console.log(`\n🏢 Processing company: ${company.name} (${company.id})`);
 
-      const reminderDays = company.reminderDays || [];
-      console.log(`  Reminder intervals: ${reminderDays.join(', ')}`);
-
-      // Process each reminder interval (e.g., "7d", "30d")
-      for (const reminderDay of reminderDays) {
-        const daysCount = parseInt(reminderDay.replace('d', ''));
-
-        // Calculate target expiry date
-        const targetDate = new Date(today);
-        targetDate.setDate(targetDate.getDate() + daysCount);
-
-        // Create date range for matching
-        const startDate = new Date(targetDate);
-        startDate.setHours(0, 0, 0, 0);
-
-        const endDate = new Date(targetDate);
-        endDate.setHours(23, 59, 59, 999);
-
-        console.log(`  Checking for documents expiring in ${daysCount} days (${targetDate.toDateString()})`);
-
-        // Find documents expiring on this target date
-        for (const driver of company.drivers) {
-          for (const document of driver.documents) {
-            if (!document.expiryDate) continue;
-
-            const expiryDate = new Date(document.expiryDate);
-            expiryDate.setHours(0, 0, 0, 0);
-
-            // Check if document expires on target date
-            if (expiryDate >= startDate && expiryDate <= endDate) {
-              stats.remindersChecked++;
-
-              // ✅ O(1) lookup in memory map instead of database query
-              const reminderKey = `${document.id}-${daysCount}`;
-              const existingReminder = reminderMap.get(reminderKey);
-
-              if (existingReminder) {
-                console.log(`    ⏭️  Skipping: ${document.type} for ${driver.name} (already sent)`);
-                stats.remindersSkipped++;
-                continue;
-              }
-
-              // Send reminders based on notification settings
-              const success = await sendReminderNotifications(
-                company,
-                driver,
-                document,
-                daysCount
-              );
-
-              if (success) {
-                stats.remindersSent++;
-                console.log(`    ✅ Sent: ${document.type} reminder to ${driver.name}`);
-
-                // ✅ Add to map to prevent sending duplicate in same run
-                reminderMap.set(reminderKey, true);
-
-                // Add small delay between processing different documents
-                await randomDelay(500, 2000);
-              } else {
-                stats.remindersFailed++;
-                console.log(`    ❌ Failed: ${document.type} reminder to ${driver.name}`);
-              }
+      // "Today" is the company's local date; expiry dates are stored as calendar dates (UTC midnight)
+      const { timezone } = getCompanySchedule(company);
+      const today = getZonedParts(now, timezone).dateKey;
+
+      // Reminder intervals (e.g., "7d", "30d") for documents without an escalation policy
+      const reminderDays = (company.reminderDays || []).map(reminderDay => parseInt(reminderDay.replace('d', '')));
+      const escalationPolicies = normalizeEscalationPolicies(company.escalationPolicies);
+      const companyTeam = teamMembers.filter(member => member.companyId === company.id);
+      const companyTemplates = templates.filter(template => template.companyId === company.id);
+      console.log(`  Reminder intervals: ${reminderDays.join(', ') || 'none'}, escalation policies: ${escalationPolicies.length} (today is ${today} in ${timezone})`);
+
+      for (const driver of company.drivers) {
+        const renewedDocumentIds = findRenewedDocumentIds(driver.documents);
+
+        for (const document of driver.documents) {
+          if (!document.expiryDate) continue;
+
+          const daysUntilExpiry = daysBetweenDateKeys(today, new Date(document.expiryDate).toISOString().slice(0, 10));
+          const policy = findEscalationPolicy(escalationPolicies, document.type);
+
+          // Escalations continue after expiry; plain reminders only cover active documents
+          let escalation = null;
+          let reminderKeyDays = daysUntilExpiry;
+          if (policy) {
+            if (!ESCALATION_STATUSES.includes(document.status)) continue;
+            escalation = getEscalationStep(policy, daysUntilExpiry);
+            if (!escalation) continue;
+            reminderKeyDays = escalation.reminderDays;
+          } else if (!REMINDER_STATUSES.includes(document.status) || !reminderDays.includes(daysUntilExpiry)) {
+            continue;
+          }
+
+          stats.remindersChecked++;
+
+          // Stop reminding as soon as a renewal has been uploaded
+          if (renewedDocumentIds.has(document.id)) {
+            console.log(`    ⏭️  Skipping: ${document.type} for ${driver.name} (renewal uploaded)`);
+            stats.remindersSkipped++;
+            continue;
+          }
+
+          // ✅ O(1) lookup in memory map instead of database query
+          const reminderKey = `${document.id}-${reminderKeyDays}`;
+          const existingReminder = reminderMap.get(reminderKey);
+
+          if (existingReminder) {
+            console.log(`    ⏭️  Skipping: ${document.type} for ${driver.name} (already sent)`);
+            stats.remindersSkipped++;
+            continue;
+          }
+
+          // Send reminders based on notification settings
+          const success = await sendReminderNotifications(
+            company,
+            driver,
+            document,
+            daysUntilExpiry,
+            {
+              escalation: escalation && { policy, ...escalation },
+              // Station-scoped members only hear about their stations' drivers
+              teamMembers: companyTeam.filter(member => isDriverInScope(driver, getStationScope(member))),
+              templates: companyTemplates,
             }
+          );
+
+          if (success) {
+            stats.remindersSent++;
+            console.log(`    ✅ Queued: ${document.type} ${escalation ? `escalation (${policy.name}, step ${escalation.level + 1})` : 'reminder'} for ${driver.name}`);
+
+            // ✅ Add to map to prevent sending duplicate in same run
+            reminderMap.set(reminderKey, true);
+          } else {
+            stats.remindersFailed++;
+            console.log(`    ❌ Failed: ${document.type} reminder for ${driver.name}`);
           }
         }
       }
+
+      // One digest per recipient instead of (or as well as) the per-document emails
+      try {
+        const digest = await sendComplianceDigest(company, companyTeam, today);
+        stats.digestsSent += digest.sent;
+      } catch (error) {
+        console.error(`Failed to send compliance digest for ${company.name}:`, error);
+      }
+
+      if (!force) {
+        await prisma.company.update({
+          where: { id: company.id },
+          data: { lastDailyReminderRunAt: now },
+        });
+      }
     }
 
     // Log final stats
     console.log('\n📊 Daily Reminders Summary:');
     console.log(`  Companies processed: ${stats.companiesProcessed}`);
     console.log(`  Reminders checked: ${stats.remindersChecked}`);
-    console.log(`  Reminders sent: ${stats.remindersSent}`);
+    console.log(`  Reminders queued: ${stats.remindersSent}`);
     console.log(`  Reminders skipped (already sent): ${stats.remindersSkipped}`);
     console.log(`  Reminders failed: ${stats.remindersFailed}`);
+    console.log(`  Digests queued: ${stats.digestsSent}`);
+
+    // Deliver what was queued without waiting for the next outbox tick
+    triggerOutboxWorker();
 
     return stats;
   } catch (error) {
@@ -252,153 +370,150 @@ async function sendDailyReminders() {
 }
 
 /**
- * Send reminder notifications via email and/or SMS
+ * Queue reminder notifications via email and/or SMS
  * @param {Object} company - Company object
  * @param {Object} driver - Driver object
  * @param {Object} document - Document object
- * @param {number} daysUntilExpiry - Days until document expires
- * @returns {boolean} - True if at least one notification was sent successfully
+ * @param {number} daysUntilExpiry - Days until document expires (negative once expired)
+ * @param {Object} [options]
+ * @param {Object} [options.escalation] - Escalation step to send instead of the company's default
+ *   recipients: { policy, step, level, reminderDays } (see getEscalationStep)
+ * @param {Array} [options.teamMembers] - Company users ({ email, dspRole, reminderDeliveryMode })
+ * @param {Array} [options.templates] - The company's MessageTemplate rows
+ * @returns {boolean} - True if at least one notification was queued
  */
-async function sendReminderNotifications(company, driver, document, daysUntilExpiry) {
+async function sendReminderNotifications(company, driver, document, daysUntilExpiry, { escalation = null, teamMembers = [], templates = [] } = {}) {
   const notificationMethod = company.notificationMethod || 'email';
   const notificationRecipients = company.notificationRecipients || ['admin'];
 
   const shouldNotifyAdmin = notificationRecipients.includes('admin');
   const shouldNotifyDriver = notificationRecipients.includes('drivers');
 
-  let emailSuccess = false;
-  let smsSuccess = false;
-
-  // Prepare message content
-  const expiryDate = new Date(document.expiryDate).toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  });
-
-  const message = `Reminder: ${driver.name}'s ${document.type} (${document.documentNumber || 'N/A'}) expires in ${daysUntilExpiry} days on ${expiryDate}. Please ensure it is renewed before expiry.`;
+  // Contacts that hard-bounced are skipped until the driver record is corrected
+  const reachableDriver = {
+    ...driver,
+    email: driver.emailInvalid ? null : driver.email,
+    phone: driver.phoneInvalid ? null : driver.phone,
+  };
 
-  // Send email notifications
-  if (notificationMethod === 'email' || notificationMethod === 'both') {
-    const emailRecipients = [];
+  // Escalation steps name their own recipients; otherwise use the company's notification settings
+  let emailRecipients = [];
+  let smsRecipients = [];
 
-    if (shouldNotifyAdmin && company.adminEmail) {
+  if (escalation) {
+    const resolved = resolveEscalationRecipients(escalation.step.recipients, {
+      company,
+      driver: reachableDriver,
+      teamMembers,
+    });
+    emailRecipients = resolved.emails;
+    smsRecipients = resolved.phones;
+  } else {
+    // In digest mode staff get the digest instead; drivers always get their own reminders
+    if (shouldNotifyAdmin && company.adminEmail && includesIndividualReminders(company.reminderDeliveryMode)) {
       emailRecipients.push(company.adminEmail);
     }
-
-    if (shouldNotifyDriver && driver.email) {
-      emailRecipients.push(driver.email);
-    }
-
-    for (let i = 0; i < emailRecipients.length; i++) {
-      const email = emailRecipients[i];
-      try {
-        await sendEmail({
-          to: email,
-          subject: `Document Expiry Reminder: ${document.type}`,
-          text: message,
-          html: `
-            <div style="font-family: Arial, sans-serif; padding: 20px; background-color: #f9fafb;">
-              <div style="max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-                <h2 style="color: #f59e0b; margin-top: 0;">⚠️ Document Expiry Reminder</h2>
-                <p style="color: #374151; font-size: 16px; line-height: 1.6;">
-                  This is a reminder that the following document is expiring soon:
-                </p>
-                <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 5px;">
-                  <p style="margin: 5px 0;"><strong>Driver:</strong> ${driver.name}</p>
-                  <p style="margin: 5px 0;"><strong>Document:</strong> ${document.type}</p>
-                  <p style="margin: 5px 0;"><strong>Document Number:</strong> ${document.documentNumber || 'N/A'}</p>
-                  <p style="margin: 5px 0;"><strong>Expiry Date:</strong> ${expiryDate}</p>
-                  <p style="margin: 5px 0;"><strong>Days Remaining:</strong> ${daysUntilExpiry} days</p>
-                </div>
-                <p style="color: #374151; font-size: 14px;">
-                  Please ensure this document is renewed before the expiry date to maintain compliance.
-                </p>
-                <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
-                <p style="color: #9ca3af; font-size: 12px; margin: 0;">
-                  This is an automated reminder from ${company.name}'s compliance management system.
-                </p>
-              </div>
-            </div>
-          `,
-        });
-        emailSuccess = true;
-
-        // Add random delay between emails (1-5 seconds) to avoid spam detection
-        if (i < emailRecipients.length - 1) {
-          const delayMs = Math.floor(Math.random() * 4000) + 1000;
-          console.log(`    ⏳ Waiting ${(delayMs / 1000).toFixed(1)}s before next email...`);
-          await randomDelay(1000, 5000);
-        }
-      } catch (error) {
-        console.error(`Failed to send email to ${email}:`, error.message);
-      }
-    }
+    if (shouldNotifyDriver && reachableDriver.email) emailRecipients.push(reachableDriver.email);
+    if (shouldNotifyAdmin && company.adminPhone) smsRecipients.push(company.adminPhone);
+    if (shouldNotifyDriver && reachableDriver.phone) smsRecipients.push(reachableDriver.phone);
+
+    // Team members who opted in to per-document emails
+    teamMembers
+      .filter(member => member.email && includesIndividualReminders(member.reminderDeliveryMode))
+      .forEach(member => emailRecipients.push(member.email));
+    emailRecipients = [...new Set(emailRecipients)];
   }
 
-  // Send SMS notifications
-  if (notificationMethod === 'sms' || notificationMethod === 'both') {
-    const smsRecipients = [];
-
-    if (shouldNotifyAdmin && company.adminPhone) {
-      smsRecipients.push(company.adminPhone);
-    }
-
-    if (shouldNotifyDriver && driver.phone) {
-      smsRecipients.push(driver.phone);
-    }
-
-    const smsMessage = `[${company.name}] Document Expiry Alert: ${driver.name}'s ${document.type} expires in ${daysUntilExpiry} days (${expiryDate}). Please renew before expiry.`;
-
-    for (let i = 0; i < smsRecipients.length; i++) {
-      const phone = smsRecipients[i];
-      try {
-        await sendSMS(phone, smsMessage);
-        smsSuccess = true;
-
-        // Add random delay between SMS (1-5 seconds) to avoid spam detection
-        if (i < smsRecipients.length - 1) {
-          const delayMs = Math.floor(Math.random() * 4000) + 1000;
-          console.log(`    ⏳ Waiting ${(delayMs / 1000).toFixed(1)}s before next SMS...`);
-          await randomDelay(1000, 5000);
-        }
-      } catch (error) {
-        console.error(`Failed to send SMS to ${phone}:`, error.message);
-      }
-    }
-  }
+  // Never text numbers that replied STOP
+  const optedOutPhones = await getOptedOutPhones(smsRecipients);
+  smsRecipients = smsRecipients.filter(phone => !optedOutPhones.has(normalizePhoneNumber(phone)));
+
+  // Staff read the company language; the driver gets their own
+  const isExpired = daysUntilExpiry < 0;
+  const expiryText = describeExpiry(daysUntilExpiry, DEFAULT_LOCALE);
+  const event = isExpired ? 'EXPIRED' : 'EXPIRING';
+  const accentColor = isExpired ? '#ef4444' : '#f59e0b';
+  const localeFor = (address) => (address === driver.email || address === driver.phone
+    ? getRecipientLocale(company, driver)
+    : getRecipientLocale(company));
+  const render = (channel, locale) => renderMessage({
+    templates,
+    event,
+    channel,
+    locale,
+    variables: buildDocumentVariables({ company, driver, document, daysUntilExpiry, locale }),
+    accentColor,
+  });
 
-  // Record the reminder in database
-  const success = emailSuccess || smsSuccess;
+  // Record the reminder first; the outbox marks it SENT (or FAILED) once its messages are delivered
+  const message = render('EMAIL', getRecipientLocale(company)).text;
+  const sendEmails = notificationMethod === 'email' || notificationMethod === 'both';
+  const sendTexts = notificationMethod === 'sms' || notificationMethod === 'both';
+  const queue = [
+    ...(sendEmails ? emailRecipients.map(to => ({ channel: 'EMAIL', to })) : []),
+    ...(sendTexts ? smsRecipients.map(to => ({ channel: 'SMS', to })) : []),
+  ];
 
+  let reminder;
   try {
-    const reminder = await prisma.documentReminder.create({
+    reminder = await prisma.documentReminder.create({
       data: {
         documentId: document.id,
-        daysBeforeExpiry: daysUntilExpiry,
+        daysBeforeExpiry: escalation ? escalation.reminderDays : daysUntilExpiry,
+        escalationPolicy: escalation?.policy.name || null,
         scheduledAt: new Date(),
-        sentAt: success ? new Date() : null,
-        status: success ? 'SENT' : 'FAILED',
+        status: queue.length > 0 ? 'PENDING' : 'FAILED',
         channel: notificationMethod === 'email' ? 'EMAIL' : notificationMethod === 'sms' ? 'SMS' : 'EMAIL',
         message: message,
       },
     });
-
-    // Create notification for reminder sent
-    if (success) {
-      try {
-        await notifyReminderSent({
-          companyId: company.id,
-          reminderId: reminder.id,
-          count: 1,
-          reminderType: `${document.type} expiring in ${daysUntilExpiry} days`,
-        });
-      } catch (notificationError) {
-        console.error('Error creating notification:', notificationError);
-      }
-    }
   } catch (error) {
     console.error('Failed to record reminder in database:', error);
+    return false;
+  }
+
+  let queued = 0;
+  for (const { channel, to } of queue) {
+    try {
+      const { subject, text, html } = render(channel, localeFor(to));
+      await enqueueMessage({
+        channel,
+        to,
+        subject,
+        text,
+        html,
+        companyId: company.id,
+        sourceType: SOURCE_TYPES.DOCUMENT_REMINDER,
+        sourceId: reminder.id,
+      });
+      queued++;
+    } catch (error) {
+      console.error(`Failed to queue ${channel === 'SMS' ? 'SMS' : 'email'} to ${to}:`, error.message);
+    }
+  }
+
+  const success = queued > 0;
+
+  if (!success) {
+    if (queue.length > 0) {
+      await prisma.documentReminder.update({
+        where: { id: reminder.id },
+        data: { status: 'FAILED' },
+      }).catch(error => console.error('Failed to update reminder status:', error));
+    }
+    return false;
+  }
+
+  // Create notification for reminder sent
+  try {
+    await notifyReminderSent({
+      companyId: company.id,
+      reminderId: reminder.id,
+      count: 1,
+      reminderType: `${document.type} ${expiryText}`,
+    });
+  } catch (notificationError) {
+    console.error('Error creating notification:', notificationError);
   }
 
   return success;
@@ -414,24 +529,56 @@ async function checkAndSendCustomReminders() {
     remindersChecked: 0,
     remindersSent: 0,
     remindersFailed: 0,
+    companiesDeferred: 0,
   };
 
   try {
     const now = new Date();
 
-    // Optimize: Only fetch reminders from the last 31 days to avoid scanning old data
-    const oneMonthAgo = new Date(now);
-    oneMonthAgo.setDate(oneMonthAgo.getDate() - 31);
+    // Reminders created before recurrence rules have no nextOccurrenceAt yet; it is filled in below
+    const dueWhere = {
+      isActive: true,
+      OR: [
+        { nextOccurrenceAt: { lte: now } },
+        { nextOccurrenceAt: null, triggerDate: { lte: now } },
+      ],
+    };
+
+    // Defer reminders for companies outside their send window until it opens
+    const companiesWithDueReminders = await prisma.company.findMany({
+      where: {
+        customReminders: { some: dueWhere },
+      },
+      select: {
+        id: true,
+        name: true,
+        timezone: true,
+        sendWindowStart: true,
+        sendWindowEnd: true,
+      },
+    });
+
+    const openCompanyIds = [];
+    for (const company of companiesWithDueReminders) {
+      if (isWithinSendWindow(now, company)) {
+        openCompanyIds.push(company.id);
+      } else {
+        stats.companiesDeferred++;
+        console.log(`  🌙 Deferring custom reminders for ${company.name} until ${getNextSendWindowOpening(now, company).toISOString()}`);
+      }
+    }
+
+    if (openCompanyIds.length === 0) {
+      console.log('📊 No custom reminders due at this time');
+      return stats;
+    }
 
     // Find all active custom reminders that are due
     // Optimized with date range and limited fields to reduce query time
     const dueReminders = await prisma.customReminder.findMany({
       where: {
-        isActive: true,
-        triggerDate: {
-          gte: oneMonthAgo, // Not older than 31 days
-          lte: now, // Trigger date is in the past or now
-        },
+        ...dueWhere,
+        companyId: { in: openCompanyIds },
       },
       include: {
         company: {
@@ -440,9 +587,13 @@ async function checkAndSendCustomReminders() {
             name: true,
             adminEmail: true,
             adminPhone: true,
+            timezone: true,
+            locale: true,
+            holidays: true,
           },
         },
       },
+      orderBy: { nextOccurrenceAt: 'asc' },
       take: 50, // Limit to 50 reminders per execution to prevent long-running jobs
     });
 
@@ -457,43 +608,51 @@ async function checkAndSendCustomReminders() {
     const reminderPromises = dueReminders.map(async (reminder) => {
       stats.remindersChecked++;
 
-      // Check if we should send this reminder based on frequency
-      if (!shouldSendReminder(reminder, now)) {
-        console.log(`  ⏭️  Skipping: "${reminder.title}" (not time to send yet)`);
-        return { success: false, skipped: true };
+      // Work out the pending occurrence for reminders that don't have one stored yet
+      let occurrenceAt = reminder.nextOccurrenceAt;
+      if (!occurrenceAt) {
+        const pending = getPendingOccurrence(reminder, reminder.company);
+        if (!pending || pending > now) {
+          await prisma.customReminder.update({
+            where: { id: reminder.id },
+            data: { nextOccurrenceAt: pending, isActive: Boolean(pending) },
+          });
+          console.log(`  ⏭️  Skipping: "${reminder.title}" (${pending ? `next on ${pending.toISOString()}` : 'series ended'})`);
+          return { success: false, skipped: true };
+        }
+        occurrenceAt = pending;
       }
 
       // Send the reminder
-      const success = await sendCustomReminderNotification(reminder);
+      const { failed } = await sendCustomReminderNotification(reminder, occurrenceAt);
 
-      if (success) {
+      if (failed === 0) {
         stats.remindersSent++;
-        console.log(`  ✅ Sent custom reminder: "${reminder.title}"`);
-
-        // Update lastSent timestamp and deactivate if one-time
-        const updateData = {
-          lastSent: now,
-        };
-
-        if (reminder.frequency === 'ONCE') {
-          updateData.isActive = false;
-        }
+        console.log(`  ✅ Queued custom reminder: "${reminder.title}"`);
+      } else {
+        stats.remindersFailed++;
+        console.log(`  ❌ Failed to queue ${failed} message(s) for custom reminder: "${reminder.title}"`);
+      }
 
-        await prisma.customReminder.update({
-          where: { id: reminder.id },
-          data: updateData,
-        });
+      // The occurrence has been processed, even if some recipients failed (their deliveries are
+      // marked FAILED) - not advancing would re-send it to every recipient on the next run.
+      // Missed occurrences are not sent twice; the series continues with the next one after now
+      const nextOccurrenceAt = getNextOccurrence(getReminderSchedule(reminder, reminder.company), now);
 
-        if (reminder.frequency === 'ONCE') {
-          console.log(`  🔒 Deactivated one-time reminder: "${reminder.title}"`);
-        }
+      await prisma.customReminder.update({
+        where: { id: reminder.id },
+        data: {
+          lastSent: now,
+          nextOccurrenceAt,
+          isActive: Boolean(nextOccurrenceAt),
+        },
+      });
 
-        return { success: true };
-      } else {
-        stats.remindersFailed++;
-        console.log(`  ❌ Failed to send custom reminder: "${reminder.title}"`);
-        return { success: false };
+      if (!nextOccurrenceAt) {
+        console.log(`  🔒 Deactivated reminder after its last occurrence: "${reminder.title}"`);
       }
+
+      return { success: failed === 0 };
     });
 
     // Wait for all reminders to be processed (with timeout protection)
@@ -507,8 +666,12 @@ async function checkAndSendCustomReminders() {
     // Log stats
     console.log('\n📊 Custom Reminders Summary:');
     console.log(`  Reminders checked: ${stats.remindersChecked}`);
-    console.log(`  Reminders sent: ${stats.remindersSent}`);
+    console.log(`  Reminders queued: ${stats.remindersSent}`);
     console.log(`  Reminders failed: ${stats.remindersFailed}`);
+    console.log(`  Companies deferred (outside send window): ${stats.companiesDeferred}`);
+
+    // Deliver what was queued without waiting for the next outbox tick
+    triggerOutboxWorker();
 
     return stats;
   } catch (error) {
@@ -518,129 +681,197 @@ async function checkAndSendCustomReminders() {
 }
 
 /**
- * Determine if a reminder should be sent based on its frequency and last sent time
- * @param {Object} reminder - Custom reminder object
- * @param {Date} now - Current date/time
- * @returns {boolean} - True if reminder should be sent
+ * Resolve who a custom reminder goes to (see utils/reminderTargets.js)
+ * @param {Object} reminder - Custom reminder with company relation
+ * @returns {Promise<Array>} [{ driverId?, userId?, name, email, phone, emailInvalid?, phoneInvalid?, locale }]
  */
-function shouldSendReminder(reminder, now) {
-  // If never sent before, send it
-  if (!reminder.lastSent) {
-    return true;
-  }
+async function resolveCustomReminderRecipients(reminder) {
+  const { company } = reminder;
+  const targetType = reminder.targetType || 'COMPANY';
 
-  // For one-time reminders that have been sent, don't send again
-  if (reminder.frequency === 'ONCE') {
-    return false;
+  if (targetType === 'COMPANY') {
+    return [{ name: company.name, email: company.adminEmail, phone: company.adminPhone, locale: getRecipientLocale(company) }];
   }
 
-  const lastSent = new Date(reminder.lastSent);
-  const hoursSinceLastSent = (now - lastSent) / (1000 * 60 * 60);
-
-  switch (reminder.frequency) {
-    case 'DAILY':
-      // Send if it's been at least 23 hours (to account for cron timing)
-      return hoursSinceLastSent >= 23;
-
-    case 'WEEKLY':
-      // Send if it's been at least 7 days (167 hours)
-      return hoursSinceLastSent >= 167;
+  // Team members have no phone number on file, so they are reminded by email
+  if (targetType === 'ROLE') {
+    const users = await prisma.user.findMany({
+      where: { companyId: company.id, dspRole: { in: reminder.targetRoles } },
+      select: { id: true, email: true, firstName: true, lastName: true },
+    });
+    return users.map((user) => ({
+      userId: user.id,
+      name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email,
+      email: user.email,
+      phone: null,
+      locale: getRecipientLocale(company),
+    }));
+  }
 
-    case 'MONTHLY':
-      // Send if it's been at least 30 days (720 hours)
-      return hoursSinceLastSent >= 720;
+  const drivers = await prisma.driver.findMany({
+    where: {
+      companyId: company.id,
+      ...(targetType === 'DRIVERS' && { id: { in: reminder.targetDriverIds } }),
+      ...(reminder.targetStationCodes?.length > 0 && { stationCode: { in: reminder.targetStationCodes } }),
+    },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phone: true,
+      locale: true,
+      emailInvalid: true,
+      phoneInvalid: true,
+      ...(targetType === 'MISSING_DOCUMENT' && {
+        documents: {
+          where: { isCurrent: true, type: reminder.targetDocumentType },
+          select: { type: true, status: true, expiryDate: true },
+        },
+      }),
+    },
+    orderBy: { name: 'asc' },
+  });
 
-    default:
-      return false;
-  }
+  return drivers
+    .filter((driver) => targetType !== 'MISSING_DOCUMENT' || isMissingDocument(driver.documents, reminder.targetDocumentType))
+    .map((driver) => ({
+      driverId: driver.id,
+      name: driver.name,
+      email: driver.email,
+      phone: driver.phone,
+      emailInvalid: driver.emailInvalid,
+      phoneInvalid: driver.phoneInvalid,
+      locale: getRecipientLocale(company, driver),
+    }));
 }
 
 /**
- * Send a custom reminder notification via email and/or SMS
+ * Queue a custom reminder occurrence for each of its recipients via email and/or SMS
+ * Every recipient and channel gets a CustomReminderDelivery, including the ones skipped
+ * because there is no usable address; the outbox marks them SENT or FAILED.
+ * Recipients that already have a delivery for this occurrence are not queued again
+ * (only FAILED ones are retried), so processing an occurrence twice doesn't re-send it.
  * @param {Object} reminder - Custom reminder object with company relation
- * @returns {boolean} - True if at least one notification was sent successfully
+ * @param {Date} occurrenceAt - Occurrence being sent
+ * @returns {Promise<Object>} { queued, skipped, failed, alreadyQueued }
  */
-async function sendCustomReminderNotification(reminder) {
+async function sendCustomReminderNotification(reminder, occurrenceAt) {
   const { company } = reminder;
-  const notificationType = reminder.notificationType || 'BOTH';
+  const notificationType = reminder.targetType === 'ROLE' ? 'EMAIL' : reminder.notificationType || 'BOTH';
 
-  let emailSuccess = false;
-  let smsSuccess = false;
+  const recipients = await resolveCustomReminderRecipients(reminder);
+  const optedOutPhones = await getOptedOutPhones(recipients.map((recipient) => recipient.phone).filter(Boolean));
 
-  // Prepare message content
-  const priorityEmoji = {
-    HIGH: '🔴',
-    NORMAL: '🟡',
-    LOW: '🔵',
-  };
+  const templates = await getCompanyTemplates(company.id);
+  const timeZone = getCompanySchedule(company).timezone;
+  const accentColor = reminder.priority === 'HIGH' ? '#ef4444' : reminder.priority === 'NORMAL' ? '#f59e0b' : '#3b82f6';
 
-  const emoji = priorityEmoji[reminder.priority] || '🔔';
+  let queued = 0;
+  let failed = 0;
+  let skipped = 0;
+  let alreadyQueued = 0;
 
-  const subject = `${emoji} Reminder: ${reminder.title}`;
-  const textMessage = `${subject}\n\n${reminder.description || ''}\n\nPriority: ${reminder.priority}\nScheduled for: ${new Date(reminder.triggerDate).toLocaleString()}`;
+  const existingDeliveries = await prisma.customReminderDelivery.findMany({
+    where: { reminderId: reminder.id, occurrenceAt },
+    select: { id: true, channel: true, to: true, status: true },
+  });
+  const findExisting = (channel, to) =>
+    existingDeliveries.find((delivery) => delivery.channel === channel && delivery.to === to);
 
-  // Send email notification
-  if ((notificationType === 'EMAIL' || notificationType === 'BOTH') && company.adminEmail) {
-    try {
-      await sendEmail({
-        to: company.adminEmail,
-        subject: subject,
-        text: textMessage,
-        html: `
-          <div style="font-family: Arial, sans-serif; padding: 20px; background-color: #f9fafb;">
-            <div style="max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-              <h2 style="color: ${reminder.priority === 'HIGH' ? '#ef4444' : reminder.priority === 'NORMAL' ? '#f59e0b' : '#3b82f6'}; margin-top: 0;">
-                ${emoji} Custom Reminder
-              </h2>
-              <h3 style="color: #111827; font-size: 20px; margin: 10px 0;">
-                ${reminder.title}
-              </h3>
-              ${reminder.description ? `
-                <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 20px 0;">
-                  ${reminder.description}
-                </p>
-              ` : ''}
-              <div style="background-color: #f3f4f6; padding: 15px; margin: 20px 0; border-radius: 5px;">
-                <p style="margin: 5px 0;"><strong>Priority:</strong> ${reminder.priority}</p>
-                <p style="margin: 5px 0;"><strong>Scheduled for:</strong> ${new Date(reminder.triggerDate).toLocaleString()}</p>
-                ${reminder.frequency !== 'ONCE' ? `<p style="margin: 5px 0;"><strong>Frequency:</strong> ${reminder.frequency}</p>` : ''}
-              </div>
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
-              <p style="color: #9ca3af; font-size: 12px; margin: 0;">
-                This is an automated custom reminder from ${company.name}.
-              </p>
-            </div>
-          </div>
-        `,
+  for (const recipient of recipients) {
+    const { send, skipped: unreachable } = getRecipientChannels(notificationType, {
+      ...recipient,
+      smsOptedOut: Boolean(recipient.phone) && optedOutPhones.has(normalizePhoneNumber(recipient.phone)),
+    });
+    const deliveryBase = {
+      reminderId: reminder.id,
+      occurrenceAt,
+      driverId: recipient.driverId || null,
+      userId: recipient.userId || null,
+      recipientName: recipient.name,
+    };
+
+    for (const { channel, to, reason } of unreachable) {
+      if (findExisting(channel, to)) continue;
+
+      await prisma.customReminderDelivery.create({
+        data: { ...deliveryBase, channel, to, status: 'SKIPPED', error: reason },
       });
-      emailSuccess = true;
-    } catch (error) {
-      console.error(`Failed to send custom reminder email to ${company.adminEmail}:`, error.message);
+      skipped++;
     }
-  }
 
-  // Send SMS notification
-  if ((notificationType === 'SMS' || notificationType === 'BOTH') && company.adminPhone) {
-    const smsMessage = `[${company.name}] ${emoji} Reminder: ${reminder.title}${reminder.description ? ` - ${reminder.description.substring(0, 100)}` : ''}`;
+    const variables = buildCustomReminderVariables({
+      company,
+      reminder,
+      occurrenceAt,
+      recipient,
+      timeZone,
+      locale: recipient.locale,
+    });
 
-    try {
-      await sendSMS(company.adminPhone, smsMessage);
-      smsSuccess = true;
-    } catch (error) {
-      console.error(`Failed to send custom reminder SMS to ${company.adminPhone}:`, error.message);
+    for (const { channel, to } of send) {
+      const existing = findExisting(channel, to);
+      if (existing && existing.status !== 'FAILED') {
+        alreadyQueued++;
+        continue;
+      }
+
+      const delivery = existing
+        ? await prisma.customReminderDelivery.update({
+          where: { id: existing.id },
+          data: { status: 'QUEUED', error: null, outboundMessageId: null },
+        })
+        : await prisma.customReminderDelivery.create({
+          data: { ...deliveryBase, channel, to },
+        });
+
+      try {
+        const { subject, text, html } = renderMessage({
+          templates,
+          event: 'CUSTOM',
+          channel,
+          locale: recipient.locale,
+          variables,
+          ...(channel === 'EMAIL' && { accentColor }),
+        });
+        const message = await enqueueMessage({
+          channel,
+          to,
+          text,
+          ...(channel === 'EMAIL' && { subject, html }),
+          companyId: company.id,
+          sourceType: SOURCE_TYPES.CUSTOM_REMINDER_DELIVERY,
+          sourceId: delivery.id,
+        });
+        await prisma.customReminderDelivery.update({
+          where: { id: delivery.id },
+          data: { outboundMessageId: message.id },
+        });
+        queued++;
+      } catch (error) {
+        console.error(`Failed to queue custom reminder ${channel.toLowerCase()} to ${to}:`, error.message);
+        await prisma.customReminderDelivery.update({
+          where: { id: delivery.id },
+          data: { status: 'FAILED', error: error.message },
+        });
+        failed++;
+      }
     }
   }
 
-  return emailSuccess || smsSuccess;
+  console.log(`  👥 "${reminder.title}": ${recipients.length} recipient(s), ${queued} queued, ${skipped} skipped, ${failed} failed${alreadyQueued ? `, ${alreadyQueued} already queued` : ''}`);
+
+  return { queued, skipped, failed, alreadyQueued };
 }
 
 /**
  * Manual trigger for testing (can be called via API endpoint)
+ * Scans every company immediately, regardless of send windows
  * @returns {Promise} - Stats from the job execution
  */
 export const triggerReminderJobManually = async () => {
   console.log('🔔 Manually triggering reminders job...');
-  return await sendDailyReminders();
+  return await sendDailyReminders({ force: true });
 };
 
 /**
@@ -1,5 +1,6 @@
 import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import crypto from 'crypto';
 
 // Initialize S3 client
 const s3Client = new S3Client({
@@ -84,6 +85,30 @@ export const deleteFile = async (key) => {
   }
 };
 
+/**
+ * Compute the SHA-256 hash of a stored file (streamed, not buffered)
+ * @param {string} key - S3 object key (file path)
+ * @returns {Promise<string>} - Hex-encoded SHA-256 hash
+ */
+export const getFileHash = async (key) => {
+  try {
+    const command = new GetObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+    });
+
+    const response = await s3Client.send(command);
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of response.Body) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  } catch (error) {
+    console.error('Error hashing file from S3:', error);
+    throw new Error(`Failed to hash file: ${error.message}`);
+  }
+};
+
 /**
  * Generate S3 key for a document
  * @param {string} companyId - Company ID
@@ -0,0 +1,551 @@
+import cron from 'node-cron';
+import prisma from '../../prisma/client.js';
+import { deductCredits, checkLimit } from './billingService.js';
+import { runDocumentScan, setScanStage, calculateScanCost, needsClassification } from './documentScanService.js';
+import { queueExtractionForReview } from './documentReviewService.js';
+import { evaluateExtractionReview } from '../utils/extractionReview.js';
+import { mergeWithDefaults } from '../utils/documentTypeDefaults.js';
+
+/**
+ * Scan Job Service
+ * Postgres-backed queue for bulk AI scans.
+ *
+ * POST /api/documents/bulk-ai-scan creates a ScanJob with one ScanJobItem per document
+ * and returns immediately. The worker below claims due items, runs them through the
+ * scan pipeline (documentScanService.js) and retries failures with exponential backoff.
+ * Credits are deducted per item, only after a successful scan. Items left PROCESSING by
+ * a crashed process are picked up again once their lock expires.
+ */
+
+// Items processed in parallel per worker iteration
+const WORKER_CONCURRENCY = 3;
+
+// A PROCESSING item older than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// First retry after 30s, then 60s, 120s, ...
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+const PENDING_ITEM_STATUSES = ['QUEUED', 'PROCESSING', 'RETRYING'];
+
+// Mutex lock to prevent overlapping executions
+let isWorkerRunning = false;
+
+// Store cron job instance for graceful shutdown
+let scanJobWorker = null;
+
+/**
+ * Delay before the next attempt of a failed item
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) => RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+
+/**
+ * Create a scan job for a list of documents (already validated by the caller)
+ * @param {Object} params
+ * @param {string} params.companyId - Company ID
+ * @param {string} params.userId - User.id of the requester
+ * @param {string[]} params.documentIds - Documents to scan
+ * @param {string} [params.ipAddress] - Requester IP (for AI usage tracking)
+ * @param {string} [params.userAgent] - Requester user agent
+ * @returns {Promise<Object>} Created job
+ */
+export const createScanJob = async ({ companyId, userId, documentIds, ipAddress, userAgent }) => {
+  const uniqueDocumentIds = [...new Set(documentIds)];
+
+  const job = await prisma.$transaction(async (tx) => {
+    const createdJob = await tx.scanJob.create({
+      data: {
+        companyId,
+        userId,
+        totalItems: uniqueDocumentIds.length,
+        ipAddress,
+        userAgent,
+        items: {
+          create: uniqueDocumentIds.map((documentId) => ({ documentId })),
+        },
+      },
+    });
+
+    await tx.document.updateMany({
+      where: { id: { in: uniqueDocumentIds } },
+      data: { textractStatus: 'PENDING' },
+    });
+
+    return createdJob;
+  });
+
+  console.log(`📥 Scan job ${job.id} queued with ${job.totalItems} document(s)`);
+  return job;
+};
+
+/**
+ * Get a scan job with per-document progress
+ * @param {string} jobId - Scan job ID
+ * @param {string} companyId - Company ID of the requester (jobs of other companies are not returned)
+ * @returns {Promise<Object|null>} Job with items and progress, or null
+ */
+export const getScanJob = async (jobId, companyId) => {
+  const job = await prisma.scanJob.findFirst({
+    where: { id: jobId, companyId },
+    include: {
+      items: {
+        select: {
+          id: true,
+          documentId: true,
+          status: true,
+          attempts: true,
+          maxAttempts: true,
+          nextAttemptAt: true,
+          error: true,
+          skipReason: true,
+          result: true,
+          creditCharged: true,
+          startedAt: true,
+          completedAt: true,
+          document: {
+            select: { type: true, fileName: true, textractStatus: true },
+          },
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+  });
+
+  if (!job) {
+    return null;
+  }
+
+  const finished = job.succeededItems + job.failedItems + job.skippedItems;
+
+  return {
+    ...job,
+    progress: {
+      total: job.totalItems,
+      finished,
+      pending: job.totalItems - finished,
+      percent: job.totalItems > 0 ? Math.round((finished / job.totalItems) * 100) : 100,
+    },
+  };
+};
+
+/**
+ * Recalculate a job's counters and status from its items
+ * @param {string} jobId - Scan job ID
+ */
+const refreshScanJob = async (jobId) => {
+  const [counts, job] = await Promise.all([
+    prisma.scanJobItem.groupBy({
+      by: ['status'],
+      where: { jobId },
+      _count: { _all: true },
+    }),
+    prisma.scanJob.findUnique({
+      where: { id: jobId },
+      select: { startedAt: true, completedAt: true },
+    }),
+  ]);
+
+  const countOf = (status) => counts.find((c) => c.status === status)?._count._all || 0;
+  const pending = PENDING_ITEM_STATUSES.reduce((sum, status) => sum + countOf(status), 0);
+  const succeeded = countOf('SUCCEEDED');
+  const failed = countOf('FAILED');
+
+  let status = 'PROCESSING';
+  if (pending === 0) {
+    status = succeeded === 0 && failed > 0 ? 'FAILED' : 'COMPLETED';
+  }
+
+  const creditsUsed = await prisma.scanJobItem.count({
+    where: { jobId, creditCharged: true },
+  });
+
+  await prisma.scanJob.update({
+    where: { id: jobId },
+    data: {
+      status,
+      succeededItems: succeeded,
+      failedItems: failed,
+      skippedItems: countOf('SKIPPED'),
+      creditsUsed,
+      startedAt: job?.startedAt || new Date(),
+      completedAt: pending === 0 ? job?.completedAt || new Date() : null,
+    },
+  });
+
+  if (pending === 0 && !job?.completedAt) {
+    console.log(`✅ Scan job ${jobId} finished: ${succeeded} succeeded, ${failed} failed, ${countOf('SKIPPED')} skipped`);
+  }
+};
+
+/**
+ * Record an AI usage entry for a scan job item
+ */
+const recordAIUsage = async ({ job, user, companyName, document, data }) => {
+  try {
+    await prisma.aIUsage.create({
+      data: {
+        companyId: job.companyId,
+        companyName: companyName || 'Unknown',
+        userId: job.userId,
+        userName: `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || 'Unknown',
+        userEmail: user?.email || 'Unknown',
+        feature: 'DOCUMENT_ANALYSIS',
+        ipAddress: job.ipAddress,
+        userAgent: job.userAgent,
+        ...data,
+        metadata: {
+          documentId: document.id,
+          documentType: document.type,
+          bulkScan: true,
+          scanJobId: job.id,
+          ...data.metadata,
+        },
+      },
+    });
+  } catch (trackingError) {
+    console.error(`⚠️ Failed to track AI usage for document ${document.id}:`, trackingError);
+  }
+};
+
+/**
+ * Finish an item and refresh its job
+ */
+const completeItem = async (item, data) => {
+  await prisma.scanJobItem.update({
+    where: { id: item.id },
+    data: {
+      lockedAt: null,
+      completedAt: ['SUCCEEDED', 'FAILED', 'SKIPPED'].includes(data.status) ? new Date() : null,
+      ...data,
+    },
+  });
+  await refreshScanJob(item.jobId);
+};
+
+/**
+ * Process one claimed scan job item
+ * @param {Object} item - Claimed ScanJobItem (attempts already incremented)
+ */
+const processScanJobItem = async (item) => {
+  const job = await prisma.scanJob.findUnique({
+    where: { id: item.jobId },
+    include: {
+      company: { select: { name: true, documentTypeConfigs: true } },
+    },
+  });
+
+  const [user, document] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: job.userId },
+      select: { firstName: true, lastName: true, email: true },
+    }),
+    prisma.document.findUnique({
+      where: { id: item.documentId },
+      include: { driver: true },
+    }),
+  ]);
+
+  const companyName = job.company?.name;
+
+  // Deleted since the job was queued - nothing to fetch
+  if (!document) {
+    return completeItem(item, { status: 'FAILED', error: 'Document not found' });
+  }
+
+  if (!document.s3Key) {
+    await recordAIUsage({
+      job, user, companyName, document,
+      data: {
+        action: 'Bulk AI scan - no S3 key',
+        status: 'FAILED',
+        errorMessage: 'Document has no S3 key',
+        errorCode: 'NO_S3_KEY',
+      },
+    });
+    await setScanStage(document.id, 'FAILED');
+    return completeItem(item, { status: 'FAILED', error: 'Document has no S3 key' });
+  }
+
+  if (!item.creditCharged) {
+    const creditCheck = await checkLimit(job.companyId, 'credits', { amount: 1 });
+    if (!creditCheck.allowed) {
+      await setScanStage(document.id, 'FAILED');
+      return completeItem(item, { status: 'FAILED', error: 'Insufficient AI credits' });
+    }
+  }
+
+  try {
+    const mergedConfigs = mergeWithDefaults(job.company?.documentTypeConfigs || {});
+    const scanResult = await runDocumentScan(document, mergedConfigs);
+
+    if (scanResult.skipped) {
+      return completeItem(item, {
+        status: 'SKIPPED',
+        error: scanResult.error,
+        skipReason: scanResult.reason,
+      });
+    }
+
+    const { detectedDocumentType, documentTypeConfig, parsedData, usage, validation, metadata, machineReadable } = scanResult;
+
+    // Deduct credits ONLY after a successful scan (and never twice for the same item).
+    // Fields read from a verified MRZ / licence barcode are free.
+    const chargeable = !machineReadable?.used;
+    if (chargeable && !item.creditCharged) {
+      const deductResult = await deductCredits(job.companyId, document.id, 1);
+      if (!deductResult.success) {
+        await setScanStage(document.id, 'FAILED');
+        return completeItem(item, { status: 'FAILED', error: deductResult.message || 'Failed to deduct credits' });
+      }
+      await prisma.scanJobItem.update({
+        where: { id: item.id },
+        data: { creditCharged: true },
+      });
+    }
+
+    await setScanStage(document.id, 'COMPLETED');
+
+    await recordAIUsage({
+      job, user, companyName, document,
+      data: {
+        action: `Bulk AI scan of ${detectedDocumentType || 'document'}`,
+        tokensUsed: usage.totalTokens,
+        inputTokens: usage.promptTokens,
+        outputTokens: usage.completionTokens,
+        cost: calculateScanCost(usage),
+        model: usage.model,
+        provider: usage.provider,
+        requestDuration: usage.requestDuration,
+        status: 'SUCCESS',
+        metadata: {
+          documentType: detectedDocumentType,
+          s3Key: document.s3Key,
+          wasClassified: needsClassification(document),
+          ocrProvider: usage.ocrProvider,
+          machineReadableSource: machineReadable?.used ? machineReadable.source : null,
+        },
+      },
+    });
+
+    let review = { required: false, reason: null };
+    try {
+      const assessment = evaluateExtractionReview({
+        documentTypeConfig,
+        confidence: metadata?.confidence,
+        fieldConfidence: metadata?.fieldConfidence,
+        validation,
+        machineReadable,
+      });
+      review = await queueExtractionForReview({ document, driver: document.driver, assessment });
+    } catch (reviewError) {
+      console.error(`⚠️ Failed to queue document ${document.id} for review:`, reviewError);
+    }
+
+    return completeItem(item, {
+      status: 'SUCCEEDED',
+      error: null,
+      creditCharged: item.creditCharged || chargeable,
+      result: {
+        documentType: detectedDocumentType,
+        documentTypeConfig: {
+          fields: documentTypeConfig.fields,
+          aiEnabled: documentTypeConfig.aiEnabled,
+          extractionMode: documentTypeConfig.extractionMode,
+          description: documentTypeConfig.description,
+        },
+        extractedData: parsedData,
+        validation,
+        metadata,
+        machineReadable,
+        review,
+        usage: {
+          tokensUsed: usage.totalTokens,
+          extractionMode: usage.extractionMode,
+          fieldsExtracted: usage.fieldsExtracted,
+        },
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Scan job item ${item.id} (document ${document.id}) failed:`, error);
+
+    await recordAIUsage({
+      job, user, companyName, document,
+      data: {
+        action: 'Bulk AI scan - failed',
+        status: 'FAILED',
+        errorMessage: error.message,
+        errorCode: error.code || 'SCAN_ERROR',
+        metadata: { attempt: item.attempts },
+      },
+    });
+
+    if (item.attempts < item.maxAttempts) {
+      const delay = getRetryDelay(item.attempts);
+      console.log(`🔁 Retrying document ${document.id} in ${delay / 1000}s (attempt ${item.attempts}/${item.maxAttempts})`);
+      return completeItem(item, {
+        status: 'RETRYING',
+        error: error.message,
+        nextAttemptAt: new Date(Date.now() + delay),
+      });
+    }
+
+    await setScanStage(document.id, 'FAILED');
+    return completeItem(item, { status: 'FAILED', error: error.message });
+  }
+};
+
+/**
+ * Put items abandoned by a crashed worker back in the queue (or fail them if out of attempts)
+ */
+const releaseStaleItems = async () => {
+  const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+
+  const exhausted = await prisma.scanJobItem.findMany({
+    where: {
+      status: 'PROCESSING',
+      lockedAt: { lt: staleBefore },
+      attempts: { gte: prisma.scanJobItem.fields.maxAttempts },
+    },
+    select: { id: true, jobId: true, documentId: true },
+  });
+
+  for (const item of exhausted) {
+    await setScanStage(item.documentId, 'FAILED');
+    await completeItem(item, { status: 'FAILED', error: 'Scan did not finish (worker stopped)' });
+  }
+
+  const released = await prisma.scanJobItem.updateMany({
+    where: {
+      status: 'PROCESSING',
+      lockedAt: { lt: staleBefore },
+    },
+    data: {
+      status: 'RETRYING',
+      lockedAt: null,
+      nextAttemptAt: new Date(),
+    },
+  });
+
+  if (exhausted.length > 0 || released.count > 0) {
+    console.log(`⚠️ Recovered stale scan items: ${released.count} requeued, ${exhausted.length} failed`);
+  }
+};
+
+/**
+ * Claim an item for this worker. Returns null if another worker got it first.
+ */
+const claimItem = async (item) => {
+  const now = new Date();
+  const claimed = await prisma.scanJobItem.updateMany({
+    where: {
+      id: item.id,
+      status: { in: ['QUEUED', 'RETRYING'] },
+    },
+    data: {
+      status: 'PROCESSING',
+      lockedAt: now,
+      attempts: { increment: 1 },
+      startedAt: item.startedAt || now,
+    },
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  return prisma.scanJobItem.findUnique({ where: { id: item.id } });
+};
+
+/**
+ * Process every scan job item that is due
+ * @returns {Promise<number>} Number of items processed
+ */
+export const processScanJobs = async () => {
+  if (isWorkerRunning) {
+    return 0;
+  }
+
+  isWorkerRunning = true;
+  let processed = 0;
+
+  try {
+    await releaseStaleItems();
+
+    while (true) {
+      const dueItems = await prisma.scanJobItem.findMany({
+        where: {
+          status: { in: ['QUEUED', 'RETRYING'] },
+          nextAttemptAt: { lte: new Date() },
+        },
+        orderBy: { createdAt: 'asc' },
+        take: WORKER_CONCURRENCY,
+      });
+
+      if (dueItems.length === 0) {
+        break;
+      }
+
+      await Promise.all(
+        dueItems.map(async (dueItem) => {
+          const item = await claimItem(dueItem);
+          if (!item) return;
+
+          await refreshScanJob(item.jobId);
+
+          try {
+            await processScanJobItem(item);
+          } catch (error) {
+            // Bookkeeping failed - the lock timeout will put the item back in the queue
+            console.error(`❌ Error processing scan job item ${item.id}:`, error);
+          }
+          processed++;
+        })
+      );
+    }
+  } finally {
+    isWorkerRunning = false;
+  }
+
+  return processed;
+};
+
+/**
+ * Start processing queued jobs right away instead of waiting for the next worker tick
+ */
+export const triggerScanJobWorker = () => {
+  setImmediate(() => {
+    processScanJobs().catch((error) => {
+      console.error('❌ Error in scan job worker:', error);
+    });
+  });
+};
+
+/**
+ * Poll for due scan job items every 10 seconds
+ */
+export const startScanJobWorker = () => {
+  scanJobWorker = cron.schedule('*/10 * * * * *', () => {
+    // Run async without blocking cron scheduler
+    processScanJobs().catch((error) => {
+      console.error('❌ Error in scan job worker:', error);
+    });
+  });
+
+  console.log('✅ Scan job worker scheduled: every 10 seconds');
+
+  // Resume jobs left over from before a restart
+  triggerScanJobWorker();
+};
+
+/**
+ * Stop the scan job worker
+ * Used during application shutdown to prevent hanging processes
+ */
+export const stopScanJobWorker = () => {
+  if (scanJobWorker) {
+    scanJobWorker.stop();
+    console.log('✅ Scan job worker stopped');
+  }
+};
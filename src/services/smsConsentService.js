@@ -0,0 +1,62 @@
+import prisma from '../../prisma/client.js';
+import { normalizePhoneNumber } from '../utils/smsConsent.js';
+
+/**
+ * SMS Consent Service
+ * Per-phone opt-out ledger for texts sent to drivers (TCPA/CASL). Every STOP/START is
+ * appended to SmsConsent; the latest entry for a number decides whether it may be texted.
+ */
+
+/**
+ * Append a consent change to the ledger
+ * @param {Object} params
+ * @param {string} params.phone - Phone number (normalized to E.164)
+ * @param {string} params.status - 'OPTED_IN' or 'OPTED_OUT'
+ * @param {string} params.source - SmsConsentSource value
+ * @param {string} [params.keyword] - Inbound keyword as received
+ * @param {string} [params.messageSid] - Twilio SID of the inbound message or failed send
+ * @returns {Promise<Object|null>} Created SmsConsent entry
+ */
+export const recordSmsConsent = async ({ phone, status, source, keyword = null, messageSid = null }) => {
+  const normalized = normalizePhoneNumber(phone);
+  if (!normalized) return null;
+
+  const entry = await prisma.smsConsent.create({
+    data: { phone: normalized, status, source, keyword, messageSid },
+  });
+
+  console.log(`📵 SMS consent for ${normalized}: ${status} (${source}${keyword ? ` ${keyword}` : ''})`);
+  return entry;
+};
+
+/**
+ * Phone numbers from the list whose latest ledger entry is an opt-out
+ * @param {Array<string>} phones - Phone numbers in any format
+ * @returns {Promise<Set<string>>} Opted-out numbers, in E.164
+ */
+export const getOptedOutPhones = async (phones) => {
+  const normalized = [...new Set(phones.map((phone) => normalizePhoneNumber(phone)).filter(Boolean))];
+  if (normalized.length === 0) return new Set();
+
+  const entries = await prisma.smsConsent.findMany({
+    where: { phone: { in: normalized } },
+    orderBy: { createdAt: 'desc' },
+    distinct: ['phone'],
+    select: { phone: true, status: true },
+  });
+
+  return new Set(entries.filter((entry) => entry.status === 'OPTED_OUT').map((entry) => entry.phone));
+};
+
+/**
+ * Whether a phone number has opted out of texts
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise<boolean>}
+ */
+export const isSmsOptedOut = async (phone) => {
+  const normalized = normalizePhoneNumber(phone);
+  if (!normalized) return false;
+
+  const optedOut = await getOptedOutPhones([normalized]);
+  return optedOut.has(normalized);
+};
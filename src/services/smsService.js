@@ -1,4 +1,5 @@
 import twilio from 'twilio';
+import { isSmsOptedOut } from './smsConsentService.js';
 
 // Initialize Twilio client
 const getTwilioClient = () => {
@@ -13,6 +14,21 @@ const getTwilioClient = () => {
   return client;
 };
 
+// Error code for sends refused because the recipient texted STOP (see smsConsentService.js)
+export const SMS_OPTED_OUT = 'SMS_OPTED_OUT';
+
+/**
+ * Refuse to text numbers that opted out
+ * @param {string} phone - Recipient phone number
+ */
+const assertNotOptedOut = async (phone) => {
+  if (await isSmsOptedOut(phone)) {
+    const error = new Error(`${phone} has opted out of SMS`);
+    error.code = SMS_OPTED_OUT;
+    throw error;
+  }
+};
+
 /**
  * Send driver invitation SMS with upload link
  * @param {Object} params - SMS parameters
@@ -28,6 +44,8 @@ export const sendDriverInvitationSMS = async ({
   companyName,
 }) => {
   try {
+    await assertNotOptedOut(phone);
+
     const client = getTwilioClient();
     const fromNumber = process.env.TWILIO_PHONE_NUMBER;
 
@@ -69,6 +87,8 @@ This link expires in 7 days.`;
  */
 export const sendSMS = async (to, message) => {
   try {
+    await assertNotOptedOut(to);
+
     const client = getTwilioClient();
     const fromNumber = process.env.TWILIO_PHONE_NUMBER;
 
@@ -81,6 +101,8 @@ export const sendSMS = async (to, message) => {
         body: message,
         from: fromNumber,
         to: to,
+        // Delivery reports go to /api/message-webhooks/twilio/status
+        ...(process.env.TWILIO_STATUS_CALLBACK_URL && { statusCallback: process.env.TWILIO_STATUS_CALLBACK_URL }),
       })
       .then(msg => {
         console.log('SMS sent successfully:', msg.sid);
@@ -90,10 +112,45 @@ export const sendSMS = async (to, message) => {
     return { success: true, messageSid: result.sid };
   } catch (error) {
     console.error('Error sending SMS:', error);
-    throw new Error(`Failed to send SMS: ${error.message}`);
+    throw new Error(`Failed to send SMS: ${error.message}`, { cause: error });
   }
 };
 
+/**
+ * Build the SMS telling a driver a reviewer rejected one of their documents
+ * @param {Object} params - SMS parameters
+ * @param {string} params.driverName - Driver's name
+ * @param {string} params.documentType - Type of the rejected document
+ * @param {string} params.reason - Rejection reason
+ * @param {string} params.uploadLink - Secure re-upload link
+ * @param {string} params.companyName - Company name
+ * @returns {string} Message text
+ */
+export const buildDocumentRejectedSMS = ({
+  driverName,
+  documentType,
+  reason,
+  uploadLink,
+  companyName,
+}) => `Hello ${driverName},
+
+${companyName} could not accept your ${documentType}.
+Reason: ${reason}
+
+Please upload a new copy:
+${uploadLink}
+
+This link expires in 7 days.`;
+
+/**
+ * Send SMS to a driver when a reviewer rejects one of their documents
+ * @param {Object} params - SMS parameters (see buildDocumentRejectedSMS)
+ * @param {string} params.phone - Recipient phone number
+ */
+export const sendDocumentRejectedSMS = async ({ phone, ...params }) => {
+  return sendSMS(phone, buildDocumentRejectedSMS(params));
+};
+
 /**
  * Send test SMS to verify configuration
  */
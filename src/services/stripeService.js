@@ -255,23 +255,40 @@ export async function cancelSubscription(subscriptionId) {
 
 /**
  * Update subscription (change plan)
+ * Extra team seats move to the new plan's seat price, or are removed if it doesn't sell seats.
  * @param {string} subscriptionId - Stripe subscription ID
  * @param {string} newPriceId - New Stripe price ID
+ * @param {string} newPlanName - New plan name
  * @returns {Promise<object>} Updated subscription
  */
-export async function updateSubscription(subscriptionId, newPriceId) {
+export async function updateSubscription(subscriptionId, newPriceId, newPlanName) {
   ensureStripeConfigured();
 
   try {
     const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    const items = [
+      {
+        id: getPlanItem(subscription).id,
+        price: newPriceId,
+      },
+    ];
+
+    const seatItem = getExtraSeatItem(subscription);
+    if (seatItem) {
+      if (getPlanLimits(newPlanName).extraSeatPrice) {
+        const newPrice = await stripe.prices.retrieve(newPriceId);
+        items.push({
+          id: seatItem.id,
+          price: await getExtraSeatPriceId(newPlanName, newPrice.recurring?.interval || 'month'),
+          quantity: seatItem.quantity,
+        });
+      } else {
+        items.push({ id: seatItem.id, deleted: true });
+      }
+    }
 
     const updatedSubscription = await stripe.subscriptions.update(subscriptionId, {
-      items: [
-        {
-          id: subscription.items.data[0].id,
-          price: newPriceId,
-        },
-      ],
+      items,
       proration_behavior: 'none', // No proration as per requirements
     });
 
@@ -284,6 +301,120 @@ export async function updateSubscription(subscriptionId, newPriceId) {
   }
 }
 
+/**
+ * Find the extra team seat item of a subscription
+ * @param {object} subscription - Stripe subscription
+ * @returns {object|undefined} Subscription item
+ */
+export function getExtraSeatItem(subscription) {
+  return subscription.items.data.find(item => item.price?.metadata?.type === 'extra_seat');
+}
+
+/**
+ * Find the plan item of a subscription (anything that isn't an extra seat)
+ * @param {object} subscription - Stripe subscription
+ * @returns {object} Subscription item
+ */
+function getPlanItem(subscription) {
+  return subscription.items.data.find(item => item.price?.metadata?.type !== 'extra_seat');
+}
+
+/**
+ * Get the Stripe price of one extra team seat on a plan
+ * Prices are found by lookup key and only created the first time a plan/interval needs one,
+ * so every subscription on a plan shares the same seat price.
+ * @param {string} planName - Plan name
+ * @param {string} interval - 'month' or 'year'
+ * @returns {Promise<string>} Stripe price ID
+ */
+async function getExtraSeatPriceId(planName, interval) {
+  const planLimits = getPlanLimits(planName);
+
+  if (!planLimits.extraSeatPrice) {
+    throw new Error(`${planName} plan does not offer extra seats`);
+  }
+
+  const priceAmount = interval === 'year'
+    ? planLimits.extraSeatYearlyPrice
+    : planLimits.extraSeatPrice;
+
+  // The amount is part of the key, so changing a seat price in planLimits creates a new price
+  const lookupKey = `extra_seat_${planName.toLowerCase()}_${interval}_${priceAmount}`;
+
+  const { data: [existingPrice] } = await stripe.prices.list({
+    lookup_keys: [lookupKey],
+    active: true,
+    limit: 1,
+  });
+
+  if (existingPrice) {
+    return existingPrice.id;
+  }
+
+  const price = await stripe.prices.create({
+    unit_amount: priceAmount * 100, // Convert to cents
+    currency: 'usd',
+    recurring: { interval },
+    lookup_key: lookupKey,
+    product_data: {
+      name: `${planName} Plan - Extra Team Seat`,
+    },
+    metadata: {
+      type: 'extra_seat',
+      planName,
+    },
+  });
+
+  console.log(`✅ Created extra seat price ${price.id} (${lookupKey})`);
+
+  return price.id;
+}
+
+/**
+ * Set the number of extra team seats billed on a subscription
+ * Seats are billed per unit on the plan's billing interval, as a separate subscription item
+ * at the plan's seat price (an item left on another plan's price is moved to it).
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {number} seats - Total extra seats (0 removes the item)
+ * @param {string} planName - Current plan name
+ * @returns {Promise<object>} Updated subscription
+ */
+export async function updateExtraSeats(subscriptionId, seats, planName) {
+  ensureStripeConfigured();
+
+  try {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    const seatItem = getExtraSeatItem(subscription);
+    let items;
+
+    if (seats === 0) {
+      if (!seatItem) {
+        return subscription;
+      }
+      items = [{ id: seatItem.id, deleted: true }];
+    } else {
+      const interval = getPlanItem(subscription)?.price?.recurring?.interval || 'month';
+      const priceId = await getExtraSeatPriceId(planName, interval);
+
+      items = [seatItem
+        ? { id: seatItem.id, price: priceId, quantity: seats }
+        : { price: priceId, quantity: seats }];
+    }
+
+    const updatedSubscription = await stripe.subscriptions.update(subscriptionId, {
+      items,
+      proration_behavior: 'none', // No proration as per requirements
+    });
+
+    console.log(`✅ Updated subscription: ${subscriptionId} to ${seats} extra seat(s)`);
+
+    return updatedSubscription;
+  } catch (error) {
+    console.error('Error updating extra seats:', error);
+    throw error;
+  }
+}
+
 /**
  * Get subscription details
  * @param {string} subscriptionId - Stripe subscription ID
@@ -360,6 +491,8 @@ export default {
   createCreditPurchaseCheckout,
   cancelSubscription,
   updateSubscription,
+  getExtraSeatItem,
+  updateExtraSeats,
   getSubscription,
   createBillingPortalSession,
   constructWebhookEvent,
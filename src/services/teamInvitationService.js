@@ -0,0 +1,272 @@
+import cron from 'node-cron';
+import { clerkClient } from '@clerk/express';
+import prisma from '../../prisma/client.js';
+import auditService from './auditService.js';
+import { buildTeamInvitationEmail } from './emailService.js';
+import { enqueueMessage, triggerOutboxWorker, cancelQueuedMessages, SOURCE_TYPES } from './outboxService.js';
+import { notifyTeamMemberJoined, notifyTeamInvitationExpired } from './notificationService.js';
+
+/**
+ * Team Invitation Service
+ * Invitation lifecycle: PENDING → SENT (outbox) → ACCEPTED on the invitee's first sign-in
+ * (Clerk session.created webhook), or EXPIRED once expiresAt passes (hourly sweep).
+ * Admins can resend an invitation (new sign-in link) or revoke it (REJECTED); either way the
+ * previous sign-in link is revoked in Clerk and its unsent email cancelled.
+ */
+
+// Sign-in links and invitations are valid for 7 days
+export const INVITATION_TTL_SECONDS = 604800;
+
+// Invitations still waiting for the invitee
+export const OPEN_INVITATION_STATUSES = ['PENDING', 'SENT', 'FAILED'];
+
+let isExpirySweepRunning = false;
+let expirySweepJob = null;
+
+/**
+ * Create a Clerk sign-in link for an invited user
+ * @param {string} clerkUserId - Invited user's Clerk ID
+ * @returns {Promise<Object>} { url, tokenId, expiresAt }
+ */
+export const createInvitationLink = async (clerkUserId) => {
+  const signInToken = await clerkClient.signInTokens.createSignInToken({
+    userId: clerkUserId,
+    expiresInSeconds: INVITATION_TTL_SECONDS,
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  return {
+    url: `${frontendUrl}/sign-in?ticket=${signInToken.token}`,
+    tokenId: signInToken.id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_SECONDS * 1000),
+  };
+};
+
+/**
+ * Retire an invitation's current sign-in link: revoke the Clerk token so the link stops
+ * working, and cancel its email if the outbox hasn't sent it yet
+ * @param {Object} invitation - TeamInvitation
+ * @param {string} reason - Why, stored on cancelled outbound messages
+ */
+export const retireInvitationLink = async (invitation, reason) => {
+  // Invitations created before token IDs were stored can't be revoked; their links expire on their own
+  if (invitation.clerkSignInTokenId) {
+    try {
+      await clerkClient.signInTokens.revokeSignInToken(invitation.clerkSignInTokenId);
+    } catch (error) {
+      // Tokens that were already used or have expired can't be revoked
+      console.error(`⚠️ Failed to revoke sign-in token of invitation ${invitation.id}:`, error.message);
+    }
+  }
+
+  await cancelQueuedMessages({
+    sourceType: SOURCE_TYPES.TEAM_INVITATION,
+    sourceId: invitation.id,
+    reason,
+  });
+};
+
+/**
+ * Queue the invitation email with the password setup link
+ * (the outbox marks the invitation SENT, or FAILED with the error, once delivery finishes)
+ * @param {Object} params
+ * @param {Object} params.invitation - TeamInvitation (with clerkSignInToken set)
+ * @param {Object} params.inviter - Inviting user ({ email, firstName, lastName })
+ * @param {string} [params.companyName]
+ * @param {string} params.roleName - Custom role name or DSP role shown in the email
+ */
+export const queueInvitationEmail = async ({ invitation, inviter, companyName, roleName }) => {
+  const inviterName = `${inviter.firstName || ''} ${inviter.lastName || ''}`.trim() || inviter.email;
+  const company = companyName || 'Your Company';
+  const { subject, html } = buildTeamInvitationEmail({
+    email: invitation.email,
+    firstName: invitation.firstName,
+    lastName: invitation.lastName,
+    inviterName,
+    companyName: company,
+    role: roleName,
+    invitationUrl: invitation.clerkSignInToken, // Password setup link
+  });
+
+  await enqueueMessage({
+    channel: 'EMAIL',
+    to: invitation.email,
+    subject,
+    text: `${inviterName} invited you to join ${company} on Complyo. Set up your password here: ${invitation.clerkSignInToken}`,
+    html,
+    fromName: company,
+    companyId: invitation.companyId,
+    sourceType: SOURCE_TYPES.TEAM_INVITATION,
+    sourceId: invitation.id,
+  });
+  triggerOutboxWorker();
+};
+
+/**
+ * Mark a user's open invitations as accepted when they first sign in
+ * Called from the Clerk session.created webhook. Only invitations for the company
+ * the user still belongs to are accepted (revoked or removed users are ignored).
+ * @param {string} clerkUserId - Clerk ID of the user who signed in
+ * @returns {Promise<number>} Number of invitations accepted
+ */
+export const markInvitationAccepted = async (clerkUserId) => {
+  const user = await prisma.user.findUnique({
+    where: { clerkUserId },
+    select: { id: true, email: true, firstName: true, lastName: true, companyId: true },
+  });
+
+  if (!user?.companyId) return 0;
+
+  // An expired link can't be used, but the user may still have signed in another way (password reset)
+  const invitations = await prisma.teamInvitation.findMany({
+    where: {
+      clerkUserId,
+      companyId: user.companyId,
+      status: { in: [...OPEN_INVITATION_STATUSES, 'EXPIRED'] },
+    },
+  });
+
+  const acceptedAt = new Date();
+  const memberName = `${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+  for (const invitation of invitations) {
+    await prisma.teamInvitation.update({
+      where: { id: invitation.id },
+      data: {
+        status: 'ACCEPTED',
+        acceptedAt,
+        userId: invitation.userId || user.id,
+      },
+    });
+
+    await auditService.logTeamOperation({
+      userId: user.id,
+      userEmail: user.email,
+      userName: memberName,
+      companyId: invitation.companyId,
+      action: 'TEAM_INVITATION_ACCEPTED',
+      targetUserId: user.id,
+      targetUserEmail: user.email,
+      metadata: {
+        invitationId: invitation.id,
+        invitedById: invitation.invitedById,
+        previousStatus: invitation.status,
+      },
+    });
+
+    try {
+      await notifyTeamMemberJoined({
+        companyId: invitation.companyId,
+        inviterUserId: invitation.invitedById,
+        memberName,
+        memberEmail: user.email,
+        invitationId: invitation.id,
+      });
+    } catch (error) {
+      console.error(`⚠️ Failed to notify inviter of accepted invitation ${invitation.id}:`, error);
+    }
+  }
+
+  if (invitations.length > 0) {
+    console.log(`✅ Marked ${invitations.length} team invitation(s) accepted for ${user.email}`);
+  }
+
+  return invitations.length;
+};
+
+/**
+ * Move open invitations past their expiry date to EXPIRED and tell their inviters
+ * @returns {Promise<number>} Number of invitations expired
+ */
+export const expireTeamInvitations = async () => {
+  const now = new Date();
+  const invitations = await prisma.teamInvitation.findMany({
+    where: {
+      status: { in: OPEN_INVITATION_STATUSES },
+      expiresAt: { lte: now },
+    },
+  });
+
+  let expired = 0;
+
+  for (const invitation of invitations) {
+    // Guard on status so an invitation accepted or revoked meanwhile isn't overwritten
+    const { count } = await prisma.teamInvitation.updateMany({
+      where: { id: invitation.id, status: { in: OPEN_INVITATION_STATUSES } },
+      data: { status: 'EXPIRED' },
+    });
+
+    if (count === 0) continue;
+    expired++;
+
+    await auditService.logAudit({
+      companyId: invitation.companyId,
+      action: 'TEAM_INVITATION_EXPIRED',
+      resource: 'TeamMember',
+      resourceId: invitation.userId,
+      severity: 'INFO',
+      category: 'USER_MANAGEMENT',
+      metadata: {
+        invitationId: invitation.id,
+        targetUserEmail: invitation.email,
+        invitedById: invitation.invitedById,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+
+    try {
+      await notifyTeamInvitationExpired({
+        companyId: invitation.companyId,
+        inviterUserId: invitation.invitedById,
+        invitedEmail: invitation.email,
+        invitationId: invitation.id,
+      });
+    } catch (error) {
+      console.error(`⚠️ Failed to notify inviter of expired invitation ${invitation.id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Cron job expiring team invitations
+ * Runs hourly, so an invitation is marked EXPIRED at most an hour after its expiresAt
+ */
+export const startTeamInvitationCronJob = () => {
+  // '0 * * * *' = At the start of every hour
+  expirySweepJob = cron.schedule('0 * * * *', async () => {
+    // Check if previous execution is still running
+    if (isExpirySweepRunning) {
+      console.log('⚠️ Skipping team invitation expiry sweep - previous execution still running');
+      return;
+    }
+
+    isExpirySweepRunning = true;
+
+    try {
+      const expired = await expireTeamInvitations();
+      if (expired > 0) {
+        console.log(`✅ Expired ${expired} team invitation(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error in team invitation expiry sweep:', error);
+    } finally {
+      isExpirySweepRunning = false;
+    }
+  });
+
+  console.log('✅ Team invitation expiry cron job started');
+};
+
+/**
+ * Stop the expiry cron job
+ * Used during application shutdown to prevent hanging processes
+ */
+export const stopTeamInvitationCronJob = () => {
+  if (expirySweepJob) {
+    expirySweepJob.stop();
+    console.log('✅ Team invitation expiry job stopped');
+  }
+};
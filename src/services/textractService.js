@@ -1,39 +1,14 @@
-import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
 import { buildDynamicPrompt, buildUnifiedClassificationAndExtractionPrompt, estimateTokens, validateExtractedData, formatExtractedData } from './promptBuilder.js';
-
-// Initialize Lambda client
-const lambdaClient = new LambdaClient({
-  region: process.env.AWS_REGION,
-  endpoint: `https://lambda.${process.env.AWS_REGION}.amazonaws.com`,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+import { getOcrProvider, getLlmProvider } from './extractionProviders.js';
 
 /**
- * Invoke AWS Textract Lambda to extract document data
+ * Extract document text with the configured OCR provider (AWS Textract Lambda by default)
  * @param {string} s3Key - S3 object key
  * @returns {Promise<Object>} Extracted text data from Textract
  */
 export const extractDocumentData = async (s3Key) => {
   try {
-    const lambdaResponse = await lambdaClient.send(
-      new InvokeCommand({
-        FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
-        Payload: Buffer.from(
-          JSON.stringify({
-            bucket: process.env.AWS_S3_BUCKET_NAME,
-            key: s3Key,
-          })
-        ),
-      })
-    );
-
-    const result = JSON.parse(Buffer.from(lambdaResponse.Payload).toString());
-    const textractData = JSON.parse(result.body);
-
-    return textractData;
+    return await getOcrProvider().extract(s3Key);
   } catch (error) {
     console.error('Textract extraction error:', error);
     throw new Error(`Failed to extract document data: ${error.message}`);
@@ -41,20 +16,15 @@ export const extractDocumentData = async (s3Key) => {
 };
 
 /**
- * Parse Textract data using OpenAI to structure it
- * This uses GPT to map raw Textract OCR into structured document fields
+ * Parse Textract data using the LLM provider to structure it
+ * This uses the LLM to map raw Textract OCR into structured document fields
  * @param {Object} textractData - Raw Textract output
  * @param {string} documentType - Type of document (Driver's License, Passport, etc.)
  * @returns {Promise<Object>} Structured document data
  */
 export const parseWithAI = async (textractData, documentType = 'Driver\'s License') => {
   try {
-    // Import OpenAI dynamically to avoid issues if not installed
-    const { default: OpenAI } = await import('openai');
-
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    const llmProvider = getLlmProvider();
 
     // Define schema based on document type
     const schema = {
@@ -76,43 +46,30 @@ export const parseWithAI = async (textractData, documentType = 'Driver\'s Licens
 
     const startTime = Date.now();
 
-    const gptResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a data parser that extracts information from ${documentType} OCR data.
+    const { data: parsedData, usage } = await llmProvider.completeJSON({
+      systemPrompt: `You are a data parser that extracts information from ${documentType} OCR data.
           Extract the following fields and return them in JSON format.
           Use standard date format YYYY-MM-DD for dates.
           For the 'type' field, identify the document type (e.g., "Driver's License", "Passport", "ID Card", "Commercial License", etc.).
           If a field is not found, use an empty string.`,
-        },
-        {
-          role: 'user',
-          content: `Schema: ${JSON.stringify(schema, null, 2)}\n\nExtracted OCR Data:\n${JSON.stringify(
-            textractData,
-            null,
-            2
-          )}\n\nReturn only JSON that matches the schema.`,
-        },
-      ],
-      temperature: 0,
-      response_format: { type: 'json_object' },
+      userPrompt: `Schema: ${JSON.stringify(schema, null, 2)}\n\nExtracted OCR Data:\n${JSON.stringify(
+        textractData,
+        null,
+        2
+      )}\n\nReturn only JSON that matches the schema.`,
+      task: { type: 'extract', documentTypeName: documentType, textractData },
     });
 
     const requestDuration = Date.now() - startTime;
 
-    const parsedData = JSON.parse(gptResponse.choices[0].message.content);
     console.log('AI Parsed Data:', parsedData);
 
     // Return parsed data with usage information
     return {
       parsedData,
       usage: {
-        promptTokens: gptResponse.usage?.prompt_tokens || 0,
-        completionTokens: gptResponse.usage?.completion_tokens || 0,
-        totalTokens: gptResponse.usage?.total_tokens || 0,
-        model: gptResponse.model || 'gpt-4o-mini',
+        ...usage,
+        provider: llmProvider.name,
         requestDuration
       }
     };
@@ -127,13 +84,15 @@ export const parseWithAI = async (textractData, documentType = 'Driver\'s Licens
  * This is the MOST EFFICIENT version - use when document type is unknown
  * @param {Object} textractData - Raw Textract output
  * @param {Object} allDocumentTypeConfigs - All available document type configurations
+ * @param {Object} [options]
+ * @param {Object} [options.correctionHints] - Common reviewer corrections per document type, passed to the prompt
  * @returns {Promise<Object>} Structured document data with detected type and validation
  */
-export const parseWithAIUnified = async (textractData, allDocumentTypeConfigs) => {
+export const parseWithAIUnified = async (textractData, allDocumentTypeConfigs, { correctionHints = {} } = {}) => {
   try {
     // Build unified prompt that can classify AND extract
     const { systemPrompt, userPromptBuilder, getConfigForType, availableTypes } =
-      buildUnifiedClassificationAndExtractionPrompt(allDocumentTypeConfigs);
+      buildUnifiedClassificationAndExtractionPrompt(allDocumentTypeConfigs, correctionHints);
 
     const userPrompt = userPromptBuilder(textractData);
 
@@ -141,35 +100,18 @@ export const parseWithAIUnified = async (textractData, allDocumentTypeConfigs) =
     const estimatedInputTokens = estimateTokens(systemPrompt + userPrompt);
     console.log(`📊 Estimated input tokens for unified classification+extraction: ${estimatedInputTokens}`);
 
-    // Import OpenAI dynamically
-    const { default: OpenAI } = await import('openai');
-
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
+    const llmProvider = getLlmProvider();
     const startTime = Date.now();
 
-    // Call OpenAI with unified prompt
-    const gptResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
-      temperature: 0,
-      response_format: { type: 'json_object' },
+    // Call the LLM provider with unified prompt
+    const { data: parsedData, usage } = await llmProvider.completeJSON({
+      systemPrompt,
+      userPrompt,
+      task: { type: 'classify-extract', documentTypeConfigs: allDocumentTypeConfigs, textractData },
     });
 
     const requestDuration = Date.now() - startTime;
 
-    const parsedData = JSON.parse(gptResponse.choices[0].message.content);
     const detectedType = parsedData.documentType;
 
     console.log('✅ AI Unified Classification+Extraction complete:', { detectedType, confidence: parsedData.confidence });
@@ -212,11 +154,9 @@ export const parseWithAIUnified = async (textractData, allDocumentTypeConfigs) =
       documentTypeConfig,
       validation,
       usage: {
-        promptTokens: gptResponse.usage?.prompt_tokens || 0,
-        completionTokens: gptResponse.usage?.completion_tokens || 0,
-        totalTokens: gptResponse.usage?.total_tokens || 0,
+        ...usage,
+        provider: llmProvider.name,
         estimatedInputTokens,
-        model: gptResponse.model || 'gpt-4o-mini',
         requestDuration,
         extractionMode: documentTypeConfig.extractionMode,
         fieldsExtracted: documentTypeConfig.extractionMode === 'fields' && documentTypeConfig.fields
@@ -228,7 +168,8 @@ export const parseWithAIUnified = async (textractData, allDocumentTypeConfigs) =
         extractionMode: documentTypeConfig.extractionMode,
         aiEnabled: documentTypeConfig.aiEnabled,
         timestamp: new Date().toISOString(),
-        confidence: parsedData.confidence || null
+        confidence: parsedData.confidence || null,
+        fieldConfidence: parsedData.fieldConfidence || null
       }
     };
   } catch (error) {
@@ -238,14 +179,16 @@ export const parseWithAIUnified = async (textractData, allDocumentTypeConfigs) =
 };
 
 /**
- * Parse Textract data using OpenAI with dynamic prompting based on document type configuration
+ * Parse Textract data using the LLM provider with dynamic prompting based on document type configuration
  * This is the NEW enhanced version that uses company-specific field configurations
  * @param {Object} textractData - Raw Textract output
  * @param {Object} documentTypeConfig - Document type configuration object
  * @param {string} documentTypeName - Name of the document type
+ * @param {Object} [options]
+ * @param {Array} [options.correctionHints] - Common reviewer corrections passed to the prompt
  * @returns {Promise<Object>} Structured document data with validation
  */
-export const parseWithAIDynamic = async (textractData, documentTypeConfig, documentTypeName) => {
+export const parseWithAIDynamic = async (textractData, documentTypeConfig, documentTypeName, { correctionHints = [] } = {}) => {
   try {
     const { aiEnabled, extractionMode, fields } = documentTypeConfig;
 
@@ -269,42 +212,25 @@ export const parseWithAIDynamic = async (textractData, documentTypeConfig, docum
     }
 
     // Build dynamic prompt based on configuration
-    const { systemPrompt, userPromptBuilder } = buildDynamicPrompt(documentTypeConfig, documentTypeName);
+    const { systemPrompt, userPromptBuilder } = buildDynamicPrompt(documentTypeConfig, documentTypeName, correctionHints);
     const userPrompt = userPromptBuilder(textractData);
 
     // Estimate token usage before making the call
     const estimatedInputTokens = estimateTokens(systemPrompt + userPrompt);
     console.log(`📊 Estimated input tokens for ${documentTypeName}: ${estimatedInputTokens}`);
 
-    // Import OpenAI dynamically
-    const { default: OpenAI } = await import('openai');
-
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
+    const llmProvider = getLlmProvider();
     const startTime = Date.now();
 
-    // Call OpenAI with dynamic prompts
-    const gptResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
-      temperature: 0,
-      response_format: { type: 'json_object' },
+    // Call the LLM provider with dynamic prompts
+    const { data: parsedData, usage } = await llmProvider.completeJSON({
+      systemPrompt,
+      userPrompt,
+      task: { type: 'extract', documentTypeName, documentTypeConfig, textractData },
     });
 
     const requestDuration = Date.now() - startTime;
 
-    const parsedData = JSON.parse(gptResponse.choices[0].message.content);
     console.log('✅ AI Parsed Data (Dynamic):', parsedData);
 
     // Validate extracted data if in field extraction mode
@@ -333,11 +259,9 @@ export const parseWithAIDynamic = async (textractData, documentTypeConfig, docum
       rawParsedData: parsedData, // Keep original for debugging
       validation,
       usage: {
-        promptTokens: gptResponse.usage?.prompt_tokens || 0,
-        completionTokens: gptResponse.usage?.completion_tokens || 0,
-        totalTokens: gptResponse.usage?.total_tokens || 0,
+        ...usage,
+        provider: llmProvider.name,
         estimatedInputTokens,
-        model: gptResponse.model || 'gpt-4o-mini',
         requestDuration,
         extractionMode,
         fieldsExtracted: extractionMode === 'fields' ? fields.filter(f => f.aiExtractable).length : 0
@@ -346,7 +270,9 @@ export const parseWithAIDynamic = async (textractData, documentTypeConfig, docum
         documentType: documentTypeName,
         extractionMode,
         aiEnabled,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        confidence: parsedData.confidence ?? null,
+        fieldConfidence: parsedData.fieldConfidence || null
       }
     };
   } catch (error) {
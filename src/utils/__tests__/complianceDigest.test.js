@@ -0,0 +1,113 @@
+/**
+ * Compliance Digest Tests
+ *
+ * Tests for digest grouping, CSV output and digest recipients
+ */
+
+import {
+  isDigestDay,
+  getDigestRecipients,
+  buildComplianceDigest,
+  digestToCsv,
+} from '../complianceDigest.js';
+
+describe('Compliance Digest', () => {
+  const today = '2026-10-18'; // A Sunday
+
+  const drivers = [
+    {
+      id: 'driver-1',
+      name: 'Sam Driver',
+      stationCode: 'DYV1',
+      documents: [
+        { id: 'licence', type: "Driver's Licence", documentNumber: 'D123, 45', status: 'ACTIVE', expiryDate: '2026-10-15T00:00:00Z', uploadedAt: '2025-01-01T00:00:00Z' },
+        { id: 'insurance', type: 'Insurance', status: 'EXPIRING_SOON', expiryDate: '2026-10-23T00:00:00Z', uploadedAt: '2025-01-01T00:00:00Z' },
+        { id: 'abstract', type: 'Driver Abstract', status: 'ACTIVE', expiryDate: '2026-11-10T00:00:00Z', uploadedAt: '2025-01-01T00:00:00Z' },
+        { id: 'whmis', type: 'WHMIS', status: 'ACTIVE', expiryDate: '2027-06-01T00:00:00Z', uploadedAt: '2025-01-01T00:00:00Z' },
+      ],
+    },
+    {
+      id: 'driver-2',
+      name: 'Alex Renewed',
+      documents: [
+        { id: 'old-licence', type: "Driver's Licence", status: 'ACTIVE', expiryDate: '2026-10-01T00:00:00Z', uploadedAt: '2024-01-01T00:00:00Z' },
+        { id: 'new-licence', type: "Driver's Licence", supersedesId: 'old-licence', status: 'PENDING', expiryDate: null, uploadedAt: '2026-10-10T00:00:00Z' },
+      ],
+    },
+  ];
+  const requirements = [{ documentType: "Driver's Licence" }, { documentType: 'Work Eligibility' }];
+
+  describe('buildComplianceDigest', () => {
+    test('should group expired, expiring and missing documents by driver', () => {
+      const digest = buildComplianceDigest(drivers, requirements, today);
+
+      expect(digest.totals).toEqual({ drivers: 2, expired: 1, expiringIn7: 1, expiringIn30: 1, missing: 2 });
+      expect(digest.drivers.map((driver) => driver.driverName)).toEqual(['Alex Renewed', 'Sam Driver']);
+
+      const sam = digest.drivers[1];
+      expect(sam.expired).toEqual([
+        { documentId: 'licence', documentType: "Driver's Licence", documentNumber: 'D123, 45', expiryDate: '2026-10-15', daysUntilExpiry: -3 },
+      ]);
+      expect(sam.expiringIn7.map((item) => item.documentId)).toEqual(['insurance']);
+      expect(sam.expiringIn30.map((item) => item.documentId)).toEqual(['abstract']);
+      expect(sam.missing).toEqual([{ documentType: 'Work Eligibility' }]);
+    });
+
+    test('should leave out documents that already have a renewal', () => {
+      const digest = buildComplianceDigest(drivers, requirements, today);
+      expect(digest.drivers[0].expired).toEqual([]);
+      expect(digest.drivers[0].missing).toEqual([{ documentType: 'Work Eligibility' }]);
+    });
+  });
+
+  describe('digestToCsv', () => {
+    test('should write one row per document and quote values with commas', () => {
+      const csv = digestToCsv(buildComplianceDigest([drivers[0]], requirements, today)).split('\r\n');
+
+      expect(csv[0]).toBe('Driver,Station,Status,Document Type,Document Number,Expiry Date,Days Until Expiry');
+      expect(csv[1]).toBe('Sam Driver,DYV1,Expired,Driver\'s Licence,"D123, 45",2026-10-15,-3');
+      expect(csv[csv.length - 1]).toBe('Sam Driver,DYV1,Missing,Work Eligibility,,,');
+      expect(csv).toHaveLength(5);
+    });
+  });
+
+  describe('digest recipients', () => {
+    const company = {
+      adminEmail: 'owner@dsp.example',
+      reminderDeliveryMode: 'DIGEST',
+      digestFrequency: 'WEEKLY',
+      digestWeekday: 1,
+    };
+
+    test('should send weekly digests only on the configured weekday', () => {
+      expect(isDigestDay('DAILY', 1, today)).toBe(true);
+      expect(isDigestDay('WEEKLY', 1, today)).toBe(false);
+      expect(isDigestDay('WEEKLY', 1, '2026-10-19')).toBe(true);
+    });
+
+    test('should combine the company contact with team members who opted in', () => {
+      const teamMembers = [
+        { email: 'daily@dsp.example', reminderDeliveryMode: 'BOTH', digestFrequency: 'DAILY' },
+        { email: 'weekly@dsp.example', reminderDeliveryMode: 'DIGEST', digestFrequency: null },
+        { email: 'individual@dsp.example', reminderDeliveryMode: 'INDIVIDUAL' },
+        { email: 'unset@dsp.example', reminderDeliveryMode: null },
+      ];
+
+      expect(getDigestRecipients(company, teamMembers, today)).toEqual(['daily@dsp.example']);
+      expect(getDigestRecipients(company, teamMembers, '2026-10-19')).toEqual([
+        'owner@dsp.example',
+        'daily@dsp.example',
+        'weekly@dsp.example',
+      ]);
+    });
+
+    test('should let a team member override the company setting for their own address', () => {
+      const recipients = getDigestRecipients(
+        { ...company, digestFrequency: 'DAILY' },
+        [{ email: 'owner@dsp.example', reminderDeliveryMode: 'INDIVIDUAL' }],
+        today
+      );
+      expect(recipients).toEqual([]);
+    });
+  });
+});
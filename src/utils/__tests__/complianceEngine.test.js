@@ -0,0 +1,124 @@
+/**
+ * Compliance Engine Tests
+ *
+ * Tests for evaluating drivers against the company requirements matrix
+ */
+
+import {
+  complianceRequirementsSchema,
+  getRequiredDocumentTypes,
+  evaluateDriverCompliance,
+  summarizeCompliance,
+} from '../complianceEngine.js';
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+const requirements = [
+  { documentType: "Driver's Licence" },
+  { documentType: 'Driver Abstract', regions: ['Ontario'] },
+  { documentType: 'WHMIS/Training Certificates', stationCodes: ['DYY6'] },
+];
+
+describe('Compliance Engine', () => {
+  describe('Requirements schema', () => {
+    test('should reject duplicate requirements', () => {
+      const result = complianceRequirementsSchema.safeParse([
+        { documentType: "Driver's Licence" },
+        { documentType: "Driver's Licence", stationCodes: [], regions: [] },
+      ]);
+      expect(result.success).toBe(false);
+    });
+
+    test('should reject unknown properties', () => {
+      const result = complianceRequirementsSchema.safeParse([
+        { documentType: "Driver's Licence", mandatory: true },
+      ]);
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('getRequiredDocumentTypes', () => {
+    test('should scope requirements by region and station code', () => {
+      expect(getRequiredDocumentTypes(requirements, { region: 'Quebec', stationCode: 'DYZ1' }))
+        .toEqual(["Driver's Licence"]);
+      expect(getRequiredDocumentTypes(requirements, { region: 'Ontario', stationCode: 'DYY6' }))
+        .toEqual(["Driver's Licence", 'Driver Abstract', 'WHMIS/Training Certificates']);
+    });
+  });
+
+  describe('evaluateDriverCompliance', () => {
+    test('should mark a driver missing a mandatory document as Critical', () => {
+      const documents = [
+        { id: 'doc-1', type: 'Insurance', status: 'ACTIVE', expiryDate: daysFromNow(200) },
+      ];
+
+      const result = evaluateDriverCompliance({ id: 'driver-1' }, documents, requirements);
+
+      expect(result.status).toBe('Critical');
+      expect(result.missing).toEqual([{ documentType: "Driver's Licence" }]);
+    });
+
+    test('should mark a driver with no documents and no requirements as No Documents', () => {
+      const result = evaluateDriverCompliance({ id: 'driver-1' }, [], []);
+      expect(result.status).toBe('No Documents');
+    });
+
+    test('should prefer a renewed document over the expired one it replaces', () => {
+      const documents = [
+        { id: 'old', type: "Driver's Licence", status: 'EXPIRED', expiryDate: daysFromNow(-10) },
+        { id: 'new', type: "Driver's Licence", status: 'ACTIVE', expiryDate: daysFromNow(400) },
+      ];
+
+      const result = evaluateDriverCompliance({ id: 'driver-1' }, documents, requirements);
+
+      expect(result.status).toBe('Compliant');
+      expect(result.satisfied[0].documentId).toBe('new');
+    });
+
+    test('should report expiring and pending required documents as Warning', () => {
+      const documents = [
+        { id: 'dl', type: "Driver's Licence", status: 'ACTIVE', expiryDate: daysFromNow(10) },
+        { id: 'abs', type: 'Driver Abstract', status: 'PENDING', expiryDate: null },
+      ];
+
+      const result = evaluateDriverCompliance({ id: 'driver-1', region: 'Ontario' }, documents, requirements);
+
+      expect(result.status).toBe('Warning');
+      expect(result.expiring.map(i => i.documentId)).toEqual(['dl']);
+      expect(result.pending.map(i => i.documentId)).toEqual(['abs']);
+    });
+  });
+
+  describe('evaluateDriverCompliance with asOf', () => {
+    test('should evaluate expiry relative to a historical date', () => {
+      const documents = [
+        { id: 'dl', type: "Driver's Licence", status: 'ACTIVE', expiryDate: daysFromNow(-5) },
+      ];
+
+      expect(evaluateDriverCompliance({ id: 'driver-1' }, documents, requirements).status).toBe('Critical');
+      expect(
+        evaluateDriverCompliance({ id: 'driver-1' }, documents, requirements, { asOf: daysFromNow(-60) }).status
+      ).toBe('Compliant');
+    });
+  });
+
+  describe('summarizeCompliance', () => {
+    test('should count drivers per status and missing documents', () => {
+      const summary = summarizeCompliance({
+        a: evaluateDriverCompliance({ id: 'a' }, [], requirements),
+        b: evaluateDriverCompliance({ id: 'b' }, [
+          { id: 'dl', type: "Driver's Licence", status: 'ACTIVE', expiryDate: daysFromNow(400) },
+        ], requirements),
+      });
+
+      expect(summary.criticalDrivers).toBe(1);
+      expect(summary.compliantDrivers).toBe(1);
+      expect(summary.missingDocuments).toBe(1);
+    });
+  });
+});
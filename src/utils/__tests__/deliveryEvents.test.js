@@ -0,0 +1,102 @@
+/**
+ * Delivery Events Tests
+ *
+ * Tests for reading Twilio status callbacks and email bounce/complaint webhooks
+ */
+
+import { normalizeMessageId, parseTwilioStatus, parseEmailEvents } from '../deliveryEvents.js';
+
+describe('Delivery Events', () => {
+  describe('normalizeMessageId', () => {
+    test('should strip angle brackets', () => {
+      expect(normalizeMessageId('<abc@mail.example.com>')).toBe('abc@mail.example.com');
+      expect(normalizeMessageId('abc@mail.example.com')).toBe('abc@mail.example.com');
+      expect(normalizeMessageId(null)).toBeNull();
+    });
+  });
+
+  describe('parseTwilioStatus', () => {
+    test('should ignore intermediate statuses', () => {
+      expect(parseTwilioStatus({ MessageSid: 'SM1', MessageStatus: 'sent' })).toBeNull();
+      expect(parseTwilioStatus({ MessageSid: 'SM1', MessageStatus: 'queued' })).toBeNull();
+    });
+
+    test('should record deliveries', () => {
+      expect(parseTwilioStatus({ MessageSid: 'SM1', MessageStatus: 'delivered', To: '+15145550000' })).toEqual({
+        providerMessageId: 'SM1',
+        to: '+15145550000',
+        deliveryStatus: 'DELIVERED',
+        errorCode: null,
+        hardBounce: false,
+      });
+    });
+
+    test('should only treat number errors as hard bounces', () => {
+      expect(parseTwilioStatus({ MessageSid: 'SM1', MessageStatus: 'undelivered', ErrorCode: '30006' }).hardBounce).toBe(true);
+      expect(parseTwilioStatus({ MessageSid: 'SM1', MessageStatus: 'failed', ErrorCode: '21211' }).hardBounce).toBe(true);
+      expect(parseTwilioStatus({ MessageSid: 'SM1', MessageStatus: 'undelivered', ErrorCode: '30003' }).hardBounce).toBe(false);
+    });
+  });
+
+  describe('parseEmailEvents', () => {
+    test('should read SendGrid events', () => {
+      const events = parseEmailEvents([
+        { event: 'delivered', email: 'a@example.com', 'smtp-id': '<m1@example.com>' },
+        { event: 'bounce', type: 'bounce', email: 'B@example.com', reason: '550 no such user', 'smtp-id': '<m2@example.com>' },
+        { event: 'bounce', type: 'blocked', email: 'c@example.com', 'smtp-id': '<m3@example.com>' },
+        { event: 'open', email: 'a@example.com' },
+      ]);
+
+      expect(events).toEqual([
+        { email: 'a@example.com', providerMessageId: 'm1@example.com', deliveryStatus: 'DELIVERED', hardBounce: false, reason: null },
+        { email: 'b@example.com', providerMessageId: 'm2@example.com', deliveryStatus: 'BOUNCED', hardBounce: true, reason: '550 no such user' },
+        { email: 'c@example.com', providerMessageId: 'm3@example.com', deliveryStatus: 'BOUNCED', hardBounce: false, reason: null },
+      ]);
+    });
+
+    test('should read SES notifications wrapped in SNS', () => {
+      const notification = {
+        notificationType: 'Bounce',
+        bounce: {
+          bounceType: 'Permanent',
+          bouncedRecipients: [{ emailAddress: 'driver@example.com', diagnosticCode: 'smtp; 550 5.1.1 user unknown' }],
+        },
+        mail: { messageId: 'ses-id', commonHeaders: { messageId: '<m4@example.com>' } },
+      };
+
+      const [event] = parseEmailEvents({ Type: 'Notification', Message: JSON.stringify(notification) });
+
+      expect(event).toEqual({
+        email: 'driver@example.com',
+        providerMessageId: 'm4@example.com',
+        deliveryStatus: 'BOUNCED',
+        hardBounce: true,
+        reason: 'smtp; 550 5.1.1 user unknown',
+      });
+    });
+
+    test('should read SES complaints and transient bounces', () => {
+      const complaint = parseEmailEvents({
+        notificationType: 'Complaint',
+        complaint: { complainedRecipients: [{ emailAddress: 'driver@example.com' }] },
+        mail: { messageId: 'ses-id' },
+      });
+      const transient = parseEmailEvents({
+        notificationType: 'Bounce',
+        bounce: { bounceType: 'Transient', bounceSubType: 'MailboxFull', bouncedRecipients: [{ emailAddress: 'driver@example.com' }] },
+        mail: { messageId: 'ses-id' },
+      });
+
+      expect(complaint[0].deliveryStatus).toBe('COMPLAINED');
+      expect(transient[0]).toMatchObject({ deliveryStatus: 'BOUNCED', hardBounce: false, reason: 'MailboxFull' });
+    });
+
+    test('should read the generic format', () => {
+      expect(parseEmailEvents({ type: 'bounce', email: 'driver@example.com', messageId: '<m5@example.com>' })).toEqual([
+        { email: 'driver@example.com', providerMessageId: 'm5@example.com', deliveryStatus: 'BOUNCED', hardBounce: true, reason: null },
+      ]);
+      expect(parseEmailEvents({ type: 'bounce', email: 'driver@example.com', permanent: false })[0].hardBounce).toBe(false);
+      expect(parseEmailEvents({ type: 'opened', email: 'driver@example.com' })).toEqual([]);
+    });
+  });
+});
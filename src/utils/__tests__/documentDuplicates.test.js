@@ -0,0 +1,75 @@
+/**
+ * Document Duplicate Tests
+ *
+ * Tests for document number normalization and duplicate match reporting
+ */
+
+import {
+  DUPLICATE_MATCH_TYPES,
+  normalizeDocumentNumber,
+  buildDuplicateMatches,
+} from '../documentDuplicates.js';
+
+describe('Document Duplicates', () => {
+  describe('normalizeDocumentNumber', () => {
+    test('should ignore case, spaces and punctuation', () => {
+      expect(normalizeDocumentNumber('d1234-56789 01234')).toBe('D12345678901234');
+      expect(normalizeDocumentNumber(' D1234.56789.01234 ')).toBe('D12345678901234');
+    });
+
+    test('should return null when there is nothing to match on', () => {
+      expect(normalizeDocumentNumber(null)).toBeNull();
+      expect(normalizeDocumentNumber(' - ')).toBeNull();
+    });
+  });
+
+  describe('buildDuplicateMatches', () => {
+    const otherDriverDocument = {
+      id: 'doc-2',
+      type: "Driver's Licence",
+      driverId: 'driver-2',
+      driver: { name: 'Jane Roe' },
+    };
+    const sameDriverDocument = {
+      id: 'doc-3',
+      type: 'Insurance',
+      driverId: 'driver-1',
+      driver: { name: 'John Doe' },
+    };
+
+    test('should name the conflicting driver and document', () => {
+      const duplicates = buildDuplicateMatches(
+        { [DUPLICATE_MATCH_TYPES.DOCUMENT_NUMBER]: [otherDriverDocument] },
+        'driver-1'
+      );
+
+      expect(duplicates).toEqual([
+        {
+          matchType: 'DOCUMENT_NUMBER',
+          documentId: 'doc-2',
+          documentType: "Driver's Licence",
+          driverId: 'driver-2',
+          driverName: 'Jane Roe',
+          sameDriver: false,
+          message: 'The same document number is already used by driver Jane Roe on "Driver\'s Licence"',
+        },
+      ]);
+    });
+
+    test('should report a document matching on file and number once, as a file match', () => {
+      const duplicates = buildDuplicateMatches(
+        {
+          [DUPLICATE_MATCH_TYPES.CONTENT_HASH]: [otherDriverDocument, sameDriverDocument],
+          [DUPLICATE_MATCH_TYPES.DOCUMENT_NUMBER]: [otherDriverDocument],
+        },
+        'driver-1'
+      );
+
+      expect(duplicates.map((d) => [d.documentId, d.matchType])).toEqual([
+        ['doc-2', 'CONTENT_HASH'],
+        ['doc-3', 'CONTENT_HASH'],
+      ]);
+      expect(duplicates[1].message).toBe('The same file is already attached to this driver as "Insurance"');
+    });
+  });
+});
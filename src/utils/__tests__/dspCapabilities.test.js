@@ -0,0 +1,92 @@
+/**
+ * DSP Capabilities Tests
+ *
+ * Tests for resolving built-in and custom role capabilities
+ */
+
+import {
+  customRoleSchema,
+  normalizeCapabilities,
+  getUserCapabilities,
+  getUnheldCapabilities,
+  hasDSPCapability,
+} from '../dspCapabilities.js';
+
+describe('DSP Capabilities', () => {
+  describe('getUserCapabilities', () => {
+    test('should use the built-in role without a custom role', () => {
+      expect(hasDSPCapability({ role: 'ADMIN', dspRole: 'HR_LEAD' }, 'upload_documents')).toBe(true);
+      expect(hasDSPCapability({ role: 'ADMIN', dspRole: 'HR_LEAD' }, 'delete_documents')).toBe(false);
+    });
+
+    test('should let a custom role replace the built-in capabilities', () => {
+      const user = {
+        role: 'ADMIN',
+        dspRole: 'VIEWER',
+        customRole: { name: 'Station Lead', capabilities: { upload_documents: true, configure_reminders: true } },
+      };
+
+      expect(hasDSPCapability(user, 'upload_documents')).toBe(true);
+      expect(hasDSPCapability(user, 'manage_users')).toBe(false);
+      expect(Object.values(getUserCapabilities(user)).filter(Boolean)).toHaveLength(2);
+    });
+
+    test('should grant everything to super admins and nothing without a role', () => {
+      expect(Object.values(getUserCapabilities({ role: 'SUPER_ADMIN' })).every(Boolean)).toBe(true);
+      expect(Object.values(getUserCapabilities({ role: 'ADMIN', dspRole: null })).some(Boolean)).toBe(false);
+    });
+  });
+
+  describe('normalizeCapabilities', () => {
+    test('should drop unknown capabilities and deny missing ones', () => {
+      const capabilities = normalizeCapabilities({ upload_documents: true, launch_rockets: true, view_dashboard: 'yes' });
+
+      expect(capabilities.upload_documents).toBe(true);
+      expect(capabilities.view_dashboard).toBe(false);
+      expect(capabilities).not.toHaveProperty('launch_rockets');
+    });
+  });
+
+  describe('getUnheldCapabilities', () => {
+    const manager = {
+      role: 'ADMIN',
+      dspRole: 'VIEWER',
+      customRole: { name: 'Team Lead', capabilities: { manage_users: true, upload_documents: true } },
+    };
+
+    test('should list capabilities of a role that the user does not hold', () => {
+      const roleCapabilities = getUserCapabilities({ dspRole: 'COMPLIANCE_MANAGER' });
+
+      expect(getUnheldCapabilities(manager, roleCapabilities)).toEqual(
+        expect.arrayContaining(['view_driver_pii', 'delete_documents'])
+      );
+      expect(getUnheldCapabilities(manager, roleCapabilities)).not.toContain('upload_documents');
+    });
+
+    test('should allow roles within the user capabilities', () => {
+      expect(getUnheldCapabilities(manager, getUserCapabilities({ dspRole: 'VIEWER' }))).toEqual([]);
+      expect(getUnheldCapabilities({ role: 'ADMIN', dspRole: 'ADMIN' }, getUserCapabilities({ dspRole: 'BILLING' }))).toEqual([]);
+    });
+
+    test('should ignore capabilities the role already had when editing it', () => {
+      const capabilities = normalizeCapabilities({ manage_billing: true, upload_documents: true });
+
+      expect(getUnheldCapabilities(manager, capabilities, { manage_billing: true })).toEqual([]);
+      expect(getUnheldCapabilities(manager, capabilities)).toEqual(['manage_billing']);
+    });
+  });
+
+  describe('customRoleSchema', () => {
+    test('should accept a role cloned from a built-in role', () => {
+      expect(customRoleSchema.safeParse({ name: 'Dispatcher', baseRole: 'HR_LEAD', capabilities: { delete_documents: true } }).success)
+        .toBe(true);
+    });
+
+    test('should reject ADMIN clones, built-in names and unknown capabilities', () => {
+      expect(customRoleSchema.safeParse({ name: 'Owner', baseRole: 'ADMIN' }).success).toBe(false);
+      expect(customRoleSchema.safeParse({ name: 'Compliance Manager', baseRole: 'VIEWER' }).success).toBe(false);
+      expect(customRoleSchema.safeParse({ name: 'Dispatcher', baseRole: 'VIEWER', capabilities: { launch_rockets: true } }).success)
+        .toBe(false);
+    });
+  });
+});
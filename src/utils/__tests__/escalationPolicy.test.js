@@ -0,0 +1,134 @@
+/**
+ * Escalation Policy Tests
+ *
+ * Tests for escalation policy validation, step selection, recipient resolution
+ * and renewal detection
+ */
+
+import {
+  escalationPoliciesSchema,
+  normalizeEscalationPolicies,
+  findEscalationPolicy,
+  getEscalationStep,
+  resolveEscalationRecipients,
+  findRenewedDocumentIds,
+} from '../escalationPolicy.js';
+
+describe('Escalation Policies', () => {
+  const licencePolicy = {
+    name: 'Licences',
+    documentTypes: ["Driver's Licence"],
+    steps: [
+      { daysBeforeExpiry: 3, recipients: ['driver', 'ADMIN'] },
+      { daysBeforeExpiry: 30, recipients: ['driver'] },
+      { daysBeforeExpiry: 14, recipients: ['driver', 'COMPLIANCE_MANAGER'] },
+      { daysBeforeExpiry: 0, recipients: ['ADMIN', 'COMPLIANCE_MANAGER'], repeatDaily: true },
+    ],
+  };
+  const catchAllPolicy = {
+    name: 'Everything else',
+    steps: [{ daysBeforeExpiry: 7, recipients: ['company_admin'] }],
+  };
+
+  describe('escalationPoliciesSchema', () => {
+    test('should accept valid policies', () => {
+      expect(escalationPoliciesSchema.safeParse([licencePolicy, catchAllPolicy]).success).toBe(true);
+    });
+
+    test('should reject unknown recipients and steps starting on the same day', () => {
+      expect(escalationPoliciesSchema.safeParse([
+        { name: 'Bad', steps: [{ daysBeforeExpiry: 7, recipients: ['OPS_MANAGER'] }] },
+      ]).success).toBe(false);
+      expect(escalationPoliciesSchema.safeParse([
+        { name: 'Bad', steps: [{ daysBeforeExpiry: 7, recipients: ['driver'] }, { daysBeforeExpiry: 7, recipients: ['ADMIN'] }] },
+      ]).success).toBe(false);
+    });
+
+    test('should reject two policies for the same document type', () => {
+      expect(escalationPoliciesSchema.safeParse([licencePolicy, { ...licencePolicy, name: 'Copy' }]).success).toBe(false);
+      expect(escalationPoliciesSchema.safeParse([catchAllPolicy, { ...catchAllPolicy, name: 'Copy' }]).success).toBe(false);
+    });
+  });
+
+  describe('findEscalationPolicy', () => {
+    const policies = normalizeEscalationPolicies([catchAllPolicy, licencePolicy, { name: 'Invalid' }]);
+
+    test('should drop invalid policies and sort steps earliest first', () => {
+      expect(policies).toHaveLength(2);
+      expect(policies[1].steps.map((step) => step.daysBeforeExpiry)).toEqual([30, 14, 3, 0]);
+    });
+
+    test('should prefer a policy naming the document type over the catch-all', () => {
+      expect(findEscalationPolicy(policies, "Driver's Licence").name).toBe('Licences');
+      expect(findEscalationPolicy(policies, 'Insurance').name).toBe('Everything else');
+      expect(findEscalationPolicy([policies[1]], 'Insurance')).toBeNull();
+    });
+  });
+
+  describe('getEscalationStep', () => {
+    const [policy] = normalizeEscalationPolicies([licencePolicy]);
+
+    test('should return nothing before the first step', () => {
+      expect(getEscalationStep(policy, 31)).toBeNull();
+    });
+
+    test('should escalate to the latest step reached', () => {
+      expect(getEscalationStep(policy, 30)).toMatchObject({ level: 0, reminderDays: 30 });
+      expect(getEscalationStep(policy, 10)).toMatchObject({ level: 1, reminderDays: 14 });
+      expect(getEscalationStep(policy, 2)).toMatchObject({ level: 2, reminderDays: 3 });
+    });
+
+    test('should repeat daily steps with a different reminder day each day', () => {
+      expect(getEscalationStep(policy, 0)).toMatchObject({ level: 3, reminderDays: 0 });
+      expect(getEscalationStep(policy, -4)).toMatchObject({ level: 3, reminderDays: -4 });
+    });
+  });
+
+  describe('resolveEscalationRecipients', () => {
+    test('should resolve drivers, the company contact and team members by DSPRole', () => {
+      const recipients = resolveEscalationRecipients(['driver', 'company_admin', 'COMPLIANCE_MANAGER', 'ADMIN'], {
+        company: { adminEmail: 'owner@dsp.example', adminPhone: '+15550000001' },
+        driver: { email: 'driver@example.com', phone: '+15550000002' },
+        teamMembers: [
+          { email: 'owner@dsp.example', dspRole: 'ADMIN' },
+          { email: 'compliance@dsp.example', dspRole: 'COMPLIANCE_MANAGER' },
+          { email: 'hr@dsp.example', dspRole: 'HR_LEAD' },
+        ],
+      });
+
+      expect(recipients).toEqual({
+        emails: ['driver@example.com', 'owner@dsp.example', 'compliance@dsp.example'],
+        phones: ['+15550000002', '+15550000001'],
+      });
+    });
+  });
+
+  describe('findRenewedDocumentIds', () => {
+    test('should flag documents a renewal explicitly supersedes', () => {
+      const renewed = findRenewedDocumentIds([
+        { id: 'old-licence', type: "Driver's Licence", supersedesId: null, uploadedAt: '2026-01-01T00:00:00Z' },
+        { id: 'new-licence', type: "Driver's Licence", supersedesId: 'old-licence', uploadedAt: '2026-10-01T00:00:00Z' },
+        { id: 'insurance', type: 'Insurance', supersedesId: null, uploadedAt: '2025-06-01T00:00:00Z' },
+      ]);
+
+      expect([...renewed]).toEqual(['old-licence']);
+    });
+
+    test('should keep escalating independent documents of the same type', () => {
+      const renewed = findRenewedDocumentIds([
+        { id: 'hazmat-cert', type: 'Certification', supersedesId: null, uploadedAt: '2026-01-01T00:00:00Z' },
+        { id: 'forklift-cert', type: 'Certification', supersedesId: null, uploadedAt: '2026-10-01T00:00:00Z' },
+      ]);
+
+      expect(renewed.size).toBe(0);
+    });
+
+    test('should ignore links to documents that are no longer current', () => {
+      const renewed = findRenewedDocumentIds([
+        { id: 'licence-v3', type: "Driver's Licence", supersedesId: 'licence-v2', uploadedAt: '2026-10-01T00:00:00Z' },
+      ]);
+
+      expect(renewed.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Extraction Feedback Tests
+ *
+ * Tests for comparing AI-extracted values with saved values and accuracy reporting
+ */
+
+import {
+  normalizeFeedbackValue,
+  compareExtraction,
+  summarizeAccuracy,
+} from '../extractionFeedback.js';
+import { buildDynamicPrompt } from '../../services/promptBuilder.js';
+import { DEFAULT_DOCUMENT_TYPES } from '../documentTypeDefaults.js';
+
+describe('Extraction Feedback', () => {
+  describe('normalizeFeedbackValue', () => {
+    test('should store dates as YYYY-MM-DD and blanks as null', () => {
+      expect(normalizeFeedbackValue(new Date('2027-03-15T00:00:00.000Z'))).toBe('2027-03-15');
+      expect(normalizeFeedbackValue('2027-03-15T00:00:00.000Z')).toBe('2027-03-15');
+      expect(normalizeFeedbackValue('  ')).toBeNull();
+      expect(normalizeFeedbackValue(undefined)).toBeNull();
+    });
+  });
+
+  describe('compareExtraction', () => {
+    const savedDocument = {
+      type: "Driver's Licence",
+      documentNumber: 'D1234-56789',
+      issueDate: null,
+      expiryDate: new Date('2027-03-15T00:00:00.000Z'),
+    };
+
+    test('should flag fields whose saved value differs from the AI value', () => {
+      const rows = compareExtraction(
+        { documentType: "Driver's Licence", expiryDate: '2027-03-16', province: 'ON' },
+        savedDocument
+      );
+
+      expect(rows).toEqual([
+        { field: 'documentType', aiValue: "Driver's Licence", correctedValue: "Driver's Licence", corrected: false },
+        { field: 'expiryDate', aiValue: '2027-03-16', correctedValue: '2027-03-15', corrected: true },
+      ]);
+    });
+
+    test('should ignore case and punctuation differences', () => {
+      const rows = compareExtraction({ documentNumber: 'd1234 56789' }, savedDocument);
+      expect(rows[0].corrected).toBe(false);
+    });
+
+    test('should count a value the AI missed as a correction', () => {
+      const rows = compareExtraction({ documentNumber: null, issueDate: null }, savedDocument);
+      expect(rows).toEqual([
+        { field: 'documentNumber', aiValue: null, correctedValue: 'D1234-56789', corrected: true },
+      ]);
+    });
+
+    test('should return nothing for documents that were never scanned', () => {
+      expect(compareExtraction(null, savedDocument)).toEqual([]);
+    });
+  });
+
+  describe('summarizeAccuracy', () => {
+    test('should compute accuracy per document type and field', () => {
+      const report = summarizeAccuracy(
+        [
+          { documentType: 'Insurance', field: 'expiryDate', corrected: false, count: 3 },
+          { documentType: 'Insurance', field: 'expiryDate', corrected: true, count: 1 },
+          { documentType: 'Insurance', field: 'documentType', corrected: false, count: 4 },
+          { documentType: "Driver's Licence", field: 'expiryDate', corrected: false, count: 2 },
+        ],
+        { Insurance: 4, "Driver's Licence": 2 }
+      );
+
+      expect(report[0]).toEqual({
+        documentType: 'Insurance',
+        documents: 4,
+        fieldsReviewed: 8,
+        fieldsCorrected: 1,
+        accuracy: 87.5,
+        fields: [
+          { field: 'expiryDate', reviewed: 4, corrected: 1, accuracy: 75 },
+          { field: 'documentType', reviewed: 4, corrected: 0, accuracy: 100 },
+        ],
+      });
+      expect(report[1].accuracy).toBe(100);
+    });
+  });
+
+  describe('buildDynamicPrompt correction hints', () => {
+    const config = DEFAULT_DOCUMENT_TYPES["Driver's Licence"];
+
+    test('should include common corrections for extractable fields', () => {
+      const { systemPrompt } = buildDynamicPrompt(config, "Driver's Licence", [
+        { field: 'expiryDate', aiValue: '2027-03-16', correctedValue: '2027-03-15', count: 3 },
+        { field: 'notAField', aiValue: 'a', correctedValue: 'b', count: 9 },
+      ]);
+
+      expect(systemPrompt).toContain('COMMON CORRECTIONS');
+      expect(systemPrompt).toContain('- expiryDate: extracted "2027-03-16" but the correct value was "2027-03-15" (3x)');
+      expect(systemPrompt).not.toContain('notAField');
+    });
+
+    test('should leave the prompt unchanged without hints', () => {
+      const { systemPrompt } = buildDynamicPrompt(config, "Driver's Licence");
+      expect(systemPrompt).not.toContain('COMMON CORRECTIONS');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Extraction Review Tests
+ *
+ * Tests for routing low-confidence or invalid AI extractions to the review queue
+ */
+
+import {
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  getConfidenceThreshold,
+  evaluateExtractionReview,
+} from '../extractionReview.js';
+import { documentTypeConfigSchema } from '../documentTypeDefaults.js';
+
+const licenceConfig = {
+  aiEnabled: true,
+  extractionMode: 'fields',
+  confidenceThreshold: 85,
+  fields: [
+    { name: 'documentType', label: 'Document Type', type: 'text', required: true, aiExtractable: true },
+    { name: 'province', label: 'Province/State', type: 'text', required: true, aiExtractable: true },
+    { name: 'expiryDate', label: 'Expiry Date', type: 'date', required: true, aiExtractable: true },
+  ],
+};
+
+describe('Extraction Review', () => {
+  describe('confidenceThreshold configuration', () => {
+    test('should accept a threshold between 0 and 100', () => {
+      expect(documentTypeConfigSchema.safeParse(licenceConfig).success).toBe(true);
+    });
+
+    test('should reject a threshold above 100', () => {
+      const result = documentTypeConfigSchema.safeParse({ ...licenceConfig, confidenceThreshold: 120 });
+      expect(result.success).toBe(false);
+    });
+
+    test('should fall back to the default threshold', () => {
+      const { confidenceThreshold, ...config } = licenceConfig;
+      expect(getConfidenceThreshold(config)).toBe(DEFAULT_CONFIDENCE_THRESHOLD);
+      expect(getConfidenceThreshold(licenceConfig)).toBe(85);
+    });
+  });
+
+  describe('evaluateExtractionReview', () => {
+    test('should not require review for a confident, valid extraction', () => {
+      const result = evaluateExtractionReview({
+        documentTypeConfig: licenceConfig,
+        confidence: 95,
+        fieldConfidence: { province: 99, expiryDate: 92 },
+        validation: { valid: true, errors: [], warnings: [] },
+      });
+
+      expect(result.required).toBe(false);
+      expect(result.reasons).toEqual([]);
+    });
+
+    test('should flag overall confidence below the document type threshold', () => {
+      const result = evaluateExtractionReview({
+        documentTypeConfig: licenceConfig,
+        confidence: '80',
+        validation: { valid: true, errors: [], warnings: [] },
+      });
+
+      expect(result.required).toBe(true);
+      expect(result.confidence).toBe(80);
+      expect(result.reasons).toEqual(['Low AI confidence (80%)']);
+    });
+
+    test('should flag individual low-confidence fields', () => {
+      const result = evaluateExtractionReview({
+        documentTypeConfig: licenceConfig,
+        confidence: 90,
+        fieldConfidence: { documentType: 10, province: 97, expiryDate: 40 },
+      });
+
+      expect(result.required).toBe(true);
+      expect(result.lowConfidenceFields).toEqual([
+        { field: 'expiryDate', label: 'Expiry Date', confidence: 40 },
+      ]);
+    });
+
+    test('should flag extractions that failed validation', () => {
+      const result = evaluateExtractionReview({
+        documentTypeConfig: licenceConfig,
+        confidence: 99,
+        validation: { valid: false, errors: ['Required field "Expiry Date" (expiryDate) is missing'], warnings: [] },
+      });
+
+      expect(result.required).toBe(true);
+      expect(result.validationErrors).toHaveLength(1);
+    });
+
+    test('should flag disagreements with the machine-readable zone', () => {
+      const result = evaluateExtractionReview({
+        documentTypeConfig: licenceConfig,
+        confidence: 99,
+        machineReadable: {
+          source: 'MRZ',
+          disagreements: [{ field: 'expiryDate', label: 'Expiry Date', aiValue: '2030-01-02', machineValue: '2030-01-01' }],
+        },
+      });
+
+      expect(result.required).toBe(true);
+      expect(result.reasons).toEqual(['AI extraction disagrees with the MRZ on Expiry Date']);
+      expect(result.disagreements).toHaveLength(1);
+    });
+  });
+});
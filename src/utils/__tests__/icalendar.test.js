@@ -0,0 +1,69 @@
+/**
+ * iCalendar Tests
+ *
+ * Tests for the .ics calendar feed builder
+ */
+
+import { escapeText, foldLine, buildCalendar } from '../icalendar.js';
+
+describe('iCalendar', () => {
+  describe('escapeText', () => {
+    test('should escape separators and newlines', () => {
+      expect(escapeText('CDL; Medical, Drug\nTest \\ 2')).toBe('CDL\\; Medical\\, Drug\\nTest \\\\ 2');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:CDL expires')).toBe('SUMMARY:CDL expires');
+    });
+
+    test('should fold long lines at 75 octets without splitting characters', () => {
+      const line = `DESCRIPTION:${'é'.repeat(60)}`;
+      const folded = foldLine(line);
+      const parts = folded.split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part) => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+      expect(parts.slice(1).every((part) => part.startsWith(' '))).toBe(true);
+      expect(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const stamp = new Date('2026-10-18T12:00:00Z');
+
+    test('should build all-day expiry events', () => {
+      const ics = buildCalendar({
+        name: 'Acme Compliance',
+        timezone: 'America/Toronto',
+        stamp,
+        events: [{ uid: 'document-1@complyo', summary: 'CDL expires - Jane Doe', date: '2026-12-31', categories: ['Document expiry'] }],
+      });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('DTSTAMP:20261018T120000Z');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20261231\r\nDTEND;VALUE=DATE:20270101');
+      expect(ics).toContain('CATEGORIES:Document expiry');
+    });
+
+    test('should build recurring events in the company timezone', () => {
+      const ics = buildCalendar({
+        name: 'Acme Compliance',
+        timezone: 'America/Toronto',
+        stamp,
+        events: [{
+          uid: 'custom-reminder-1@complyo',
+          summary: 'Safety meeting',
+          start: new Date('2026-11-02T14:00:00Z'),
+          rrule: 'FREQ=WEEKLY',
+        }],
+      });
+
+      expect(ics).toContain('DTSTART;TZID=America/Toronto:20261102T090000');
+      expect(ics).toContain('DURATION:PT30M');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY');
+    });
+  });
+});
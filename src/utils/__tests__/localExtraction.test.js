@@ -0,0 +1,101 @@
+/**
+ * Local Extraction Tests
+ *
+ * Tests for the rule-based extraction used by the offline "local" LLM provider
+ */
+
+import {
+  getOcrContent,
+  findDates,
+  classifyDocumentLocally,
+  extractFieldsLocally,
+} from '../localExtraction.js';
+import { DEFAULT_DOCUMENT_TYPES } from '../documentTypeDefaults.js';
+
+const licenceOcr = {
+  extractedData: {
+    'Expiry Date': '2027/03/15',
+    'Province': 'Ontario',
+  },
+  allText: [
+    'ONTARIO',
+    "DRIVER'S LICENCE / PERMIS DE CONDUIRE",
+    'ISS: 2022/03/15',
+    'CLASS G',
+  ],
+  metadata: { totalBlocks: 12, totalPages: 1, totalKeyValuePairs: 2 },
+};
+
+describe('Local Extraction', () => {
+  describe('getOcrContent', () => {
+    test('should read lines from Lambda output, raw Textract blocks and plain text', () => {
+      expect(getOcrContent(licenceOcr).lines).toHaveLength(4);
+      expect(getOcrContent({
+        Blocks: [
+          { BlockType: 'PAGE' },
+          { BlockType: 'LINE', Text: 'Line one' },
+        ],
+      }).lines).toEqual(['Line one']);
+      expect(getOcrContent({ fullText: 'a\n\nb' }).lines).toEqual(['a', 'b']);
+      expect(getOcrContent(null)).toEqual({ lines: [], keyValues: {} });
+    });
+  });
+
+  describe('findDates', () => {
+    test('should normalize common date formats to YYYY-MM-DD', () => {
+      expect(findDates('2026-01-31')).toEqual(['2026-01-31']);
+      expect(findDates('31/01/2026')).toEqual(['2026-01-31']);
+      expect(findDates('31 JAN 2026')).toEqual(['2026-01-31']);
+      expect(findDates('Issued Jan 5, 2025 valid until 2026/01/05')).toEqual(['2025-01-05', '2026-01-05']);
+    });
+
+    test('should ignore impossible dates', () => {
+      expect(findDates('2026-02-30')).toEqual([]);
+    });
+  });
+
+  describe('classifyDocumentLocally', () => {
+    test('should pick the document type with the most keyword matches', () => {
+      const result = classifyDocumentLocally(licenceOcr.allText, Object.keys(DEFAULT_DOCUMENT_TYPES));
+      expect(result.documentType).toBe("Driver's Licence");
+      expect(result.confidence).toBeGreaterThanOrEqual(80);
+    });
+
+    test('should fall back to Other with low confidence', () => {
+      const result = classifyDocumentLocally(['Lorem ipsum'], ['Insurance', 'Other']);
+      expect(result).toEqual({ documentType: 'Other', confidence: 20 });
+    });
+  });
+
+  describe('extractFieldsLocally', () => {
+    test('should extract labelled fields with high confidence', () => {
+      const result = extractFieldsLocally(licenceOcr, DEFAULT_DOCUMENT_TYPES["Driver's Licence"].fields);
+
+      expect(result.province).toBe('Ontario');
+      expect(result.expiryDate).toBe('2027-03-15');
+      expect(result.fieldConfidence.expiryDate).toBe(85);
+      expect(result.missingRequiredFields).toEqual([]);
+      expect(result).not.toHaveProperty('documentType');
+    });
+
+    test('should infer unlabelled dates with lower confidence', () => {
+      const fields = [
+        { name: 'issueDate', label: 'Issue Date', type: 'date', required: true, aiExtractable: true },
+        { name: 'expiryDate', label: 'Expiry Date', type: 'date', required: true, aiExtractable: true },
+      ];
+      const result = extractFieldsLocally({ allText: ['Certificate', '2024-06-01', '2027-06-01'] }, fields);
+
+      expect(result.issueDate).toBe('2024-06-01');
+      expect(result.expiryDate).toBe('2027-06-01');
+      expect(result.confidence).toBe(60);
+    });
+
+    test('should report missing required fields and cap confidence', () => {
+      const result = extractFieldsLocally({ allText: ['Nothing useful'] }, DEFAULT_DOCUMENT_TYPES["Driver's Licence"].fields);
+
+      expect(result.province).toBeNull();
+      expect(result.missingRequiredFields).toEqual(['province', 'expiryDate']);
+      expect(result.confidence).toBeLessThanOrEqual(50);
+    });
+  });
+});
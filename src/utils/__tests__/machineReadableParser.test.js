@@ -0,0 +1,178 @@
+/**
+ * Machine-Readable Parser Tests
+ *
+ * Tests for ICAO 9303 MRZ and AAMVA barcode parsing
+ */
+
+import {
+  computeMrzCheckDigit,
+  findMrzLines,
+  parseMrz,
+  parseAamva,
+  readMachineReadableData,
+  mergeMachineReadableFields,
+} from '../machineReadableParser.js';
+
+// ICAO 9303 specimen passport
+const SPECIMEN_MRZ = [
+  'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36UTO7408122F1204159ZE184226B<<<<<10',
+];
+
+// ICAO 9303 specimen ID card (TD1)
+const SPECIMEN_TD1 = [
+  'I<UTOD231458907<<<<<<<<<<<<<<<',
+  '7408122F1204159UTO<<<<<<<<<<<6',
+  'ERIKSSON<<ANNA<MARIA<<<<<<<<<<',
+];
+
+const AAMVA_PAYLOAD = [
+  '@',
+  '\x1e\rANSI 636012090002DL00410278ZO03190008DLDAQD1234-56789-01234',
+  'DCSSMITH',
+  'DACJOHN',
+  'DBA20270831',
+  'DBB19850214',
+  'DBD20220831',
+  'DBC1',
+  'DAJON',
+  'DCAG',
+  'DCGCAN',
+].join('\n');
+
+const workEligibilityFields = [
+  { name: 'documentType', label: 'Document Type', type: 'text', required: true, aiExtractable: true },
+  { name: 'documentSubType', label: 'Document Sub-Type', type: 'text', required: true, aiExtractable: true },
+  { name: 'documentNumber', label: 'Document Number', type: 'text', required: false, aiExtractable: true },
+  { name: 'expiryDate', label: 'Expiry Date', type: 'date', required: true, aiExtractable: true },
+];
+
+describe('Machine-Readable Parser', () => {
+  describe('MRZ', () => {
+    test('should compute ICAO check digits', () => {
+      expect(computeMrzCheckDigit('L898902C3')).toBe(6);
+      expect(computeMrzCheckDigit('740812')).toBe(2);
+      expect(computeMrzCheckDigit('120415')).toBe(9);
+    });
+
+    test('should parse the specimen passport and validate every check digit', () => {
+      const result = parseMrz(['PASSPORT', 'UTOPIA', ...SPECIMEN_MRZ]);
+
+      expect(result.format).toBe('TD3');
+      expect(result.valid).toBe(true);
+      expect(Object.values(result.checks).every(Boolean)).toBe(true);
+      expect(result.fields).toMatchObject({
+        documentNumber: 'L898902C3',
+        dateOfBirth: '1974-08-12',
+        expiryDate: '2012-04-15',
+        sex: 'F',
+        nationality: 'UTO',
+        lastName: 'ERIKSSON',
+        firstName: 'ANNA MARIA',
+        documentSubType: 'Passport',
+      });
+    });
+
+    test('should parse a TD1 identity card', () => {
+      const result = parseMrz(SPECIMEN_TD1);
+
+      expect(result.format).toBe('TD1');
+      expect(result.valid).toBe(true);
+      expect(result.fields.documentNumber).toBe('D23145890');
+      expect(result.fields.documentSubType).toBeNull();
+    });
+
+    test('should reject an MRZ with a wrong check digit', () => {
+      const result = parseMrz([SPECIMEN_MRZ[0], SPECIMEN_MRZ[1].replace('7408122', '7408123')]);
+
+      expect(result.valid).toBe(false);
+      expect(result.checks.dateOfBirth).toBe(false);
+    });
+
+    test('should tolerate OCR spacing and dropped trailing filler', () => {
+      const found = findMrzLines([
+        'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<',
+        'L898902C3 6UTO7408122F1204159ZE184226B<<<<<10',
+      ]);
+
+      expect(found.format).toBe('TD3');
+      expect(found.lines[0]).toHaveLength(44);
+    });
+
+    test('should return null when there is no MRZ', () => {
+      expect(parseMrz(['ONTARIO', "DRIVER'S LICENCE"])).toBeNull();
+    });
+  });
+
+  describe('AAMVA', () => {
+    test('should parse a Canadian licence barcode payload', () => {
+      const result = parseAamva(AAMVA_PAYLOAD);
+
+      expect(result.valid).toBe(true);
+      expect(result.issuerId).toBe('636012');
+      expect(result.fields).toMatchObject({
+        documentNumber: 'D1234-56789-01234',
+        lastName: 'SMITH',
+        firstName: 'JOHN',
+        expiryDate: '2027-08-31',
+        dateOfBirth: '1985-02-14',
+        issueDate: '2022-08-31',
+        sex: 'M',
+        province: 'ON',
+        class: 'G',
+      });
+    });
+
+    test('should read US MMDDCCYY dates', () => {
+      const payload = '@\n\x1e\rANSI 636014080102DL00410288ZC03290024DLDAQF1234567\nDBA08312027\nDBB02141985\nDCGUSA';
+      const result = parseAamva(payload);
+
+      expect(result.fields.expiryDate).toBe('2027-08-31');
+      expect(result.fields.dateOfBirth).toBe('1985-02-14');
+    });
+
+    test('should not be valid without a document number', () => {
+      const result = parseAamva('ANSI 636012090002DLDBA20270831\nDBB19850214\nDCGCAN');
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('readMachineReadableData', () => {
+    test('should prefer a decoded barcode and fall back to the MRZ in the text', () => {
+      expect(readMachineReadableData({ allText: [], barcodes: [AAMVA_PAYLOAD] }).source).toBe('AAMVA');
+      expect(readMachineReadableData({ allText: SPECIMEN_MRZ }).source).toBe('MRZ');
+      expect(readMachineReadableData({ allText: ['No machine-readable data'] })).toBeNull();
+    });
+  });
+
+  describe('mergeMachineReadableFields', () => {
+    const machineReadable = parseMrz(SPECIMEN_MRZ);
+
+    test('should fill configured fields and flag disagreements with the AI', () => {
+      const result = mergeMachineReadableFields(
+        { documentType: 'Work Eligibility', documentSubType: 'passport', expiryDate: '2012-04-16' },
+        machineReadable,
+        workEligibilityFields
+      );
+
+      expect(result.data).toMatchObject({
+        documentType: 'Work Eligibility',
+        documentSubType: 'Passport',
+        documentNumber: 'L898902C3',
+        expiryDate: '2012-04-15',
+      });
+      expect(result.filledFields).toEqual(['documentSubType', 'documentNumber', 'expiryDate']);
+      expect(result.disagreements).toEqual([
+        { field: 'expiryDate', label: 'Expiry Date', aiValue: '2012-04-16', machineValue: '2012-04-15' },
+      ]);
+    });
+
+    test('should ignore machine-readable data that failed validation', () => {
+      const parsedData = { expiryDate: '2030-01-01' };
+      const result = mergeMachineReadableFields(parsedData, { ...machineReadable, valid: false }, workEligibilityFields);
+
+      expect(result.data).toBe(parsedData);
+      expect(result.filledFields).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Message Template Tests
+ *
+ * Tests for template validation, fallback to defaults and rendering
+ */
+
+import {
+  DEFAULT_TEMPLATES,
+  SAMPLE_VARIABLES,
+  TEMPLATE_VARIABLES,
+  normalizeLocale,
+  validateTemplate,
+  resolveTemplate,
+  renderTemplate,
+  renderTemplateHtml,
+  formatTemplateDate,
+  describeExpiry,
+} from '../messageTemplates.js';
+
+describe('Message Templates', () => {
+  describe('validateTemplate', () => {
+    test('should accept a template that only uses the event variables', () => {
+      const result = validateTemplate({
+        event: 'EXPIRING',
+        channel: 'EMAIL',
+        locale: 'en',
+        subject: '{{document.type}} expires soon',
+        body: 'Hi {{ driver.name }}, {{document.type}} expires in {{daysUntilExpiry}} days.',
+      });
+      expect(result).toEqual({ valid: true, errors: [], unknownVariables: [] });
+    });
+
+    test('should reject unknown variables, including ones from other events', () => {
+      const result = validateTemplate({
+        event: 'EXPIRING',
+        channel: 'SMS',
+        locale: 'fr',
+        body: '{{driver.nmae}} {{daysOverdue}} {{invitation.link}}',
+      });
+      expect(result.valid).toBe(false);
+      expect(result.unknownVariables).toEqual(['driver.nmae', 'daysOverdue', 'invitation.link']);
+    });
+
+    test('should require a subject for email and reject unsupported languages', () => {
+      expect(validateTemplate({ event: 'CUSTOM', channel: 'EMAIL', locale: 'en', body: 'Hi' }).errors)
+        .toEqual(['subject is required for email templates']);
+      expect(validateTemplate({ event: 'CUSTOM', channel: 'SMS', locale: 'de', body: 'Hi' }).valid).toBe(false);
+    });
+
+    test('should only use known variables in the built-in templates', () => {
+      for (const [locale, events] of Object.entries(DEFAULT_TEMPLATES)) {
+        for (const [event, channels] of Object.entries(events)) {
+          for (const [channel, template] of Object.entries(channels)) {
+            expect(validateTemplate({ event, channel, locale, ...template })).toMatchObject({ valid: true });
+          }
+        }
+      }
+    });
+  });
+
+  describe('resolveTemplate', () => {
+    const companyTemplates = [
+      { event: 'EXPIRING', channel: 'SMS', locale: 'en', subject: null, body: 'Custom: {{driver.name}}' },
+    ];
+
+    test('should prefer the company template for the same language', () => {
+      expect(resolveTemplate(companyTemplates, 'EXPIRING', 'SMS', 'en-US')).toEqual({
+        subject: null,
+        body: 'Custom: {{driver.name}}',
+        isDefault: false,
+      });
+    });
+
+    test('should fall back to the default in the recipient language', () => {
+      const french = resolveTemplate(companyTemplates, 'EXPIRING', 'SMS', 'fr-CA');
+      expect(french.isDefault).toBe(true);
+      expect(french.body).toBe(DEFAULT_TEMPLATES.fr.EXPIRING.SMS.body);
+      expect(normalizeLocale('es')).toBe('en');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('should fill in variables and drop lines left empty', () => {
+      const text = renderTemplate(DEFAULT_TEMPLATES.en.CUSTOM.SMS.body, {
+        ...SAMPLE_VARIABLES,
+        reminder: { ...SAMPLE_VARIABLES.reminder, description: '' },
+      });
+      expect(text).toBe('[Sample Logistics Inc.] 🔴 Reminder: Quarterly vehicle inspection');
+    });
+
+    test('should escape values and link URLs in HTML', () => {
+      const html = renderTemplateHtml('Hi {{driver.name}}\n\nUpload: {{invitation.link}}', {
+        driver: { name: '<b>Alex</b>' },
+        invitation: { link: 'https://app.example.com/u/abc' },
+      });
+      expect(html).toContain('Hi &lt;b&gt;Alex&lt;/b&gt;');
+      expect(html).toContain('<a href="https://app.example.com/u/abc"');
+      expect(html.match(/<p /g)).toHaveLength(2);
+    });
+
+    test('should list the same variables for every event in both languages', () => {
+      expect(Object.keys(TEMPLATE_VARIABLES)).toEqual(Object.keys(DEFAULT_TEMPLATES.fr));
+    });
+  });
+
+  describe('describeExpiry', () => {
+    test('should say today and use the singular for one day', () => {
+      expect(describeExpiry(14, 'en')).toBe('expires in 14 days');
+      expect(describeExpiry(1, 'en')).toBe('expires in 1 day');
+      expect(describeExpiry(0, 'en')).toBe('expires today');
+      expect(describeExpiry(-1, 'en')).toBe('expired 1 day ago');
+      expect(describeExpiry(-3, 'en')).toBe('expired 3 days ago');
+    });
+
+    test('should describe expiry in French', () => {
+      expect(describeExpiry(1, 'fr-CA')).toBe('expire dans 1 jour');
+      expect(describeExpiry(0, 'fr')).toBe("expire aujourd'hui");
+      expect(describeExpiry(-2, 'fr')).toBe('a expiré il y a 2 jours');
+    });
+  });
+
+  describe('formatTemplateDate', () => {
+    test('should format calendar dates in the recipient language', () => {
+      expect(formatTemplateDate('2026-12-31T00:00:00Z', 'en')).toBe('December 31, 2026');
+      expect(formatTemplateDate('2026-12-31T00:00:00Z', 'fr')).toBe('31 décembre 2026');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Outbound Delivery Tests
+ *
+ * Tests for outbox retry backoff, permanent errors and provider throttling
+ */
+
+import { getRetryDelay, isPermanentDeliveryError, getThrottleDelay } from '../outboundDelivery.js';
+
+describe('Outbound Delivery', () => {
+  describe('getRetryDelay', () => {
+    test('should double the delay after each attempt', () => {
+      expect(getRetryDelay(1)).toBe(60 * 1000);
+      expect(getRetryDelay(2)).toBe(2 * 60 * 1000);
+      expect(getRetryDelay(4)).toBe(8 * 60 * 1000);
+    });
+
+    test('should cap the delay at two hours', () => {
+      expect(getRetryDelay(20)).toBe(2 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('isPermanentDeliveryError', () => {
+    const wrap = (cause) => new Error('Failed to send', { cause });
+
+    test('should not retry SMTP rejections or bad addresses', () => {
+      expect(isPermanentDeliveryError('EMAIL', wrap({ responseCode: 550 }))).toBe(true);
+      expect(isPermanentDeliveryError('EMAIL', wrap({ code: 'EENVELOPE' }))).toBe(true);
+    });
+
+    test('should retry temporary SMTP and connection failures', () => {
+      expect(isPermanentDeliveryError('EMAIL', wrap({ responseCode: 421 }))).toBe(false);
+      expect(isPermanentDeliveryError('EMAIL', wrap({ code: 'ETIMEDOUT' }))).toBe(false);
+      expect(isPermanentDeliveryError('EMAIL', new Error('Connection closed'))).toBe(false);
+    });
+
+    test('should only give up on Twilio errors about the recipient', () => {
+      expect(isPermanentDeliveryError('SMS', wrap({ code: 21211, status: 400 }))).toBe(true);
+      expect(isPermanentDeliveryError('SMS', wrap({ code: 21610, status: 400 }))).toBe(true);
+      expect(isPermanentDeliveryError('SMS', wrap({ code: 20429, status: 429 }))).toBe(false);
+    });
+
+    test('should not retry numbers that opted out', () => {
+      expect(isPermanentDeliveryError('SMS', wrap({ code: 'SMS_OPTED_OUT' }))).toBe(true);
+    });
+  });
+
+  describe('getThrottleDelay', () => {
+    test('should wait out the rest of the provider interval', () => {
+      expect(getThrottleDelay(null, 1000, 5000)).toBe(0);
+      expect(getThrottleDelay(4600, 1000, 5000)).toBe(600);
+      expect(getThrottleDelay(3000, 1000, 5000)).toBe(0);
+    });
+  });
+});
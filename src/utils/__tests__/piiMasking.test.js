@@ -0,0 +1,107 @@
+/**
+ * PII Masking Tests
+ *
+ * Tests for masking driver personal information in API responses
+ */
+
+import {
+  MASK,
+  isPiiField,
+  maskExtractedData,
+  maskDocument,
+  maskScanResult,
+  containsPii,
+} from '../piiMasking.js';
+
+describe('PII Masking', () => {
+  describe('isPiiField', () => {
+    test('should recognise birth dates, addresses and identifiers', () => {
+      expect(isPiiField('dateOfBirth')).toBe(true);
+      expect(isPiiField('home_address')).toBe(true);
+      expect(isPiiField('licenceNumber')).toBe(true);
+      expect(isPiiField('DOB')).toBe(true);
+    });
+
+    test('should leave compliance fields alone', () => {
+      expect(isPiiField('expiryDate')).toBe(false);
+      expect(isPiiField('documentType')).toBe(false);
+      expect(isPiiField('class')).toBe(false);
+    });
+  });
+
+  describe('maskExtractedData', () => {
+    test('should mask personal fields and keep the last digits of long identifiers', () => {
+      expect(maskExtractedData({
+        documentNumber: 'D1234-56789-01234',
+        dateOfBirth: '1990-04-12',
+        expiryDate: '2027-01-01',
+        address: null,
+      })).toEqual({
+        documentNumber: '****1234',
+        dateOfBirth: MASK,
+        expiryDate: '2027-01-01',
+        address: null,
+      });
+    });
+  });
+
+  describe('maskDocument', () => {
+    const document = {
+      id: 'doc-1',
+      documentNumber: 'D1234-56789-01234',
+      aiExtractedData: { dateOfBirth: '1990-04-12' },
+      textractRawData: { text: 'D1234-56789-01234 1990-04-12' },
+      s3Url: 'https://bucket.s3.amazonaws.com/doc-1.pdf',
+      expiryDate: '2027-01-01',
+    };
+
+    test('should mask personal fields and file links without the capabilities', () => {
+      const masked = maskDocument(document, {});
+
+      expect(masked.documentNumber).toBe('****1234');
+      expect(masked.aiExtractedData.dateOfBirth).toBe(MASK);
+      expect(masked.textractRawData).toBeNull();
+      expect(masked.s3Url).toBeNull();
+      expect(masked.expiryDate).toBe('2027-01-01');
+      expect(masked.piiMasked).toBe(true);
+      expect(document.documentNumber).toBe('D1234-56789-01234');
+    });
+
+    test('should return the document unchanged with the capabilities', () => {
+      expect(maskDocument(document, { view_driver_pii: true, download_documents: true })).toEqual(document);
+    });
+
+    test('should not add columns the document did not have', () => {
+      expect(maskDocument({ id: 'doc-1', type: 'Drivers License' }, { view_driver_pii: true })).toEqual({
+        id: 'doc-1',
+        type: 'Drivers License',
+      });
+    });
+  });
+
+  describe('maskScanResult', () => {
+    test('should mask extracted data and machine-readable disagreements', () => {
+      const masked = maskScanResult({
+        extractedData: { dateOfBirth: '1990-04-12', province: 'ON' },
+        rawTextractData: { text: '...' },
+        machineReadable: {
+          source: 'barcode',
+          disagreements: [{ field: 'dateOfBirth', label: 'Date of Birth', aiValue: '1990-04-21', machineValue: '1990-04-12' }],
+        },
+      });
+
+      expect(masked.extractedData).toEqual({ dateOfBirth: MASK, province: 'ON' });
+      expect(masked.rawTextractData).toBeNull();
+      expect(masked.machineReadable.disagreements[0]).toMatchObject({ aiValue: MASK, machineValue: MASK });
+    });
+  });
+
+  describe('containsPii', () => {
+    test('should only report documents with personal values', () => {
+      expect(containsPii({ documentNumber: 'D1234' })).toBe(true);
+      expect(containsPii({ aiExtractedData: { dateOfBirth: '1990-04-12' } })).toBe(true);
+      expect(containsPii({ documentNumber: null, aiExtractedData: { dateOfBirth: null, expiryDate: '2027-01-01' } }))
+        .toBe(false);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Recurrence Tests
+ *
+ * Tests for custom reminder occurrences and RRULE export
+ */
+
+import {
+  getNthWeekdayOfMonth,
+  getOccurrenceDates,
+  getNextOccurrence,
+  getOccurrences,
+  normalizeRecurrence,
+  toRRule,
+} from '../recurrence.js';
+
+const take = (generator, count) => {
+  const dates = [];
+  for (const date of generator) {
+    dates.push(date);
+    if (dates.length >= count) break;
+  }
+  return dates;
+};
+
+describe('Recurrence', () => {
+  describe('getNthWeekdayOfMonth', () => {
+    test('should find the nth and last weekday', () => {
+      expect(getNthWeekdayOfMonth(2026, 11, 1, 1)).toBe('2026-11-02'); // First Monday
+      expect(getNthWeekdayOfMonth(2026, 11, 4, 4)).toBe('2026-11-26'); // Thanksgiving
+      expect(getNthWeekdayOfMonth(2026, 10, -1, 5)).toBe('2026-10-30'); // Last Friday
+    });
+  });
+
+  describe('normalizeRecurrence', () => {
+    test('should fill in defaults and ignore invalid rules', () => {
+      expect(normalizeRecurrence(null)).toMatchObject({ interval: 1, weekdays: [], count: null, nonBusinessDay: 'NEXT_BUSINESS_DAY' });
+      expect(normalizeRecurrence({ interval: 0 })).toMatchObject({ interval: 1 });
+    });
+  });
+
+  describe('getOccurrenceDates', () => {
+    test('should repeat on specific weekdays', () => {
+      // Starts Wednesday 2026-11-04; Mondays and Wednesdays
+      expect(take(getOccurrenceDates('2026-11-04', 'WEEKLY', { weekdays: [1, 3] }), 4))
+        .toEqual(['2026-11-04', '2026-11-09', '2026-11-11', '2026-11-16']);
+    });
+
+    test('should support the nth weekday of the month, quarterly', () => {
+      expect(take(getOccurrenceDates('2026-01-01', 'QUARTERLY', { nthWeekday: { week: 1, weekday: 1 } }), 4))
+        .toEqual(['2026-01-05', '2026-04-06', '2026-07-06', '2026-10-05']);
+    });
+
+    test('should keep month-end dates on the last day of shorter months', () => {
+      expect(take(getOccurrenceDates('2026-01-31', 'MONTHLY', {}), 3)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+
+    test('should repeat yearly', () => {
+      expect(take(getOccurrenceDates('2026-03-15', 'YEARLY', { interval: 2 }), 2)).toEqual(['2026-03-15', '2028-03-15']);
+    });
+
+    test('should stop at the end date or after count occurrences', () => {
+      expect([...getOccurrenceDates('2026-11-01', 'DAILY', { endDate: '2026-11-03' })])
+        .toEqual(['2026-11-01', '2026-11-02', '2026-11-03']);
+      expect([...getOccurrenceDates('2026-11-01', 'WEEKLY', { count: 2 })]).toEqual(['2026-11-01', '2026-11-08']);
+      expect([...getOccurrenceDates('2026-11-01', 'ONCE', {})]).toEqual(['2026-11-01']);
+    });
+
+    test('should move weekend and holiday occurrences to the next business day', () => {
+      // 2026-11-01 is a Sunday, 2026-12-01 a Tuesday (holiday)
+      expect(take(getOccurrenceDates('2026-11-01', 'MONTHLY', { skipWeekends: true, skipHolidays: true }, ['2026-12-01']), 2))
+        .toEqual(['2026-11-02', '2026-12-02']);
+    });
+
+    test('should drop non-business days when asked to', () => {
+      expect(take(getOccurrenceDates('2026-11-06', 'DAILY', { skipWeekends: true, nonBusinessDay: 'SKIP' }), 2))
+        .toEqual(['2026-11-06', '2026-11-09']);
+    });
+
+    test('should not produce the same day twice when a moved occurrence collides', () => {
+      // Saturday moves to Monday, which is already an occurrence
+      expect(take(getOccurrenceDates('2026-11-07', 'WEEKLY', { weekdays: [1, 6], skipWeekends: true }), 3))
+        .toEqual(['2026-11-09', '2026-11-16', '2026-11-23']);
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    const schedule = {
+      start: new Date('2026-11-02T14:00:00Z'), // 09:00 in Toronto
+      timezone: 'America/Toronto',
+      frequency: 'WEEKLY',
+      recurrence: {},
+    };
+
+    test('should keep the wall-clock time across DST changes', () => {
+      expect(getNextOccurrence(schedule, new Date('2026-11-02T14:00:00Z'))).toEqual(new Date('2026-11-09T14:00:00Z'));
+      expect(getNextOccurrence({ ...schedule, start: new Date('2026-10-26T13:00:00Z') }, new Date('2026-10-27T00:00:00Z')))
+        .toEqual(new Date('2026-11-02T14:00:00Z'));
+    });
+
+    test('should not drift from the rule however late the last send was', () => {
+      expect(getNextOccurrence(schedule, new Date('2026-11-10T20:00:00Z'))).toEqual(new Date('2026-11-16T14:00:00Z'));
+    });
+
+    test('should return null when the series has ended', () => {
+      expect(getNextOccurrence({ ...schedule, recurrence: { count: 1 } }, schedule.start)).toBeNull();
+      expect(getNextOccurrence({ ...schedule, frequency: 'ONCE' }, schedule.start)).toBeNull();
+    });
+
+    test('should list occurrences in a window', () => {
+      expect(getOccurrences(schedule, { before: new Date('2026-11-20T00:00:00Z') })).toHaveLength(3);
+    });
+  });
+
+  describe('toRRule', () => {
+    const base = { start: new Date('2026-01-31T14:00:00Z'), timezone: 'America/Toronto' };
+
+    test('should express weekday and nth weekday rules', () => {
+      expect(toRRule({ ...base, frequency: 'WEEKLY', recurrence: { weekdays: [3, 1] } })).toBe('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE');
+      expect(toRRule({ ...base, frequency: 'QUARTERLY', recurrence: { nthWeekday: { week: -1, weekday: 5 }, count: 4 } }))
+        .toBe('FREQ=MONTHLY;INTERVAL=3;BYDAY=-1FR;COUNT=4');
+      expect(toRRule({ ...base, frequency: 'MONTHLY', recurrence: {} })).toBe('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+      expect(toRRule({ ...base, frequency: 'YEARLY', recurrence: { endDate: '2030-12-31' } }))
+        .toBe('FREQ=YEARLY;INTERVAL=1;BYMONTH=1;BYMONTHDAY=28,29,30,31;BYSETPOS=-1;UNTIL=20310101T045900Z');
+    });
+
+    test('should return null when occurrences move or for one-time reminders', () => {
+      expect(toRRule({ ...base, frequency: 'MONTHLY', recurrence: { skipHolidays: true } })).toBeNull();
+      expect(toRRule({ ...base, frequency: 'ONCE', recurrence: {} })).toBeNull();
+      expect(toRRule({ ...base, frequency: 'DAILY', recurrence: { skipWeekends: true, nonBusinessDay: 'SKIP' } }))
+        .toBe('FREQ=DAILY;INTERVAL=1;BYDAY=MO,TU,WE,TH,FR');
+    });
+  });
+});
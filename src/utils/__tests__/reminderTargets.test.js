@@ -0,0 +1,99 @@
+/**
+ * Reminder Targets Tests
+ *
+ * Tests for choosing who a custom reminder goes to
+ */
+
+import {
+  reminderTargetSchema,
+  normalizeReminderTarget,
+  isMissingDocument,
+  getRecipientChannels,
+} from '../reminderTargets.js';
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+describe('Reminder Targets', () => {
+  describe('reminderTargetSchema', () => {
+    test('should default to the company', () => {
+      expect(reminderTargetSchema.parse({})).toEqual({
+        targetType: 'COMPANY',
+        targetDriverIds: [],
+        targetStationCodes: [],
+        targetDocumentType: null,
+        targetRoles: [],
+      });
+    });
+
+    test('should require the fields the target type uses', () => {
+      expect(reminderTargetSchema.safeParse({ targetType: 'STATION' }).success).toBe(false);
+      expect(reminderTargetSchema.safeParse({ targetType: 'DRIVERS', targetDriverIds: [] }).success).toBe(false);
+      expect(reminderTargetSchema.safeParse({ targetType: 'MISSING_DOCUMENT' }).success).toBe(false);
+      expect(reminderTargetSchema.safeParse({ targetType: 'ROLE', targetRoles: ['OWNER'] }).success).toBe(false);
+    });
+
+    test('should drop fields the target type does not use', () => {
+      expect(reminderTargetSchema.parse({
+        targetType: 'STATION',
+        targetStationCodes: ['DXX3', 'DXX3'],
+        targetDriverIds: ['driver-1'],
+        targetRoles: ['ADMIN'],
+      })).toEqual({
+        targetType: 'STATION',
+        targetDriverIds: [],
+        targetStationCodes: ['DXX3'],
+        targetDocumentType: null,
+        targetRoles: [],
+      });
+    });
+  });
+
+  describe('normalizeReminderTarget', () => {
+    test('should keep station codes as a filter for missing documents', () => {
+      expect(normalizeReminderTarget({
+        targetType: 'MISSING_DOCUMENT',
+        targetDocumentType: 'WHMIS/Training Certificates',
+        targetStationCodes: ['DXX3'],
+      })).toMatchObject({ targetDocumentType: 'WHMIS/Training Certificates', targetStationCodes: ['DXX3'] });
+    });
+
+    test('should treat unknown target types as company-wide', () => {
+      expect(normalizeReminderTarget({ targetType: 'EVERYONE' }).targetType).toBe('COMPANY');
+    });
+  });
+
+  describe('isMissingDocument', () => {
+    const type = 'WHMIS/Training Certificates';
+
+    test('should count drivers without the document or with only an expired one', () => {
+      expect(isMissingDocument([], type)).toBe(true);
+      expect(isMissingDocument([{ type, status: 'EXPIRED', expiryDate: daysFromNow(-5) }], type)).toBe(true);
+      expect(isMissingDocument([{ type, status: 'REJECTED', expiryDate: null }], type)).toBe(true);
+    });
+
+    test('should accept valid and pending documents', () => {
+      expect(isMissingDocument([{ type, status: 'ACTIVE', expiryDate: daysFromNow(90) }], type)).toBe(false);
+      expect(isMissingDocument([{ type, status: 'PENDING', expiryDate: null }], type)).toBe(false);
+    });
+  });
+
+  describe('getRecipientChannels', () => {
+    test('should skip missing, bounced and opted-out contacts with a reason', () => {
+      expect(getRecipientChannels('BOTH', { email: 'jane@example.com', phone: '+14165550100', smsOptedOut: true })).toEqual({
+        send: [{ channel: 'EMAIL', to: 'jane@example.com' }],
+        skipped: [{ channel: 'SMS', to: '+14165550100', reason: 'Opted out of SMS' }],
+      });
+      expect(getRecipientChannels('EMAIL', { email: 'jane@example.com', emailInvalid: true }).skipped)
+        .toEqual([{ channel: 'EMAIL', to: 'jane@example.com', reason: 'Email address bounced' }]);
+      expect(getRecipientChannels('SMS', { email: 'jane@example.com' })).toEqual({
+        send: [],
+        skipped: [{ channel: 'SMS', to: null, reason: 'No phone number' }],
+      });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * SMS Consent Tests
+ *
+ * Tests for STOP/START/HELP keyword parsing and phone normalization
+ */
+
+import { normalizePhoneNumber, parseSmsKeyword } from '../smsConsent.js';
+
+describe('SMS Consent', () => {
+  describe('normalizePhoneNumber', () => {
+    test('should convert North American numbers to E.164', () => {
+      expect(normalizePhoneNumber('(514) 555-0000')).toBe('+15145550000');
+      expect(normalizePhoneNumber('1-514-555-0000')).toBe('+15145550000');
+      expect(normalizePhoneNumber('+1 514 555 0000')).toBe('+15145550000');
+    });
+
+    test('should keep international numbers', () => {
+      expect(normalizePhoneNumber('+44 20 7946 0000')).toBe('+442079460000');
+      expect(normalizePhoneNumber('0044 20 7946 0000')).toBe('+442079460000');
+    });
+
+    test('should return null for empty values', () => {
+      expect(normalizePhoneNumber('')).toBeNull();
+      expect(normalizePhoneNumber(null)).toBeNull();
+      expect(normalizePhoneNumber('n/a')).toBeNull();
+    });
+  });
+
+  describe('parseSmsKeyword', () => {
+    test('should recognize keywords regardless of case and punctuation', () => {
+      expect(parseSmsKeyword('stop')).toEqual({ action: 'STOP', keyword: 'STOP', locale: 'en' });
+      expect(parseSmsKeyword(' Unsubscribe. ')).toMatchObject({ action: 'STOP' });
+      expect(parseSmsKeyword('START')).toMatchObject({ action: 'START' });
+      expect(parseSmsKeyword('help!')).toMatchObject({ action: 'HELP' });
+    });
+
+    test('should answer French keywords in French', () => {
+      expect(parseSmsKeyword('Arrêt')).toEqual({ action: 'STOP', keyword: 'ARRÊT', locale: 'fr' });
+      expect(parseSmsKeyword('aide')).toEqual({ action: 'HELP', keyword: 'AIDE', locale: 'fr' });
+    });
+
+    test('should ignore regular messages', () => {
+      expect(parseSmsKeyword('I will stop by the office tomorrow')).toBeNull();
+      expect(parseSmsKeyword('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Station Scope Tests
+ *
+ * Tests for limiting team members to their stations' drivers
+ */
+
+import {
+  getStationScope,
+  getDriverScopeWhere,
+  isDriverInScope,
+  isWithinStationScope,
+  normalizeStationScope,
+} from '../stationScope.js';
+
+describe('Station Scope', () => {
+  describe('getStationScope', () => {
+    test('should scope team members with stations', () => {
+      expect(getStationScope({ role: 'ADMIN', dspRole: 'HR_LEAD', stationCodes: ['DXX3'] })).toEqual(['DXX3']);
+    });
+
+    test('should not scope admins or members without stations', () => {
+      expect(getStationScope({ role: 'ADMIN', dspRole: 'ADMIN', stationCodes: ['DXX3'] })).toBeNull();
+      expect(getStationScope({ role: 'SUPER_ADMIN', dspRole: null, stationCodes: ['DXX3'] })).toBeNull();
+      expect(getStationScope({ role: 'ADMIN', dspRole: 'HR_LEAD', stationCodes: [] })).toBeNull();
+    });
+  });
+
+  describe('getDriverScopeWhere', () => {
+    test('should filter drivers by station only when scoped', () => {
+      expect(getDriverScopeWhere(['DXX3', 'DYY6'])).toEqual({ stationCode: { in: ['DXX3', 'DYY6'] } });
+      expect(getDriverScopeWhere(null)).toEqual({});
+    });
+  });
+
+  describe('isDriverInScope', () => {
+    test('should hide drivers of other stations and without a station', () => {
+      expect(isDriverInScope({ stationCode: 'DXX3' }, ['DXX3'])).toBe(true);
+      expect(isDriverInScope({ stationCode: 'DYY6' }, ['DXX3'])).toBe(false);
+      expect(isDriverInScope({ stationCode: null }, ['DXX3'])).toBe(false);
+      expect(isDriverInScope({ stationCode: null }, null)).toBe(true);
+    });
+  });
+
+  describe('isWithinStationScope', () => {
+    test('should allow any stations, or every station, without a scope', () => {
+      expect(isWithinStationScope(['DXX3', 'DXX7'], null)).toBe(true);
+      expect(isWithinStationScope([], null)).toBe(true);
+    });
+
+    test('should only allow a non-empty subset of a scope', () => {
+      expect(isWithinStationScope(['DXX3'], ['DXX3', 'DXX7'])).toBe(true);
+      expect(isWithinStationScope(['DXX3', 'DXX9'], ['DXX3', 'DXX7'])).toBe(false);
+      expect(isWithinStationScope([], ['DXX3'])).toBe(false);
+    });
+  });
+
+  describe('normalizeStationScope', () => {
+    test('should dedupe codes and report unknown ones', () => {
+      expect(normalizeStationScope([' DXX3', 'DXX3', 'ZZZ1', ''], ['DXX3', 'DYY6'])).toEqual({
+        stationCodes: ['DXX3', 'ZZZ1'],
+        unknown: ['ZZZ1'],
+      });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Timezone Utility Tests
+ *
+ * Tests for company-timezone conversions and send-window (quiet hours) checks
+ */
+
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseTimeOfDay,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDaysToDateKey,
+  daysBetweenDateKeys,
+  getCompanySchedule,
+  isWithinSendWindow,
+  getNextSendWindowOpening,
+} from '../timezoneUtils.js';
+
+describe('Timezone Utilities', () => {
+  describe('isValidTimezone / parseTimeOfDay', () => {
+    test('should accept IANA names and reject anything else', () => {
+      expect(isValidTimezone('America/Vancouver')).toBe(true);
+      expect(isValidTimezone('America/Halifax')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+
+    test('should parse HH:MM into minutes after midnight', () => {
+      expect(parseTimeOfDay('08:30')).toBe(510);
+      expect(parseTimeOfDay('23:59')).toBe(1439);
+      expect(parseTimeOfDay('24:00')).toBeNull();
+      expect(parseTimeOfDay('8:30')).toBeNull();
+    });
+  });
+
+  describe('getZonedParts', () => {
+    test('should give the wall-clock date and time in the timezone', () => {
+      const instant = new Date('2026-01-15T04:30:00Z');
+      expect(getZonedParts(instant, 'America/Vancouver').dateKey).toBe('2026-01-14');
+      expect(getZonedParts(instant, 'America/Vancouver').hour).toBe(20);
+      expect(getZonedParts(instant, 'America/Halifax').dateKey).toBe('2026-01-15');
+      expect(getZonedParts(instant, 'America/Halifax').minutesOfDay).toBe(30);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    test('should convert a company-local date and time to UTC', () => {
+      expect(zonedTimeToUtc('2026-01-15', '09:00', 'America/Vancouver').toISOString())
+        .toBe('2026-01-15T17:00:00.000Z');
+      expect(zonedTimeToUtc('2026-07-15', '09:00', 'America/Vancouver').toISOString())
+        .toBe('2026-07-15T16:00:00.000Z');
+      expect(zonedTimeToUtc('2026-07-15', '09:00', 'America/Halifax').toISOString())
+        .toBe('2026-07-15T12:00:00.000Z');
+    });
+
+    test('should move times skipped by a DST change forward', () => {
+      expect(zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York').toISOString())
+        .toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    test('should reject invalid dates and times', () => {
+      expect(zonedTimeToUtc('2026-02-30', '09:00', DEFAULT_TIMEZONE)).toBeNull();
+      expect(zonedTimeToUtc('2026-02-10', '9am', DEFAULT_TIMEZONE)).toBeNull();
+    });
+  });
+
+  describe('date keys', () => {
+    test('should add days across month ends and count days between dates', () => {
+      expect(addDaysToDateKey('2026-01-31', 1)).toBe('2026-02-01');
+      expect(addDaysToDateKey('2026-03-01', -1)).toBe('2026-02-28');
+      expect(daysBetweenDateKeys('2026-03-01', '2026-03-31')).toBe(30);
+      expect(daysBetweenDateKeys('2026-03-08', '2026-03-09')).toBe(1);
+    });
+  });
+
+  describe('send window', () => {
+    const pacific = { timezone: 'America/Vancouver', sendWindowStart: '08:00', sendWindowEnd: '20:00' };
+
+    test('should fall back to the defaults for missing or invalid settings', () => {
+      expect(getCompanySchedule({ timezone: 'Nowhere/City', sendWindowStart: '25:00' })).toEqual({
+        timezone: DEFAULT_TIMEZONE,
+        sendWindowStart: '08:00',
+        sendWindowEnd: '20:00',
+      });
+    });
+
+    test('should check the window in the company timezone', () => {
+      // 13:00 UTC is 05:00 in Vancouver and 09:00 in Halifax (January)
+      const instant = new Date('2026-01-15T13:00:00Z');
+      expect(isWithinSendWindow(instant, pacific)).toBe(false);
+      expect(isWithinSendWindow(instant, { ...pacific, timezone: 'America/Halifax' })).toBe(true);
+    });
+
+    test('should support windows spanning midnight and always-open windows', () => {
+      const overnight = { timezone: 'UTC', sendWindowStart: '22:00', sendWindowEnd: '06:00' };
+      expect(isWithinSendWindow(new Date('2026-01-15T23:00:00Z'), overnight)).toBe(true);
+      expect(isWithinSendWindow(new Date('2026-01-15T05:59:00Z'), overnight)).toBe(true);
+      expect(isWithinSendWindow(new Date('2026-01-15T12:00:00Z'), overnight)).toBe(false);
+      expect(isWithinSendWindow(new Date('2026-01-15T03:00:00Z'), { timezone: 'UTC', sendWindowStart: '00:00', sendWindowEnd: '00:00' })).toBe(true);
+    });
+
+    test('should defer to the next opening of the window', () => {
+      // 05:00 Vancouver -> 08:00 the same day
+      expect(getNextSendWindowOpening(new Date('2026-01-15T13:00:00Z'), pacific).toISOString())
+        .toBe('2026-01-15T16:00:00.000Z');
+      // 21:00 Vancouver -> 08:00 the next day
+      expect(getNextSendWindowOpening(new Date('2026-01-16T05:00:00Z'), pacific).toISOString())
+        .toBe('2026-01-16T16:00:00.000Z');
+
+      const open = new Date('2026-01-15T18:00:00Z');
+      expect(getNextSendWindowOpening(open, pacific)).toBe(open);
+    });
+  });
+});
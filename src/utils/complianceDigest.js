@@ -0,0 +1,177 @@
+import { getRequiredDocumentTypes } from './complianceEngine.js';
+import { findRenewedDocumentIds } from './escalationPolicy.js';
+import { daysBetweenDateKeys } from './timezoneUtils.js';
+
+/**
+ * Compliance Digest
+ *
+ * Builds the daily/weekly digest that replaces (or accompanies) the one-email-per-document
+ * expiry reminders: expired, expiring-in-7, expiring-in-30 and missing documents grouped
+ * by driver, plus a CSV version for the attachment.
+ *
+ * Delivery modes (Company.reminderDeliveryMode, User.reminderDeliveryMode):
+ *   INDIVIDUAL - one reminder email per document (the original behaviour)
+ *   DIGEST     - one digest email per recipient per day or week
+ *   BOTH       - both of the above
+ */
+
+export const DELIVERY_MODES = ['INDIVIDUAL', 'DIGEST', 'BOTH'];
+export const DIGEST_FREQUENCIES = ['DAILY', 'WEEKLY'];
+
+export const DIGEST_CATEGORIES = {
+  expired: 'Expired',
+  expiringIn7: 'Expiring in 7 days',
+  expiringIn30: 'Expiring in 30 days',
+  missing: 'Missing',
+};
+
+/**
+ * @param {string} mode - Delivery mode
+ * @returns {boolean} Whether the mode includes per-document reminder emails
+ */
+export const includesIndividualReminders = (mode) => mode === 'INDIVIDUAL' || mode === 'BOTH';
+
+/**
+ * @param {string} mode - Delivery mode
+ * @returns {boolean} Whether the mode includes digest emails
+ */
+export const includesDigest = (mode) => mode === 'DIGEST' || mode === 'BOTH';
+
+/**
+ * Check whether a digest goes out today
+ * @param {string} frequency - 'DAILY' or 'WEEKLY'
+ * @param {number} weekday - Day weekly digests are sent (0 = Sunday ... 6 = Saturday)
+ * @param {string} todayKey - Recipient company's local date, 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+export const isDigestDay = (frequency, weekday, todayKey) => {
+  if (frequency !== 'WEEKLY') return true;
+  return new Date(`${todayKey}T00:00:00Z`).getUTCDay() === weekday;
+};
+
+/**
+ * Work out who gets a digest today and how often.
+ * The company contact (Company.adminEmail) follows the company's mode; team members
+ * opt in with their own mode, which also overrides the company's for their address.
+ * @param {Object} company - { adminEmail, reminderDeliveryMode, digestFrequency, digestWeekday }
+ * @param {Array} teamMembers - Company users ({ email, reminderDeliveryMode, digestFrequency })
+ * @param {string} todayKey - Company's local date, 'YYYY-MM-DD'
+ * @returns {string[]} Email addresses due a digest today
+ */
+export const getDigestRecipients = (company, teamMembers, todayKey) => {
+  const frequencies = new Map();
+
+  if (company.adminEmail && includesDigest(company.reminderDeliveryMode)) {
+    frequencies.set(company.adminEmail, company.digestFrequency);
+  }
+
+  teamMembers
+    .filter((member) => member.email && member.reminderDeliveryMode)
+    .forEach((member) => {
+      if (includesDigest(member.reminderDeliveryMode)) {
+        frequencies.set(member.email, member.digestFrequency || company.digestFrequency);
+      } else {
+        frequencies.delete(member.email);
+      }
+    });
+
+  return [...frequencies.entries()]
+    .filter(([, frequency]) => isDigestDay(frequency, company.digestWeekday, todayKey))
+    .map(([email]) => email);
+};
+
+/**
+ * Build the digest for a company
+ * Renewed documents (another document supersedes them) are left out.
+ * @param {Array} drivers - Drivers ({ id, name, stationCode, region, documents }) with their current documents
+ * @param {Array} requirements - Company.complianceRequirements, used for missing documents
+ * @param {string} todayKey - Company's local date, 'YYYY-MM-DD'
+ * @returns {Object} { drivers: [{ driverId, driverName, stationCode, expired, expiringIn7, expiringIn30, missing }], totals }
+ */
+export const buildComplianceDigest = (drivers, requirements, todayKey) => {
+  const totals = { drivers: 0, expired: 0, expiringIn7: 0, expiringIn30: 0, missing: 0 };
+  const digestDrivers = [];
+
+  drivers.forEach((driver) => {
+    const documents = (driver.documents || []).filter((doc) => doc.status !== 'REJECTED');
+    const renewedIds = findRenewedDocumentIds(documents);
+    const entry = {
+      driverId: driver.id,
+      driverName: driver.name,
+      stationCode: driver.stationCode || null,
+      expired: [],
+      expiringIn7: [],
+      expiringIn30: [],
+      missing: [],
+    };
+
+    documents
+      .filter((doc) => doc.expiryDate && !renewedIds.has(doc.id))
+      .forEach((doc) => {
+        const expiryDate = new Date(doc.expiryDate).toISOString().slice(0, 10);
+        const daysUntilExpiry = daysBetweenDateKeys(todayKey, expiryDate);
+        const item = {
+          documentId: doc.id,
+          documentType: doc.type,
+          documentNumber: doc.documentNumber || null,
+          expiryDate,
+          daysUntilExpiry,
+        };
+
+        if (daysUntilExpiry < 0) entry.expired.push(item);
+        else if (daysUntilExpiry <= 7) entry.expiringIn7.push(item);
+        else if (daysUntilExpiry <= 30) entry.expiringIn30.push(item);
+      });
+
+    const presentTypes = new Set(documents.map((doc) => doc.type));
+    getRequiredDocumentTypes(requirements, driver)
+      .filter((type) => !presentTypes.has(type))
+      .forEach((type) => entry.missing.push({ documentType: type }));
+
+    const categories = Object.keys(DIGEST_CATEGORIES);
+    if (categories.some((category) => entry[category].length > 0)) {
+      categories.forEach((category) => {
+        entry[category].sort((a, b) => (a.daysUntilExpiry ?? 0) - (b.daysUntilExpiry ?? 0));
+        totals[category] += entry[category].length;
+      });
+      totals.drivers++;
+      digestDrivers.push(entry);
+    }
+  });
+
+  digestDrivers.sort((a, b) => a.driverName.localeCompare(b.driverName));
+  return { drivers: digestDrivers, totals };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a digest as CSV, one row per document
+ * @param {Object} digest - Result of buildComplianceDigest()
+ * @returns {string}
+ */
+export const digestToCsv = (digest) => {
+  const rows = [['Driver', 'Station', 'Status', 'Document Type', 'Document Number', 'Expiry Date', 'Days Until Expiry']];
+
+  digest.drivers.forEach((driver) => {
+    Object.entries(DIGEST_CATEGORIES).forEach(([category, label]) => {
+      driver[category].forEach((item) => {
+        rows.push([
+          driver.driverName,
+          driver.stationCode,
+          label,
+          item.documentType,
+          item.documentNumber,
+          item.expiryDate,
+          item.daysUntilExpiry,
+        ]);
+      });
+    });
+  });
+
+  return rows.map((row) => row.map(escapeCsvValue).join(',')).join('\r\n');
+};
@@ -0,0 +1,223 @@
+import { z } from 'zod';
+import {
+  calculateDocumentStatus,
+  calculateDriverComplianceStatus,
+  getDaysUntilExpiry,
+} from './documentStatusUtils.js';
+
+/**
+ * Compliance Requirements Matrix
+ *
+ * A company stores an array of requirements on Company.complianceRequirements.
+ * Each entry makes one document type mandatory, optionally only for drivers
+ * assigned to specific station codes or operating regions (state/province).
+ * Empty stationCodes/regions arrays mean the requirement applies to every driver.
+ *
+ * Example:
+ * [
+ *   { "documentType": "Driver's Licence" },
+ *   { "documentType": "Driver Abstract", "regions": ["Ontario"] },
+ *   { "documentType": "WHMIS/Training Certificates", "stationCodes": ["DYY6"] }
+ * ]
+ */
+
+export const complianceRequirementSchema = z.object({
+  documentType: z.string().trim().min(1, 'Document type is required'),
+  stationCodes: z.array(z.string().trim().min(1)).optional().default([]),
+  regions: z.array(z.string().trim().min(1)).optional().default([]),
+}).strict();
+
+export const complianceRequirementsSchema = z.array(complianceRequirementSchema)
+  .refine(
+    (requirements) => {
+      const keys = requirements.map((r) =>
+        [r.documentType, [...r.stationCodes].sort().join(','), [...r.regions].sort().join(',')].join('|')
+      );
+      return new Set(keys).size === keys.length;
+    },
+    { message: 'Duplicate compliance requirements are not allowed' }
+  );
+
+// Higher rank wins when a driver has several documents of the same type
+const STATUS_RANK = {
+  verified: 3,
+  expiring: 2,
+  pending: 1,
+  expired: 0,
+};
+
+/**
+ * Normalize whatever is stored in Company.complianceRequirements into a clean array.
+ * Invalid entries are dropped rather than failing the whole evaluation.
+ *
+ * @param {any} rawRequirements - Value of Company.complianceRequirements
+ * @returns {Array} - Array of { documentType, stationCodes, regions }
+ */
+export const normalizeRequirements = (rawRequirements) => {
+  if (!Array.isArray(rawRequirements)) {
+    return [];
+  }
+
+  return rawRequirements
+    .map((entry) => complianceRequirementSchema.safeParse(entry))
+    .filter((result) => result.success)
+    .map((result) => result.data);
+};
+
+/**
+ * Check whether a single requirement applies to a driver
+ *
+ * @param {Object} requirement - { documentType, stationCodes, regions }
+ * @param {Object} driver - Driver with optional stationCode and region
+ * @returns {boolean}
+ */
+export const requirementAppliesToDriver = (requirement, driver) => {
+  const stationCodes = requirement.stationCodes || [];
+  const regions = requirement.regions || [];
+
+  if (stationCodes.length > 0 && !stationCodes.includes(driver?.stationCode)) {
+    return false;
+  }
+
+  if (regions.length > 0 && !regions.includes(driver?.region)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Get the list of mandatory document types for a driver
+ *
+ * @param {Array} requirements - Normalized requirements
+ * @param {Object} driver - Driver with optional stationCode and region
+ * @returns {string[]} - Unique document type names
+ */
+export const getRequiredDocumentTypes = (requirements, driver) => {
+  const types = normalizeRequirements(requirements)
+    .filter((requirement) => requirementAppliesToDriver(requirement, driver))
+    .map((requirement) => requirement.documentType);
+
+  return [...new Set(types)];
+};
+
+/**
+ * Evaluate a driver's compliance against the company requirements matrix
+ *
+ * @param {Object} driver - Driver ({ id, stationCode, region })
+ * @param {Array} documents - Driver documents ({ id, type, status, expiryDate })
+ * @param {Array} requirements - Company.complianceRequirements
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf] - Evaluate as of this date instead of today
+ * @returns {Object} - { status, requiredTypes, missing, expired, expiring, pending, satisfied }
+ */
+export const evaluateDriverCompliance = (driver, documents = [], requirements = [], options = {}) => {
+  const asOf = options.asOf || new Date();
+  const requiredTypes = getRequiredDocumentTypes(requirements, driver);
+
+  // Pick the best document for each type (e.g. a renewed licence beats the expired one)
+  const bestByType = new Map();
+  documents.forEach((doc) => {
+    const displayStatus = calculateDocumentStatus(doc, asOf);
+    const current = bestByType.get(doc.type);
+    if (!current || STATUS_RANK[displayStatus] > STATUS_RANK[current.displayStatus]) {
+      bestByType.set(doc.type, { doc, displayStatus });
+    }
+  });
+
+  const result = {
+    requiredTypes,
+    missing: [],
+    expired: [],
+    expiring: [],
+    pending: [],
+    satisfied: [],
+  };
+
+  requiredTypes.forEach((type) => {
+    const entry = bestByType.get(type);
+
+    if (!entry) {
+      result.missing.push({ documentType: type });
+      return;
+    }
+
+    const item = {
+      documentType: type,
+      documentId: entry.doc.id,
+      expiryDate: entry.doc.expiryDate || null,
+      daysUntilExpiry: getDaysUntilExpiry(entry.doc.expiryDate, asOf),
+    };
+
+    switch (entry.displayStatus) {
+      case 'expired':
+        result.expired.push(item);
+        break;
+      case 'expiring':
+        result.expiring.push(item);
+        break;
+      case 'pending':
+        result.pending.push(item);
+        break;
+      default:
+        result.satisfied.push(item);
+    }
+  });
+
+  // Optional document types still count towards the status, but only through
+  // their best document, so a renewed licence hides the expired one it replaced
+  const effectiveDocuments = [...bestByType.values()].map((entry) => entry.doc);
+  const status = calculateDriverComplianceStatus(
+    effectiveDocuments,
+    effectiveDocuments.length,
+    result.missing.length,
+    asOf
+  );
+
+  return {
+    status,
+    ...result,
+  };
+};
+
+/**
+ * Summarize a map of driverId -> compliance evaluation for dashboards
+ *
+ * @param {Object} complianceByDriver - Map of driverId -> evaluateDriverCompliance() result
+ * @returns {Object} - { compliantDrivers, warningDrivers, criticalDrivers, noDocumentDrivers, missingDocuments }
+ */
+export const summarizeCompliance = (complianceByDriver) => {
+  const summary = {
+    compliantDrivers: 0,
+    warningDrivers: 0,
+    criticalDrivers: 0,
+    noDocumentDrivers: 0,
+    missingDocuments: 0,
+    expiredRequiredDocuments: 0,
+    expiringRequiredDocuments: 0,
+    pendingRequiredDocuments: 0,
+  };
+
+  Object.values(complianceByDriver).forEach((compliance) => {
+    switch (compliance.status) {
+      case 'Compliant':
+        summary.compliantDrivers++;
+        break;
+      case 'Warning':
+        summary.warningDrivers++;
+        break;
+      case 'Critical':
+        summary.criticalDrivers++;
+        break;
+      default:
+        summary.noDocumentDrivers++;
+    }
+
+    summary.missingDocuments += compliance.missing.length;
+    summary.expiredRequiredDocuments += compliance.expired.length;
+    summary.expiringRequiredDocuments += compliance.expiring.length;
+    summary.pendingRequiredDocuments += compliance.pending.length;
+  });
+
+  return summary;
+};
@@ -0,0 +1,156 @@
+/**
+ * Delivery Events
+ *
+ * Normalizes provider delivery reports into { deliveryStatus, hardBounce, ... } so the
+ * webhooks in messageWebhookController.js can update OutboundMessage rows and flag
+ * driver contacts that can never be reached.
+ *
+ * Supported email formats: SendGrid event webhook, Amazon SES notifications (directly or
+ * wrapped in SNS) and a generic { type, email, messageId, permanent, reason } shape.
+ */
+
+// Twilio errors meaning the number itself is wrong, not that delivery failed this time
+// https://www.twilio.com/docs/api/errors
+export const TWILIO_INVALID_NUMBER_ERRORS = [
+  21211, // Invalid 'To' phone number
+  21614, // 'To' number is not a mobile number
+  30005, // Unknown destination handset
+  30006, // Landline or unreachable carrier
+];
+
+const TWILIO_STATUSES = {
+  delivered: 'DELIVERED',
+  undelivered: 'UNDELIVERED',
+  failed: 'UNDELIVERED',
+};
+
+/**
+ * Strip the angle brackets from an email Message-ID so IDs from different sources match
+ * @param {string} messageId - e.g. '<abc@example.com>'
+ * @returns {string|null}
+ */
+export const normalizeMessageId = (messageId) => {
+  if (!messageId) return null;
+  return String(messageId).trim().replace(/^<|>$/g, '') || null;
+};
+
+/**
+ * Read a Twilio status callback
+ * @param {Object} params - Callback body ({ MessageSid, MessageStatus, ErrorCode, To })
+ * @returns {Object|null} { providerMessageId, to, deliveryStatus, errorCode, hardBounce }, or null for
+ *   intermediate statuses (queued, sending, sent)
+ */
+export const parseTwilioStatus = (params = {}) => {
+  const deliveryStatus = TWILIO_STATUSES[String(params.MessageStatus || '').toLowerCase()];
+  if (!params.MessageSid || !deliveryStatus) return null;
+
+  const errorCode = params.ErrorCode ? Number(params.ErrorCode) : null;
+
+  return {
+    providerMessageId: params.MessageSid,
+    to: params.To || null,
+    deliveryStatus,
+    errorCode,
+    hardBounce: deliveryStatus === 'UNDELIVERED' && TWILIO_INVALID_NUMBER_ERRORS.includes(errorCode),
+  };
+};
+
+const emailEvent = (email, providerMessageId, deliveryStatus, { hardBounce = false, reason = null } = {}) => ({
+  email: email ? String(email).trim().toLowerCase() : null,
+  providerMessageId: normalizeMessageId(providerMessageId),
+  deliveryStatus,
+  hardBounce,
+  reason,
+});
+
+const parseSendGridEvent = (event) => {
+  const messageId = event['smtp-id'] || event.sg_message_id;
+
+  switch (event.event) {
+    case 'delivered':
+      return [emailEvent(event.email, messageId, 'DELIVERED')];
+    case 'bounce':
+      // 'blocked' bounces are temporary (e.g. the receiving server is rate limiting)
+      return [emailEvent(event.email, messageId, 'BOUNCED', {
+        hardBounce: event.type !== 'blocked',
+        reason: event.reason || null,
+      })];
+    case 'dropped':
+      return [emailEvent(event.email, messageId, 'BOUNCED', {
+        hardBounce: /bounced address|invalid/i.test(event.reason || ''),
+        reason: event.reason || null,
+      })];
+    case 'spamreport':
+      return [emailEvent(event.email, messageId, 'COMPLAINED')];
+    default:
+      return [];
+  }
+};
+
+const parseSesNotification = (notification) => {
+  const type = notification.notificationType || notification.eventType;
+  const messageId = notification.mail?.commonHeaders?.messageId || notification.mail?.messageId;
+
+  switch (type) {
+    case 'Delivery':
+      return (notification.delivery?.recipients || []).map((email) => emailEvent(email, messageId, 'DELIVERED'));
+    case 'Bounce':
+      return (notification.bounce?.bouncedRecipients || []).map((recipient) =>
+        emailEvent(recipient.emailAddress, messageId, 'BOUNCED', {
+          hardBounce: notification.bounce.bounceType === 'Permanent',
+          reason: recipient.diagnosticCode || notification.bounce.bounceSubType || null,
+        })
+      );
+    case 'Complaint':
+      return (notification.complaint?.complainedRecipients || []).map((recipient) =>
+        emailEvent(recipient.emailAddress, messageId, 'COMPLAINED')
+      );
+    default:
+      return [];
+  }
+};
+
+const GENERIC_TYPES = {
+  delivered: 'DELIVERED',
+  delivery: 'DELIVERED',
+  bounce: 'BOUNCED',
+  bounced: 'BOUNCED',
+  complaint: 'COMPLAINED',
+  complained: 'COMPLAINED',
+};
+
+const parseGenericEvent = (event) => {
+  const deliveryStatus = GENERIC_TYPES[String(event.type || '').toLowerCase()];
+  if (!deliveryStatus) return [];
+
+  return [emailEvent(event.email, event.messageId, deliveryStatus, {
+    hardBounce: deliveryStatus === 'BOUNCED' && event.permanent !== false,
+    reason: event.reason || null,
+  })];
+};
+
+const parseEmailEvent = (event) => {
+  if (!event || typeof event !== 'object') return [];
+
+  // SNS envelope around an SES notification
+  if (event.Type === 'Notification' && typeof event.Message === 'string') {
+    try {
+      return parseSesNotification(JSON.parse(event.Message));
+    } catch {
+      return [];
+    }
+  }
+  if (event.notificationType || event.eventType) return parseSesNotification(event);
+  if (event.event) return parseSendGridEvent(event);
+  return parseGenericEvent(event);
+};
+
+/**
+ * Read an email provider webhook payload
+ * @param {Object|Array} payload - Parsed request body
+ * @returns {Array} [{ email, providerMessageId, deliveryStatus, hardBounce, reason }]
+ */
+export const parseEmailEvents = (payload) => {
+  const events = Array.isArray(payload) ? payload : Array.isArray(payload?.events) ? payload.events : [payload];
+  return events.flatMap(parseEmailEvent).filter((event) => event.email || event.providerMessageId);
+};
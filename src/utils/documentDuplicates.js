@@ -0,0 +1,67 @@
+/**
+ * Document Duplicate Utilities
+ *
+ * Helpers for detecting the same file or the same document number attached to
+ * more than one document (e.g. contractors sharing a licence).
+ */
+
+export const DUPLICATE_MATCH_TYPES = {
+  CONTENT_HASH: 'CONTENT_HASH',
+  DOCUMENT_NUMBER: 'DOCUMENT_NUMBER',
+};
+
+/**
+ * Normalize a document number for matching: upper-case, letters and digits only
+ * (kept in sync with the backfill in the add_duplicate_document_detection migration)
+ * @param {string} documentNumber - Document number as entered or extracted
+ * @returns {string|null} Normalized number, or null when there is nothing to match on
+ */
+export const normalizeDocumentNumber = (documentNumber) => {
+  if (documentNumber === null || documentNumber === undefined) return null;
+  const normalized = String(documentNumber).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized || null;
+};
+
+/**
+ * Describe a duplicate match for staff, naming the conflicting driver and document
+ * @param {Object} match - { matchType, documentType, driverName, sameDriver }
+ * @returns {string}
+ */
+export const describeDuplicate = ({ matchType, documentType, driverName, sameDriver }) => {
+  const owner = sameDriver ? 'this driver' : `driver ${driverName}`;
+  return matchType === DUPLICATE_MATCH_TYPES.CONTENT_HASH
+    ? `The same file is already attached to ${owner} as "${documentType}"`
+    : `The same document number is already used by ${owner} on "${documentType}"`;
+};
+
+/**
+ * Turn matching documents into duplicate descriptions, one per conflicting document
+ * (a document matching on both the file and the number is reported as a file match)
+ * @param {Object} matchesByType - { CONTENT_HASH: [documents], DOCUMENT_NUMBER: [documents] }
+ *   where each document has { id, type, driverId, driver: { name } }
+ * @param {string} driverId - Driver the new document belongs to
+ * @returns {Array} [{ matchType, documentId, documentType, driverId, driverName, sameDriver, message }]
+ */
+export const buildDuplicateMatches = (matchesByType, driverId) => {
+  const seen = new Set();
+  const duplicates = [];
+
+  [DUPLICATE_MATCH_TYPES.CONTENT_HASH, DUPLICATE_MATCH_TYPES.DOCUMENT_NUMBER].forEach((matchType) => {
+    (matchesByType[matchType] || []).forEach((document) => {
+      if (seen.has(document.id)) return;
+      seen.add(document.id);
+
+      const match = {
+        matchType,
+        documentId: document.id,
+        documentType: document.type,
+        driverId: document.driverId,
+        driverName: document.driver?.name || 'Unknown',
+        sameDriver: document.driverId === driverId,
+      };
+      duplicates.push({ ...match, message: describeDuplicate(match) });
+    });
+  });
+
+  return duplicates;
+};
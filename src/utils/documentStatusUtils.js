@@ -8,10 +8,11 @@
  * @param {Object} document - The document object
  * @param {string} document.status - The database status (PENDING, ACTIVE, EXPIRED, EXPIRING_SOON, etc.)
  * @param {Date|string|null} document.expiryDate - The expiry date of the document
+ * @param {Date|string} [asOf] - Reference date to evaluate against (defaults to now)
  * @returns {string} - The display status: 'pending', 'expired', 'expiring', or 'verified'
  */
-export const calculateDocumentStatus = (document) => {
-  const today = new Date();
+export const calculateDocumentStatus = (document, asOf = new Date()) => {
+  const today = new Date(asOf);
   today.setHours(0, 0, 0, 0);
 
   const expiringThreshold = new Date(today);
@@ -43,13 +44,37 @@ export const calculateDocumentStatus = (document) => {
   }
 };
 
+/**
+ * Get the database status for a document with the given expiry date
+ *
+ * @param {Date|string|null} expiryDate - The expiry date of the document
+ * @returns {string} - 'EXPIRED', 'EXPIRING_SOON' or 'ACTIVE'
+ */
+export const getStatusFromExpiryDate = (expiryDate) => {
+  if (!expiryDate) {
+    return 'ACTIVE';
+  }
+
+  const expiry = new Date(expiryDate);
+  const now = new Date();
+  const daysUntilExpiry = Math.floor((expiry - now) / (1000 * 60 * 60 * 24));
+
+  if (daysUntilExpiry < 0) {
+    return 'EXPIRED';
+  } else if (daysUntilExpiry <= 30) {
+    return 'EXPIRING_SOON';
+  }
+  return 'ACTIVE';
+};
+
 /**
  * Calculate document status counts for a list of documents
  *
  * @param {Array} documents - Array of document objects
+ * @param {Date|string} [asOf] - Reference date to evaluate against (defaults to now)
  * @returns {Object} - Object with counts: { pending, expired, expiring, verified, total }
  */
-export const calculateDocumentStatusCounts = (documents) => {
+export const calculateDocumentStatusCounts = (documents, asOf = new Date()) => {
   const counts = {
     pending: 0,
     expired: 0,
@@ -59,7 +84,7 @@ export const calculateDocumentStatusCounts = (documents) => {
   };
 
   documents.forEach(doc => {
-    const status = calculateDocumentStatus(doc);
+    const status = calculateDocumentStatus(doc, asOf);
     counts[status]++;
   });
 
@@ -72,15 +97,22 @@ export const calculateDocumentStatusCounts = (documents) => {
  *
  * @param {Array} documents - Array of document objects for the driver
  * @param {number} totalDocuments - Total number of documents for the driver
+ * @param {number} missingRequiredCount - Number of mandatory document types the driver has not uploaded
+ * @param {Date|string} [asOf] - Reference date to evaluate against (defaults to now)
  * @returns {string} - Compliance status: 'No Documents', 'Critical', 'Warning', or 'Compliant'
  */
-export const calculateDriverComplianceStatus = (documents, totalDocuments = 0) => {
+export const calculateDriverComplianceStatus = (documents, totalDocuments = 0, missingRequiredCount = 0, asOf = new Date()) => {
+  // Missing mandatory documents are critical regardless of what was uploaded
+  if (missingRequiredCount > 0) {
+    return 'Critical';
+  }
+
   // If no documents, status is critical
   if (!documents || documents.length === 0 || totalDocuments === 0) {
     return 'No Documents';
   }
 
-  const counts = calculateDocumentStatusCounts(documents);
+  const counts = calculateDocumentStatusCounts(documents, asOf);
 
   // If any expired documents, status is critical
   if (counts.expired > 0) {
@@ -104,12 +136,13 @@ export const calculateDriverComplianceStatus = (documents, totalDocuments = 0) =
  * Get days until expiry for a document
  *
  * @param {Date|string|null} expiryDate - The expiry date
+ * @param {Date|string} [asOf] - Reference date to count from (defaults to now)
  * @returns {number|null} - Number of days until expiry, or null if no expiry date
  */
-export const getDaysUntilExpiry = (expiryDate) => {
+export const getDaysUntilExpiry = (expiryDate, asOf = new Date()) => {
   if (!expiryDate) return null;
 
-  const today = new Date();
+  const today = new Date(asOf);
   today.setHours(0, 0, 0, 0);
 
   const expiry = new Date(expiryDate);
@@ -7,6 +7,7 @@
  * - isDefault: Whether this is a system default (cannot be deleted)
  * - extractionMode: "fields" (extract specific fields) or "classification-only" (just identify type)
  * - fields: Array of extractable fields with their properties
+ * - confidenceThreshold: Optional AI confidence (0-100) below which scans go to the review queue
  */
 
 import { z } from 'zod';
@@ -77,6 +78,12 @@ export const documentTypeConfigSchema = z.object({
   description: z.string()
     .max(500, 'Description must be 500 characters or less')
     .optional(),
+  confidenceThreshold: z.number({
+    errorMap: () => ({ message: '"confidenceThreshold" must be a number between 0 and 100' })
+  })
+    .min(0, '"confidenceThreshold" must be between 0 and 100')
+    .max(100, '"confidenceThreshold" must be between 0 and 100')
+    .optional(),
 })
 .strict()
 .refine(
@@ -1,6 +1,15 @@
+import { z } from "zod";
+
 /**
  * DSP Role-Based Access Control (RBAC) Capabilities
- * Defines what each DSP role can do
+ * Defines what each built-in DSP role can do. Companies can also define custom roles
+ * (CustomRole) with their own capability set; a member with a custom role gets its
+ * capabilities and keeps the role's baseRole as dspRole, so role-based recipients and
+ * audit log scoping still see a built-in role.
+ *
+ * view_driver_pii: see document numbers and personal fields the AI extracted (masked otherwise)
+ * download_documents: get download links to the original document files
+ * export_data: export audit and security logs
  */
 
 export const DSP_CAPABILITIES = {
@@ -14,6 +23,9 @@ export const DSP_CAPABILITIES = {
     configure_reminders: true,
     view_dashboard: true,
     access_settings: true,
+    view_driver_pii: true,
+    download_documents: true,
+    export_data: true,
   },
   COMPLIANCE_MANAGER: {
     manage_users: false,
@@ -25,6 +37,9 @@ export const DSP_CAPABILITIES = {
     configure_reminders: true,
     view_dashboard: false,
     access_settings: false,
+    view_driver_pii: true,
+    download_documents: true,
+    export_data: false,
   },
   HR_LEAD: {
     manage_users: false,
@@ -36,6 +51,9 @@ export const DSP_CAPABILITIES = {
     configure_reminders: true,
     view_dashboard: false,
     access_settings: false,
+    view_driver_pii: true,
+    download_documents: true,
+    export_data: false,
   },
   VIEWER: {
     manage_users: false,
@@ -47,6 +65,9 @@ export const DSP_CAPABILITIES = {
     configure_reminders: false,
     view_dashboard: false,
     access_settings: false,
+    view_driver_pii: false,
+    download_documents: false,
+    export_data: false,
   },
   BILLING: {
     manage_users: false,
@@ -58,77 +79,89 @@ export const DSP_CAPABILITIES = {
     configure_reminders: false,
     view_dashboard: false,
     access_settings: false,
+    view_driver_pii: false,
+    download_documents: false,
+    export_data: false,
   },
 };
 
-/**
- * Check if a user has a specific capability
- * @param {Object} user - User object with role and dspRole
- * @param {string} capability - Capability to check
- * @returns {boolean} - True if user has the capability
- */
-export function hasDSPCapability(user, capability) {
-  // SUPER_ADMIN bypasses all checks
-  if (user.role === "SUPER_ADMIN") {
-    return true;
-  }
+export const DSP_ROLES = Object.keys(DSP_CAPABILITIES);
 
-  // If no dspRole is set, deny access (safety default)
-  if (!user.dspRole) {
-    return false;
-  }
+export const CAPABILITIES = Object.keys(DSP_CAPABILITIES.ADMIN);
 
-  // Check capability in mapping
-  const capabilities = DSP_CAPABILITIES[user.dspRole];
-  if (!capabilities) {
-    return false;
-  }
+// Built-in roles a custom role can be cloned from; ADMIN is reserved for the company owner
+export const CUSTOM_ROLE_BASE_ROLES = DSP_ROLES.filter((role) => role !== "ADMIN");
+
+export const customRoleSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(50)
+    .refine((name) => !DSP_ROLES.includes(name.toUpperCase().replace(/\s+/g, "_")), "Name is taken by a built-in role"),
+  description: z.string().trim().max(200).nullable().optional(),
+  baseRole: z.enum(CUSTOM_ROLE_BASE_ROLES),
+  capabilities: z.record(z.boolean()).optional()
+    .refine(
+      (capabilities) => !capabilities || Object.keys(capabilities).every((capability) => CAPABILITIES.includes(capability)),
+      { message: `Capabilities must be among: ${CAPABILITIES.join(", ")}` }
+    ),
+}).strict();
 
-  return capabilities[capability] === true;
+/**
+ * Build a full capability set from a stored or submitted one
+ * Unknown capabilities are dropped and missing ones are denied.
+ * @param {Object} capabilities - { capability: boolean }
+ * @returns {Object} - Object with all capabilities
+ */
+export function normalizeCapabilities(capabilities) {
+  return Object.fromEntries(CAPABILITIES.map((capability) => [capability, capabilities?.[capability] === true]));
 }
 
 /**
  * Get all capabilities for a user
- * @param {Object} user - User object with role and dspRole
+ * @param {Object} user - User object with role, dspRole and (when assigned) customRole ({ capabilities })
  * @returns {Object} - Object with all capabilities
  */
 export function getUserCapabilities(user) {
   // SUPER_ADMIN gets all capabilities
   if (user.role === "SUPER_ADMIN") {
-    return {
-      manage_users: true,
-      manage_billing: true,
-      view_audit_logs: true,
-      create_edit_drivers: true,
-      upload_documents: true,
-      delete_documents: true,
-      configure_reminders: true,
-      view_dashboard: true,
-      access_settings: true,
-    };
+    return normalizeCapabilities(DSP_CAPABILITIES.ADMIN);
   }
 
-  // Return capabilities for dspRole
-  if (user.dspRole) {
-    return DSP_CAPABILITIES[user.dspRole] || {};
+  // A company-defined role replaces the built-in role's capabilities
+  if (user.customRole) {
+    return normalizeCapabilities(user.customRole.capabilities);
   }
 
-  // Default: no capabilities
-  return {
-    manage_users: false,
-    manage_billing: false,
-    view_audit_logs: false,
-    create_edit_drivers: false,
-    upload_documents: false,
-    delete_documents: false,
-    configure_reminders: false,
-    view_dashboard: false,
-    access_settings: false,
-  };
+  // Default (no dspRole): no capabilities
+  return normalizeCapabilities(DSP_CAPABILITIES[user.dspRole]);
+}
+
+/**
+ * Capabilities a role would gain that a user doesn't hold (letting a 'manage_users'
+ * member create, edit or assign such a role would give others more access than they have)
+ * @param {Object} user - Editor, inviter or updater
+ * @param {Object} capabilities - Role's capabilities (normalized)
+ * @param {Object} [previousCapabilities] - Capabilities already granted, when editing a role
+ * @returns {string[]}
+ */
+export function getUnheldCapabilities(user, capabilities, previousCapabilities = {}) {
+  const held = getUserCapabilities(user);
+  return Object.keys(capabilities).filter((capability) =>
+    capabilities[capability] && !previousCapabilities[capability] && !held[capability]
+  );
+}
+
+/**
+ * Check if a user has a specific capability
+ * @param {Object} user - User object with role, dspRole and (when assigned) customRole
+ * @param {string} capability - Capability to check
+ * @returns {boolean} - True if user has the capability
+ */
+export function hasDSPCapability(user, capability) {
+  return getUserCapabilities(user)[capability] === true;
 }
 
 export default {
   DSP_CAPABILITIES,
   hasDSPCapability,
   getUserCapabilities,
+  getUnheldCapabilities,
 };
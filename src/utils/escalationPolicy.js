@@ -0,0 +1,171 @@
+import { z } from 'zod';
+import { DSP_ROLES } from './dspCapabilities.js';
+
+/**
+ * Escalation Policies
+ *
+ * A company stores an array of escalation policies on Company.escalationPolicies.
+ * Each policy applies to some document types (empty = every type without its own
+ * policy) and lists steps: from `daysBeforeExpiry` days before expiry the step's
+ * recipients are notified, and each later step escalates to more people.
+ * Negative days mean after expiry; `repeatDaily` steps are re-sent every day
+ * until a renewal is uploaded. Documents covered by a policy ignore Company.reminderDays.
+ *
+ * Recipients are 'driver', 'company_admin' (Company.adminEmail/adminPhone) or a
+ * DSPRole, which resolves to every team member with that role.
+ *
+ * Example:
+ * [
+ *   {
+ *     "name": "Licences",
+ *     "documentTypes": ["Driver's Licence"],
+ *     "steps": [
+ *       { "daysBeforeExpiry": 30, "recipients": ["driver"] },
+ *       { "daysBeforeExpiry": 14, "recipients": ["driver", "COMPLIANCE_MANAGER"] },
+ *       { "daysBeforeExpiry": 3, "recipients": ["driver", "ADMIN", "company_admin"] },
+ *       { "daysBeforeExpiry": 0, "recipients": ["ADMIN", "COMPLIANCE_MANAGER"], "repeatDaily": true }
+ *     ]
+ *   }
+ * ]
+ */
+
+export const DRIVER_RECIPIENT = 'driver';
+export const COMPANY_ADMIN_RECIPIENT = 'company_admin';
+export const ESCALATION_RECIPIENTS = [DRIVER_RECIPIENT, COMPANY_ADMIN_RECIPIENT, ...DSP_ROLES];
+
+export const escalationStepSchema = z.object({
+  daysBeforeExpiry: z.number().int().min(-365).max(365),
+  recipients: z.array(z.enum(ESCALATION_RECIPIENTS)).min(1, 'At least one recipient is required'),
+  repeatDaily: z.boolean().optional().default(false),
+}).strict();
+
+export const escalationPolicySchema = z.object({
+  name: z.string().trim().min(1, 'Policy name is required'),
+  documentTypes: z.array(z.string().trim().min(1)).optional().default([]),
+  steps: z.array(escalationStepSchema)
+    .min(1, 'At least one step is required')
+    .refine(
+      (steps) => new Set(steps.map((step) => step.daysBeforeExpiry)).size === steps.length,
+      { message: 'Two steps cannot start on the same day' }
+    ),
+}).strict();
+
+export const escalationPoliciesSchema = z.array(escalationPolicySchema)
+  .refine(
+    (policies) => {
+      const keys = policies.flatMap((policy) =>
+        policy.documentTypes.length > 0 ? policy.documentTypes : ['*']
+      );
+      return new Set(keys).size === keys.length;
+    },
+    { message: 'Each document type can only have one escalation policy (and only one policy can cover all types)' }
+  );
+
+/**
+ * Normalize whatever is stored in Company.escalationPolicies into a clean array.
+ * Invalid policies are dropped rather than failing the whole reminder run.
+ * @param {any} rawPolicies - Value of Company.escalationPolicies
+ * @returns {Array} - Array of { name, documentTypes, steps } with steps sorted earliest first
+ */
+export const normalizeEscalationPolicies = (rawPolicies) => {
+  if (!Array.isArray(rawPolicies)) {
+    return [];
+  }
+
+  return rawPolicies
+    .map((entry) => escalationPolicySchema.safeParse(entry))
+    .filter((result) => result.success)
+    .map(({ data }) => ({
+      ...data,
+      steps: [...data.steps].sort((a, b) => b.daysBeforeExpiry - a.daysBeforeExpiry),
+    }));
+};
+
+/**
+ * Find the policy covering a document type (a policy naming the type beats a catch-all)
+ * @param {Array} policies - Normalized policies
+ * @param {string} documentType - Document type name
+ * @returns {Object|null}
+ */
+export const findEscalationPolicy = (policies, documentType) =>
+  policies.find((policy) => policy.documentTypes.includes(documentType))
+  || policies.find((policy) => policy.documentTypes.length === 0)
+  || null;
+
+/**
+ * Get the step a document has escalated to: the latest step whose start has been reached.
+ * A document first seen late (e.g. uploaded 2 days before expiry) goes straight to that step.
+ * @param {Object} policy - Normalized policy
+ * @param {number} daysUntilExpiry - Days until expiry (negative once expired)
+ * @returns {Object|null} - { step, level, reminderDays } where `reminderDays` is the value
+ *   recorded as DocumentReminder.daysBeforeExpiry: the step's start, or today's count for
+ *   repeatDaily steps so each day is sent once
+ */
+export const getEscalationStep = (policy, daysUntilExpiry) => {
+  let level = -1;
+  policy.steps.forEach((step, index) => {
+    if (daysUntilExpiry <= step.daysBeforeExpiry) {
+      level = index;
+    }
+  });
+
+  if (level === -1) {
+    return null;
+  }
+
+  const step = policy.steps[level];
+  return {
+    step,
+    level,
+    reminderDays: step.repeatDaily ? daysUntilExpiry : step.daysBeforeExpiry,
+  };
+};
+
+/**
+ * Resolve a step's recipients to email addresses and phone numbers.
+ * Team members have no phone number on file, so DSPRole recipients are emailed only.
+ * @param {string[]} recipients - Step recipients
+ * @param {Object} context
+ * @param {Object} context.company - { adminEmail, adminPhone }
+ * @param {Object} context.driver - { email, phone }
+ * @param {Array} context.teamMembers - Company users ({ email, dspRole })
+ * @returns {Object} - { emails: string[], phones: string[] } without duplicates
+ */
+export const resolveEscalationRecipients = (recipients, { company, driver, teamMembers = [] }) => {
+  const emails = new Set();
+  const phones = new Set();
+
+  recipients.forEach((recipient) => {
+    if (recipient === DRIVER_RECIPIENT) {
+      if (driver?.email) emails.add(driver.email);
+      if (driver?.phone) phones.add(driver.phone);
+    } else if (recipient === COMPANY_ADMIN_RECIPIENT) {
+      if (company?.adminEmail) emails.add(company.adminEmail);
+      if (company?.adminPhone) phones.add(company.adminPhone);
+    } else {
+      teamMembers
+        .filter((member) => member.dspRole === recipient && member.email)
+        .forEach((member) => emails.add(member.email));
+    }
+  });
+
+  return { emails: [...emails], phones: [...phones] };
+};
+
+/**
+ * Find documents that already have a renewal: another of the driver's documents names
+ * them as the version it supersedes (e.g. a renewal still awaiting review).
+ * Reminders and escalations stop for these. Renewals are never guessed from the
+ * document type or upload date: a driver can hold several current documents of one type.
+ * @param {Array} documents - A driver's current documents ({ id, supersedesId })
+ * @returns {Set<string>} - IDs of the documents that have been renewed
+ */
+export const findRenewedDocumentIds = (documents) => {
+  const ids = new Set(documents.map((document) => document.id));
+
+  return new Set(
+    documents
+      .map((document) => document.supersedesId)
+      .filter((supersedesId) => supersedesId && ids.has(supersedesId))
+  );
+};
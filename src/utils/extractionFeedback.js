@@ -0,0 +1,101 @@
+/**
+ * Extraction Feedback
+ *
+ * Compares what the AI extracted from a document with the values staff saved,
+ * and summarizes those comparisons into per-document-type accuracy figures.
+ */
+
+// AI field name -> Document column it is saved to
+export const FEEDBACK_FIELDS = {
+  documentType: 'type',
+  documentNumber: 'documentNumber',
+  issueDate: 'issueDate',
+  expiryDate: 'expiryDate',
+};
+
+/**
+ * Normalize a field value for storage (dates become YYYY-MM-DD)
+ * @param {any} value - AI or saved value
+ * @returns {string|null}
+ */
+export const normalizeFeedbackValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+
+  const text = String(value).trim();
+  if (text === '') return null;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) return text.split('T')[0];
+  return text;
+};
+
+// Case, spacing and punctuation differences are not corrections
+const comparisonKey = (value) => (value === null ? null : value.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+
+/**
+ * Compare the AI-extracted data of a document with its saved values
+ * Only fields the AI was asked to extract (present in aiExtractedData) are compared.
+ * @param {Object} aiExtractedData - Document.aiExtractedData
+ * @param {Object} savedDocument - Document after the update
+ * @returns {Array} [{ field, aiValue, correctedValue, corrected }]
+ */
+export const compareExtraction = (aiExtractedData, savedDocument) => {
+  if (!aiExtractedData || typeof aiExtractedData !== 'object') return [];
+
+  return Object.entries(FEEDBACK_FIELDS)
+    .filter(([field]) => field in aiExtractedData)
+    .map(([field, column]) => {
+      const aiValue = normalizeFeedbackValue(aiExtractedData[field]);
+      const correctedValue = normalizeFeedbackValue(savedDocument[column]);
+      return {
+        field,
+        aiValue,
+        correctedValue,
+        corrected: comparisonKey(aiValue) !== comparisonKey(correctedValue),
+      };
+    })
+    .filter((row) => row.aiValue !== null || row.correctedValue !== null);
+};
+
+const toPercent = (correct, total) => (total > 0 ? Math.round((correct / total) * 1000) / 10 : null);
+
+/**
+ * Summarize feedback counts into per-document-type accuracy
+ * @param {Array} counts - [{ documentType, field, corrected, count }]
+ * @param {Object} [documentCounts] - Map of document type -> number of documents with feedback
+ * @returns {Array} [{ documentType, documents, fieldsReviewed, fieldsCorrected, accuracy, fields: [...] }]
+ *   sorted by number of reviewed fields
+ */
+export const summarizeAccuracy = (counts, documentCounts = {}) => {
+  const byType = {};
+
+  counts.forEach(({ documentType, field, corrected, count }) => {
+    const type = byType[documentType] || (byType[documentType] = { fieldsReviewed: 0, fieldsCorrected: 0, fields: {} });
+    const fieldStats = type.fields[field] || (type.fields[field] = { reviewed: 0, corrected: 0 });
+
+    type.fieldsReviewed += count;
+    fieldStats.reviewed += count;
+    if (corrected) {
+      type.fieldsCorrected += count;
+      fieldStats.corrected += count;
+    }
+  });
+
+  return Object.entries(byType)
+    .map(([documentType, type]) => ({
+      documentType,
+      documents: documentCounts[documentType] || 0,
+      fieldsReviewed: type.fieldsReviewed,
+      fieldsCorrected: type.fieldsCorrected,
+      accuracy: toPercent(type.fieldsReviewed - type.fieldsCorrected, type.fieldsReviewed),
+      fields: Object.entries(type.fields)
+        .map(([field, stats]) => ({
+          field,
+          ...stats,
+          accuracy: toPercent(stats.reviewed - stats.corrected, stats.reviewed),
+        }))
+        .sort((a, b) => a.accuracy - b.accuracy),
+    }))
+    .sort((a, b) => b.fieldsReviewed - a.fieldsReviewed);
+};
@@ -0,0 +1,99 @@
+/**
+ * Extraction Review Rules
+ *
+ * Decides whether an AI extraction can be trusted or has to go to the review queue.
+ * An extraction needs review when:
+ * - the overall confidence is below the document type's confidenceThreshold
+ * - any extracted field reports a confidence below that threshold
+ * - validateExtractedData() reported errors (e.g. a missing required field)
+ */
+
+// Used when a document type does not define its own confidenceThreshold
+export const DEFAULT_CONFIDENCE_THRESHOLD = 70;
+
+/**
+ * Coerce an AI-reported confidence into a number between 0 and 100
+ * @param {any} value - Confidence as returned by the model
+ * @returns {number|null} - Normalized confidence, or null when missing/invalid
+ */
+export const normalizeConfidence = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const score = Number(value);
+  if (Number.isNaN(score)) {
+    return null;
+  }
+
+  return Math.min(100, Math.max(0, score));
+};
+
+/**
+ * Get the confidence threshold configured for a document type
+ * @param {Object} documentTypeConfig - Document type configuration
+ * @returns {number} - Threshold (0-100)
+ */
+export const getConfidenceThreshold = (documentTypeConfig) => {
+  const threshold = normalizeConfidence(documentTypeConfig?.confidenceThreshold);
+  return threshold === null ? DEFAULT_CONFIDENCE_THRESHOLD : threshold;
+};
+
+/**
+ * Evaluate an AI extraction against the document type's review rules
+ *
+ * @param {Object} params
+ * @param {Object} params.documentTypeConfig - Document type configuration ({ confidenceThreshold, fields })
+ * @param {any} params.confidence - Overall confidence reported by the AI (0-100)
+ * @param {Object} [params.fieldConfidence] - Map of field name -> confidence reported by the AI
+ * @param {Object} [params.validation] - Result of validateExtractedData()
+ * @param {Object} [params.machineReadable] - MRZ / barcode comparison ({ source, disagreements })
+ * @returns {Object} - { required, threshold, confidence, reasons, lowConfidenceFields, validationErrors, disagreements }
+ */
+export const evaluateExtractionReview = ({ documentTypeConfig, confidence, fieldConfidence, validation, machineReadable }) => {
+  const threshold = getConfidenceThreshold(documentTypeConfig);
+  const overallConfidence = normalizeConfidence(confidence);
+  const reasons = [];
+
+  if (overallConfidence !== null && overallConfidence < threshold) {
+    reasons.push(`Low AI confidence (${overallConfidence}%)`);
+  }
+
+  const lowConfidenceFields = [];
+  const fields = (documentTypeConfig?.fields || []).filter(
+    (field) => field.aiExtractable && field.name !== 'documentType'
+  );
+
+  if (fieldConfidence && typeof fieldConfidence === 'object') {
+    fields.forEach((field) => {
+      const score = normalizeConfidence(fieldConfidence[field.name]);
+      if (score !== null && score < threshold) {
+        lowConfidenceFields.push({ field: field.name, label: field.label, confidence: score });
+      }
+    });
+  }
+
+  if (lowConfidenceFields.length > 0) {
+    reasons.push(`Low confidence in ${lowConfidenceFields.map((f) => f.label).join(', ')}`);
+  }
+
+  const validationErrors = validation && !validation.valid ? validation.errors || [] : [];
+  if (validationErrors.length > 0) {
+    reasons.push('Extracted data failed validation');
+  }
+
+  const disagreements = machineReadable?.disagreements || [];
+  if (disagreements.length > 0) {
+    reasons.push(`AI extraction disagrees with the ${machineReadable.source} on ${disagreements.map((d) => d.label).join(', ')}`);
+  }
+
+  return {
+    required: reasons.length > 0,
+    threshold,
+    confidence: overallConfidence,
+    reasons,
+    lowConfidenceFields,
+    validationErrors,
+    disagreements,
+  };
+};
@@ -0,0 +1,147 @@
+/**
+ * iCalendar
+ *
+ * Builds the RFC 5545 (.ics) calendar served by the company calendar feed
+ * (see controllers/calendarFeedController.js). Only the subset calendar clients need
+ * for subscriptions: all-day and timed VEVENTs, RRULE recurrences (built by
+ * utils/recurrence.js), categories.
+ */
+
+import { getZonedParts } from './timezoneUtils.js';
+
+const PRODUCT_ID = '-//Complyo//Compliance Calendar//EN';
+
+// Calendar clients re-fetch subscriptions at most this often
+const REFRESH_INTERVAL = 'PT6H';
+
+// Length of custom reminder events
+const DEFAULT_EVENT_DURATION = 'PT30M';
+
+// Maximum line length in octets before folding (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ * Never splits a multi-byte character.
+ * @param {string} line
+ * @returns {string} Line with CRLF-space folds
+ */
+export const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format a 'YYYY-MM-DD' date as an iCalendar DATE
+ * @param {string} dateKey
+ * @returns {string} 'YYYYMMDD'
+ */
+export const formatDate = (dateKey) => dateKey.replace(/-/g, '');
+
+/**
+ * Format an instant as a UTC iCalendar DATE-TIME
+ * @param {Date} date
+ * @returns {string} 'YYYYMMDDTHHMMSSZ'
+ */
+export const formatUtcDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format an instant as a wall-clock DATE-TIME in a timezone (used with TZID)
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone
+ * @returns {string} 'YYYYMMDDTHHMMSS'
+ */
+export const formatLocalDateTime = (date, timezone) => {
+  const parts = getZonedParts(new Date(date), timezone);
+  return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+};
+
+const buildEvent = (event, timezone, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`,
+  ];
+
+  if (event.date) {
+    // All-day event; DTEND is exclusive
+    const [year, month, day] = event.date.split('-').map(Number);
+    const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay)}`);
+  } else {
+    lines.push(
+      `DTSTART;TZID=${timezone}:${formatLocalDateTime(event.start, timezone)}`,
+      `DURATION:${event.duration || DEFAULT_EVENT_DURATION}`
+    );
+  }
+
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown by the client
+ * @param {string} params.timezone - IANA timezone for timed events
+ * @param {Array} params.events - [{ uid, summary, description?, date? ('YYYY-MM-DD', all-day) | start? (Date),
+ *   duration?, rrule?, categories?, url? }]
+ * @param {Date} [params.stamp=new Date()] - DTSTAMP for every event
+ * @returns {string} .ics content with CRLF line endings
+ */
+export const buildCalendar = ({ name, timezone, events, stamp = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flatMap((event) => buildEvent(event, timezone, stamp)),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
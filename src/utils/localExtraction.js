@@ -0,0 +1,221 @@
+/**
+ * Local (offline) Document Extraction
+ *
+ * Deterministic, rule-based extraction used by the "local" LLM provider.
+ * It classifies OCR text by keywords and fills configured fields from the
+ * Textract key/value pairs and text lines, so the scan pipeline can run in
+ * tests and staging without an LLM. Confidence scores are deliberately
+ * conservative so uncertain results go to the review queue.
+ */
+
+// Extra keywords for the default document types (the type name itself always counts)
+const TYPE_KEYWORDS = {
+  "Driver's Licence": ['licence', 'license', 'driver', 'permis de conduire', 'class'],
+  'Driver Abstract': ['abstract', 'driving record', 'demerit', 'convictions'],
+  'Work Eligibility': ['passport', 'permanent resident', 'work permit', 'citizenship', 'immigration'],
+  'Background Check': ['background', 'criminal record', 'police', 'clearance'],
+  'Insurance': ['insurance', 'policy', 'insured', 'coverage', 'liability'],
+  'Registration': ['registration', 'vehicle', 'vin', 'plate'],
+  'WHMIS/Training Certificates': ['whmis', 'training', 'certificate', 'certified'],
+  'Policy Acknowledgments': ['acknowledg', 'policy', 'signature'],
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+// Confidence reported for a field found next to a matching label vs. inferred from the text
+const LABELLED_CONFIDENCE = 85;
+const INFERRED_CONFIDENCE = 60;
+
+/**
+ * Get the OCR text lines and key/value pairs from any supported OCR output
+ * @param {Object} ocrData - Lambda output ({ extractedData, allText }), raw Textract ({ Blocks }) or { fullText }
+ * @returns {Object} { lines: string[], keyValues: Object }
+ */
+export const getOcrContent = (ocrData) => {
+  if (!ocrData || typeof ocrData !== 'object') {
+    return { lines: [], keyValues: {} };
+  }
+
+  let lines = [];
+  if (Array.isArray(ocrData.allText)) {
+    lines = ocrData.allText;
+  } else if (Array.isArray(ocrData.Blocks)) {
+    lines = ocrData.Blocks.filter((b) => b.BlockType === 'LINE' && b.Text).map((b) => b.Text);
+  } else if (typeof ocrData.fullText === 'string') {
+    lines = ocrData.fullText.split('\n');
+  }
+
+  const keyValues = ocrData.extractedData && typeof ocrData.extractedData === 'object'
+    ? ocrData.extractedData
+    : {};
+
+  return {
+    lines: lines.map((line) => String(line).trim()).filter(Boolean),
+    keyValues,
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Find all dates in a string and return them as YYYY-MM-DD
+ * Supports 2025-01-31, 2025/01/31, 31/01/2025, 31-Jan-2025, Jan 31, 2025 and 31 JAN 2025
+ * @param {string} text - Text to search
+ * @returns {string[]} ISO dates in order of appearance
+ */
+export const findDates = (text) => {
+  if (!text) return [];
+  const found = [];
+  const patterns = [
+    { regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g, map: (m) => toIsoDate(+m[1], +m[2], +m[3]) },
+    { regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/g, map: (m) => toIsoDate(+m[3], +m[2], +m[1]) },
+    {
+      regex: /\b(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-,]+(\d{4})\b/g,
+      map: (m) => MONTHS[m[2].toLowerCase()] && toIsoDate(+m[3], MONTHS[m[2].toLowerCase()], +m[1]),
+    },
+    {
+      regex: /\b([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/g,
+      map: (m) => MONTHS[m[1].toLowerCase()] && toIsoDate(+m[3], MONTHS[m[1].toLowerCase()], +m[2]),
+    },
+  ];
+
+  patterns.forEach(({ regex, map }) => {
+    for (const match of text.matchAll(regex)) {
+      const iso = map(match);
+      if (iso) found.push({ iso, index: match.index });
+    }
+  });
+
+  return found.sort((a, b) => a.index - b.index).map((d) => d.iso);
+};
+
+/**
+ * Classify OCR text as one of the available document types by keyword score
+ * @param {string[]} lines - OCR text lines
+ * @param {string[]} availableTypes - Document type names to choose from
+ * @returns {Object} { documentType, confidence }
+ */
+export const classifyDocumentLocally = (lines, availableTypes) => {
+  const text = lines.join('\n').toLowerCase();
+  let best = { documentType: availableTypes.includes('Other') ? 'Other' : availableTypes[0], score: 0 };
+
+  availableTypes.forEach((type) => {
+    const keywords = [type.toLowerCase(), ...(TYPE_KEYWORDS[type] || [])];
+    const score = keywords.reduce((sum, keyword) => sum + (text.includes(keyword) ? 1 : 0), 0);
+    if (score > best.score) {
+      best = { documentType: type, score };
+    }
+  });
+
+  // Two or more keyword hits is a reasonably confident match
+  const confidence = best.score === 0 ? 20 : Math.min(90, 40 + best.score * 20);
+  return { documentType: best.documentType, confidence };
+};
+
+// Words that identify a field in labels, e.g. expiryDate / "Expiry Date" -> ['expiry', 'expiry date', ...]
+const fieldKeywords = (field) => {
+  const fromName = field.name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[\s_]+/);
+  const fromLabel = (field.label || '').toLowerCase().split('/').map((phrase) => phrase.trim());
+  const keywords = new Set([...fromName, ...fromLabel].filter((word) => word.length > 2 && word !== 'date'));
+
+  if (keywords.has('expiry') || keywords.has('expiration')) ['exp', 'expires', 'valid until'].forEach((k) => keywords.add(k));
+  if (keywords.has('issue') || keywords.has('issued')) ['iss', 'issued'].forEach((k) => keywords.add(k));
+  return [...keywords];
+};
+
+const findLabelledValue = (field, keyValues, lines) => {
+  const keywords = fieldKeywords(field);
+  const matches = (label) => keywords.some((keyword) => label.toLowerCase().includes(keyword));
+
+  const key = Object.keys(keyValues).find((k) => matches(k) && keyValues[k]);
+  if (key) return keyValues[key];
+
+  // "Expiry: 2026-01-31" on a single line
+  const line = lines.find((l) => l.includes(':') && matches(l.split(':')[0]));
+  return line ? line.split(':').slice(1).join(':').trim() : null;
+};
+
+const extractField = (field, content) => {
+  const { lines, keyValues } = content;
+  const labelled = findLabelledValue(field, keyValues, lines);
+
+  switch (field.type) {
+    case 'date': {
+      const labelledDate = findDates(labelled || '')[0];
+      if (labelledDate) return { value: labelledDate, confidence: LABELLED_CONFIDENCE };
+
+      // Without a label, the latest date is usually the expiry and the earliest the issue date
+      const dates = [...new Set(findDates(lines.join('\n')))].sort();
+      if (dates.length === 0) return null;
+      const name = field.name.toLowerCase();
+      if (name.includes('expir')) return { value: dates[dates.length - 1], confidence: INFERRED_CONFIDENCE };
+      if (name.includes('issue')) return { value: dates[0], confidence: INFERRED_CONFIDENCE };
+      return null;
+    }
+
+    case 'select': {
+      const text = `${labelled || ''}\n${lines.join('\n')}`.toLowerCase();
+      const option = (field.options || []).find((opt) => text.includes(opt.toLowerCase()));
+      if (!option) return null;
+      return { value: option, confidence: labelled ? LABELLED_CONFIDENCE : INFERRED_CONFIDENCE };
+    }
+
+    case 'number': {
+      const number = labelled && labelled.match(/-?\d+(\.\d+)?/);
+      return number ? { value: Number(number[0]), confidence: LABELLED_CONFIDENCE } : null;
+    }
+
+    case 'boolean':
+      return null;
+
+    default:
+      return labelled ? { value: labelled, confidence: LABELLED_CONFIDENCE } : null;
+  }
+};
+
+/**
+ * Extract configured fields from OCR output without an LLM
+ * @param {Object} ocrData - OCR output (see getOcrContent)
+ * @param {Array} fields - Field configuration array
+ * @returns {Object} Extracted data with confidence, fieldConfidence and missingRequiredFields
+ */
+export const extractFieldsLocally = (ocrData, fields = []) => {
+  const content = getOcrContent(ocrData);
+  const data = {};
+  const fieldConfidence = {};
+  const missingRequiredFields = [];
+
+  fields
+    .filter((field) => field.aiExtractable && field.name !== 'documentType')
+    .forEach((field) => {
+      const result = extractField(field, content);
+      data[field.name] = result ? result.value : null;
+      if (result) {
+        fieldConfidence[field.name] = result.confidence;
+      } else if (field.required) {
+        missingRequiredFields.push(field.name);
+      }
+    });
+
+  const scores = Object.values(fieldConfidence);
+  const average = scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : 50;
+
+  return {
+    ...data,
+    confidence: Math.round(missingRequiredFields.length > 0 ? Math.min(average, 50) : average),
+    fieldConfidence,
+    missingRequiredFields,
+    extractionNotes: 'Extracted by the local rule-based provider',
+  };
+};
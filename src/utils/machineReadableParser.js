@@ -0,0 +1,318 @@
+/**
+ * Machine-Readable Document Parser
+ *
+ * Deterministic parsers for the machine-readable data printed on identity documents:
+ * - ICAO 9303 MRZ (passports TD3, ID cards TD1/TD2), read from the OCR text lines,
+ *   validated with the MRZ check digits
+ * - AAMVA PDF417 barcode payloads (North American driver's licences), read from
+ *   the decoded barcode text in the OCR output (`barcodes`) or the OCR text itself.
+ *   AAMVA has no check digits, so it is validated by its header, mandatory
+ *   elements and date consistency.
+ *
+ * Field names match the document type configuration (documentNumber, expiryDate,
+ * dateOfBirth, ...), so verified values can replace what the LLM extracted.
+ */
+
+import { getOcrContent } from './localExtraction.js';
+
+const MRZ_WEIGHTS = [7, 3, 1];
+
+// Line count and length of each ICAO 9303 MRZ format
+const MRZ_FORMATS = {
+  TD3: { lines: 2, length: 44 },
+  TD2: { lines: 2, length: 36 },
+  TD1: { lines: 3, length: 30 },
+};
+
+// AAMVA element IDs mapped to document fields
+const AAMVA_ELEMENTS = {
+  DAQ: 'documentNumber',
+  DBA: 'expiryDate',
+  DBB: 'dateOfBirth',
+  DBD: 'issueDate',
+  DCS: 'lastName',
+  DAB: 'lastName', // AAMVA 2000 family name
+  DAC: 'firstName',
+  DCT: 'firstName', // AAMVA 2000 given names
+  DAJ: 'province',
+  DCA: 'class',
+  DBC: 'sex',
+  DCG: 'country',
+};
+
+const AAMVA_SEX = { 1: 'M', 2: 'F', 9: 'X' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Compute an ICAO 9303 check digit (weights 7-3-1, A-Z = 10-35, filler "<" = 0)
+ * @param {string} value - MRZ characters
+ * @returns {number} Check digit (0-9)
+ */
+export const computeMrzCheckDigit = (value) => {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    let charValue = 0;
+    if (char >= '0' && char <= '9') {
+      charValue = char.charCodeAt(0) - 48;
+    } else if (char >= 'A' && char <= 'Z') {
+      charValue = char.charCodeAt(0) - 55;
+    }
+    sum += charValue * MRZ_WEIGHTS[i % 3];
+  }
+  return sum % 10;
+};
+
+const checkDigitMatches = (value, digit) => {
+  // An optional field left blank may use "<" as its check digit
+  if (digit === '<') return /^<*$/.test(value);
+  return /^\d$/.test(digit) && computeMrzCheckDigit(value) === Number(digit);
+};
+
+// MRZ dates are YYMMDD; birth dates are in the past, expiry dates rarely more than 50 years out
+const parseMrzDate = (value, kind) => {
+  if (!/^\d{6}$/.test(value)) return null;
+  const yy = Number(value.slice(0, 2));
+  const currentYear = new Date().getUTCFullYear();
+  let year = 2000 + yy;
+  if (kind === 'birth' && year > currentYear) year -= 100;
+  if (kind === 'expiry' && year > currentYear + 50) year -= 100;
+  return toIsoDate(year, Number(value.slice(2, 4)), Number(value.slice(4, 6)));
+};
+
+const cleanMrzText = (value) => value.replace(/<+$/, '').replace(/</g, ' ').trim();
+
+const parseMrzNames = (value) => {
+  const [surname, givenNames = ''] = value.split('<<');
+  return {
+    lastName: cleanMrzText(surname) || null,
+    firstName: cleanMrzText(givenNames.replace(/<{2,}.*$/, '')) || null,
+  };
+};
+
+const documentSubTypeFor = (documentCode) => (documentCode.startsWith('P') ? 'Passport' : null);
+
+const normalizeMrzLine = (line) =>
+  String(line).toUpperCase().replace(/\s+/g, '').replace(/«/g, '<<').replace(/‹/g, '<');
+
+const isMrzCandidate = (line) => /^[A-Z0-9<]+$/.test(line) && line.includes('<') && line.length >= 26;
+
+/**
+ * Find the MRZ lines in OCR text (consecutive lines of MRZ characters)
+ * Short lines are padded with filler, since OCR often drops trailing "<"
+ * @param {string[]} lines - OCR text lines
+ * @returns {Object|null} { format, lines } or null when no MRZ is found
+ */
+export const findMrzLines = (lines) => {
+  const normalized = lines.map(normalizeMrzLine);
+
+  for (let i = 0; i < normalized.length; i++) {
+    for (const [format, spec] of Object.entries(MRZ_FORMATS)) {
+      const group = normalized.slice(i, i + spec.lines);
+      if (group.length !== spec.lines || !group.every(isMrzCandidate)) continue;
+
+      const fits = group.every((line) => line.length <= spec.length && line.length >= spec.length - 4);
+      if (fits) {
+        return { format, lines: group.map((line) => line.padEnd(spec.length, '<')) };
+      }
+    }
+  }
+
+  return null;
+};
+
+const parseTd3OrTd2 = (format, [line1, line2]) => {
+  // The composite check digit covers everything on line 2 before it except nationality and sex
+  const compositeIndex = format === 'TD3' ? 43 : 35;
+  const checks = {
+    documentNumber: checkDigitMatches(line2.slice(0, 9), line2[9]),
+    dateOfBirth: checkDigitMatches(line2.slice(13, 19), line2[19]),
+    expiryDate: checkDigitMatches(line2.slice(21, 27), line2[27]),
+    composite: checkDigitMatches(
+      line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, compositeIndex),
+      line2[compositeIndex]
+    ),
+  };
+  if (format === 'TD3') {
+    checks.personalNumber = checkDigitMatches(line2.slice(28, 42), line2[42]);
+  }
+
+  const documentCode = cleanMrzText(line1.slice(0, 2));
+  return {
+    documentCode,
+    checks,
+    fields: {
+      documentNumber: cleanMrzText(line2.slice(0, 9)) || null,
+      nationality: cleanMrzText(line2.slice(10, 13)) || null,
+      dateOfBirth: parseMrzDate(line2.slice(13, 19), 'birth'),
+      sex: cleanMrzText(line2.slice(20, 21)) || null,
+      expiryDate: parseMrzDate(line2.slice(21, 27), 'expiry'),
+      country: cleanMrzText(line1.slice(2, 5)) || null,
+      documentSubType: documentSubTypeFor(documentCode),
+      ...parseMrzNames(line1.slice(5)),
+    },
+  };
+};
+
+const parseTd1 = ([line1, line2, line3]) => {
+  const documentCode = cleanMrzText(line1.slice(0, 2));
+  return {
+    documentCode,
+    checks: {
+      documentNumber: checkDigitMatches(line1.slice(5, 14), line1[14]),
+      dateOfBirth: checkDigitMatches(line2.slice(0, 6), line2[6]),
+      expiryDate: checkDigitMatches(line2.slice(8, 14), line2[14]),
+      composite: checkDigitMatches(
+        line1.slice(5, 30) + line2.slice(0, 7) + line2.slice(8, 15) + line2.slice(18, 29),
+        line2[29]
+      ),
+    },
+    fields: {
+      documentNumber: cleanMrzText(line1.slice(5, 14)) || null,
+      dateOfBirth: parseMrzDate(line2.slice(0, 6), 'birth'),
+      sex: cleanMrzText(line2.slice(7, 8)) || null,
+      expiryDate: parseMrzDate(line2.slice(8, 14), 'expiry'),
+      nationality: cleanMrzText(line2.slice(15, 18)) || null,
+      country: cleanMrzText(line1.slice(2, 5)) || null,
+      documentSubType: documentSubTypeFor(documentCode),
+      ...parseMrzNames(line3),
+    },
+  };
+};
+
+/**
+ * Parse an ICAO 9303 machine-readable zone
+ * @param {string[]} lines - OCR text lines (the MRZ is located automatically)
+ * @returns {Object|null} { source: 'MRZ', format, documentCode, valid, checks, fields } or null
+ */
+export const parseMrz = (lines) => {
+  const mrz = findMrzLines(lines || []);
+  if (!mrz) return null;
+
+  const parsed = mrz.format === 'TD1' ? parseTd1(mrz.lines) : parseTd3OrTd2(mrz.format, mrz.lines);
+  const valid = Object.values(parsed.checks).every(Boolean)
+    && Boolean(parsed.fields.expiryDate && parsed.fields.dateOfBirth);
+
+  return { source: 'MRZ', format: mrz.format, ...parsed, valid };
+};
+
+// AAMVA dates are MMDDCCYY in the US and CCYYMMDD in Canada
+const parseAamvaDate = (value, canadian) => {
+  if (!/^\d{8}$/.test(value || '')) return null;
+  const usFormat = () => toIsoDate(Number(value.slice(4, 8)), Number(value.slice(0, 2)), Number(value.slice(2, 4)));
+  const canadianFormat = () => toIsoDate(Number(value.slice(0, 4)), Number(value.slice(4, 6)), Number(value.slice(6, 8)));
+  return canadian ? canadianFormat() || usFormat() : usFormat() || canadianFormat();
+};
+
+/**
+ * Parse a decoded AAMVA (PDF417) driver's licence barcode payload
+ * @param {string} payload - Decoded barcode text
+ * @returns {Object|null} { source: 'AAMVA', format, issuerId, valid, checks, fields } or null
+ */
+export const parseAamva = (payload) => {
+  if (typeof payload !== 'string') return null;
+  const header = payload.match(/ANSI ?(\d{6})(\d{2})?/);
+  if (!header) return null;
+
+  const elements = {};
+  payload.split(/[\n\r\x1e]+/).forEach((segment) => {
+    // The first element follows the subfile designator on the header line ("...DLDAQ...")
+    const line = segment.includes('ANSI') ? (segment.match(/DL(D[A-Z]{2}.*)$/) || [])[1] : segment.replace(/^DL(?=D[A-Z]{2})/, '');
+    const element = line && line.match(/^(D[A-Z]{2})(.*)$/);
+    if (element && !(element[1] in elements)) {
+      elements[element[1]] = element[2].trim();
+    }
+  });
+
+  const fields = {};
+  Object.entries(AAMVA_ELEMENTS).forEach(([id, field]) => {
+    if (elements[id] && elements[id] !== 'NONE' && !fields[field]) {
+      fields[field] = elements[id];
+    }
+  });
+
+  const canadian = fields.country === 'CAN';
+  ['expiryDate', 'dateOfBirth', 'issueDate'].forEach((field) => {
+    if (fields[field]) fields[field] = parseAamvaDate(fields[field], canadian);
+  });
+  if (fields.firstName) fields.firstName = fields.firstName.split(',')[0].trim();
+  if (fields.sex) fields.sex = AAMVA_SEX[fields.sex] || fields.sex;
+
+  const checks = {
+    documentNumber: Boolean(fields.documentNumber),
+    expiryDate: Boolean(fields.expiryDate),
+    dateOfBirth: Boolean(fields.dateOfBirth),
+    dateOrder: !fields.issueDate || !fields.expiryDate || fields.issueDate <= fields.expiryDate,
+  };
+
+  return {
+    source: 'AAMVA',
+    format: header[2] ? `AAMVA v${Number(header[2])}` : 'AAMVA',
+    issuerId: header[1],
+    valid: Object.values(checks).every(Boolean),
+    checks,
+    fields,
+  };
+};
+
+/**
+ * Read machine-readable data from OCR output: decoded barcodes first, then an MRZ in the text
+ * @param {Object} ocrData - OCR output ({ allText, barcodes, ... })
+ * @returns {Object|null} The first valid result, otherwise the first one found, otherwise null
+ */
+export const readMachineReadableData = (ocrData) => {
+  const { lines } = getOcrContent(ocrData);
+  const barcodes = Array.isArray(ocrData?.barcodes) ? ocrData.barcodes : [];
+
+  const results = [
+    ...barcodes.map(parseAamva),
+    parseAamva(lines.join('\n')),
+    parseMrz(lines),
+  ].filter(Boolean);
+
+  return results.find((result) => result.valid) || results[0] || null;
+};
+
+const normalizeForComparison = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Replace extracted values with verified machine-readable values for the configured fields
+ * @param {Object} parsedData - Data extracted by the LLM
+ * @param {Object} machineReadable - Result of readMachineReadableData()
+ * @param {Array} fields - Field configuration array
+ * @returns {Object} { data, filledFields, disagreements: [{ field, label, aiValue, machineValue }] }
+ */
+export const mergeMachineReadableFields = (parsedData, machineReadable, fields = []) => {
+  if (!machineReadable?.valid) {
+    return { data: parsedData, filledFields: [], disagreements: [] };
+  }
+
+  const data = { ...parsedData };
+  const filledFields = [];
+  const disagreements = [];
+
+  fields.forEach((field) => {
+    const machineValue = machineReadable.fields[field.name];
+    if (machineValue === null || machineValue === undefined || field.name === 'documentType') return;
+
+    const aiValue = parsedData[field.name];
+    if (aiValue !== null && aiValue !== undefined && aiValue !== ''
+      && normalizeForComparison(aiValue) !== normalizeForComparison(machineValue)) {
+      disagreements.push({ field: field.name, label: field.label, aiValue, machineValue });
+    }
+
+    data[field.name] = machineValue;
+    filledFields.push(field.name);
+  });
+
+  return { data, filledFields, disagreements };
+};
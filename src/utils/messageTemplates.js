@@ -0,0 +1,335 @@
+/**
+ * Message Templates
+ *
+ * Companies can override the text of reminder and invitation messages per event,
+ * channel and language (MessageTemplate model). Templates use {{variable}} placeholders;
+ * each event has a fixed set of variables so typos are caught when a template is saved.
+ * Without a company template the built-in default for the language is used.
+ */
+
+export const TEMPLATE_EVENTS = ['EXPIRING', 'EXPIRED', 'CUSTOM', 'INVITATION'];
+export const TEMPLATE_CHANNELS = ['EMAIL', 'SMS'];
+export const SUPPORTED_LOCALES = ['en', 'fr'];
+export const DEFAULT_LOCALE = 'en';
+
+// Longest SMS body Twilio accepts (10 segments)
+export const MAX_SMS_LENGTH = 1600;
+
+const DOCUMENT_VARIABLES = ['driver.name', 'document.type', 'document.number', 'document.expiryDate', 'document.expiryText'];
+
+export const TEMPLATE_VARIABLES = {
+  EXPIRING: ['company.name', ...DOCUMENT_VARIABLES, 'daysUntilExpiry'],
+  EXPIRED: ['company.name', ...DOCUMENT_VARIABLES, 'daysOverdue'],
+  CUSTOM: [
+    'company.name',
+    'recipient.name',
+    'reminder.title',
+    'reminder.description',
+    'reminder.priority',
+    'reminder.priorityIcon',
+    'reminder.frequency',
+    'reminder.scheduledFor',
+  ],
+  INVITATION: ['company.name', 'driver.name', 'invitation.link', 'invitation.documents', 'invitation.expiresAt'],
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export const DEFAULT_TEMPLATES = {
+  en: {
+    EXPIRING: {
+      EMAIL: {
+        subject: 'Document Expiry Reminder: {{document.type}}',
+        body: "This is a reminder that {{driver.name}}'s {{document.type}} ({{document.number}}) {{document.expiryText}} on {{document.expiryDate}}.\n\nPlease ensure this document is renewed before the expiry date to maintain compliance.",
+      },
+      SMS: {
+        body: "[{{company.name}}] Document Expiry Alert: {{driver.name}}'s {{document.type}} {{document.expiryText}} ({{document.expiryDate}}). Please renew before expiry.",
+      },
+    },
+    EXPIRED: {
+      EMAIL: {
+        subject: 'Expired Document: {{document.type}} ({{driver.name}})',
+        body: "{{driver.name}}'s {{document.type}} ({{document.number}}) {{document.expiryText}} on {{document.expiryDate}}.\n\n{{driver.name}} should not be scheduled to drive until a renewed document is uploaded.",
+      },
+      SMS: {
+        body: "[{{company.name}}] Expired Document: {{driver.name}}'s {{document.type}} {{document.expiryText}} ({{document.expiryDate}}). Do not schedule until renewed.",
+      },
+    },
+    CUSTOM: {
+      EMAIL: {
+        subject: '{{reminder.priorityIcon}} Reminder: {{reminder.title}}',
+        body: '{{reminder.description}}\n\nPriority: {{reminder.priority}}\nScheduled for: {{reminder.scheduledFor}}',
+      },
+      SMS: {
+        body: '[{{company.name}}] {{reminder.priorityIcon}} Reminder: {{reminder.title}}\n{{reminder.description}}',
+      },
+    },
+    INVITATION: {
+      EMAIL: {
+        subject: 'Document Upload Request from {{company.name}}',
+        body: 'Hello {{driver.name}},\n\n{{company.name}} has requested you to upload the following documents: {{invitation.documents}}.\n\nPlease use this secure link to upload them:\n{{invitation.link}}\n\nThis link expires on {{invitation.expiresAt}}.',
+      },
+      SMS: {
+        body: 'Hello {{driver.name}},\n\n{{company.name}} has requested you to upload documents.\n\nPlease use this secure link to upload:\n{{invitation.link}}\n\nThis link expires on {{invitation.expiresAt}}.',
+      },
+    },
+  },
+  fr: {
+    EXPIRING: {
+      EMAIL: {
+        subject: "Rappel d'expiration de document : {{document.type}}",
+        body: "Ceci est un rappel : le document {{document.type}} ({{document.number}}) de {{driver.name}} {{document.expiryText}}, le {{document.expiryDate}}.\n\nVeuillez vous assurer que ce document est renouvelé avant la date d'expiration afin de rester conforme.",
+      },
+      SMS: {
+        body: "[{{company.name}}] Alerte d'expiration : le document {{document.type}} de {{driver.name}} {{document.expiryText}} ({{document.expiryDate}}). Veuillez le renouveler avant l'expiration.",
+      },
+    },
+    EXPIRED: {
+      EMAIL: {
+        subject: 'Document expiré : {{document.type}} ({{driver.name}})',
+        body: "Le document {{document.type}} ({{document.number}}) de {{driver.name}} {{document.expiryText}}, le {{document.expiryDate}}.\n\n{{driver.name}} ne doit pas être affecté à la conduite tant qu'un document renouvelé n'a pas été téléversé.",
+      },
+      SMS: {
+        body: "[{{company.name}}] Document expiré : le document {{document.type}} de {{driver.name}} {{document.expiryText}} ({{document.expiryDate}}). Ne pas affecter à la conduite avant le renouvellement.",
+      },
+    },
+    CUSTOM: {
+      EMAIL: {
+        subject: '{{reminder.priorityIcon}} Rappel : {{reminder.title}}',
+        body: '{{reminder.description}}\n\nPriorité : {{reminder.priority}}\nPrévu pour : {{reminder.scheduledFor}}',
+      },
+      SMS: {
+        body: '[{{company.name}}] {{reminder.priorityIcon}} Rappel : {{reminder.title}}\n{{reminder.description}}',
+      },
+    },
+    INVITATION: {
+      EMAIL: {
+        subject: 'Demande de téléversement de documents de {{company.name}}',
+        body: "Bonjour {{driver.name}},\n\n{{company.name}} vous demande de téléverser les documents suivants : {{invitation.documents}}.\n\nVeuillez utiliser ce lien sécurisé pour les téléverser :\n{{invitation.link}}\n\nCe lien expire le {{invitation.expiresAt}}.",
+      },
+      SMS: {
+        body: "Bonjour {{driver.name}},\n\n{{company.name}} vous demande de téléverser des documents.\n\nVeuillez utiliser ce lien sécurisé :\n{{invitation.link}}\n\nCe lien expire le {{invitation.expiresAt}}.",
+      },
+    },
+  },
+};
+
+// Fixed wording around templated emails (headings of the details box, footer)
+export const LAYOUT_STRINGS = {
+  en: {
+    driver: 'Driver',
+    document: 'Document',
+    documentNumber: 'Document Number',
+    expiryDate: 'Expiry Date',
+    daysRemaining: 'Days Remaining',
+    daysOverdue: 'Days Overdue',
+    footer: "This is an automated message from {{company.name}}'s compliance management system.",
+    notAvailable: 'N/A',
+  },
+  fr: {
+    driver: 'Chauffeur',
+    document: 'Document',
+    documentNumber: 'Numéro du document',
+    expiryDate: "Date d'expiration",
+    daysRemaining: 'Jours restants',
+    daysOverdue: 'Jours de retard',
+    footer: 'Ceci est un message automatique du système de gestion de la conformité de {{company.name}}.',
+    notAvailable: 'N/D',
+  },
+};
+
+// Values used by the preview endpoint when no driver is chosen
+export const SAMPLE_VARIABLES = {
+  company: { name: 'Sample Logistics Inc.' },
+  driver: { name: 'Alex Tremblay' },
+  recipient: { name: 'Alex Tremblay' },
+  document: { type: "Driver's Licence", number: 'T1234-56789-01234', expiryDate: '2026-12-31', expiryText: 'expires in 14 days' },
+  daysUntilExpiry: 14,
+  daysOverdue: 3,
+  reminder: {
+    title: 'Quarterly vehicle inspection',
+    description: 'Book the quarterly inspection for all vans.',
+    priority: 'HIGH',
+    priorityIcon: '🔴',
+    frequency: 'ONCE',
+    scheduledFor: '2026-12-01 09:00',
+  },
+  invitation: {
+    link: 'https://app.example.com/driver/upload/sample-token',
+    documents: "Driver's Licence, Insurance",
+    expiresAt: '2026-12-08',
+  },
+};
+
+/**
+ * Normalize a language tag to a supported locale ('fr-CA' -> 'fr')
+ * @param {string} locale - Language tag
+ * @returns {string} Supported locale, defaulting to English
+ */
+export const normalizeLocale = (locale) => {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+const EXPIRY_TEXT = {
+  en: {
+    today: 'expires today',
+    future: (days) => `expires in ${days} day${days === 1 ? '' : 's'}`,
+    past: (days) => `expired ${days} day${days === 1 ? '' : 's'} ago`,
+  },
+  fr: {
+    today: "expire aujourd'hui",
+    future: (days) => `expire dans ${days} jour${days === 1 ? '' : 's'}`,
+    past: (days) => `a expiré il y a ${days} jour${days === 1 ? '' : 's'}`,
+  },
+};
+
+/**
+ * Describe when a document expires relative to today, in the recipient's language
+ * @param {number} daysUntilExpiry - Days until expiry (negative once expired)
+ * @param {string} locale - Recipient language
+ * @returns {string} e.g. "expires in 14 days", "expires in 1 day", "expires today", "expired 1 day ago"
+ */
+export const describeExpiry = (daysUntilExpiry, locale) => {
+  const text = EXPIRY_TEXT[normalizeLocale(locale)];
+  if (daysUntilExpiry > 0) return text.future(daysUntilExpiry);
+  if (daysUntilExpiry === 0) return text.today;
+  return text.past(-daysUntilExpiry);
+};
+
+/**
+ * List the variables used in a template string
+ * @param {string} text - Template text
+ * @returns {string[]} Unique variable names
+ */
+export const extractVariables = (text) => {
+  const names = new Set();
+  for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+    names.add(match[1]);
+  }
+  return [...names];
+};
+
+/**
+ * Validate a company template before saving
+ * @param {Object} template - { event, channel, locale, subject?, body }
+ * @returns {Object} { valid, errors: string[], unknownVariables: string[] }
+ */
+export const validateTemplate = ({ event, channel, locale, subject, body }) => {
+  const errors = [];
+
+  if (!TEMPLATE_EVENTS.includes(event)) errors.push(`event must be one of ${TEMPLATE_EVENTS.join(', ')}`);
+  if (!TEMPLATE_CHANNELS.includes(channel)) errors.push(`channel must be one of ${TEMPLATE_CHANNELS.join(', ')}`);
+  if (!SUPPORTED_LOCALES.includes(locale)) errors.push(`locale must be one of ${SUPPORTED_LOCALES.join(', ')}`);
+  if (errors.length > 0) return { valid: false, errors, unknownVariables: [] };
+
+  if (typeof body !== 'string' || !body.trim()) errors.push('body is required');
+  if (channel === 'EMAIL' && (typeof subject !== 'string' || !subject.trim())) errors.push('subject is required for email templates');
+  if (channel === 'SMS' && typeof body === 'string' && body.length > MAX_SMS_LENGTH) {
+    errors.push(`SMS templates cannot be longer than ${MAX_SMS_LENGTH} characters`);
+  }
+
+  const allowed = TEMPLATE_VARIABLES[event];
+  const unknownVariables = extractVariables(`${channel === 'EMAIL' ? subject || '' : ''} ${body || ''}`)
+    .filter((name) => !allowed.includes(name));
+  if (unknownVariables.length > 0) {
+    errors.push(`Unknown variables: ${unknownVariables.join(', ')}. Available: ${allowed.join(', ')}`);
+  }
+
+  return { valid: errors.length === 0, errors, unknownVariables };
+};
+
+/**
+ * Pick the template to send: the company's for the language, else the built-in default
+ * @param {Array} companyTemplates - The company's MessageTemplate rows
+ * @param {string} event - Template event
+ * @param {string} channel - 'EMAIL' or 'SMS'
+ * @param {string} locale - Recipient language
+ * @returns {Object} { subject, body, isDefault }
+ */
+export const resolveTemplate = (companyTemplates, event, channel, locale) => {
+  const language = normalizeLocale(locale);
+  const custom = (companyTemplates || []).find((template) =>
+    template.event === event && template.channel === channel && template.locale === language
+  );
+
+  if (custom) {
+    return { subject: custom.subject || null, body: custom.body, isDefault: false };
+  }
+
+  const fallback = DEFAULT_TEMPLATES[language][event][channel];
+  return { subject: fallback.subject || null, body: fallback.body, isDefault: true };
+};
+
+const getPath = (variables, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), variables);
+
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Fill in a template's variables (missing values render as empty text)
+ * @param {string} text - Template text
+ * @param {Object} variables - Nested values, e.g. { driver: { name } }
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - HTML-escape the template and the values
+ * @returns {string}
+ */
+export const renderTemplate = (text, variables, { html = false } = {}) => {
+  const source = String(text || '');
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(VARIABLE_PATTERN)) {
+    const literal = source.slice(lastIndex, match.index);
+    const value = getPath(variables, match[1]);
+    const rendered = value === null || value === undefined ? '' : String(value);
+    output += html ? escapeHtml(literal) + escapeHtml(rendered) : literal + rendered;
+    lastIndex = match.index + match[0].length;
+  }
+
+  const rest = source.slice(lastIndex);
+  output += html ? escapeHtml(rest) : rest;
+
+  // Tidy lines left empty by blank variables
+  return output.split('\n').map((line) => line.trimEnd()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Render a template body as HTML paragraphs with clickable links
+ * @param {string} body - Template body
+ * @param {Object} variables - Template variables
+ * @returns {string}
+ */
+export const renderTemplateHtml = (body, variables) =>
+  renderTemplate(body, variables, { html: true })
+    .split(/\n{2,}/)
+    .map((paragraph) => {
+      const linked = paragraph.replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}" style="color: #2563eb;">${url}</a>`);
+      return `<p style="color: #374151; font-size: 16px; line-height: 1.6;">${linked.replace(/\n/g, '<br>')}</p>`;
+    })
+    .join('\n');
+
+/**
+ * Format a date for a message in the recipient's language
+ * @param {Date|string} date - Date to format
+ * @param {string} locale - Recipient language
+ * @param {Object} [options]
+ * @param {boolean} [options.withTime=false] - Include the time of day
+ * @param {string} [options.timeZone='UTC'] - Timezone (calendar dates are stored at UTC midnight)
+ * @returns {string}
+ */
+export const formatTemplateDate = (date, locale, { withTime = false, timeZone = 'UTC' } = {}) => {
+  if (!date) return '';
+  return new Date(date).toLocaleString(normalizeLocale(locale) === 'fr' ? 'fr-CA' : 'en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone,
+    ...(withTime && { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }),
+  });
+};
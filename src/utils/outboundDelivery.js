@@ -0,0 +1,66 @@
+/**
+ * Outbound Delivery
+ *
+ * Retry and throttling rules for the message outbox (see services/outboxService.js).
+ * Failed sends are retried with exponential backoff unless the provider says the
+ * message can never be delivered (bad address, unsubscribed number, ...).
+ */
+
+// First retry after 1 minute, then 2, 4, 8, ... capped at 2 hours
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 2 * 60 * 60 * 1000;
+
+// Twilio errors that will fail the same way on every attempt
+// https://www.twilio.com/docs/api/errors
+const PERMANENT_TWILIO_ERRORS = [
+  21211, // Invalid 'To' phone number
+  21408, // Permission to send to this region is not enabled
+  21610, // Recipient has replied STOP
+  21612, // 'To' number cannot receive messages from this number
+  21614, // 'To' number is not a mobile number
+];
+
+// SMTP errors about the envelope (bad recipient address) rather than the connection
+const PERMANENT_SMTP_CODES = ['EENVELOPE'];
+
+/**
+ * Delay before the next attempt of a failed message
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Decide whether a send error is worth retrying
+ * @param {string} channel - 'EMAIL' or 'SMS'
+ * @param {Error} error - Error thrown by sendEmail/sendSMS (provider error in error.cause)
+ * @returns {boolean} True if retrying cannot help
+ */
+export const isPermanentDeliveryError = (channel, error) => {
+  const providerError = error?.cause || error;
+  if (!providerError) return false;
+
+  if (channel === 'SMS') {
+    // Refused before reaching Twilio because the recipient texted STOP
+    if (providerError.code === 'SMS_OPTED_OUT') return true;
+    return PERMANENT_TWILIO_ERRORS.includes(Number(providerError.code));
+  }
+
+  // 5xx SMTP replies are permanent rejections; 4xx are temporary
+  const responseCode = Number(providerError.responseCode);
+  if (responseCode >= 500 && responseCode < 600) return true;
+  return PERMANENT_SMTP_CODES.includes(providerError.code);
+};
+
+/**
+ * How long to wait before the next send on a provider
+ * @param {Date|number|null} lastSentAt - When the provider was last used
+ * @param {number} intervalMs - Minimum time between sends
+ * @param {Date|number} [now=Date.now()]
+ * @returns {number} Milliseconds to wait (0 if a send can go out now)
+ */
+export const getThrottleDelay = (lastSentAt, intervalMs, now = Date.now()) => {
+  if (!lastSentAt || !intervalMs) return 0;
+  return Math.max(0, Number(lastSentAt) + intervalMs - Number(now));
+};
@@ -0,0 +1,149 @@
+/**
+ * Driver PII Masking
+ *
+ * Documents carry a driver's personal information: the document number, and whatever
+ * the AI read off the image (date of birth, licence number, address...). Team members
+ * without the 'view_driver_pii' capability get those values masked in API responses, and
+ * without 'download_documents' they don't get the stored file location either.
+ */
+
+export const MASK = '***REDACTED***';
+
+// Document columns holding an identifier
+const PII_COLUMNS = ['documentNumber', 'normalizedDocumentNumber'];
+
+// Raw OCR output repeats everything printed on the document
+const RAW_TEXT_COLUMNS = ['textractRawData', 'textractKeyValues'];
+
+const FILE_COLUMNS = ['s3Key', 's3Url'];
+
+const PII_FIELD_NAMES = ['dob', 'sex', 'gender', 'sin', 'ssn'];
+
+const normalizeFieldName = (field) => String(field).toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Check whether an extracted field holds personal information
+ * Matches dates of birth, addresses and any "...number" field (document, licence, passport, phone).
+ * @param {string} field - Field name, e.g. 'dateOfBirth', 'licence_number'
+ * @returns {boolean}
+ */
+export const isPiiField = (field) => {
+  const name = normalizeFieldName(field);
+  return PII_FIELD_NAMES.includes(name) || /birth|address|number$/.test(name);
+};
+
+/**
+ * Mask a value; long identifiers keep their last 4 characters so staff can still tell documents apart
+ * @param {string} field - Field name
+ * @param {any} value
+ * @returns {any} Masked value (empty values are returned as is)
+ */
+export const maskValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return value;
+
+  const text = String(value);
+  if (normalizeFieldName(field).endsWith('number') && text.length >= 8) {
+    return `****${text.slice(-4)}`;
+  }
+  return MASK;
+};
+
+/**
+ * Mask the personal fields of AI-extracted data (Document.aiExtractedData or a scan's extractedData)
+ * @param {Object} data - { field: value }
+ * @returns {Object}
+ */
+export const maskExtractedData = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+  return Object.fromEntries(
+    Object.entries(data).map(([field, value]) => [field, isPiiField(field) ? maskValue(field, value) : value])
+  );
+};
+
+/**
+ * Mask the values of AI/machine-readable disagreements on personal fields
+ * @param {Array} disagreements - [{ field, label, aiValue, machineValue }]
+ * @returns {Array}
+ */
+export const maskDisagreements = (disagreements) => {
+  if (!Array.isArray(disagreements)) return disagreements;
+
+  return disagreements.map((disagreement) => (isPiiField(disagreement.field)
+    ? {
+      ...disagreement,
+      aiValue: maskValue(disagreement.field, disagreement.aiValue),
+      machineValue: maskValue(disagreement.field, disagreement.machineValue),
+    }
+    : disagreement));
+};
+
+/**
+ * Check whether a document has personal information a masked response would hide
+ * @param {Object} document
+ * @returns {boolean}
+ */
+export const containsPii = (document) => {
+  if (!document) return false;
+
+  const extracted = document.aiExtractedData;
+  return PII_COLUMNS.some((column) => document[column])
+    || RAW_TEXT_COLUMNS.some((column) => document[column])
+    || Boolean(extracted && typeof extracted === 'object'
+      && Object.entries(extracted).some(([field, value]) => isPiiField(field) && value !== null && value !== ''));
+};
+
+/**
+ * Mask a document for a user's capabilities
+ * @param {Object} document - Document (any subset of its columns)
+ * @param {Object} capabilities - From getUserCapabilities()
+ * @returns {Object} Copy of the document; `piiMasked` is set when personal fields were masked
+ */
+export const maskDocument = (document, capabilities = {}) => {
+  if (!document) return document;
+
+  const masked = { ...document };
+
+  if (!capabilities.view_driver_pii) {
+    PII_COLUMNS
+      .filter((column) => column in masked)
+      .forEach((column) => { masked[column] = maskValue(column, masked[column]); });
+    RAW_TEXT_COLUMNS
+      .filter((column) => column in masked)
+      .forEach((column) => { masked[column] = null; });
+    if ('aiExtractedData' in masked) {
+      masked.aiExtractedData = maskExtractedData(masked.aiExtractedData);
+    }
+    if (masked.reviewFlags?.disagreements) {
+      masked.reviewFlags = { ...masked.reviewFlags, disagreements: maskDisagreements(masked.reviewFlags.disagreements) };
+    }
+    masked.piiMasked = true;
+  }
+
+  if (!capabilities.download_documents) {
+    FILE_COLUMNS
+      .filter((column) => column in masked)
+      .forEach((column) => { masked[column] = null; });
+  }
+
+  return masked;
+};
+
+/**
+ * Mask an AI scan result ({ extractedData, rawTextractData, machineReadable, ... }) for a user without 'view_driver_pii'
+ * @param {Object} result - Scan result as returned by the scan endpoints / stored on ScanJobItem.result
+ * @returns {Object}
+ */
+export const maskScanResult = (result) => {
+  if (!result || typeof result !== 'object') return result;
+
+  return {
+    ...result,
+    ...('extractedData' in result && { extractedData: maskExtractedData(result.extractedData) }),
+    ...('rawTextractData' in result && { rawTextractData: null }),
+    ...(result.machineReadable?.disagreements && {
+      machineReadable: { ...result.machineReadable, disagreements: maskDisagreements(result.machineReadable.disagreements) },
+    }),
+    piiMasked: true,
+  };
+};
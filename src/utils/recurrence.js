@@ -0,0 +1,266 @@
+import { z } from 'zod';
+import { addDaysToDateKey, getZonedParts, zonedTimeToUtc } from './timezoneUtils.js';
+
+/**
+ * Recurrence Rules
+ *
+ * Custom reminders repeat according to CustomReminder.frequency plus the optional
+ * CustomReminder.recurrence rule. Occurrences are computed from the rule and the first
+ * trigger date alone (never from when the reminder was last sent), always at the trigger's
+ * wall-clock time in the company timezone.
+ *
+ * Rule fields (all optional):
+ * - interval: every N days/weeks/months/quarters/years (default 1)
+ * - weekdays: WEEKLY only - days of the week, 0 = Sunday ... 6 = Saturday (default: the start's weekday)
+ * - nthWeekday: MONTHLY/QUARTERLY/YEARLY - { week: 1-4 or -1 (last), weekday } instead of the start's
+ *   day of the month (days past the end of a month fall on its last day)
+ * - endDate ('YYYY-MM-DD') and/or count: when the series ends
+ * - skipWeekends / skipHolidays (Company.holidays): what to do with occurrences on those days is set by
+ *   nonBusinessDay - 'NEXT_BUSINESS_DAY' (default) moves them, 'SKIP' drops them
+ *
+ * Example - safety meeting on the first Monday of every quarter, 8 times:
+ *   frequency: 'QUARTERLY', recurrence: { nthWeekday: { week: 1, weekday: 1 }, count: 8, skipHolidays: true }
+ */
+
+export const REMINDER_FREQUENCIES = ['ONCE', 'DAILY', 'WEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY'];
+export const NON_BUSINESS_DAY_ACTIONS = ['NEXT_BUSINESS_DAY', 'SKIP'];
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const MONTHS_PER_PERIOD = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 };
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Stop searching after this many candidate dates (about 27 years of daily occurrences)
+const MAX_CANDIDATES = 10000;
+
+export const recurrenceSchema = z.object({
+  interval: z.number().int().min(1).max(365).optional().default(1),
+  weekdays: z.array(z.number().int().min(0).max(6)).max(7).optional().default([]),
+  nthWeekday: z.object({
+    week: z.union([z.literal(-1), z.number().int().min(1).max(4)]),
+    weekday: z.number().int().min(0).max(6),
+  }).strict().nullable().optional().default(null),
+  endDate: z.string().regex(DATE_KEY, 'endDate must be YYYY-MM-DD').nullable().optional().default(null),
+  count: z.number().int().min(1).max(1000).nullable().optional().default(null),
+  skipWeekends: z.boolean().optional().default(false),
+  skipHolidays: z.boolean().optional().default(false),
+  nonBusinessDay: z.enum(NON_BUSINESS_DAY_ACTIONS).optional().default('NEXT_BUSINESS_DAY'),
+}).strict();
+
+export const holidaysSchema = z.array(z.string().regex(DATE_KEY, 'Holidays must be YYYY-MM-DD dates')).max(366);
+
+/**
+ * Normalize a stored recurrence rule, falling back to the plain frequency for invalid rules
+ * @param {any} rawRule - Value of CustomReminder.recurrence
+ * @returns {Object} Rule with every field set
+ */
+export const normalizeRecurrence = (rawRule) => {
+  const result = recurrenceSchema.safeParse(rawRule || {});
+  return result.success ? result.data : recurrenceSchema.parse({});
+};
+
+const parseDateKey = (dateKey) => dateKey.split('-').map(Number);
+
+const toDateKey = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+const getWeekday = (dateKey) => {
+  const [year, month, day] = parseDateKey(dateKey);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Date of the nth (or last, week = -1) weekday of a month
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const getNthWeekdayOfMonth = (year, month, week, weekday) => {
+  if (week === -1) {
+    const lastDay = daysInMonth(year, month);
+    const lastWeekday = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+    return toDateKey(year, month, lastDay - ((lastWeekday - weekday + 7) % 7));
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return toDateKey(year, month, 1 + ((weekday - firstWeekday + 7) % 7) + (week - 1) * 7);
+};
+
+/**
+ * Dates the rule produces before weekend/holiday handling, in order
+ */
+function* candidateDates(startKey, frequency, rule) {
+  if (frequency === 'DAILY') {
+    for (let i = 0; ; i++) yield addDaysToDateKey(startKey, i * rule.interval);
+  }
+
+  if (frequency === 'WEEKLY') {
+    // Weeks start on Monday, like RRULE's default WKST
+    const mondayOffset = (weekday) => (weekday + 6) % 7;
+    const weekdays = (rule.weekdays.length > 0 ? [...new Set(rule.weekdays)] : [getWeekday(startKey)])
+      .sort((a, b) => mondayOffset(a) - mondayOffset(b));
+    const firstMonday = addDaysToDateKey(startKey, -mondayOffset(getWeekday(startKey)));
+
+    for (let week = 0; ; week++) {
+      const monday = addDaysToDateKey(firstMonday, week * 7 * rule.interval);
+      for (const weekday of weekdays) {
+        const date = addDaysToDateKey(monday, mondayOffset(weekday));
+        if (date >= startKey) yield date;
+      }
+    }
+  }
+
+  if (MONTHS_PER_PERIOD[frequency]) {
+    const [startYear, startMonth, startDay] = parseDateKey(startKey);
+    const step = MONTHS_PER_PERIOD[frequency] * rule.interval;
+
+    for (let period = 0; ; period++) {
+      const monthIndex = startMonth - 1 + period * step;
+      const year = startYear + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      const date = rule.nthWeekday
+        ? getNthWeekdayOfMonth(year, month, rule.nthWeekday.week, rule.nthWeekday.weekday)
+        : toDateKey(year, month, Math.min(startDay, daysInMonth(year, month)));
+      if (date >= startKey) yield date;
+    }
+  }
+
+  // ONCE (and unknown frequencies)
+  yield startKey;
+}
+
+/**
+ * Occurrence dates of a rule after weekend/holiday handling, in order
+ * @param {string} startKey - First trigger date, 'YYYY-MM-DD'
+ * @param {string} frequency - One of REMINDER_FREQUENCIES
+ * @param {Object} rawRule - Recurrence rule (see above)
+ * @param {Array<string>} [holidays=[]] - 'YYYY-MM-DD' dates (Company.holidays)
+ * @returns {Generator<string>} 'YYYY-MM-DD' dates
+ */
+export function* getOccurrenceDates(startKey, frequency, rawRule, holidays = []) {
+  const rule = normalizeRecurrence(rawRule);
+  const holidaySet = new Set(holidays);
+  const isNonBusinessDay = (dateKey) => {
+    const weekday = getWeekday(dateKey);
+    return (rule.skipWeekends && (weekday === 0 || weekday === 6))
+      || (rule.skipHolidays && holidaySet.has(dateKey));
+  };
+
+  let produced = 0;
+  let checked = 0;
+  let previous = null;
+
+  for (const candidate of candidateDates(startKey, frequency, rule)) {
+    if (++checked > MAX_CANDIDATES) return;
+    if (rule.endDate && candidate > rule.endDate) return;
+
+    let date = candidate;
+    if (isNonBusinessDay(date)) {
+      if (rule.nonBusinessDay === 'SKIP') continue;
+      for (let i = 0; i < 31 && isNonBusinessDay(date); i++) date = addDaysToDateKey(date, 1);
+    }
+
+    // A moved occurrence can land on (or before) the next one
+    if (previous && date <= previous) continue;
+
+    yield date;
+    previous = date;
+    if (rule.count && ++produced >= rule.count) return;
+    if (frequency === 'ONCE' || !REMINDER_FREQUENCIES.includes(frequency)) return;
+  }
+}
+
+/**
+ * Next occurrence of a reminder strictly after an instant
+ * @param {Object} schedule
+ * @param {Date} schedule.start - First trigger (CustomReminder.triggerDate)
+ * @param {string} schedule.timezone - Company timezone
+ * @param {string} schedule.frequency - One of REMINDER_FREQUENCIES
+ * @param {Object} [schedule.recurrence] - Recurrence rule
+ * @param {Array<string>} [schedule.holidays] - Company holidays
+ * @param {Date} after - Instant to search from
+ * @returns {Date|null} Occurrence instant, or null when the series has ended
+ */
+export const getNextOccurrence = ({ start, timezone, frequency, recurrence, holidays = [] }, after) => {
+  const [next] = getOccurrences({ start, timezone, frequency, recurrence, holidays }, { after, limit: 1 });
+  return next || null;
+};
+
+/**
+ * Occurrences of a reminder as instants
+ * @param {Object} schedule - See getNextOccurrence
+ * @param {Object} [options]
+ * @param {Date} [options.after] - Only occurrences strictly after this instant
+ * @param {Date} [options.before] - Only occurrences before this instant
+ * @param {number} [options.limit=100] - Maximum number of occurrences
+ * @returns {Array<Date>}
+ */
+export const getOccurrences = ({ start, timezone, frequency, recurrence, holidays = [] }, { after = null, before = null, limit = 100 } = {}) => {
+  const startParts = getZonedParts(new Date(start), timezone);
+  const time = `${String(startParts.hour).padStart(2, '0')}:${String(startParts.minute).padStart(2, '0')}`;
+  const afterKey = after ? getZonedParts(new Date(after), timezone).dateKey : null;
+
+  const occurrences = [];
+  for (const dateKey of getOccurrenceDates(startParts.dateKey, frequency, recurrence, holidays)) {
+    // Cheap date comparison first; only build instants near the window
+    if (afterKey && dateKey < afterKey) continue;
+
+    const instant = zonedTimeToUtc(dateKey, time, timezone);
+    if (after && instant <= after) continue;
+    if (before && instant >= before) break;
+
+    occurrences.push(instant);
+    if (occurrences.length >= limit) break;
+  }
+
+  return occurrences;
+};
+
+/**
+ * RRULE value (RFC 5545) for a reminder, for calendar feeds
+ * @param {Object} schedule - See getNextOccurrence
+ * @returns {string|null} e.g. 'FREQ=MONTHLY;BYDAY=1MO', or null for one-time reminders and rules
+ *   RRULE cannot express (moving weekend/holiday occurrences, holidays) - list the occurrences instead
+ */
+export const toRRule = ({ start, timezone, frequency, recurrence }) => {
+  if (!REMINDER_FREQUENCIES.includes(frequency) || frequency === 'ONCE') return null;
+
+  const rule = normalizeRecurrence(recurrence);
+  if (rule.skipHolidays || (rule.skipWeekends && rule.nonBusinessDay === 'NEXT_BUSINESS_DAY')) return null;
+
+  const startParts = getZonedParts(new Date(start), timezone);
+  const parts = [];
+
+  if (frequency === 'DAILY' || frequency === 'WEEKLY') {
+    parts.push(`FREQ=${frequency}`, `INTERVAL=${rule.interval}`);
+    if (frequency === 'WEEKLY' && rule.weekdays.length > 0) {
+      parts.push(`BYDAY=${[...new Set(rule.weekdays)].sort().map((weekday) => RRULE_WEEKDAYS[weekday]).join(',')}`);
+    }
+  } else {
+    const isYearly = frequency === 'YEARLY';
+    parts.push(`FREQ=${isYearly ? 'YEARLY' : 'MONTHLY'}`, `INTERVAL=${rule.interval * (isYearly ? 1 : MONTHS_PER_PERIOD[frequency])}`);
+    if (isYearly) parts.push(`BYMONTH=${startParts.month}`);
+
+    if (rule.nthWeekday) {
+      parts.push(`BYDAY=${rule.nthWeekday.week}${RRULE_WEEKDAYS[rule.nthWeekday.weekday]}`);
+    } else if (startParts.day > 28) {
+      // Last day of shorter months, like the occurrence generator
+      const days = Array.from({ length: startParts.day - 27 }, (_, i) => 28 + i);
+      parts.push(`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1');
+    } else {
+      parts.push(`BYMONTHDAY=${startParts.day}`);
+    }
+  }
+
+  // Weekend occurrences that are dropped rather than moved
+  if (rule.skipWeekends) {
+    if (frequency === 'DAILY') parts.push('BYDAY=MO,TU,WE,TH,FR');
+    else return null;
+  }
+
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.endDate) {
+    const until = zonedTimeToUtc(rule.endDate, '23:59', timezone);
+    parts.push(`UNTIL=${until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+
+  return parts.join(';');
+};
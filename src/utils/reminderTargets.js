@@ -0,0 +1,134 @@
+import { z } from 'zod';
+import { DSP_ROLES } from './dspCapabilities.js';
+import { calculateDocumentStatus } from './documentStatusUtils.js';
+
+/**
+ * Custom Reminder Targets
+ *
+ * Who a custom reminder goes to (CustomReminder.targetType):
+ * - COMPANY: the company admin email/phone (the default)
+ * - DRIVERS: the drivers listed in targetDriverIds
+ * - STATION: drivers assigned to any of targetStationCodes
+ * - MISSING_DOCUMENT: drivers without a usable targetDocumentType document,
+ *   optionally only those assigned to targetStationCodes
+ * - ROLE: team members whose DSP role is in targetRoles (by email only)
+ *
+ * Example: remind all drivers at DXX3 to complete annual training
+ *   { "targetType": "STATION", "targetStationCodes": ["DXX3"] }
+ */
+
+export const REMINDER_TARGET_TYPES = ['COMPANY', 'DRIVERS', 'STATION', 'MISSING_DOCUMENT', 'ROLE'];
+
+export const TARGET_ROLES = DSP_ROLES;
+
+const uniqueStrings = (values) => [...new Set(values)];
+
+export const reminderTargetSchema = z.object({
+  targetType: z.enum(REMINDER_TARGET_TYPES).optional().default('COMPANY'),
+  targetDriverIds: z.array(z.string().trim().min(1)).optional().default([]),
+  targetStationCodes: z.array(z.string().trim().min(1)).optional().default([]),
+  targetDocumentType: z.string().trim().min(1).nullable().optional().default(null),
+  targetRoles: z.array(z.enum(TARGET_ROLES)).optional().default([]),
+}).superRefine((target, ctx) => {
+  const require = (condition, path, message) => {
+    if (!condition) ctx.addIssue({ code: z.ZodIssueCode.custom, path: [path], message });
+  };
+
+  if (target.targetType === 'DRIVERS') {
+    require(target.targetDriverIds.length > 0, 'targetDriverIds', 'Select at least one driver');
+  }
+  if (target.targetType === 'STATION') {
+    require(target.targetStationCodes.length > 0, 'targetStationCodes', 'Select at least one station code');
+  }
+  if (target.targetType === 'MISSING_DOCUMENT') {
+    require(Boolean(target.targetDocumentType), 'targetDocumentType', 'Document type is required');
+  }
+  if (target.targetType === 'ROLE') {
+    require(target.targetRoles.length > 0, 'targetRoles', 'Select at least one role');
+  }
+}).transform((target) => normalizeReminderTarget(target));
+
+/**
+ * Keep only the target fields the target type uses, without duplicates
+ * @param {Object} target - { targetType, targetDriverIds, targetStationCodes, targetDocumentType, targetRoles }
+ * @returns {Object} Target fields as stored on CustomReminder
+ */
+export const normalizeReminderTarget = (target = {}) => {
+  const targetType = REMINDER_TARGET_TYPES.includes(target.targetType) ? target.targetType : 'COMPANY';
+
+  return {
+    targetType,
+    targetDriverIds: targetType === 'DRIVERS' ? uniqueStrings(target.targetDriverIds || []) : [],
+    targetStationCodes: ['STATION', 'MISSING_DOCUMENT'].includes(targetType)
+      ? uniqueStrings(target.targetStationCodes || [])
+      : [],
+    targetDocumentType: targetType === 'MISSING_DOCUMENT' ? target.targetDocumentType || null : null,
+    targetRoles: targetType === 'ROLE' ? uniqueStrings(target.targetRoles || []) : [],
+  };
+};
+
+/**
+ * Whether a reminder goes to drivers (as opposed to the company admin or team members)
+ * @param {string} targetType
+ * @returns {boolean}
+ */
+export const targetsDrivers = (targetType) => ['DRIVERS', 'STATION', 'MISSING_DOCUMENT'].includes(targetType);
+
+/**
+ * Check whether a driver lacks a usable document of a type
+ * Expired documents don't count; documents awaiting review do.
+ *
+ * @param {Array} documents - The driver's current documents ({ type, status, expiryDate })
+ * @param {string} documentType
+ * @param {Date} [asOf=new Date()]
+ * @returns {boolean}
+ */
+export const isMissingDocument = (documents, documentType, asOf = new Date()) =>
+  !(documents || []).some(
+    (document) =>
+      document.type === documentType &&
+      !['REJECTED', 'FAILED'].includes(document.status) &&
+      calculateDocumentStatus(document, asOf) !== 'expired'
+  );
+
+/**
+ * Work out which channels a recipient can be reached on
+ *
+ * @param {string} notificationType - 'EMAIL', 'SMS' or 'BOTH'
+ * @param {Object} contact
+ * @param {string} [contact.email]
+ * @param {string} [contact.phone]
+ * @param {boolean} [contact.emailInvalid] - Email hard-bounced
+ * @param {boolean} [contact.phoneInvalid] - Phone number is not valid
+ * @param {boolean} [contact.smsOptedOut] - Recipient replied STOP
+ * @returns {Object} { send: [{ channel, to }], skipped: [{ channel, to, reason }] }
+ */
+export const getRecipientChannels = (notificationType, contact) => {
+  const send = [];
+  const skipped = [];
+  const type = notificationType || 'BOTH';
+
+  if (type === 'EMAIL' || type === 'BOTH') {
+    if (!contact.email) {
+      skipped.push({ channel: 'EMAIL', to: null, reason: 'No email address' });
+    } else if (contact.emailInvalid) {
+      skipped.push({ channel: 'EMAIL', to: contact.email, reason: 'Email address bounced' });
+    } else {
+      send.push({ channel: 'EMAIL', to: contact.email });
+    }
+  }
+
+  if (type === 'SMS' || type === 'BOTH') {
+    if (!contact.phone) {
+      skipped.push({ channel: 'SMS', to: null, reason: 'No phone number' });
+    } else if (contact.phoneInvalid) {
+      skipped.push({ channel: 'SMS', to: contact.phone, reason: 'Phone number is invalid' });
+    } else if (contact.smsOptedOut) {
+      skipped.push({ channel: 'SMS', to: contact.phone, reason: 'Opted out of SMS' });
+    } else {
+      send.push({ channel: 'SMS', to: contact.phone });
+    }
+  }
+
+  return { send, skipped };
+};
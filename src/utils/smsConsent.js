@@ -0,0 +1,72 @@
+/**
+ * SMS Consent
+ *
+ * Keyword parsing and phone normalization for the SMS opt-out ledger
+ * (see services/smsConsentService.js). Keywords follow the CTIA/TCPA list plus the
+ * French equivalents required under CASL.
+ */
+
+export const SMS_KEYWORDS = {
+  STOP: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT', 'ARRET', 'ARRÊT'],
+  START: ['START', 'UNSTOP', 'YES', 'SUBSCRIBE', 'OPTIN'],
+  HELP: ['HELP', 'INFO', 'AIDE'],
+};
+
+const FRENCH_KEYWORDS = ['ARRET', 'ARRÊT', 'AIDE'];
+
+// Auto-replies to keywords, in the language the keyword was sent in
+export const SMS_KEYWORD_REPLIES = {
+  en: {
+    STOP: 'Complyo: You are unsubscribed and will no longer receive document reminders by text. Reply START to resubscribe.',
+    START: 'Complyo: You are subscribed to document reminders by text again. Reply STOP to unsubscribe, HELP for help.',
+    HELP: 'Complyo: Document compliance reminders sent for your employer. Msg & data rates may apply. Reply STOP to unsubscribe. Contact your employer for help with your documents.',
+  },
+  fr: {
+    STOP: "Complyo : Vous êtes désabonné et ne recevrez plus de rappels de documents par texto. Répondez START pour vous réabonner.",
+    START: 'Complyo : Vous êtes de nouveau abonné aux rappels de documents par texto. Répondez ARRET pour vous désabonner.',
+    HELP: "Complyo : Rappels de conformité des documents envoyés pour votre employeur. Des frais peuvent s'appliquer. Répondez ARRET pour vous désabonner. Contactez votre employeur pour obtenir de l'aide.",
+  },
+};
+
+/**
+ * Normalize a phone number to E.164 so numbers typed on driver records match Twilio's
+ * @param {string} phone - e.g. '(514) 555-0000', '+1 514 555 0000'
+ * @param {string} [defaultCountryCode='1'] - Used for national numbers (North America)
+ * @returns {string|null} e.g. '+15145550000'
+ */
+export const normalizePhoneNumber = (phone, defaultCountryCode = '1') => {
+  if (!phone) return null;
+
+  const trimmed = String(phone).trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (trimmed.startsWith('+')) return `+${digits}`;
+  if (trimmed.startsWith('00')) return `+${digits.slice(2)}`;
+  if (digits.length === 10) return `+${defaultCountryCode}${digits}`;
+  if (digits.length === 11 && digits.startsWith(defaultCountryCode)) return `+${digits}`;
+  return `+${digits}`;
+};
+
+/**
+ * Find the consent keyword in an inbound SMS
+ * Only a message consisting of the keyword counts, so "stop by the office" is not an opt-out.
+ * @param {string} body - Inbound message text
+ * @returns {Object|null} { action: 'STOP'|'START'|'HELP', keyword, locale }
+ */
+export const parseSmsKeyword = (body) => {
+  const keyword = String(body || '')
+    .trim()
+    .replace(/[.!\s]+$/, '')
+    .toUpperCase();
+  if (!keyword) return null;
+
+  const action = Object.keys(SMS_KEYWORDS).find((key) => SMS_KEYWORDS[key].includes(keyword));
+  if (!action) return null;
+
+  return {
+    action,
+    keyword,
+    locale: FRENCH_KEYWORDS.includes(keyword) ? 'fr' : 'en',
+  };
+};
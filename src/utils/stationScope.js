@@ -0,0 +1,62 @@
+/**
+ * Station Scope
+ *
+ * Team members can be limited to the drivers of one or more stations (User.stationCodes),
+ * e.g. a station lead who only manages the DXX3 roster. An empty list means every
+ * station; the company admin and super admins are never scoped. Drivers without a
+ * station are only visible to unscoped users.
+ */
+
+/**
+ * Stations a user is limited to
+ * @param {Object} user - User ({ role, dspRole, stationCodes })
+ * @returns {string[]|null} Station codes, or null when the user sees every station
+ */
+export const getStationScope = (user) => {
+  if (!user || user.role === 'SUPER_ADMIN' || user.dspRole === 'ADMIN') {
+    return null;
+  }
+
+  const stationCodes = user.stationCodes || [];
+  return stationCodes.length > 0 ? stationCodes : null;
+};
+
+/**
+ * Prisma Driver filter for a scope, to spread into a driver `where`
+ * @param {string[]|null} scope - From getStationScope()
+ * @returns {Object}
+ */
+export const getDriverScopeWhere = (scope) => (scope ? { stationCode: { in: scope } } : {});
+
+/**
+ * Check whether a driver is within a scope
+ * @param {Object} driver - Driver ({ stationCode })
+ * @param {string[]|null} scope - From getStationScope()
+ * @returns {boolean}
+ */
+export const isDriverInScope = (driver, scope) => !scope || scope.includes(driver?.stationCode);
+
+/**
+ * Check whether station codes given to a team member stay within a scope
+ * (an empty list means every station, so it's only within no scope at all)
+ * @param {string[]} stationCodes - Codes being assigned
+ * @param {string[]|null} scope - Assigning user's scope, from getStationScope()
+ * @returns {boolean}
+ */
+export const isWithinStationScope = (stationCodes, scope) =>
+  !scope || (stationCodes.length > 0 && stationCodes.every((code) => scope.includes(code)));
+
+/**
+ * Clean up station codes assigned to a team member
+ * @param {string[]} stationCodes - Requested codes
+ * @param {string[]} companyStationCodes - Company.stationCodes
+ * @returns {Object} { stationCodes, unknown } - Unique trimmed codes and the ones the company doesn't have
+ */
+export const normalizeStationScope = (stationCodes, companyStationCodes = []) => {
+  const codes = [...new Set((stationCodes || []).map((code) => String(code).trim()).filter(Boolean))];
+
+  return {
+    stationCodes: codes,
+    unknown: codes.filter((code) => !companyStationCodes.includes(code)),
+  };
+};
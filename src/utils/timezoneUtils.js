@@ -0,0 +1,185 @@
+/**
+ * Timezone Utilities
+ *
+ * Helpers for scheduling reminders in a company's own timezone and
+ * send window (quiet hours), built on Intl so no timezone data is bundled.
+ */
+
+export const DEFAULT_TIMEZONE = 'America/New_York';
+export const DEFAULT_SEND_WINDOW_START = '08:00';
+export const DEFAULT_SEND_WINDOW_END = '20:00';
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Check that a string is an IANA timezone name Intl understands
+ * @param {string} timezone - e.g. 'America/Vancouver'
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Parse an 'HH:MM' (24-hour) time of day
+ * @param {string} time - e.g. '08:30'
+ * @returns {number|null} Minutes after midnight, or null when invalid
+ */
+export const parseTimeOfDay = (time) => {
+  const match = TIME_OF_DAY_PATTERN.exec(time || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, dateKey: 'YYYY-MM-DD', minutesOfDay }
+ */
+export const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    dateKey: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    minutesOfDay: parts.hour * 60 + parts.minute,
+  };
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to the UTC instant
+ * (times skipped by a DST change resolve to the same clock time after the change)
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} Instant, or null when the date or time is invalid
+ */
+export const zonedTimeToUtc = (dateKey, time, timezone) => {
+  const dateMatch = DATE_KEY_PATTERN.exec(dateKey || '');
+  const minutes = parseTimeOfDay(time);
+  if (!dateMatch || minutes === null) return null;
+
+  const [, year, month, day] = dateMatch.map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  if (new Date(wallClock).getUTCDate() !== day) return null;
+
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  // Apply the offset, then re-check it at the result in case it crossed a DST change
+  const guess = wallClock - offsetAt(wallClock);
+  const corrected = wallClock - offsetAt(guess);
+  const correctedParts = getZonedParts(new Date(corrected), timezone);
+  return new Date(correctedParts.minutesOfDay === minutes ? corrected : guess);
+};
+
+/**
+ * Add days to a 'YYYY-MM-DD' date
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const addDaysToDateKey = (dateKey, days) => {
+  const [, year, month, day] = DATE_KEY_PATTERN.exec(dateKey).map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Whole days from one 'YYYY-MM-DD' date to another
+ * @param {string} fromDateKey - 'YYYY-MM-DD'
+ * @param {string} toDateKey - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export const daysBetweenDateKeys = (fromDateKey, toDateKey) => {
+  const toUtc = (dateKey) => {
+    const [, year, month, day] = DATE_KEY_PATTERN.exec(dateKey).map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toDateKey) - toUtc(fromDateKey)) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Resolve a company's schedule settings, falling back to the defaults
+ * @param {Object} company - { timezone?, sendWindowStart?, sendWindowEnd? }
+ * @returns {Object} { timezone, sendWindowStart, sendWindowEnd }
+ */
+export const getCompanySchedule = (company = {}) => ({
+  timezone: isValidTimezone(company.timezone) ? company.timezone : DEFAULT_TIMEZONE,
+  sendWindowStart: parseTimeOfDay(company.sendWindowStart) !== null ? company.sendWindowStart : DEFAULT_SEND_WINDOW_START,
+  sendWindowEnd: parseTimeOfDay(company.sendWindowEnd) !== null ? company.sendWindowEnd : DEFAULT_SEND_WINDOW_END,
+});
+
+/**
+ * Check whether an instant falls inside the company's send window.
+ * Windows may span midnight (e.g. 22:00-06:00); equal start and end means always open.
+ * @param {Date} date - Instant
+ * @param {Object} company - { timezone?, sendWindowStart?, sendWindowEnd? }
+ * @returns {boolean}
+ */
+export const isWithinSendWindow = (date, company) => {
+  const { timezone, sendWindowStart, sendWindowEnd } = getCompanySchedule(company);
+  const start = parseTimeOfDay(sendWindowStart);
+  const end = parseTimeOfDay(sendWindowEnd);
+  if (start === end) return true;
+
+  const { minutesOfDay } = getZonedParts(date, timezone);
+  return start < end
+    ? minutesOfDay >= start && minutesOfDay < end
+    : minutesOfDay >= start || minutesOfDay < end;
+};
+
+/**
+ * When the company's send window next opens
+ * @param {Date} date - Instant
+ * @param {Object} company - { timezone?, sendWindowStart?, sendWindowEnd? }
+ * @returns {Date} `date` itself when the window is already open
+ */
+export const getNextSendWindowOpening = (date, company) => {
+  if (isWithinSendWindow(date, company)) return date;
+
+  const { timezone, sendWindowStart } = getCompanySchedule(company);
+  const { dateKey } = getZonedParts(date, timezone);
+  const opensToday = zonedTimeToUtc(dateKey, sendWindowStart, timezone);
+
+  return opensToday > date
+    ? opensToday
+    : zonedTimeToUtc(addDaysToDateKey(dateKey, 1), sendWindowStart, timezone);
+};